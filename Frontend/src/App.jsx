@@ -16,6 +16,7 @@ import BookTable from './pages/BookTable/BookTable';
 import Contact from './pages/Contact/Contact';
 import Favourites from './pages/Favourites/Favourites';
 import MyBookings from './pages/MyBookings/MyBookings';
+import WaitlistClaim from './pages/WaitlistClaim/WaitlistClaim';
 
 function App() {
   const[showLogin, setShowLogin] = useState(false);
@@ -37,6 +38,7 @@ function App() {
         <Route path='/myorders' element={<MyOrders />} />
         <Route path='/favourites' element={<Favourites />} />
         <Route path='/my-bookings' element={<MyBookings />} />
+        <Route path='/waitlist/claim' element={<WaitlistClaim />} />
       </Routes>
     
     </div>
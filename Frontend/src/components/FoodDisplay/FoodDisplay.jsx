@@ -35,9 +35,14 @@ const FoodDisplay = ({ category, limit = 8 }) => {
             rating={item.rating}
             reviews={item.reviews}
             deliveryTime={item.deliveryTime}
+            prepTime={item.prepTime}
             isVeg={item.isVeg}
             isBestseller={item.isBestseller}
             isNew={item.isNew}
+            spiceLevel={item.spiceLevel}
+            allergens={item.allergens}
+            calories={item.nutrition?.calories}
+            modifierGroups={item.modifierGroups}
             offer={item.offer}
             status={item.status}
           />
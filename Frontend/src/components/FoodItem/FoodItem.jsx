@@ -2,6 +2,8 @@ import { useContext, useState } from "react";
 import { createPortal } from "react-dom";
 import "./FoodItem.css";
 import { StoreContext } from "../../context/StoreContext";
+import FoodReviews from "../FoodReviews/FoodReviews";
+import ItemOptions from "../ItemOptions/ItemOptions";
 
 const FoodItem = ({ 
   id, 
@@ -9,19 +11,26 @@ const FoodItem = ({
   image, 
   price, 
   description,
-  rating = 4.0,
+  rating = 0,
   reviews = 0,
   deliveryTime = "25-30 min",
-  isVeg = true,
+  prepTime = null,
+  isVeg = null,
   isBestseller = false,
   isNew = false,
+  spiceLevel = 0,
+  allergens = [],
+  calories = null,
+  modifierGroups = [],
   offer = "",
   status = "available"
 }) => {
-  const { addToCart, removeFromCart, cartItems, isFavourite, toggleFavourite } = useContext(StoreContext);
+  const { url, addToCart, removeFromCart, cartItems, isFavourite, toggleFavourite } = useContext(StoreContext);
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [toastType, setToastType] = useState('add'); // 'add', 'remove', 'favourite'
+  const [showReviews, setShowReviews] = useState(false);
+  const [showOptions, setShowOptions] = useState(false);
   
   const isLiked = isFavourite(id);
   
@@ -29,21 +38,45 @@ const FoodItem = ({
   const isAvailable = !status || status === 'available';
   const isOutOfStock = status === 'out_of_stock';
 
-  // Safely check if cartItems exists and has the item
-  const cartItemCount = cartItems?.[id] || 0;
+  // Cart lines for this dish - one per set of options chosen
+  const cartKeys = Object.keys(cartItems || {}).filter(key => key === id || key.startsWith(`${id}:`));
+  const cartItemCount = cartKeys.reduce((sum, key) => sum + cartItems[key], 0);
+  const hasOptions = modifierGroups.length > 0;
 
-  // Handle add to cart with notification
-  const handleAddToCart = () => {
-    addToCart(id);
+  const showAddedToast = () => {
     setToastMessage(`${name} added to cart!`);
     setToastType('add');
     setShowToast(true);
     setTimeout(() => setShowToast(false), 2500);
   };
 
+  // Handle add to cart with notification. Dishes with sizes or add-ons ask for them first.
+  const handleAddToCart = () => {
+    if (hasOptions) {
+      setShowOptions(true);
+      return;
+    }
+    addToCart(id);
+    showAddedToast();
+  };
+
+  const handleAddWithOptions = (options, quantity) => {
+    addToCart(id, quantity, options);
+    setShowOptions(false);
+    showAddedToast();
+  };
+
   // Handle remove from cart with notification
   const handleRemoveFromCart = () => {
-    removeFromCart(id);
+    // With different options in the cart it isn't clear which one to take out
+    if (cartKeys.length > 1) {
+      setToastMessage(`You have ${name} with different options - change them in your cart`);
+      setToastType('remove');
+      setShowToast(true);
+      setTimeout(() => setShowToast(false), 2500);
+      return;
+    }
+    removeFromCart(cartKeys[0]);
     if (cartItemCount <= 1) {
       setToastMessage(`${name} removed from cart`);
     } else {
@@ -199,20 +232,24 @@ const FoodItem = ({
         {/* Header Row */}
         <div className="food-item-header">
           <div className="food-item-title-row">
-            {/* Veg/Non-veg Indicator */}
-            <span className={`veg-indicator ${isVeg ? 'veg' : 'non-veg'}`}>
-              <span className="indicator-dot"></span>
-            </span>
+            {/* Veg/Non-veg Indicator, left off until the kitchen has set the dish's diet */}
+            {isVeg !== null && (
+              <span className={`veg-indicator ${isVeg ? 'veg' : 'non-veg'}`}>
+                <span className="indicator-dot"></span>
+              </span>
+            )}
             <h3 className="food-item-name">{name}</h3>
           </div>
           
-          {/* Rating Badge */}
-          <div className={`food-item-rating ${getRatingClass()}`}>
-            <span className="rating-value">{rating}</span>
-            <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z"/>
-            </svg>
-          </div>
+          {/* Rating Badge - only once the dish has approved reviews */}
+          {reviews > 0 && (
+            <div className={`food-item-rating ${getRatingClass()}`}>
+              <span className="rating-value">{rating.toFixed(1)}</span>
+              <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z"/>
+              </svg>
+            </div>
+          )}
         </div>
 
         {/* Price & Delivery Row */}
@@ -224,18 +261,55 @@ const FoodItem = ({
               <circle cx="12" cy="12" r="10"/>
               <path d="M12 6v6l4 2"/>
             </svg>
-            {deliveryTime}
+            {prepTime ? `${prepTime} min` : deliveryTime}
           </span>
+          {spiceLevel > 0 && (
+            <>
+              <span className="meta-divider">•</span>
+              <span className="food-item-spice" title={['', 'Mild', 'Medium', 'Hot'][spiceLevel]}>{'🌶️'.repeat(spiceLevel)}</span>
+            </>
+          )}
+          {hasOptions && (
+            <>
+              <span className="meta-divider">•</span>
+              <span className="food-item-customisable">Customisable</span>
+            </>
+          )}
+          {calories > 0 && (
+            <>
+              <span className="meta-divider">•</span>
+              <span className="food-item-calories">{calories} kcal</span>
+            </>
+          )}
         </div>
 
         {/* Description */}
         <p className="food-item-description">{description}</p>
 
+        {/* Allergens */}
+        {allergens.length > 0 && (
+          <p className="food-item-allergens">Contains: {allergens.join(', ')}</p>
+        )}
+
         {/* Reviews */}
         <div className="food-item-reviews">
-          <span className="reviews-count">{reviews.toLocaleString()} reviews</span>
+          <button className="reviews-count" onClick={() => setShowReviews(true)}>
+            {reviews > 0 ? `${reviews.toLocaleString()} review${reviews === 1 ? '' : 's'}` : 'No reviews yet'}
+          </button>
         </div>
       </div>
+
+      {showOptions && (
+        <ItemOptions
+          item={{ name, image, price, modifierGroups }}
+          onAdd={handleAddWithOptions}
+          onClose={() => setShowOptions(false)}
+        />
+      )}
+
+      {showReviews && (
+        <FoodReviews url={url} foodId={id} name={name} onClose={() => setShowReviews(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import axios from 'axios';
+import './FoodReviews.css';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Published reviews of a dish: the overall rating, a bar per star and the reviews themselves
+const FoodReviews = ({ url, foodId, name, onClose }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [stars, setStars] = useState({});
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`${url}/api/review/food`, { params: { foodId, page } });
+        if (response.data.success) {
+          setReviews(prev => page === 1 ? response.data.data : [...prev, ...response.data.data]);
+          setSummary(response.data.food);
+          setStars(response.data.stars);
+          setHasMore(response.data.hasMore);
+        }
+      } catch (error) {
+        console.error('Error fetching reviews:', error);
+      }
+      setLoading(false);
+    };
+    fetchReviews();
+  }, [url, foodId, page]);
+
+  return createPortal(
+    <div className="food-reviews-overlay" onClick={onClose}>
+      <div className="food-reviews" onClick={(e) => e.stopPropagation()}>
+        <div className="food-reviews-header">
+          <h3>{name}</h3>
+          <button className="food-reviews-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {summary && summary.reviews > 0 && (
+          <div className="food-reviews-summary">
+            <div className="food-reviews-average">
+              <span className="average-value">{summary.rating.toFixed(1)}</span>
+              <span className="average-stars">{'★'.repeat(Math.round(summary.rating))}</span>
+              <span className="average-count">{summary.reviews} review{summary.reviews === 1 ? '' : 's'}</span>
+            </div>
+            <div className="food-reviews-bars">
+              {[5, 4, 3, 2, 1].map(star => (
+                <div key={star} className="food-reviews-bar">
+                  <span>{star}★</span>
+                  <div className="bar-track">
+                    <div className="bar-fill" style={{ width: `${((stars[star] || 0) / summary.reviews) * 100}%` }} />
+                  </div>
+                  <span>{stars[star] || 0}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="food-reviews-list">
+          {reviews.map(review => (
+            <div key={review._id} className="food-review">
+              <div className="food-review-top">
+                <strong>{review.userName}</strong>
+                <span className="food-review-stars">{'★'.repeat(review.rating)}<span>{'★'.repeat(5 - review.rating)}</span></span>
+              </div>
+              {review.text && <p>{review.text}</p>}
+              {review.photo && <img src={review.photo} alt={`${name} photo by ${review.userName}`} />}
+              <span className="food-review-date">{formatDate(review.createdAt)}</span>
+            </div>
+          ))}
+
+          {loading && <p className="food-reviews-empty">Loading reviews...</p>}
+          {!loading && reviews.length === 0 && (
+            <p className="food-reviews-empty">No reviews yet. Order this dish and be the first to rate it!</p>
+          )}
+          {!loading && hasMore && (
+            <button className="food-reviews-more" onClick={() => setPage(page + 1)}>Show more reviews</button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default FoodReviews;
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import './ItemOptions.css';
+
+// "Pick 1", "Pick up to 3", "Pick 2 to 4"
+const choiceHint = (group) => {
+  if (group.minSelect === group.maxSelect) return `Pick ${group.minSelect}`;
+  if (group.minSelect === 0) return `Pick up to ${group.maxSelect}`;
+  return `Pick ${group.minSelect} to ${group.maxSelect}`;
+};
+
+const priceDeltaLabel = (priceDelta) => (priceDelta > 0 ? `+₹${priceDelta}` : priceDelta < 0 ? `−₹${-priceDelta}` : '');
+
+// Choose sizes, variants and add-ons before adding a dish to the cart.
+// Groups with one choice use radio buttons; the first available option of a required one starts selected.
+const ItemOptions = ({ item, onAdd, onClose }) => {
+  const [selected, setSelected] = useState(() => Object.fromEntries(item.modifierGroups.map(group => {
+    const first = group.options.find(option => option.isAvailable);
+    return [group._id, group.minSelect > 0 && group.maxSelect === 1 && first ? [first._id] : []];
+  })));
+  const [quantity, setQuantity] = useState(1);
+
+  const toggleOption = (group, optionId) => {
+    setSelected(prev => {
+      const current = prev[group._id];
+      if (group.maxSelect === 1) {
+        return { ...prev, [group._id]: [optionId] };
+      }
+      if (current.includes(optionId)) {
+        return { ...prev, [group._id]: current.filter(id => id !== optionId) };
+      }
+      return current.length < group.maxSelect ? { ...prev, [group._id]: [...current, optionId] } : prev;
+    });
+  };
+
+  const missingGroup = item.modifierGroups.find(group => selected[group._id].length < group.minSelect);
+  const optionIds = Object.values(selected).flat();
+  const unitPrice = item.modifierGroups
+    .flatMap(group => group.options)
+    .filter(option => optionIds.includes(option._id))
+    .reduce((sum, option) => sum + option.priceDelta, item.price);
+
+  return createPortal(
+    <div className="item-options-overlay" onClick={onClose}>
+      <div className="item-options" onClick={(e) => e.stopPropagation()}>
+        <div className="item-options-header">
+          {item.image && <img src={item.image} alt={item.name} />}
+          <div>
+            <h3>{item.name}</h3>
+            <p>₹{item.price}</p>
+          </div>
+          <button type="button" className="item-options-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="item-options-groups">
+          {item.modifierGroups.map(group => (
+            <fieldset key={group._id} className="item-options-group">
+              <legend>
+                {group.name}
+                <span className={group.minSelect > 0 ? 'required' : ''}>
+                  {group.minSelect > 0 ? 'Required' : 'Optional'} · {choiceHint(group)}
+                </span>
+              </legend>
+              {group.options.map(option => (
+                <label key={option._id} className={`item-option ${option.isAvailable ? '' : 'unavailable'}`}>
+                  <input
+                    type={group.maxSelect === 1 ? 'radio' : 'checkbox'}
+                    name={group._id}
+                    checked={selected[group._id].includes(option._id)}
+                    disabled={!option.isAvailable}
+                    onChange={() => toggleOption(group, option._id)}
+                  />
+                  <span className="item-option-name">{option.name}</span>
+                  <span className="item-option-price">{option.isAvailable ? priceDeltaLabel(option.priceDelta) : 'Unavailable'}</span>
+                </label>
+              ))}
+            </fieldset>
+          ))}
+        </div>
+
+        <div className="item-options-footer">
+          <div className="item-options-qty">
+            <button type="button" onClick={() => setQuantity(q => Math.max(1, q - 1))} disabled={quantity <= 1}>−</button>
+            <span>{quantity}</span>
+            <button type="button" onClick={() => setQuantity(q => q + 1)}>+</button>
+          </div>
+          <button
+            type="button"
+            className="item-options-add"
+            disabled={Boolean(missingGroup)}
+            onClick={() => onAdd(optionIds, quantity)}
+          >
+            {missingGroup ? `Choose ${missingGroup.name}` : `Add ${quantity} · ₹${unitPrice * quantity}`}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ItemOptions;
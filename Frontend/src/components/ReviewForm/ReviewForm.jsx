@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import './ReviewForm.css';
+
+const ratingLabels = ['', 'Poor', 'Okay', 'Good', 'Very good', 'Excellent'];
+
+// Rate a dish from a delivered order. An existing review is edited and goes back for checking.
+const ReviewForm = ({ url, token, dish, review, onClose, onSaved }) => {
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [hovered, setHovered] = useState(0);
+  const [text, setText] = useState(review?.text || '');
+  const [photo, setPhoto] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('foodId', dish.foodId);
+      formData.append('rating', rating);
+      formData.append('text', text);
+      if (photo) formData.append('image', photo);
+
+      const response = await axios.post(`${url}/api/review/add`, formData, { headers: { token } });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        onSaved(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error saving review:', error);
+      toast.error('Error saving your review');
+    }
+    setSaving(false);
+  };
+
+  return createPortal(
+    <div className="review-form-overlay" onClick={onClose}>
+      <form className="review-form" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="review-form-header">
+          {dish.image && <img src={dish.image} alt={dish.name} />}
+          <div>
+            <h3>{review ? 'Edit your review' : 'Rate this dish'}</h3>
+            <p>{dish.name}</p>
+          </div>
+          <button type="button" className="review-form-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="review-form-stars" onMouseLeave={() => setHovered(0)}>
+          {[1, 2, 3, 4, 5].map(star => (
+            <button
+              key={star}
+              type="button"
+              className={star <= (hovered || rating) ? 'filled' : ''}
+              onClick={() => setRating(star)}
+              onMouseEnter={() => setHovered(star)}
+              aria-label={`${star} star${star === 1 ? '' : 's'}`}
+            >
+              ★
+            </button>
+          ))}
+          <span>{ratingLabels[hovered || rating]}</span>
+        </div>
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="What did you like? What could be better? (optional)"
+          rows="4"
+          maxLength="1000"
+        />
+
+        <label className="review-form-photo">
+          <input type="file" accept="image/*" onChange={(e) => setPhoto(e.target.files[0] || null)} />
+          {photo ? `📷 ${photo.name}` : review?.photo ? '📷 Replace your photo' : '📷 Add a photo (optional)'}
+        </label>
+
+        <p className="review-form-note">Reviews are checked by the restaurant before they appear on the menu.</p>
+
+        <button type="submit" className="review-form-submit" disabled={saving || rating === 0}>
+          {saving ? 'Saving...' : review ? 'Update Review' : 'Post Review'}
+        </button>
+      </form>
+    </div>,
+    document.body
+  );
+};
+
+export default ReviewForm;
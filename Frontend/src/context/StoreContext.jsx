@@ -1,6 +1,7 @@
 import { createContext, useEffect, useState } from "react";
 
 import axios from "axios";
+import { toast } from "react-toastify";
 
 
 
@@ -9,12 +10,27 @@ import axios from "axios";
 
 export const StoreContext = createContext(null);
 
+// Cart lines are keyed by the dish plus the options picked for it (sizes, add-ons):
+// "<foodId>" or "<foodId>:<optionId>,<optionId>", the same keys the server uses
+const makeCartKey = (itemId, optionIds = []) => {
+  const ids = [...new Set(optionIds)].sort();
+  return ids.length > 0 ? `${itemId}:${ids.join(',')}` : itemId;
+};
+
+const parseCartKey = (key) => {
+  const [itemId, options = ''] = key.split(':');
+  return { itemId, optionIds: options ? options.split(',') : [] };
+};
+
 const StoreContextProvider = ({ children }) => {
-const[cartItems,setCartItem]= useState({});
+const[cartItems,setCartItem]= useState(() => JSON.parse(localStorage.getItem('cart') || '{}'));
 const [token, setToken] = useState("");
 const [food_list, setFoodList] = useState([]);
 const [favourites, setFavourites] = useState([]);
 const [userInfo, setUserInfo] = useState(null);
+const [cartQuote, setCartQuote] = useState(null);
+const [couponCode, setCouponCode] = useState(localStorage.getItem('couponCode') || '');
+const [couponError, setCouponError] = useState('');
 
 const url = 'http://localhost:4000';
 
@@ -31,28 +47,60 @@ const fetchUserProfile = async (token) => {
   }
 };
 
-// Load favourites from localStorage on init
-const loadFavourites = () => {
-  const savedFavourites = localStorage.getItem('favourites');
-  if (savedFavourites) {
-    setFavourites(JSON.parse(savedFavourites));
+// Favourites are kept on the account when logged in and in localStorage otherwise.
+// Ones saved while logged out move into the account at login.
+const loadFavourites = async (token) => {
+  const savedFavourites = JSON.parse(localStorage.getItem('favourites') || '[]');
+  if (!token) {
+    setFavourites(savedFavourites);
+    return;
+  }
+  try {
+    const response = savedFavourites.length > 0
+      ? await axios.post(`${url}/api/user/favourites/merge`, { itemIds: savedFavourites }, { headers: { token } })
+      : await axios.get(`${url}/api/user/favourites`, { headers: { token } });
+    if (response.data.success) {
+      setFavourites(response.data.data);
+      localStorage.removeItem('favourites');
+    }
+  } catch (error) {
+    console.error("Error loading favourites:", error);
   }
 };
 
 // Add to favourites
-const addToFavourites = (itemId) => {
+const addToFavourites = async (itemId) => {
   if (!favourites.includes(itemId)) {
     const newFavourites = [...favourites, itemId];
     setFavourites(newFavourites);
-    localStorage.setItem('favourites', JSON.stringify(newFavourites));
+    if (token) {
+      await axios.post(`${url}/api/user/favourites/add`, { itemId }, { headers: { token } });
+    } else {
+      localStorage.setItem('favourites', JSON.stringify(newFavourites));
+    }
   }
 };
 
 // Remove from favourites
-const removeFromFavourites = (itemId) => {
+const removeFromFavourites = async (itemId) => {
   const newFavourites = favourites.filter(id => id !== itemId);
   setFavourites(newFavourites);
-  localStorage.setItem('favourites', JSON.stringify(newFavourites));
+  if (token) {
+    await axios.post(`${url}/api/user/favourites/remove`, { itemId }, { headers: { token } });
+  } else {
+    localStorage.setItem('favourites', JSON.stringify(newFavourites));
+  }
+};
+
+// Remove every favourite
+const clearFavourites = async () => {
+  const removed = favourites;
+  setFavourites([]);
+  if (token) {
+    await Promise.all(removed.map(itemId => axios.post(`${url}/api/user/favourites/remove`, { itemId }, { headers: { token } })));
+  } else {
+    localStorage.removeItem('favourites');
+  }
 };
 
 // Check if item is favourite
@@ -70,39 +118,108 @@ const toggleFavourite = (itemId) => {
 };
 
 
-const addToCart = async(itemId) => {
-  const currentCart = cartItems || {};
-  if(!currentCart[itemId]) {
-    setCartItem((prev) => ({...prev || {}, [itemId]:1}))
-}else{
-  setCartItem((prev) => ({...prev || {}, [itemId]:(prev[itemId] || 0)+1}))
-}
-if(token){
-  await axios.post(`${url}/api/cart/add`, {itemId},{headers:{token}})
-}
+// Show a cart change straight away. Logged-out carts are kept in localStorage until login.
+const changeCart = (update) => {
+  setCartItem((prev) => {
+    const next = Object.fromEntries(Object.entries(update(prev || {})).filter(([, quantity]) => quantity > 0));
+    if (!token) {
+      localStorage.setItem('cart', JSON.stringify(next));
+    }
+    return next;
+  });
+};
+
+// Send a cart change to the server. If it's refused, go back to the cart the server has.
+const syncCart = async (path, data) => {
+  try {
+    const response = await axios.post(`${url}/api/cart/${path}`, data, { headers: { token } });
+    if (!response.data.success) {
+      toast.error(response.data.message);
+      if (response.data.cartData) {
+        setCartItem(response.data.cartData);
+      }
+    }
+  } catch (error) {
+    console.error("Error updating cart:", error);
+    loadCartData(token);
+  }
+};
+
+// `options` are the ids of the sizes and add-ons picked for the dish
+const addToCart = async(itemId, quantity = 1, options = []) => {
+  const food = food_list.find((product) => product._id === itemId);
+  const needsChoice = (food?.modifierGroups || []).find((group) => group.minSelect > 0);
+  if (options.length === 0 && needsChoice) {
+    toast.info(`Choose a ${needsChoice.name} for ${food.name} from the menu first`);
+    return;
+  }
+
+  const key = makeCartKey(itemId, options);
+  changeCart((prev) => ({...prev, [key]:(prev[key] || 0) + quantity}));
+  if(token){
+    await syncCart('add', { itemId, options, quantity });
+  }
 }
 
-const removeFromCart = async(itemId) => {
-  setCartItem((prev) => {
-    const currentCart = prev || {};
-    return {...currentCart, [itemId]:Math.max((currentCart[itemId] || 0)-1, 0)};
-  })
+// Remove one from a cart line. A dish id works for a dish without options.
+const removeFromCart = async(key) => {
+  changeCart((prev) => ({...prev, [key]:(prev[key] || 0) - 1}));
   if(token){
-    await axios.post(`${url}/api/cart/remove`, {itemId},{headers:{token}})
+    await syncCart('remove', { key });
   }
 } 
 
-const  getTotalcartAmount = (itemid)=>{
-  let totalAmount = 0;
-  const currentCart = cartItems || {};
-  for(let item in currentCart){
-    if(currentCart[item] > 0){
-      let iteminfo= food_list.find((product) => product._id === item);
-      if(iteminfo){
-        totalAmount += (iteminfo.price * currentCart[item]); 
+// Take a cart line out of the cart whatever its quantity
+const deleteFromCart = async (key) => {
+  changeCart((prev) => ({ ...prev, [key]: 0 }));
+  if (token) {
+    await syncCart('delete', { key });
+  }
+};
+
+// A cart line with its dish, chosen options and price for one, or null if the dish isn't on the menu
+const getCartLine = (key) => {
+  const { itemId, optionIds } = parseCartKey(key);
+  const item = food_list.find((product) => product._id === itemId);
+  if (!item) return null;
+
+  const options = [];
+  for (const group of item.modifierGroups || []) {
+    for (const option of group.options) {
+      if (optionIds.includes(option._id)) {
+        options.push({ ...option, group: group.name });
       }
     }
   }
+  const price = item.price + options.reduce((sum, option) => sum + option.priceDelta, 0);
+  // An option the restaurant has since removed can't be ordered any more
+  const optionsChanged = options.length < optionIds.length;
+  return { key, item, optionIds, options, optionsChanged, price, quantity: cartItems?.[key] || 0 };
+};
+
+// Every line in the cart that can be shown
+const getCartLines = () => Object.keys(cartItems || {})
+  .filter((key) => cartItems[key] > 0)
+  .map(getCartLine)
+  .filter(Boolean);
+
+// How many of a dish are in the cart, over all its options
+const getCartItemCount = (itemId) => Object.entries(cartItems || {})
+  .filter(([key]) => parseCartKey(key).itemId === itemId)
+  .reduce((sum, [, quantity]) => sum + quantity, 0);
+
+const clearCart = async () => {
+  changeCart(() => ({}));
+  if (token) {
+    await syncCart('clear', {});
+  }
+};
+
+const  getTotalcartAmount = ()=>{
+  let totalAmount = 0;
+  for (const line of getCartLines()) {
+    totalAmount += line.price * line.quantity;
+  }
 
 return totalAmount;
 }
@@ -114,14 +231,20 @@ const fetchFoodList = async ()=>{
 }
 
 
+// Load the saved cart. A cart built before logging in is added to it rather than lost.
 const loadCartData = async (token) => {
   if (token) {
     try {
-      const response = await axios.get(`${url}/api/cart/list`, { headers: { token } });
-      setCartItem(response.data.cartData || {});
+      const guestCart = JSON.parse(localStorage.getItem('cart') || '{}');
+      const response = Object.keys(guestCart).length > 0
+        ? await axios.post(`${url}/api/cart/merge`, { cartData: guestCart }, { headers: { token } })
+        : await axios.get(`${url}/api/cart/list`, { headers: { token } });
+      if (response.data.success) {
+        localStorage.removeItem('cart');
+        setCartItem(response.data.cartData || {});
+      }
     } catch (error) {
       console.error("Error loading cart data:", error);
-      setCartItem({});
     }
   }
 }
@@ -131,23 +254,72 @@ useEffect(() => {
  
   async function loadData(){
     await fetchFoodList()
-    loadFavourites();
     if (token) {
+      // The cart and profile load once the token is set
       setToken(token);
-      await loadCartData(localStorage.getItem('token'));
-      await fetchUserProfile(localStorage.getItem('token'));
     }
   }
   loadData()
 }, []);
 
+// Apply a promo code - it is checked on the server together with the cart
+const applyCoupon = (code) => {
+  const normalizedCode = code.trim().toUpperCase();
+  localStorage.setItem('couponCode', normalizedCode);
+  setCouponError('');
+  setCouponCode(normalizedCode);
+};
+
+const removeCoupon = () => {
+  localStorage.removeItem('couponCode');
+  setCouponError('');
+  setCouponCode('');
+};
+
+// Keep the server-side price breakdown (discount, delivery, tax, total) in sync with the cart
+useEffect(() => {
+  const currentCart = cartItems || {};
+  const items = Object.keys(currentCart)
+    .filter((key) => currentCart[key] > 0 && food_list.some((product) => product._id === parseCartKey(key).itemId))
+    .map((key) => ({ key, quantity: currentCart[key] }));
+
+  if (items.length === 0) {
+    setCartQuote(null);
+    return;
+  }
+
+  // Promo codes need a logged in user (first order / per user limits)
+  const withCoupon = Boolean(couponCode && token);
+  const request = withCoupon
+    ? axios.post(`${url}/api/order/quote`, { items, couponCode }, { headers: { token } })
+    : axios.post(`${url}/api/order/quote`, { items });
+
+  request
+    .then((response) => {
+      if (response.data.success) {
+        setCartQuote(response.data.pricing);
+      } else if (withCoupon) {
+        // Code no longer applies (e.g. cart went below the minimum) - drop it and re-price
+        setCouponError(response.data.message);
+        localStorage.removeItem('couponCode');
+        setCouponCode('');
+      } else {
+        setCartQuote(null);
+      }
+    })
+    .catch((error) => console.error("Error fetching cart quote:", error));
+}, [cartItems, food_list, url, couponCode, token]);
+
 useEffect(() => {
   if (token) {
     loadCartData(token);
     fetchUserProfile(token);
   } else {
     setUserInfo(null);
+    // The account's cart stays on the server after logging out
+    setCartItem(JSON.parse(localStorage.getItem('cart') || '{}'));
   }
+  loadFavourites(token);
 }, [token]);
 
 
@@ -156,9 +328,19 @@ useEffect(() => {
   const contextValue = {
     addToCart,
     removeFromCart,
+    deleteFromCart,
+    clearCart,
     setCartItem,
     cartItems,
     getTotalcartAmount,
+    getCartLine,
+    getCartLines,
+    getCartItemCount,
+    cartQuote,
+    couponCode,
+    couponError,
+    applyCoupon,
+    removeCoupon,
     url,
     token,
     setToken,
@@ -168,6 +350,7 @@ useEffect(() => {
     favourites,
     addToFavourites,
     removeFromFavourites,
+    clearFavourites,
     isFavourite,
     toggleFavourite,
     userInfo,
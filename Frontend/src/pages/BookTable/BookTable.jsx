@@ -4,7 +4,7 @@ import axios from 'axios';
 import { StoreContext } from '../../context/StoreContext';
 
 const BookTable = () => {
-  const { url, food_list } = useContext(StoreContext);
+  const { url, food_list, token } = useContext(StoreContext);
   
   // Multi-step form
   const [step, setStep] = useState(1); // 1: Details, 2: Pre-order Food, 3: Review, 4: Payment
@@ -20,6 +20,17 @@ const BookTable = () => {
     specialRequests: ''
   });
 
+  // Bookable times for the chosen date, from the restaurant's opening hours
+  const [slots, setSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [closedReason, setClosedReason] = useState('');
+
+  // Waitlist for when the wanted time is fully booked
+  const [showWaitlist, setShowWaitlist] = useState(false);
+  const [waitlistWindow, setWaitlistWindow] = useState({ start: '', end: '' });
+  const [waitlistJoining, setWaitlistJoining] = useState(false);
+  const [waitlistMessage, setWaitlistMessage] = useState('');
+
   // Table selection state
   const [availableTables, setAvailableTables] = useState([]);
   const [selectedTable, setSelectedTable] = useState(null);
@@ -35,7 +46,9 @@ const BookTable = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [bookingId, setBookingId] = useState('');
+  const [manageLink, setManageLink] = useState('');
   const [hasPreOrder, setHasPreOrder] = useState(false);
+  const [deposit, setDeposit] = useState({ amount: 0, reason: '' });
   const [paymentId, setPaymentId] = useState('');
   const [isPaid, setIsPaid] = useState(false);
 
@@ -50,6 +63,39 @@ const BookTable = () => {
     };
   }, []);
 
+  // Load the day's slots whenever the date or party size changes
+  useEffect(() => {
+    setWaitlistMessage('');
+    if (!formData.date) {
+      setSlots([]);
+      setClosedReason('');
+      return;
+    }
+
+    const fetchSlots = async () => {
+      setSlotsLoading(true);
+      try {
+        const response = await axios.get(`${url}/api/booking/slots`, {
+          params: { date: formData.date, guests: formData.guests }
+        });
+        if (response.data.success) {
+          const { closed, reason, slots: daySlots } = response.data.data;
+          setSlots(daySlots);
+          setClosedReason(closed ? reason : '');
+          // Drop a time that isn't bookable any more
+          setFormData(prev => daySlots.some(slot => slot.time === prev.time && slot.available) ? prev : { ...prev, time: '' });
+        } else {
+          setSlots([]);
+          setError(response.data.message);
+        }
+      } catch (err) {
+        console.error('Error fetching time slots:', err);
+      }
+      setSlotsLoading(false);
+    };
+    fetchSlots();
+  }, [url, formData.date, formData.guests]);
+
   // Fetch available tables when date, time, and guests are selected
   const fetchAvailableTables = async () => {
     if (!formData.date || !formData.time || !formData.guests) return;
@@ -160,23 +206,23 @@ const BookTable = () => {
     return Object.values(preOrderItems).reduce((sum, qty) => sum + qty, 0);
   };
 
+  // Dishes that need a size or variant chosen can't be pre-ordered
+  const preOrderMenu = food_list.filter(item => !(item.modifierGroups || []).some(group => group.minSelect > 0));
+
   // Get unique categories
-  const categories = ['All', ...new Set(food_list.map(item => item.category))];
+  const categories = ['All', ...new Set(preOrderMenu.map(item => item.category))];
 
   // Filter food by category
   const filteredFood = selectedCategory === 'All' 
-    ? food_list 
-    : food_list.filter(item => item.category === selectedCategory);
+    ? preOrderMenu 
+    : preOrderMenu.filter(item => item.category === selectedCategory);
 
   // Handle Razorpay Payment
   const handlePayment = async (bookingIdParam) => {
     try {
-      const amount = getPreOrderTotal();
-      
-      // Create Razorpay order
+      // Create Razorpay order (amount is taken from the booking on the server)
       const orderResponse = await axios.post(`${url}/api/booking/payment/create`, {
-        bookingId: bookingIdParam,
-        amount: amount
+        bookingId: bookingIdParam
       });
 
       if (!orderResponse.data.success) {
@@ -192,7 +238,7 @@ const BookTable = () => {
         amount: order.amount,
         currency: order.currency,
         name: "SavantX Eats",
-        description: `Pre-Order Payment for Booking #${bookingIdParam.slice(-8).toUpperCase()}`,
+        description: `Payment for Booking #${bookingIdParam.slice(-8).toUpperCase()}`,
         order_id: order.id,
         handler: async function (response) {
           // Verify payment
@@ -252,35 +298,43 @@ const BookTable = () => {
 
     try {
       const preOrderedItems = getPreOrderItemsArray();
-      const preOrderTotal = getPreOrderTotal();
 
       const bookingData = {
         ...formData,
-        tableId: selectedTable?._id || null,
+        // Joined tables for a large party are booked together
+        tableId: selectedTable && !selectedTable.isCombination ? selectedTable._id : null,
+        tableIds: selectedTable?.isCombination ? selectedTable.tableIds : [],
         tableNumber: selectedTable?.tableNumber || '',
         tableName: selectedTable?.tableName || '',
-        preOrderedItems: wantPreOrder ? preOrderedItems : [],
-        preOrderTotal: wantPreOrder ? preOrderTotal : 0
+        preOrderedItems: wantPreOrder ? preOrderedItems.map(item => ({ _id: item._id, quantity: item.quantity })) : []
       };
 
-      const response = await axios.post(`${url}/api/booking/create`, bookingData);
+      // Logged-in guests get the booking on their account
+      const response = await axios.post(`${url}/api/booking/create`, bookingData, { headers: token ? { token } : {} });
       
       if (response.data.success) {
         const newBookingId = response.data.bookingId;
         setBookingId(newBookingId);
+        setManageLink(response.data.manageLink || '');
         setHasPreOrder(response.data.hasPreOrder);
+        setDeposit({ amount: response.data.depositAmount || 0, reason: response.data.depositReason || '' });
 
-        // If pre-order exists and has items, initiate payment
-        if (response.data.hasPreOrder && preOrderTotal > 0) {
+        // Pre-ordered food and any deposit are paid online straight away
+        if (response.data.amountDue > 0) {
           await handlePayment(newBookingId);
         } else {
-          // No pre-order, complete booking directly
+          // Nothing to pay, complete booking directly
           setIsSubmitted(true);
           setIsLoading(false);
         }
       } else {
         setError(response.data.message || 'Failed to book table. Please try again.');
         setIsLoading(false);
+        // Someone may have just taken the table, show what's still free
+        if (selectedTable) {
+          setSelectedTable(null);
+          fetchAvailableTables();
+        }
       }
     } catch (err) {
       console.error('Booking error:', err);
@@ -289,6 +343,46 @@ const BookTable = () => {
     }
   };
 
+  const handleJoinWaitlist = async () => {
+    if (!formData.name || !formData.email || !formData.phone) {
+      setError('Please fill in your name, phone and email to join the waitlist');
+      return;
+    }
+    if (!waitlistWindow.start || !waitlistWindow.end) {
+      setError('Please choose the times that would work for you');
+      return;
+    }
+
+    setWaitlistJoining(true);
+    setError('');
+    try {
+      const response = await axios.post(`${url}/api/waitlist/join`, {
+        name: formData.name,
+        email: formData.email,
+        phone: formData.phone,
+        date: formData.date,
+        guests: formData.guests,
+        windowStart: waitlistWindow.start,
+        windowEnd: waitlistWindow.end,
+        notes: formData.specialRequests
+      });
+      if (response.data.success) {
+        setWaitlistMessage(`${response.data.message} You're number ${response.data.data.position} in line.`);
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Waitlist error:', err);
+      setError('Could not join the waitlist. Please try again later.');
+    }
+    setWaitlistJoining(false);
+  };
+
+  // Offer the waitlist once some of the day is fully booked
+  const canJoinWaitlist = Boolean(formData.date) && !closedReason && !slotsLoading && (
+    slots.some(slot => !slot.available) || (showTableSelection && !tablesLoading && availableTables.length === 0)
+  );
+
   // Validate step 1
   const canProceedToStep2 = () => {
     return formData.name && formData.email && formData.phone && formData.date && formData.time && formData.guests;
@@ -297,12 +391,6 @@ const BookTable = () => {
   // Get today's date for min date attribute
   const today = new Date().toISOString().split('T')[0];
 
-  // Time slots
-  const timeSlots = [
-    '11:00 AM', '11:30 AM', '12:00 PM', '12:30 PM', '1:00 PM', '1:30 PM',
-    '2:00 PM', '2:30 PM', '5:00 PM', '5:30 PM', '6:00 PM', '6:30 PM',
-    '7:00 PM', '7:30 PM', '8:00 PM', '8:30 PM', '9:00 PM', '9:30 PM'
-  ];
 
   // Occasions
   const occasions = [
@@ -313,6 +401,28 @@ const BookTable = () => {
   // Success Screen
   if (isSubmitted) {
     const preOrderedItems = getPreOrderItemsArray();
+    // One payment covers the pre-order and the deposit
+    const paymentStatusBox = (
+      <div className={`payment-status-box ${isPaid ? 'paid' : 'pending'}`}>
+        {isPaid ? (
+          <>
+            <span className="payment-status-icon">✅</span>
+            <div className="payment-status-info">
+              <span className="payment-status-label">Payment Successful</span>
+              <span className="payment-id">ID: {paymentId}</span>
+            </div>
+          </>
+        ) : (
+          <>
+            <span className="payment-status-icon">⏳</span>
+            <div className="payment-status-info">
+              <span className="payment-status-label">Payment Pending</span>
+              <span className="payment-note">Please pay at the restaurant</span>
+            </div>
+          </>
+        )}
+      </div>
+    );
     return (
       <div className="book-table-page">
         <div className="booking-success">
@@ -355,7 +465,7 @@ const BookTable = () => {
                 <div>
                   <span className="detail-label">Table</span>
                   <span className="detail-value">
-                    Table {selectedTable.tableNumber}
+                    {selectedTable.isCombination ? 'Tables' : 'Table'} {selectedTable.tableNumber}
                     {selectedTable.tableName && ` - ${selectedTable.tableName}`}
                     <span className="table-location-badge">{getLocationIcon(selectedTable.location)} {selectedTable.location}</span>
                   </span>
@@ -373,6 +483,23 @@ const BookTable = () => {
             )}
           </div>
 
+          {/* Deposit */}
+          {deposit.amount > 0 && (
+            <div className="success-preorder">
+              <h3>🔒 Booking Deposit</h3>
+              <div className="preorder-total-row">
+                <span>Deposit</span>
+                <span>₹{deposit.amount}</span>
+              </div>
+              {!hasPreOrder && paymentStatusBox}
+              <p className="preorder-note">
+                {deposit.reason === 'no-show'
+                  ? 'A deposit is needed to hold tables for guests who have missed earlier bookings.'
+                  : 'Your deposit will be taken off the bill at the restaurant.'}
+              </p>
+            </div>
+          )}
+
           {/* Pre-ordered Items */}
           {hasPreOrder && preOrderedItems.length > 0 && (
             <div className="success-preorder">
@@ -391,27 +518,8 @@ const BookTable = () => {
                 <span>₹{getPreOrderTotal()}</span>
               </div>
               
-              {/* Payment Status */}
-              <div className={`payment-status-box ${isPaid ? 'paid' : 'pending'}`}>
-                {isPaid ? (
-                  <>
-                    <span className="payment-status-icon">✅</span>
-                    <div className="payment-status-info">
-                      <span className="payment-status-label">Payment Successful</span>
-                      <span className="payment-id">ID: {paymentId}</span>
-                    </div>
-                  </>
-                ) : (
-                  <>
-                    <span className="payment-status-icon">⏳</span>
-                    <div className="payment-status-info">
-                      <span className="payment-status-label">Payment Pending</span>
-                      <span className="payment-note">Please pay at the restaurant</span>
-                    </div>
-                  </>
-                )}
-              </div>
-              
+              {paymentStatusBox}
+
               <p className="preorder-note">Your food will be ready when you arrive!</p>
             </div>
           )}
@@ -422,9 +530,16 @@ const BookTable = () => {
           </div>
 
           <p className="confirmation-note">A confirmation email has been sent to {formData.email}</p>
+          {manageLink && (
+            <a className="manage-booking-link" href={manageLink}>
+              Manage or cancel this booking
+            </a>
+          )}
           <button className="new-booking-btn" onClick={() => {
             setIsSubmitted(false);
             setBookingId('');
+            setManageLink('');
+            setDeposit({ amount: 0, reason: '' });
             setStep(1);
             setPreOrderItems({});
             setWantPreOrder(false);
@@ -596,13 +711,23 @@ const BookTable = () => {
                       name="time"
                       value={formData.time}
                       onChange={handleChange}
+                      disabled={!formData.date || slotsLoading || Boolean(closedReason)}
                       required
                     >
-                      <option value="">Select Time</option>
-                      {timeSlots.map((slot, index) => (
-                        <option key={index} value={slot}>{slot}</option>
+                      <option value="">
+                        {!formData.date ? 'Select a date first'
+                          : slotsLoading ? 'Loading times...'
+                          : closedReason ? 'Closed on this day'
+                          : slots.length === 0 ? 'No times left today'
+                          : 'Select Time'}
+                      </option>
+                      {slots.map((slot) => (
+                        <option key={slot.time} value={slot.time} disabled={!slot.available}>
+                          {slot.time}{!slot.available ? ' (fully booked)' : ''}
+                        </option>
                       ))}
                     </select>
+                    {closedReason && <span className="slot-closed-note">{closedReason}</span>}
                   </div>
                 </div>
 
@@ -663,8 +788,10 @@ const BookTable = () => {
                             <div className="table-option-header">
                               <span className="table-location-icon">{getLocationIcon(table.location)}</span>
                               <div className="table-option-title">
-                                <h4>Table {table.tableNumber}</h4>
-                                {table.tableName && <span className="table-name-sub">{table.tableName}</span>}
+                                <h4>{table.isCombination ? 'Tables' : 'Table'} {table.tableNumber}</h4>
+                                {table.isCombination
+                                  ? <span className="table-name-sub">🔗 Joined for your party</span>
+                                  : table.tableName && <span className="table-name-sub">{table.tableName}</span>}
                               </div>
                               {selectedTable?._id === table._id && (
                                 <span className="table-selected-badge">✓</span>
@@ -683,6 +810,14 @@ const BookTable = () => {
                               <span className="table-detail location">
                                 {table.location}
                               </span>
+                              {table.bookingEndsAt && (
+                                <span className="table-detail">
+                                  ⏱ Until {new Date(table.bookingEndsAt).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}
+                                </span>
+                              )}
+                              {table.deposit > 0 && (
+                                <span className="table-detail">🔒 ₹{table.deposit} deposit</span>
+                              )}
                             </div>
                             {table.features && table.features.length > 0 && (
                               <div className="table-option-features">
@@ -701,6 +836,59 @@ const BookTable = () => {
                   </div>
                 )}
 
+                {/* Waitlist */}
+                {canJoinWaitlist && (
+                  <div className="waitlist-section">
+                    {waitlistMessage ? (
+                      <p className="waitlist-success">✓ {waitlistMessage}</p>
+                    ) : !showWaitlist ? (
+                      <p className="waitlist-prompt">
+                        No table at the time you want?
+                        <button type="button" className="waitlist-link" onClick={() => setShowWaitlist(true)}>
+                          Join the waitlist
+                        </button>
+                      </p>
+                    ) : (
+                      <>
+                        <p className="waitlist-prompt">
+                          We will send you a link as soon as a table for {formData.guests} frees up between these times.
+                        </p>
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label htmlFor="waitlistStart">Earliest</label>
+                            <select
+                              id="waitlistStart"
+                              value={waitlistWindow.start}
+                              onChange={(e) => setWaitlistWindow({ ...waitlistWindow, start: e.target.value })}
+                            >
+                              <option value="">Select Time</option>
+                              {slots.map((slot) => (
+                                <option key={slot.time} value={slot.time}>{slot.time}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div className="form-group">
+                            <label htmlFor="waitlistEnd">Latest</label>
+                            <select
+                              id="waitlistEnd"
+                              value={waitlistWindow.end}
+                              onChange={(e) => setWaitlistWindow({ ...waitlistWindow, end: e.target.value })}
+                            >
+                              <option value="">Select Time</option>
+                              {slots.map((slot) => (
+                                <option key={slot.time} value={slot.time}>{slot.time}</option>
+                              ))}
+                            </select>
+                          </div>
+                        </div>
+                        <button type="button" className="waitlist-join-btn" onClick={handleJoinWaitlist} disabled={waitlistJoining}>
+                          {waitlistJoining ? 'Joining...' : 'Join Waitlist'}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 <div className="form-group">
                   <label htmlFor="specialRequests">Special Requests (Optional)</label>
                   <textarea
@@ -878,12 +1066,18 @@ const BookTable = () => {
                     <span className="label">Table</span>
                     <span className="value table-value">
                       <span className="table-icon">{getLocationIcon(selectedTable.location)}</span>
-                      Table {selectedTable.tableNumber}
+                      {selectedTable.isCombination ? 'Tables' : 'Table'} {selectedTable.tableNumber}
                       {selectedTable.tableName && <span className="table-name-badge">{selectedTable.tableName}</span>}
                       <span className="table-capacity">{selectedTable.capacity} seats • {selectedTable.location}</span>
                     </span>
                   </div>
                 )}
+                {selectedTable?.deposit > 0 && (
+                  <div className="review-row">
+                    <span className="label">Deposit</span>
+                    <span className="value">₹{selectedTable.deposit}, paid now and taken off your bill</span>
+                  </div>
+                )}
                 {formData.occasion && (
                   <div className="review-row">
                     <span className="label">Occasion</span>
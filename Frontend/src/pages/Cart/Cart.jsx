@@ -1,13 +1,13 @@
-import React, { useContext, useState } from 'react'
+import React, { useContext, useState, useEffect } from 'react'
 import './Cart.css'
 import { StoreContext } from '../../context/StoreContext';
 import { useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
 
 const Cart = () => {
-    const {cartItems, food_list, removeFromCart, addToCart, getTotalcartAmount, token} = useContext(StoreContext);
+    const {cartItems, getCartLines, removeFromCart, deleteFromCart, addToCart, getTotalcartAmount, cartQuote, couponCode, couponError, applyCoupon, removeCoupon, url, token} = useContext(StoreContext);
     const [promoCode, setPromoCode] = useState('');
-    const [promoApplied, setPromoApplied] = useState(false);
-    const [promoDiscount, setPromoDiscount] = useState(0);
+    const [offers, setOffers] = useState([]);
     const [showPaymentModal, setShowPaymentModal] = useState(false);
     const [selectedPayment, setSelectedPayment] = useState('');
 
@@ -36,25 +36,31 @@ const Cart = () => {
         navigate('/order', { state: { paymentMethod: selectedPayment } });
     };
 
+    // Load promo codes that are advertised on the cart page
+    useEffect(() => {
+        axios.get(`${url}/api/coupon/offers`)
+            .then((response) => {
+                if (response.data.success) {
+                    setOffers(response.data.data);
+                }
+            })
+            .catch((error) => console.error("Error fetching offers:", error));
+    }, [url]);
+
     const handleApplyPromo = () => {
-        if (promoCode.toUpperCase() === 'WELCOME50') {
-            setPromoDiscount(Math.round(getTotalcartAmount() * 0.5));
-            setPromoApplied(true);
-        } else if (promoCode.toUpperCase() === 'FIRST50') {
-            setPromoDiscount(Math.round(getTotalcartAmount() * 0.5));
-            setPromoApplied(true);
-        } else if (promoCode.toUpperCase() === 'SAVE20') {
-            setPromoDiscount(Math.round(getTotalcartAmount() * 0.2));
-            setPromoApplied(true);
-        } else {
-            alert('Invalid promo code');
+        if (!token) {
+            alert("Please login to apply a promo code");
+            return;
         }
+        if (!promoCode.trim()) {
+            return;
+        }
+        applyCoupon(promoCode);
     };
 
     const removePromo = () => {
         setPromoCode('');
-        setPromoApplied(false);
-        setPromoDiscount(0);
+        removeCoupon();
     };
 
     // Get cart items count
@@ -79,8 +85,12 @@ const Cart = () => {
         return count;
     };
 
-    const deliveryFee = getTotalcartAmount() === 0 ? 0 : 40;
-    const finalTotal = getTotalcartAmount() === 0 ? 0 : getTotalcartAmount() + deliveryFee - promoDiscount;
+    // Delivery fee, taxes and total come from the server-side quote
+    const deliveryFee = cartQuote ? cartQuote.deliveryFee : 0;
+    const taxAmount = cartQuote ? cartQuote.tax : 0;
+    const promoDiscount = cartQuote ? cartQuote.discount : 0;
+    const promoApplied = Boolean(couponCode && token && promoDiscount > 0);
+    const finalTotal = cartQuote ? cartQuote.total : 0;
 
     // Check if cart is empty
     const isCartEmpty = getCartItemsCount() === 0;
@@ -260,13 +270,12 @@ const Cart = () => {
                         </div>
                         
                         <div className="cart-items-list">
-                            {food_list.map((item, index) => {
-                                if (cartItems[item._id] > 0) {
+                            {getCartLines().map(({ key, item, optionIds, options, optionsChanged, price, quantity }) => {
                                     return (
-                                        <div key={index} className="cart-item-card">
+                                        <div key={key} className="cart-item-card">
                                             <div className="cart-item-image">
                                                 <img src={item.image} alt={item.name} />
-                                                {item.isVeg !== undefined && (
+                                                {item.isVeg != null && (
                                                     <span className={`veg-badge ${item.isVeg ? 'veg' : 'non-veg'}`}>
                                                         <span className="dot"></span>
                                                     </span>
@@ -275,35 +284,38 @@ const Cart = () => {
                                             <div className="cart-item-details">
                                                 <div className="cart-item-info">
                                                     <h3>{item.name}</h3>
-                                                    <p className="item-description">{item.description?.slice(0, 50)}...</p>
-                                                    <p className="item-price">₹{item.price} per item</p>
+                                                    {options.length > 0 ? (
+                                                        <p className="item-options">{options.map(option => option.name).join(', ')}</p>
+                                                    ) : (
+                                                        <p className="item-description">{item.description?.slice(0, 50)}...</p>
+                                                    )}
+                                                    {optionsChanged && (
+                                                        <p className="item-options-changed">Some options are no longer offered - remove this and add it again</p>
+                                                    )}
+                                                    <p className="item-price">₹{price} per item</p>
                                                 </div>
                                                 <div className="cart-item-actions">
                                                     <div className="quantity-controls">
                                                         <button 
                                                             className="qty-btn minus"
-                                                            onClick={() => removeFromCart(item._id)}
+                                                            onClick={() => removeFromCart(key)}
                                                         >
                                                             −
                                                         </button>
-                                                        <span className="qty-value">{cartItems[item._id]}</span>
+                                                        <span className="qty-value">{quantity}</span>
                                                         <button 
                                                             className="qty-btn plus"
-                                                            onClick={() => addToCart(item._id)}
+                                                            onClick={() => addToCart(item._id, 1, optionIds)}
                                                         >
                                                             +
                                                         </button>
                                                     </div>
-                                                    <p className="item-total">₹{item.price * cartItems[item._id]}</p>
+                                                    <p className="item-total">₹{price * quantity}</p>
                                                 </div>
                                             </div>
                                             <button 
                                                 className="remove-item-btn"
-                                                onClick={() => {
-                                                    for(let i = 0; i < cartItems[item._id]; i++) {
-                                                        removeFromCart(item._id);
-                                                    }
-                                                }}
+                                                onClick={() => deleteFromCart(key)}
                                                 title="Remove item"
                                             >
                                                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -312,8 +324,6 @@ const Cart = () => {
                                             </button>
                                         </div>
                                     )
-                                }
-                                return null;
                             })}
                         </div>
 
@@ -360,14 +370,24 @@ const Cart = () => {
                                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#60b246" strokeWidth="2.5">
                                             <path d="M20 6L9 17l-5-5"/>
                                         </svg>
-                                        <span>'{promoCode.toUpperCase()}' applied</span>
+                                        <span>'{couponCode}' applied</span>
                                     </div>
                                     <button className="remove-promo" onClick={removePromo}>Remove</button>
                                 </div>
                             )}
-                            <div className="available-promos">
-                                <p>Try: <span onClick={() => setPromoCode('WELCOME50')}>WELCOME50</span>, <span onClick={() => setPromoCode('SAVE20')}>SAVE20</span></p>
-                            </div>
+                            {couponError && !promoApplied && (
+                                <p className="promo-error">{couponError}</p>
+                            )}
+                            {offers.length > 0 && !promoApplied && (
+                                <div className="available-promos">
+                                    <p>Try: {offers.map((offer, index) => (
+                                        <React.Fragment key={offer._id}>
+                                            <span onClick={() => setPromoCode(offer.code)} title={offer.description}>{offer.code}</span>
+                                            {index < offers.length - 1 && ', '}
+                                        </React.Fragment>
+                                    ))}</p>
+                                </div>
+                            )}
                         </div>
 
                         {/* Bill Details */}
@@ -383,6 +403,12 @@ const Cart = () => {
                                     {deliveryFee === 0 ? 'FREE' : `₹${deliveryFee}`}
                                 </span>
                             </div>
+                            {taxAmount > 0 && (
+                                <div className="bill-row">
+                                    <span>Taxes ({Math.round(cartQuote.taxRate * 100)}% GST)</span>
+                                    <span>₹{taxAmount}</span>
+                                </div>
+                            )}
                             {promoApplied && (
                                 <div className="bill-row discount">
                                     <span>Promo Discount</span>
@@ -1,7 +1,10 @@
-import { useState } from 'react';
+import { useState, useContext } from 'react';
 import './Contact.css';
+import axios from 'axios';
+import { StoreContext } from '../../context/StoreContext';
 
 const Contact = () => {
+  const { url } = useContext(StoreContext);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -11,6 +14,8 @@ const Contact = () => {
   });
 
   const [isSubmitted, setIsSubmitted] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -20,10 +25,22 @@ const Contact = () => {
     }));
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    console.log('Contact Form Data:', formData);
-    setIsSubmitted(true);
+    setError('');
+    setSending(true);
+    try {
+      const response = await axios.post(`${url}/api/contact`, formData);
+      if (response.data.success) {
+        setIsSubmitted(true);
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error sending contact message:', err);
+      setError('Could not send your message. Please try again.');
+    }
+    setSending(false);
   };
 
   if (isSubmitted) {
@@ -208,12 +225,15 @@ const Contact = () => {
                   onChange={handleChange}
                   placeholder="Write your message here..."
                   rows="5"
+                  maxLength="5000"
                   required
                 ></textarea>
               </div>
 
-              <button type="submit" className="submit-btn">
-                <span>Send Message</span>
+              {error && <p className="form-error">{error}</p>}
+
+              <button type="submit" className="submit-btn" disabled={sending}>
+                <span>{sending ? 'Sending...' : 'Send Message'}</span>
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <line x1="22" y1="2" x2="11" y2="13"/>
                   <polygon points="22 2 15 22 11 13 2 9 22 2"/>
@@ -4,7 +4,7 @@ import { StoreContext } from '../../context/StoreContext';
 import { Link, useNavigate } from 'react-router-dom';
 
 const Favourites = () => {
-  const { food_list, favourites, removeFromFavourites, addToCart, cartItems } = useContext(StoreContext);
+  const { food_list, favourites, removeFromFavourites, clearFavourites, addToCart, getCartItemCount } = useContext(StoreContext);
   const navigate = useNavigate();
   
   // Single item order state
@@ -69,25 +69,19 @@ const Favourites = () => {
 
   // Add to cart and go to checkout (single item)
   const handleAddAndCheckout = () => {
-    for (let i = 0; i < quantity; i++) {
-      addToCart(selectedItem._id);
-    }
+    addToCart(selectedItem._id, quantity);
     setOrderSuccess(true);
   };
 
   // Add all items to cart
   const handleAddAllToCart = () => {
-    orderAllItems.forEach(item => {
-      for (let i = 0; i < item.orderQty; i++) {
-        addToCart(item._id);
-      }
-    });
+    orderAllItems.forEach(item => addToCart(item._id, item.orderQty));
     setOrderAllSuccess(true);
   };
 
-  // Get item count in cart
+  // Get item count in cart (over all its options)
   const getItemCartCount = (itemId) => {
-    return cartItems?.[itemId] || 0;
+    return getCartItemCount(itemId);
   };
 
   return (
@@ -149,7 +143,7 @@ const Favourites = () => {
               className="clear-all-btn"
               onClick={() => {
                 if (window.confirm('Are you sure you want to clear all favourites?')) {
-                  favourites.forEach(id => removeFromFavourites(id));
+                  clearFavourites();
                 }
               }}
             >
@@ -185,9 +179,11 @@ const Favourites = () => {
                 {/* Item Info */}
                 <div className="fav-item-info">
                   <div className="fav-item-header">
-                    <span className={`fav-veg-indicator ${item.isVeg ? 'veg' : 'non-veg'}`}>
-                      <span></span>
-                    </span>
+                    {item.isVeg != null && (
+                      <span className={`fav-veg-indicator ${item.isVeg ? 'veg' : 'non-veg'}`}>
+                        <span></span>
+                      </span>
+                    )}
                     <h3>{item.name}</h3>
                   </div>
                   <p className="fav-item-description">{item.description}</p>
@@ -270,9 +266,11 @@ const Favourites = () => {
                   <img src={selectedItem.image} alt={selectedItem.name} />
                   <div className="qo-item-details">
                     <div className="qo-item-name-row">
-                      <span className={`qo-veg-indicator ${selectedItem.isVeg ? 'veg' : 'non-veg'}`}>
-                        <span></span>
-                      </span>
+                      {selectedItem.isVeg != null && (
+                        <span className={`qo-veg-indicator ${selectedItem.isVeg ? 'veg' : 'non-veg'}`}>
+                          <span></span>
+                        </span>
+                      )}
                       <h4>{selectedItem.name}</h4>
                     </div>
                     <p className="qo-item-price">₹{selectedItem.price}</p>
@@ -395,9 +393,11 @@ const Favourites = () => {
                         <img src={item.image} alt={item.name} className="order-all-item-img" />
                         <div className="order-all-item-info">
                           <div className="order-all-item-name">
-                            <span className={`order-all-veg ${item.isVeg ? 'veg' : 'non-veg'}`}>
-                              <span></span>
-                            </span>
+                            {item.isVeg != null && (
+                              <span className={`order-all-veg ${item.isVeg ? 'veg' : 'non-veg'}`}>
+                                <span></span>
+                              </span>
+                            )}
                             <h4>{item.name}</h4>
                           </div>
                           <p className="order-all-item-price">₹{item.price} each</p>
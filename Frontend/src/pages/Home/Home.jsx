@@ -125,9 +125,14 @@ const Home = () => {
                 rating={item.rating}
                 reviews={item.reviews}
                 deliveryTime={item.deliveryTime}
+                prepTime={item.prepTime}
                 isVeg={item.isVeg}
                 isBestseller={item.isBestseller}
                 isNew={item.isNew}
+                spiceLevel={item.spiceLevel}
+                allergens={item.allergens}
+                calories={item.nutrition?.calories}
+                modifierGroups={item.modifierGroups}
                 offer={item.offer}
                 status={item.status}
               />
@@ -1,8 +1,19 @@
-import React, { useContext, useState, useMemo, useEffect } from 'react';
+import React, { useContext, useState, useEffect } from 'react';
 import './Menu.css';
 import { menu_list } from '../../assets/assets';
 import { StoreContext } from '../../context/StoreContext';
 import FoodItem from '../../components/FoodItem/FoodItem';
+import axios from 'axios';
+
+// Allergens customers can filter out, matching the admin's list
+const allergenOptions = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame', 'mustard'];
+
+// Price filter values and the range each one asks the server for
+const priceRanges = {
+  under15: { maxPrice: 299 },
+  '15to25': { minPrice: 300, maxPrice: 500 },
+  above25: { minPrice: 501 }
+};
 
 const Menu = () => {
   const [activeCategory, setActiveCategory] = useState('all');
@@ -13,8 +24,11 @@ const Menu = () => {
   const [showRating4Plus, setShowRating4Plus] = useState(false);
   const [showFastDelivery, setShowFastDelivery] = useState(false);
   const [priceRange, setPriceRange] = useState('all');
+  const [maxSpice, setMaxSpice] = useState('any');
+  const [freeFrom, setFreeFrom] = useState('');
   const [viewMode, setViewMode] = useState('grid');
-  const { food_list } = useContext(StoreContext);
+  const [menuResults, setMenuResults] = useState([]);
+  const { url, food_list } = useContext(StoreContext);
 
   // Location state
   const [userLocation, setUserLocation] = useState({
@@ -200,56 +214,34 @@ const Menu = () => {
   // Get unique categories from food_list
   const categories = ['all', ...new Set(food_list.map(item => item.category))];
 
-  // Filter and sort food
-  const filteredFood = useMemo(() => {
-    let result = food_list.filter(item => {
-      const matchesCategory = activeCategory === 'all' || item.category === activeCategory;
-      const matchesSearch = item.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                            item.description.toLowerCase().includes(searchQuery.toLowerCase());
-      const matchesVeg = !showVegOnly || item.isVeg;
-      const matchesOffers = !showOffersOnly || item.offer;
-      const matchesRating = !showRating4Plus || item.rating >= 4.0;
-      const matchesFastDelivery = !showFastDelivery || item.deliveryTime?.includes('15-20') || item.deliveryTime?.includes('20-25');
-      
-      let matchesPrice = true;
-      if (priceRange === 'under15') matchesPrice = item.price < 15;
-      else if (priceRange === '15to25') matchesPrice = item.price >= 15 && item.price <= 25;
-      else if (priceRange === 'above25') matchesPrice = item.price > 25;
-
-      return matchesCategory && matchesSearch && matchesVeg && matchesOffers && matchesRating && matchesFastDelivery && matchesPrice;
-    });
-
-    // Sort
-    switch (sortBy) {
-      case 'rating':
-        result.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-        break;
-      case 'priceLow':
-        result.sort((a, b) => a.price - b.price);
-        break;
-      case 'priceHigh':
-        result.sort((a, b) => b.price - a.price);
-        break;
-      case 'delivery':
-        result.sort((a, b) => {
-          const getMinTime = (time) => parseInt(time?.split('-')[0] || 30);
-          return getMinTime(a.deliveryTime) - getMinTime(b.deliveryTime);
-        });
-        break;
-      case 'reviews':
-        result.sort((a, b) => (b.reviews || 0) - (a.reviews || 0));
-        break;
-      default:
-        // Relevance - bestsellers first, then by rating
-        result.sort((a, b) => {
-          if (a.isBestseller && !b.isBestseller) return -1;
-          if (!a.isBestseller && b.isBestseller) return 1;
-          return (b.rating || 0) - (a.rating || 0);
-        });
-    }
+  // Search, filters and sort order are applied by the server. Typing waits a moment before searching.
+  useEffect(() => {
+    const params = {
+      category: activeCategory,
+      search: searchQuery || undefined,
+      diet: showVegOnly ? 'veg' : undefined,
+      minRating: showRating4Plus ? 4 : undefined,
+      maxPrepTime: showFastDelivery ? 20 : undefined,
+      maxSpice: maxSpice !== 'any' ? maxSpice : undefined,
+      excludeAllergens: freeFrom || undefined,
+      sort: sortBy,
+      ...priceRanges[priceRange]
+    };
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${url}/api/food/available`, { params });
+        if (response.data.success) {
+          setMenuResults(response.data.data);
+        }
+      } catch (error) {
+        console.error('Error filtering menu:', error);
+      }
+    }, searchQuery ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [url, food_list, activeCategory, searchQuery, sortBy, showVegOnly, showRating4Plus, showFastDelivery, priceRange, maxSpice, freeFrom]);
 
-    return result;
-  }, [food_list, activeCategory, searchQuery, sortBy, showVegOnly, showOffersOnly, showRating4Plus, showFastDelivery, priceRange]);
+  // Offers aren't stored on dishes yet, so that filter stays on this page
+  const filteredFood = showOffersOnly ? menuResults.filter(item => item.offer) : menuResults;
 
   // Get count of items per category
   const getCategoryCount = (category) => {
@@ -258,7 +250,7 @@ const Menu = () => {
   };
 
   // Count active filters
-  const activeFiltersCount = [showVegOnly, showOffersOnly, showRating4Plus, showFastDelivery, priceRange !== 'all'].filter(Boolean).length;
+  const activeFiltersCount = [showVegOnly, showOffersOnly, showRating4Plus, showFastDelivery, priceRange !== 'all', maxSpice !== 'any', freeFrom].filter(Boolean).length;
 
   // Clear all filters
   const clearAllFilters = () => {
@@ -267,6 +259,8 @@ const Menu = () => {
     setShowRating4Plus(false);
     setShowFastDelivery(false);
     setPriceRange('all');
+    setMaxSpice('any');
+    setFreeFrom('');
     setSearchQuery('');
     setActiveCategory('all');
     setSortBy('relevance');
@@ -563,6 +557,26 @@ const Menu = () => {
               <option value="above25">Above ₹500</option>
             </select>
           </div>
+
+          <div className="filter-dropdown">
+            <select value={maxSpice} onChange={(e) => setMaxSpice(e.target.value)}>
+              <option value="any">Any Spice</option>
+              <option value="0">Not Spicy</option>
+              <option value="1">Up to Mild</option>
+              <option value="2">Up to Medium</option>
+            </select>
+          </div>
+
+          <div className="filter-dropdown">
+            <select value={freeFrom} onChange={(e) => setFreeFrom(e.target.value)}>
+              <option value="">Any Allergens</option>
+              {allergenOptions.map(allergen => (
+                <option key={allergen} value={allergen}>
+                  {allergen.charAt(0).toUpperCase() + allergen.slice(1)}-free
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div className="filters-right">
@@ -572,7 +586,7 @@ const Menu = () => {
             <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
               <option value="relevance">Relevance</option>
               <option value="rating">Rating: High to Low</option>
-              <option value="delivery">Delivery Time</option>
+              <option value="prepTime">Prep Time</option>
               <option value="priceLow">Price: Low to High</option>
               <option value="priceHigh">Price: High to Low</option>
               <option value="reviews">Most Reviewed</option>
@@ -669,9 +683,14 @@ const Menu = () => {
               rating={item.rating}
               reviews={item.reviews}
               deliveryTime={item.deliveryTime}
+              prepTime={item.prepTime}
               isVeg={item.isVeg}
               isBestseller={item.isBestseller}
               isNew={item.isNew}
+              spiceLevel={item.spiceLevel}
+              allergens={item.allergens}
+              calories={item.nutrition?.calories}
+              modifierGroups={item.modifierGroups}
               offer={item.offer}
               status={item.status}
             />
@@ -0,0 +1,250 @@
+import { useState, useContext, useEffect } from 'react';
+import './ChangeBooking.css';
+import axios from 'axios';
+import { StoreContext } from '../../context/StoreContext';
+
+// The tables a booking holds, keyed the same way as /api/table/available ("id" or "id+id")
+const getTableKey = (booking) => (booking.tableIds && booking.tableIds.length > 0 ? booking.tableIds : [booking.tableId]).filter(Boolean).join('+');
+
+// Reschedule, change guests or tables, or edit the pre-order of one booking
+const ChangeBooking = ({ booking, accessHeaders, onClose, onChanged }) => {
+  const { url, food_list } = useContext(StoreContext);
+  const [form, setForm] = useState({
+    date: new Date(booking.date).toISOString().slice(0, 10),
+    time: booking.time,
+    guests: booking.guests
+  });
+  const [slots, setSlots] = useState([]);
+  const [tables, setTables] = useState([]);
+  const [tableKey, setTableKey] = useState(getTableKey(booking));
+  const [items, setItems] = useState(() =>
+    Object.fromEntries((booking.preOrderedItems || []).map(item => [item._id, item.quantity]))
+  );
+  const [quote, setQuote] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  // Times for the chosen day. The booking's own time stays selectable even if the slot shows full.
+  useEffect(() => {
+    const fetchSlots = async () => {
+      try {
+        const response = await axios.get(`${url}/api/booking/slots`, { params: { date: form.date, guests: form.guests } });
+        setSlots(response.data.success ? response.data.data.slots : []);
+      } catch (err) {
+        console.error('Error fetching time slots:', err);
+      }
+    };
+    fetchSlots();
+  }, [url, form.date, form.guests]);
+
+  // Tables free at the new time, counting the ones this booking already holds as free
+  useEffect(() => {
+    if (!form.time) return;
+    const fetchTables = async () => {
+      try {
+        const response = await axios.get(`${url}/api/table/available`, {
+          params: { date: form.date, time: form.time, guests: form.guests, excludeBookingId: booking._id }
+        });
+        if (response.data.success) {
+          setTables(response.data.data);
+          setTableKey(prev => response.data.data.some(table => table._id === prev) ? prev : response.data.data[0]?._id || '');
+        }
+      } catch (err) {
+        console.error('Error fetching tables:', err);
+      }
+    };
+    fetchTables();
+  }, [url, form.date, form.time, form.guests, booking._id]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setQuote(null);
+  };
+
+  const changeQuantity = (itemId, delta) => {
+    setItems(prev => {
+      const quantity = Math.max(0, (prev[itemId] || 0) + delta);
+      const next = { ...prev, [itemId]: quantity };
+      if (quantity === 0) delete next[itemId];
+      return next;
+    });
+    setQuote(null);
+  };
+
+  const buildChanges = () => {
+    const table = tables.find(t => t._id === tableKey);
+    return {
+      bookingId: booking._id,
+      date: form.date,
+      time: form.time,
+      guests: form.guests,
+      ...(table ? { tableIds: table.isCombination ? table.tableIds : [table._id] } : {}),
+      preOrderedItems: Object.entries(items).map(([_id, quantity]) => ({ _id, quantity }))
+    };
+  };
+
+  // Show what changes and what it costs before saving
+  const handleReview = async (e) => {
+    e.preventDefault();
+    setError('');
+    setWorking(true);
+    try {
+      const response = await axios.post(`${url}/api/booking/change-quote`, buildChanges(), { headers: accessHeaders });
+      if (response.data.success) {
+        setQuote(response.data.data);
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error checking booking change:', err);
+      setError('Could not check your changes. Please try again.');
+    }
+    setWorking(false);
+  };
+
+  const handleConfirm = async () => {
+    setError('');
+    setWorking(true);
+    try {
+      const response = await axios.post(`${url}/api/booking/change`, buildChanges(), { headers: accessHeaders });
+      if (response.data.success) {
+        onChanged(response.data);
+        return;
+      }
+      setError(response.data.message);
+      setQuote(null);
+    } catch (err) {
+      console.error('Error changing booking:', err);
+      setError('Could not save your changes. Please try again.');
+    }
+    setWorking(false);
+  };
+
+  // Dishes that need a size or variant chosen can't be pre-ordered
+  const menu = food_list.filter(food => (!food.status || food.status === 'available' || items[food._id])
+    && !(food.modifierGroups || []).some(group => group.minSelect > 0));
+
+  return (
+    <div className="booking-modal-overlay" onClick={onClose}>
+      <div className="booking-modal change-booking-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Change Booking #{booking._id.slice(-8).toUpperCase()}</h3>
+          <button className="close-btn" onClick={onClose}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+
+        <form className="modal-body" onSubmit={handleReview}>
+          <div className="change-row">
+            <label>
+              Date
+              <input
+                type="date"
+                value={form.date}
+                min={new Date().toISOString().slice(0, 10)}
+                onChange={(e) => updateForm('date', e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Time
+              <select value={form.time} onChange={(e) => updateForm('time', e.target.value)} required>
+                <option value="">Choose a time</option>
+                {slots.map(slot => (
+                  <option
+                    key={slot.time}
+                    value={slot.time}
+                    disabled={!slot.available && slot.time !== booking.time}
+                  >
+                    {slot.time}{!slot.available && slot.time !== booking.time ? ' (full)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Guests
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={form.guests}
+                onChange={(e) => updateForm('guests', e.target.value)}
+                required
+              />
+            </label>
+          </div>
+
+          {tables.length > 0 && (
+            <div className="change-section">
+              <h4>Table</h4>
+              <div className="change-tables">
+                {tables.map(table => (
+                  <button
+                    type="button"
+                    key={table._id}
+                    className={`change-table ${tableKey === table._id ? 'selected' : ''}`}
+                    onClick={() => { setTableKey(table._id); setQuote(null); }}
+                  >
+                    {table.isCombination ? 'Tables' : 'Table'} {table.tableNumber}
+                    <small>{table.capacity} seats · {table.location}</small>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="change-section">
+            <h4>Pre-order</h4>
+            <div className="change-menu">
+              {menu.map(food => (
+                <div key={food._id} className={`change-menu-item ${items[food._id] ? 'chosen' : ''}`}>
+                  <span className="change-menu-name">{food.name}</span>
+                  <span className="change-menu-price">₹{food.price}</span>
+                  <div className="change-qty">
+                    <button type="button" onClick={() => changeQuantity(food._id, -1)} disabled={!items[food._id]}>−</button>
+                    <span>{items[food._id] || 0}</span>
+                    <button type="button" onClick={() => changeQuantity(food._id, 1)}>+</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {quote && (
+            <div className="change-summary">
+              <h4>Your changes</h4>
+              {quote.changes.map(change => (
+                <p key={change.field}>
+                  <strong>{change.field}:</strong> {change.from} → {change.to}
+                </p>
+              ))}
+              {quote.amountToPay > 0 && <p className="change-money">You will pay ₹{quote.amountToPay} more online.</p>}
+              {quote.refund.message && <p className="change-money">{quote.refund.message}.</p>}
+            </div>
+          )}
+
+          {error && <p className="change-error">{error}</p>}
+
+          <div className="modal-footer">
+            {quote ? (
+              <button type="button" className="change-confirm-btn" onClick={handleConfirm} disabled={working}>
+                {working ? 'Saving...' : quote.amountToPay > 0 ? `Save and Pay ₹${quote.amountToPay}` : 'Save Changes'}
+              </button>
+            ) : (
+              <button type="submit" className="change-confirm-btn" disabled={working || !form.time}>
+                {working ? 'Checking...' : 'Review Changes'}
+              </button>
+            )}
+            <button type="button" className="close-modal-btn" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangeBooking;
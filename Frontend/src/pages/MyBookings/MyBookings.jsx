@@ -2,47 +2,80 @@ import React, { useState, useContext, useEffect } from 'react';
 import './MyBookings.css';
 import axios from 'axios';
 import { StoreContext } from '../../context/StoreContext';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
+import ChangeBooking from './ChangeBooking';
+
+// Guests without an account get a short-lived token from a manage link or email code
+const GUEST_TOKEN_KEY = 'bookingToken';
+
+// A change that costs more and is saved once its difference is paid
+const getWaitingChange = (booking) => {
+  const change = booking.pendingChange;
+  return change && new Date(change.expiresAt) > new Date() ? change : null;
+};
+
+// What a paid booking still owes online after a change made it dearer
+const getAmountOwed = (booking) => {
+  if (booking.paymentStatus !== 'paid') return 0;
+  if (getWaitingChange(booking)) return getWaitingChange(booking).amountToPay;
+  const due = (booking.preOrderTotal || 0) + (booking.depositAmount || 0);
+  const paid = booking.paidAmount > 0 ? booking.paidAmount : due;
+  return Math.max(0, Math.round((due - paid + (booking.refundedAmount || 0)) * 100) / 100);
+};
 
 const MyBookings = () => {
   const { url, userInfo, token } = useContext(StoreContext);
+  const [searchParams] = useSearchParams();
+  const [guestToken, setGuestToken] = useState(
+    () => searchParams.get('manage') || sessionStorage.getItem(GUEST_TOKEN_KEY) || ''
+  );
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(false);
-  const [searchData, setSearchData] = useState({
-    email: '',
-    phone: ''
-  });
+  const [guestEmail, setGuestEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [formMessage, setFormMessage] = useState('');
   const [selectedBooking, setSelectedBooking] = useState(null);
+  const [changingBooking, setChangingBooking] = useState(null);
 
-  // Auto-load bookings when user info is available
+  // Load Razorpay script for paying the difference after a change
   useEffect(() => {
-    if (userInfo && userInfo.email) {
-      setSearchData(prev => ({ ...prev, email: userInfo.email }));
-      fetchBookings(userInfo.email, '');
-    } else {
-      // Fallback to saved search
-      const savedEmail = localStorage.getItem('bookingEmail');
-      const savedPhone = localStorage.getItem('bookingPhone');
-      if (savedEmail || savedPhone) {
-        setSearchData({ email: savedEmail || '', phone: savedPhone || '' });
-        fetchBookings(savedEmail, savedPhone);
-      }
+    const script = document.createElement('script');
+    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+    script.async = true;
+    document.body.appendChild(script);
+    return () => {
+      document.body.removeChild(script);
+    };
+  }, []);
+
+  // A manage link or verified email wins over the account, so the link always opens its own booking
+  const accessHeaders = guestToken ? { bookingtoken: guestToken } : { token };
+
+  // Load bookings for the account or guest token
+  useEffect(() => {
+    if (guestToken || token) {
+      fetchBookings();
     }
-  }, [userInfo]);
+  }, [token, guestToken]);
 
   // Fetch bookings
-  const fetchBookings = async (email, phone) => {
-    if (!email && !phone) return;
-    
+  const fetchBookings = async () => {
     setLoading(true);
     try {
-      const response = await axios.post(`${url}/api/booking/user-bookings`, { email, phone });
+      const response = guestToken
+        ? await axios.get(`${url}/api/booking/guest`, { headers: { bookingtoken: guestToken } })
+        : await axios.get(`${url}/api/booking/mine`, { headers: { token } });
       if (response.data.success) {
         setBookings(response.data.data);
-        // Save search for convenience
-        localStorage.setItem('bookingEmail', email);
-        localStorage.setItem('bookingPhone', phone);
+        if (guestToken) {
+          sessionStorage.setItem(GUEST_TOKEN_KEY, guestToken);
+        }
+      } else if (guestToken) {
+        // Link or code has expired - ask for a new code
+        clearGuestAccess();
+        setFormMessage(response.data.message);
       }
     } catch (error) {
       console.error('Error fetching bookings:', error);
@@ -51,25 +84,69 @@ const MyBookings = () => {
     setSearched(true);
   };
 
-  // Handle search submit
-  const handleSearch = (e) => {
+  const clearGuestAccess = () => {
+    sessionStorage.removeItem(GUEST_TOKEN_KEY);
+    setGuestToken('');
+    setBookings([]);
+    setSearched(false);
+  };
+
+  // Email a one-time code to the guest
+  const handleRequestCode = async (e) => {
+    e.preventDefault();
+    setFormMessage('');
+    try {
+      const response = await axios.post(`${url}/api/booking/guest/request-code`, { email: guestEmail });
+      setFormMessage(response.data.message);
+      if (response.data.success) {
+        setCodeSent(true);
+      }
+    } catch (error) {
+      console.error('Error requesting code:', error);
+      setFormMessage('Could not send the code. Please try again.');
+    }
+  };
+
+  // Swap the code for a guest token
+  const handleVerifyCode = async (e) => {
     e.preventDefault();
-    fetchBookings(searchData.email, searchData.phone);
+    setFormMessage('');
+    try {
+      const response = await axios.post(`${url}/api/booking/guest/verify-code`, { email: guestEmail, code });
+      if (response.data.success) {
+        setCode('');
+        setCodeSent(false);
+        setGuestToken(response.data.token);
+      } else {
+        setFormMessage(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error verifying code:', error);
+      setFormMessage('Could not check the code. Please try again.');
+    }
   };
 
   // Cancel booking
   const handleCancelBooking = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) return;
-
     try {
-      const response = await axios.post(`${url}/api/booking/cancel`, {
-        bookingId,
-        email: searchData.email
-      });
+      // Tell the guest what the cancellation policy gives back before they confirm
+      let confirmMessage = 'Are you sure you want to cancel this booking?';
+      const quote = await axios.post(`${url}/api/booking/cancel-quote`, { bookingId }, { headers: accessHeaders });
+      if (quote.data.success && quote.data.data.policy !== 'none') {
+        confirmMessage += `\n\nYou will get a ${quote.data.data.message.charAt(0).toLowerCase()}${quote.data.data.message.slice(1)}.`;
+      } else if (quote.data.success && quote.data.data.message !== 'No payment to refund') {
+        confirmMessage += `\n\n${quote.data.data.message}.`;
+      }
+      if (!window.confirm(confirmMessage)) return;
+
+      const response = await axios.post(`${url}/api/booking/cancel`, { bookingId }, { headers: accessHeaders });
       
       if (response.data.success) {
+        if (response.data.refunds?.length > 0) {
+          alert(response.data.message);
+        }
         // Refresh bookings
-        fetchBookings(searchData.email, searchData.phone);
+        fetchBookings();
       } else {
         alert(response.data.message);
       }
@@ -79,6 +156,64 @@ const MyBookings = () => {
     }
   };
 
+  // Pay what a change added to a booking that was already paid
+  const payDifference = async (booking) => {
+    try {
+      const orderResponse = await axios.post(`${url}/api/booking/payment/create`, { bookingId: booking._id });
+      if (!orderResponse.data.success) {
+        alert(orderResponse.data.message);
+        return;
+      }
+
+      const { order, key } = orderResponse.data;
+      const razorpay = new window.Razorpay({
+        key: key,
+        amount: order.amount,
+        currency: order.currency,
+        name: "SavantX Eats",
+        description: `Changes to Booking #${booking._id.slice(-8).toUpperCase()}`,
+        order_id: order.id,
+        handler: async function (response) {
+          try {
+            const verifyResponse = await axios.post(`${url}/api/booking/payment/verify`, {
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature,
+              bookingId: booking._id
+            });
+            alert(verifyResponse.data.success ? 'Payment successful. Your changes are confirmed.' : 'Payment verification failed. Please contact support.');
+          } catch (err) {
+            console.error('Payment verification error:', err);
+            alert('Payment verification failed.');
+          }
+          fetchBookings();
+        },
+        prefill: {
+          name: booking.name,
+          email: booking.email,
+          contact: booking.phone
+        },
+        theme: {
+          color: "#e23744"
+        }
+      });
+      razorpay.open();
+    } catch (error) {
+      console.error('Payment error:', error);
+      alert('Payment initialization failed.');
+    }
+  };
+
+  // Changes saved - pay any difference straight away
+  const handleBookingChanged = (result) => {
+    setChangingBooking(null);
+    alert(result.message);
+    fetchBookings();
+    if (result.amountToPay > 0) {
+      payDifference(result.data);
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -105,13 +240,15 @@ const MyBookings = () => {
       case 'Confirmed': return 'confirmed';
       case 'Completed': return 'completed';
       case 'Cancelled': return 'cancelled';
+      case 'No-show': return 'no-show';
       default: return '';
     }
   };
 
   // Separate upcoming and past bookings
-  const upcomingBookings = bookings.filter(b => isUpcoming(b.date) && b.status !== 'Cancelled' && b.status !== 'Completed');
-  const pastBookings = bookings.filter(b => !isUpcoming(b.date) || b.status === 'Cancelled' || b.status === 'Completed');
+  const isClosed = (status) => ['Cancelled', 'Completed', 'No-show'].includes(status);
+  const upcomingBookings = bookings.filter(b => isUpcoming(b.date) && !isClosed(b.status));
+  const pastBookings = bookings.filter(b => !isUpcoming(b.date) || isClosed(b.status));
 
   return (
     <div className="my-bookings-page">
@@ -135,7 +272,14 @@ const MyBookings = () => {
 
       {/* Search Section */}
       <div className="search-section">
-        {userInfo ? (
+        {guestToken ? (
+          <div className="logged-in-info">
+            <p className="auto-load-note">Showing bookings for your verified email or booking link</p>
+            <button type="button" className="switch-access-btn" onClick={clearGuestAccess}>
+              {userInfo ? 'Show my account bookings' : 'Use a different email'}
+            </button>
+          </div>
+        ) : userInfo ? (
           <div className="logged-in-info">
             <div className="user-info-box">
               <div className="user-avatar">
@@ -148,36 +292,54 @@ const MyBookings = () => {
             </div>
             <p className="auto-load-note">Showing bookings for your account</p>
           </div>
-        ) : (
-          <form onSubmit={handleSearch} className="search-form">
+        ) : !codeSent ? (
+          <form onSubmit={handleRequestCode} className="search-form">
             <div className="search-inputs">
               <div className="input-group">
                 <label>Email Address</label>
                 <input
                   type="email"
-                  placeholder="Enter your email"
-                  value={searchData.email}
-                  onChange={(e) => setSearchData(prev => ({ ...prev, email: e.target.value }))}
+                  placeholder="The email you booked with"
+                  value={guestEmail}
+                  onChange={(e) => setGuestEmail(e.target.value)}
+                  required
                 />
               </div>
-              <span className="or-divider">OR</span>
+            </div>
+            {formMessage && <p className="access-message">{formMessage}</p>}
+            <button type="submit" className="search-btn" disabled={!guestEmail}>
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
+                <polyline points="22,6 12,13 2,6"/>
+              </svg>
+              Email Me a Code
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleVerifyCode} className="search-form">
+            <div className="search-inputs">
               <div className="input-group">
-                <label>Phone Number</label>
+                <label>6-digit Code</label>
                 <input
-                  type="tel"
-                  placeholder="Enter your phone"
-                  value={searchData.phone}
-                  onChange={(e) => setSearchData(prev => ({ ...prev, phone: e.target.value }))}
+                  type="text"
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="Enter the code from your email"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                  required
                 />
               </div>
             </div>
-            <button type="submit" className="search-btn" disabled={!searchData.email && !searchData.phone}>
-              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <circle cx="11" cy="11" r="8"/>
-                <path d="M21 21l-4.35-4.35"/>
-              </svg>
-              Find My Bookings
-            </button>
+            {formMessage && <p className="access-message">{formMessage}</p>}
+            <div className="access-actions">
+              <button type="submit" className="search-btn" disabled={code.length !== 6}>
+                Show My Bookings
+              </button>
+              <button type="button" className="switch-access-btn" onClick={() => { setCodeSent(false); setFormMessage(''); }}>
+                Change email
+              </button>
+            </div>
           </form>
         )}
       </div>
@@ -204,7 +366,7 @@ const MyBookings = () => {
                 </svg>
               </div>
               <h2>No Bookings Found</h2>
-              <p>We couldn't find any bookings with the provided details.</p>
+              <p>We couldn't find any bookings for {guestToken ? 'this email or link' : 'your account'}.</p>
               <Link to="/book-table" className="book-now-btn">
                 Book a Table Now
               </Link>
@@ -304,7 +466,7 @@ const MyBookings = () => {
                                 {booking.preOrderedItems.length} items pre-ordered • ₹{booking.preOrderTotal}
                               </span>
                               <span className={`payment-status-pill ${booking.preOrderPayment ? 'paid' : 'pending'}`}>
-                                {booking.preOrderPayment ? '✅ Paid' : '⏳ Unpaid'}
+                                {booking.paymentStatus === 'refunded' ? '↩ Refunded' : booking.preOrderPayment ? '✅ Paid' : '⏳ Unpaid'}
                               </span>
                             </div>
                           )}
@@ -317,14 +479,28 @@ const MyBookings = () => {
                           >
                             View Details
                           </button>
-                          {(booking.status === 'Pending' || booking.status === 'Confirmed') && (
-                            <button 
-                              className="cancel-btn"
-                              onClick={() => handleCancelBooking(booking._id)}
+                          {getAmountOwed(booking) > 0 && (
+                            <button
+                              className="pay-difference-btn"
+                              onClick={() => payDifference(booking)}
+                              title={getWaitingChange(booking) ? `Your changes are saved once paid, by ${new Date(getWaitingChange(booking).expiresAt).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}` : undefined}
                             >
-                              Cancel
+                              Pay ₹{getAmountOwed(booking)}{getWaitingChange(booking) ? ' to confirm changes' : ''}
                             </button>
                           )}
+                          {(booking.status === 'Pending' || booking.status === 'Confirmed') && (
+                            <>
+                              <button className="change-btn" onClick={() => setChangingBooking(booking)}>
+                                Change
+                              </button>
+                              <button 
+                                className="cancel-btn"
+                                onClick={() => handleCancelBooking(booking._id)}
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -349,6 +525,7 @@ const MyBookings = () => {
                           <span className={`status-badge ${getStatusClass(booking.status)}`}>
                             {booking.status === 'Completed' && '✅'}
                             {booking.status === 'Cancelled' && '❌'}
+                            {booking.status === 'No-show' && '🚫'}
                             {booking.status === 'Pending' && '⏳'}
                             {booking.status === 'Confirmed' && '✓'}
                             {booking.status}
@@ -427,7 +604,7 @@ const MyBookings = () => {
       )}
 
       {/* Initial State */}
-      {!loading && !searched && !userInfo && (
+      {!loading && !searched && !userInfo && !guestToken && (
         <div className="initial-state">
           <div className="initial-icon">
             <svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="#ccc" strokeWidth="1.5">
@@ -435,11 +612,20 @@ const MyBookings = () => {
               <path d="M21 21l-4.35-4.35"/>
             </svg>
           </div>
-          <h3>Enter your email or phone number</h3>
-          <p>to view your booking history</p>
+          <h3>Enter the email you booked with</h3>
+          <p>We will send you a code to view your bookings, or open the link from your confirmation</p>
         </div>
       )}
 
+      {changingBooking && (
+        <ChangeBooking
+          booking={changingBooking}
+          accessHeaders={accessHeaders}
+          onClose={() => setChangingBooking(null)}
+          onChanged={handleBookingChanged}
+        />
+      )}
+
       {/* Booking Detail Modal */}
       {selectedBooking && (
         <div className="booking-modal-overlay" onClick={() => setSelectedBooking(null)}>
@@ -464,6 +650,7 @@ const MyBookings = () => {
                 {selectedBooking.status === 'Confirmed' && '✅'}
                 {selectedBooking.status === 'Completed' && '🎉'}
                 {selectedBooking.status === 'Cancelled' && '❌'}
+                {selectedBooking.status === 'No-show' && '🚫'}
                 {selectedBooking.status}
               </div>
 
@@ -479,7 +666,10 @@ const MyBookings = () => {
                   <span className="detail-icon">🕐</span>
                   <div>
                     <span className="detail-label">Time</span>
-                    <span className="detail-value">{selectedBooking.time}</span>
+                    <span className="detail-value">
+                      {selectedBooking.time}
+                      {selectedBooking.endAt && ` – ${new Date(selectedBooking.endAt).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}`}
+                    </span>
                   </div>
                 </div>
                 <div className="detail-group">
@@ -556,6 +746,19 @@ const MyBookings = () => {
                       </>
                     )}
                   </div>
+                  {selectedBooking.refunds && selectedBooking.refunds.map(refund => (
+                    <div key={refund._id} className={`modal-refund-status ${refund.status}`}>
+                      <span className="payment-status-icon">↩</span>
+                      <span className="payment-status-text">
+                        {refund.status === 'processed' && `₹${refund.amount} refunded`}
+                        {refund.status === 'pending' && `Refund of ₹${refund.amount} in progress`}
+                        {refund.status === 'failed' && `Refund of ₹${refund.amount} failed - our team will contact you`}
+                      </span>
+                      <span className="payment-note-text">
+                        {new Date(refund.processedAt || refund.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' })}
+                      </span>
+                    </div>
+                  ))}
                 </div>
               )}
 
@@ -568,6 +771,17 @@ const MyBookings = () => {
             </div>
 
             <div className="modal-footer">
+              {(selectedBooking.status === 'Pending' || selectedBooking.status === 'Confirmed') && isUpcoming(selectedBooking.date) && (
+                <button
+                  className="change-booking-btn"
+                  onClick={() => {
+                    setChangingBooking(selectedBooking);
+                    setSelectedBooking(null);
+                  }}
+                >
+                  Change Booking
+                </button>
+              )}
               {(selectedBooking.status === 'Pending' || selectedBooking.status === 'Confirmed') && isUpcoming(selectedBooking.date) && (
                 <button 
                   className="cancel-booking-btn"
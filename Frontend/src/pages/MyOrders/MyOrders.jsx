@@ -3,16 +3,21 @@ import './MyOrders.css';
 import { StoreContext } from '../../context/StoreContext';
 import axios from 'axios';
 import { assets } from '../../assets/assets';
+import ReviewForm from '../../components/ReviewForm/ReviewForm';
 
 const MyOrders = () => {
   const { url, token } = useContext(StoreContext);
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [trackedOrderId, setTrackedOrderId] = useState(null);
+  const [reviewOrderId, setReviewOrderId] = useState(null);
+  const [reviewableDishes, setReviewableDishes] = useState({});
+  const [reviewingDish, setReviewingDish] = useState(null);
   const invoiceRef = useRef();
 
-  const fetchOrders = async () => {
-    setLoading(true);
+  const fetchOrders = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     try {
       const response = await axios.post(`${url}/api/order/userorders`, {}, { headers: { token } });
       // Sort orders by date (newest first)
@@ -26,12 +31,107 @@ const MyOrders = () => {
     setLoading(false);
   };
 
+  // Dishes from delivered orders the customer can rate, keyed by dish id, with their review if any
+  const fetchReviewableDishes = async () => {
+    try {
+      const response = await axios.get(`${url}/api/review/mine`, { headers: { token } });
+      if (response.data.success) {
+        setReviewableDishes(Object.fromEntries(response.data.data.map(dish => [dish.foodId, dish])));
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
   useEffect(() => {
     if (token) {
       fetchOrders();
+      fetchReviewableDishes();
     }
   }, [token]);
 
+  // Live status updates from the restaurant
+  useEffect(() => {
+    if (!token) return;
+    const events = new EventSource(`${url}/api/events/customer?token=${encodeURIComponent(token)}`);
+    const refresh = () => {
+      fetchOrders({ quiet: true });
+      fetchReviewableDishes();
+    };
+    events.addEventListener('order:new', refresh);
+    events.addEventListener('order:status', refresh);
+    return () => events.close();
+  }, [url, token]);
+
+  // Cancel an order before the restaurant accepts it
+  const handleCancelOrder = async (orderId) => {
+    if (!window.confirm('Cancel this order?')) return;
+    try {
+      const response = await axios.post(`${url}/api/order/cancel`, { orderId }, { headers: { token } });
+      alert(response.data.message);
+      if (response.data.success) {
+        fetchOrders();
+      }
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      alert('Failed to cancel order');
+    }
+  };
+
+  // Delivery steps shown on the tracking timeline
+  const lifecycleSteps = ['Placed', 'Accepted', 'Preparing', 'Ready', 'Out for delivery', 'Delivered'];
+
+  const statusIcons = {
+    'Pending Payment': '💳',
+    'Payment Failed': '⚠️',
+    'Placed': '📝',
+    'Accepted': '👍',
+    'Preparing': '🍳',
+    'Ready': '🛍️',
+    'Out for delivery': '🚚',
+    'Delivered': '✅',
+    'Cancelled': '❌',
+    'Rejected': '🚫'
+  };
+
+  const getStatusClass = (status) => {
+    if (status === 'Delivered') return 'delivered';
+    if (status === 'Out for delivery') return 'shipping';
+    if (['Cancelled', 'Rejected', 'Payment Failed'].includes(status)) return 'stopped';
+    return 'processing';
+  };
+
+  // Past steps come from the order's status history, upcoming steps are shown greyed out
+  const getTimeline = (order) => {
+    const history = order.statusHistory && order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ status: order.status, at: order.date }];
+    const timeline = history.map(entry => ({ ...entry, done: true }));
+
+    const lastStep = lifecycleSteps.indexOf(order.status);
+    if (lastStep !== -1) {
+      lifecycleSteps.slice(lastStep + 1).forEach(status => timeline.push({ status, done: false }));
+    }
+    return timeline;
+  };
+
+  // Sizes and add-ons chosen for an order item
+  const optionNames = (item) => item.options.map(option => option.name).join(', ');
+
+  // Where a customer's review is in moderation
+  const reviewStatusLabels = {
+    pending: 'Waiting for approval',
+    approved: 'Published',
+    rejected: 'Not published'
+  };
+
+  // Refund state labels shown to customers
+  const refundLabels = {
+    pending: 'Refund in progress',
+    processed: 'Refunded',
+    failed: 'Refund failed - we will contact you'
+  };
+
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -98,7 +198,7 @@ const MyOrders = () => {
           <span className="stat-label">Total Orders</span>
         </div>
         <div className="stat-card">
-          <span className="stat-number">{orders.filter(o => o.status === 'Food Processing').length}</span>
+          <span className="stat-number">{orders.filter(o => ['Placed', 'Accepted', 'Preparing', 'Ready'].includes(o.status)).length}</span>
           <span className="stat-label">Processing</span>
         </div>
         <div className="stat-card">
@@ -135,7 +235,7 @@ const MyOrders = () => {
                     {order.paymentMethod === 'COD' ? '💵 COD' : '💳 Online'}
                   </span>
                   <span className={`payment-status ${order.payment ? 'paid' : 'pending'}`}>
-                    {order.payment ? '✓ Paid' : '⏳ Pending'}
+                    {order.refundedAmount > 0 && order.refundedAmount >= order.amount ? '↩ Refunded' : order.payment ? '✓ Paid' : '⏳ Pending'}
                   </span>
                 </div>
               </div>
@@ -146,7 +246,7 @@ const MyOrders = () => {
                   <div className="items-list">
                     {order.items.map((item, idx) => (
                       <span key={idx} className="item-tag">
-                        {item.name} × {item.quantity}
+                        {item.name}{item.options?.length > 0 && ` (${optionNames(item)})`} × {item.quantity}
                       </span>
                     ))}
                   </div>
@@ -173,20 +273,34 @@ const MyOrders = () => {
                     <span>Total</span>
                     <span>₹{order.amount}</span>
                   </div>
+                  {order.refunds && order.refunds.map(refund => (
+                    <div key={refund._id} className={`summary-row refund ${refund.status}`}>
+                      <span>{refundLabels[refund.status]}</span>
+                      <span>₹{refund.amount}</span>
+                    </div>
+                  ))}
                 </div>
 
                 <div className="order-status-section">
                   <span className="status-label">Status</span>
-                  <div className={`status-badge ${order.status === 'Delivered' ? 'delivered' : order.status === 'Out for delivery' ? 'shipping' : 'processing'}`}>
-                    {order.status === 'Food Processing' && '🍳'}
-                    {order.status === 'Out for delivery' && '🚚'}
-                    {order.status === 'Delivered' && '✅'}
+                  <div className={`status-badge ${getStatusClass(order.status)}`}>
+                    {statusIcons[order.status]}
                     <span>{order.status}</span>
                   </div>
                   <div className="order-actions">
-                    <button className="track-btn" onClick={fetchOrders}>
-                      Track
+                    <button className="track-btn" onClick={() => setTrackedOrderId(trackedOrderId === order._id ? null : order._id)}>
+                      {trackedOrderId === order._id ? 'Hide' : 'Track'}
                     </button>
+                    {order.status === 'Delivered' && (
+                      <button className="track-btn" onClick={() => setReviewOrderId(reviewOrderId === order._id ? null : order._id)}>
+                        {reviewOrderId === order._id ? 'Hide' : '★ Rate'}
+                      </button>
+                    )}
+                    {order.canCancel && (
+                      <button className="cancel-order-btn" onClick={() => handleCancelOrder(order._id)}>
+                        Cancel
+                      </button>
+                    )}
                     <button className="invoice-btn" onClick={() => setSelectedOrder(order)}>
                       <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                         <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
@@ -200,6 +314,52 @@ const MyOrders = () => {
                   </div>
                 </div>
               </div>
+
+              {/* Status Timeline */}
+              {trackedOrderId === order._id && (
+                <div className="order-timeline">
+                  {getTimeline(order).map((step, idx) => (
+                    <div key={idx} className={`timeline-step ${step.done ? 'done' : 'upcoming'} ${getStatusClass(step.status)}`}>
+                      <span className="timeline-dot">{step.done ? statusIcons[step.status] : ''}</span>
+                      <div className="timeline-info">
+                        <span className="timeline-status">{step.status}</span>
+                        {step.at && <span className="timeline-time">{formatDate(step.at)}</span>}
+                        {step.note && <span className="timeline-note">{step.note}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Rate the dishes of a delivered order */}
+              {reviewOrderId === order._id && (
+                <div className="order-reviews">
+                  {/* A dish ordered with different options is rated once */}
+                  {order.items.filter((item, idx, items) => items.findIndex(other => other._id === item._id) === idx).map((item, idx) => {
+                    const dish = reviewableDishes[item._id];
+                    return (
+                      <div key={idx} className="order-review-item">
+                        <span className="order-review-name">{item.name}</span>
+                        {!dish ? (
+                          <span className="order-review-status">No longer on the menu</span>
+                        ) : (
+                          <>
+                            {dish.review && (
+                              <span className={`order-review-status ${dish.review.status}`}>
+                                {'★'.repeat(dish.review.rating)} · {reviewStatusLabels[dish.review.status]}
+                                {dish.review.rejectReason && ` - ${dish.review.rejectReason}`}
+                              </span>
+                            )}
+                            <button className="order-review-btn" onClick={() => setReviewingDish(dish)}>
+                              {dish.review ? 'Edit review' : 'Write a review'}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -287,7 +447,10 @@ const MyOrders = () => {
                       {selectedOrder.items.map((item, idx) => (
                         <tr key={idx}>
                           <td>{idx + 1}</td>
-                          <td>{item.name}</td>
+                          <td>
+                            {item.name}
+                            {item.options?.length > 0 && <small className="invoice-item-options">{optionNames(item)}</small>}
+                          </td>
                           <td>{item.quantity}</td>
                           <td>₹{item.price}</td>
                           <td>₹{item.price * item.quantity}</td>
@@ -301,20 +464,32 @@ const MyOrders = () => {
                 <div className="invoice-summary">
                   <div className="summary-row">
                     <span>Subtotal</span>
-                    <span>₹{selectedOrder.amount - 40}</span>
+                    <span>₹{selectedOrder.pricing?.subtotal ?? selectedOrder.amount - 40}</span>
                   </div>
                   <div className="summary-row">
                     <span>Delivery Fee</span>
-                    <span>₹40</span>
+                    <span>₹{selectedOrder.pricing?.deliveryFee ?? 40}</span>
                   </div>
+                  {selectedOrder.pricing?.discount > 0 && (
+                    <div className="summary-row">
+                      <span>Discount</span>
+                      <span>-₹{selectedOrder.pricing.discount}</span>
+                    </div>
+                  )}
                   <div className="summary-row">
-                    <span>Tax (Inclusive)</span>
-                    <span>₹0</span>
+                    <span>Tax{selectedOrder.pricing?.taxRate ? ` (${Math.round(selectedOrder.pricing.taxRate * 100)}% GST)` : ' (Inclusive)'}</span>
+                    <span>₹{selectedOrder.pricing?.tax ?? 0}</span>
                   </div>
                   <div className="summary-row grand-total">
                     <span>Grand Total</span>
                     <span>₹{selectedOrder.amount}</span>
                   </div>
+                  {selectedOrder.refundedAmount > 0 && (
+                    <div className="summary-row">
+                      <span>Refunded</span>
+                      <span>-₹{selectedOrder.refundedAmount}</span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Invoice Footer */}
@@ -332,6 +507,20 @@ const MyOrders = () => {
           </div>
         </div>
       )}
+
+      {reviewingDish && (
+        <ReviewForm
+          url={url}
+          token={token}
+          dish={reviewingDish}
+          review={reviewingDish.review}
+          onClose={() => setReviewingDish(null)}
+          onSaved={(review) => {
+            setReviewableDishes(prev => ({ ...prev, [reviewingDish.foodId]: { ...reviewingDish, review } }));
+            setReviewingDish(null);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -5,7 +5,7 @@ import axios from 'axios';
 import { useNavigate, useLocation } from 'react-router-dom';
 
 const PlaceOrder = () => {
-    const {cartItems, food_list, url, getTotalcartAmount, token, setCartItem, setToken} = useContext(StoreContext);
+    const {getCartLines, url, getTotalcartAmount, cartQuote, couponCode, removeCoupon, token, setCartItem, setToken} = useContext(StoreContext);
     const location = useLocation();
     const navigate = useNavigate();
 
@@ -78,15 +78,15 @@ const PlaceOrder = () => {
     };
 
     // Handle Razorpay Payment
-    const handleRazorpayPayment = async (orderItems, totalAmount, currentToken) => {
+    const handleRazorpayPayment = async (orderItems, currentToken) => {
         try {
-            // Create Razorpay order
+            // Create Razorpay order (the server prices the order)
             const orderResponse = await axios.post(
                 `${url}/api/order/create-razorpay`,
                 {
                     items: orderItems,
-                    amount: totalAmount,
                     address: data,
+                    couponCode: couponCode,
                     paymentMethod: paymentMethod
                 },
                 { headers: { token: currentToken } }
@@ -97,7 +97,7 @@ const PlaceOrder = () => {
                 return false;
             }
 
-            const { order, orderId: newOrderId, key } = orderResponse.data;
+            const { order, orderId: newOrderId, amount: totalAmount, key } = orderResponse.data;
 
             // Razorpay options
             const options = {
@@ -123,6 +123,7 @@ const PlaceOrder = () => {
                             setPaymentId(response.razorpay_payment_id);
                             setOrderSuccess(true);
                             localStorage.removeItem('paymentMethod');
+                            removeCoupon();
                             setCartItem({});
                         } else {
                             alert('Payment verification failed. Please contact support.');
@@ -174,17 +175,8 @@ const PlaceOrder = () => {
         
         setIsProcessing(true);
 
-        let orderItems = [];
-        food_list.forEach((item) => {
-            if (cartItems[item._id] > 0) {
-                let itemInfo = { ...item };
-                itemInfo["quantity"] = cartItems[item._id];
-                orderItems.push(itemInfo);
-            }
-        });
-
-        // Store the amount before clearing cart
-        const totalAmount = getTotalcartAmount() + 40;
+        // Only cart keys (dish and options) and quantities are sent - prices are worked out on the server
+        const orderItems = getCartLines().map(({ key, quantity }) => ({ key, quantity }));
 
         try {
             if (paymentMethod === 'COD') {
@@ -192,7 +184,7 @@ const PlaceOrder = () => {
                 let orderData = {
                     address: data,
                     items: orderItems,
-                    amount: totalAmount,
+                    couponCode: couponCode,
                     paymentMethod: paymentMethod
                 };
                 
@@ -200,10 +192,11 @@ const PlaceOrder = () => {
                 console.log("COD Order Response:", response.data);
                 if (response.data.success) {
                     // Store order details before clearing cart
-                    setOrderAmount(totalAmount);
+                    setOrderAmount(response.data.amount);
                     setOrderId(response.data.orderId || '');
                     setOrderSuccess(true);
                     localStorage.removeItem('paymentMethod');
+                    removeCoupon();
                     // Clear cart after successful order
                     setCartItem({});
                 } else {
@@ -212,7 +205,7 @@ const PlaceOrder = () => {
                 setIsProcessing(false);
             } else {
                 // For UPI/Card, use Razorpay
-                await handleRazorpayPayment(orderItems, totalAmount, currentToken);
+                await handleRazorpayPayment(orderItems, currentToken);
             }
         } catch (error) {
             console.error("Order error:", error);
@@ -426,18 +419,16 @@ const PlaceOrder = () => {
                         <h3>Order Summary</h3>
                         
                         <div className="order-items-preview">
-                            {food_list.map((item, index) => {
-                                if (cartItems[item._id] > 0) {
-                                    return (
-                                        <div key={index} className="preview-item">
-                                            <span className="item-qty">{cartItems[item._id]}x</span>
-                                            <span className="item-name">{item.name}</span>
-                                            <span className="item-price">₹{item.price * cartItems[item._id]}</span>
-                                        </div>
-                                    );
-                                }
-                                return null;
-                            })}
+                            {getCartLines().map(({ key, item, options, price, quantity }) => (
+                                <div key={key} className="preview-item">
+                                    <span className="item-qty">{quantity}x</span>
+                                    <span className="item-name">
+                                        {item.name}
+                                        {options.length > 0 && <small className="item-options">{options.map(option => option.name).join(', ')}</small>}
+                                    </span>
+                                    <span className="item-price">₹{price * quantity}</span>
+                                </div>
+                            ))}
                         </div>
 
                         <div className="cart-calculations">
@@ -447,11 +438,23 @@ const PlaceOrder = () => {
                             </div>
                             <div className="calc-row">
                                 <span>Delivery Fee</span>
-                                <span className="delivery-fee">₹{getTotalcartAmount() === 0 ? 0 : 40}</span>
+                                <span className="delivery-fee">₹{cartQuote ? cartQuote.deliveryFee : 0}</span>
                             </div>
+                            {cartQuote && cartQuote.discount > 0 && (
+                                <div className="calc-row">
+                                    <span>Promo ({couponCode})</span>
+                                    <span>-₹{cartQuote.discount}</span>
+                                </div>
+                            )}
+                            {cartQuote && cartQuote.tax > 0 && (
+                                <div className="calc-row">
+                                    <span>Taxes</span>
+                                    <span>₹{cartQuote.tax}</span>
+                                </div>
+                            )}
                             <div className="calc-row total">
                                 <span>Total</span>
-                                <span>₹{getTotalcartAmount() === 0 ? 0 : getTotalcartAmount() + 40}</span>
+                                <span>₹{cartQuote ? cartQuote.total : 0}</span>
                             </div>
                         </div>
 
@@ -464,7 +467,7 @@ const PlaceOrder = () => {
                             ) : (
                                 <>
                                     {paymentMethod === 'COD' ? 'Place Order' : 'Proceed to Pay'}
-                                    <span className="btn-amount">₹{getTotalcartAmount() + 40}</span>
+                                    <span className="btn-amount">₹{cartQuote ? cartQuote.total : 0}</span>
                                 </>
                             )}
                         </button>
@@ -15,7 +15,8 @@ const Verify = () => {
 
     const verifyPayment = async () => {
         const response = await axios.post(`${url}/api/order/verify`,{success,orderId});
-        if(response.data.success){
+        // Orders that are still processing show up in My Orders once the payment webhook confirms them
+        if(response.data.success || response.data.message === "Payment is still processing"){
          navigate("/myorders")
         }else{
             navigate("/")
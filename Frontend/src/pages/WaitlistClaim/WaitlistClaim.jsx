@@ -0,0 +1,213 @@
+import { useState, useContext, useEffect } from 'react';
+import './WaitlistClaim.css';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+import { StoreContext } from '../../context/StoreContext';
+
+// Page a waitlisted guest lands on from their "a table is free" link
+const WaitlistClaim = () => {
+  const { url, token: authToken } = useContext(StoreContext);
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [offer, setOffer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [manageLink, setManageLink] = useState('');
+
+  // Load Razorpay script for tables that need a deposit
+  useEffect(() => {
+    const script = document.createElement('script');
+    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+    script.async = true;
+    document.body.appendChild(script);
+    return () => {
+      document.body.removeChild(script);
+    };
+  }, []);
+
+  useEffect(() => {
+    const fetchOffer = async () => {
+      try {
+        const response = await axios.get(`${url}/api/waitlist/offer`, { params: { token } });
+        if (response.data.success) {
+          setOffer(response.data.data);
+        } else {
+          setError(response.data.message);
+        }
+      } catch (err) {
+        console.error('Error loading offer:', err);
+        setError('Could not load your offer. Please try again later.');
+      }
+      setLoading(false);
+    };
+    fetchOffer();
+  }, [url, token]);
+
+  // Pay the deposit for the claimed table. The booking stays pending until it is paid.
+  const payDeposit = async (bookingId) => {
+    try {
+      const orderResponse = await axios.post(`${url}/api/booking/payment/create`, { bookingId });
+      if (!orderResponse.data.success) {
+        setError(orderResponse.data.message);
+        return;
+      }
+
+      const { order, key } = orderResponse.data;
+      const razorpay = new window.Razorpay({
+        key: key,
+        amount: order.amount,
+        currency: order.currency,
+        name: "SavantX Eats",
+        description: `Deposit for Booking #${bookingId.slice(-8).toUpperCase()}`,
+        order_id: order.id,
+        handler: async function (response) {
+          try {
+            const verifyResponse = await axios.post(`${url}/api/booking/payment/verify`, {
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature,
+              bookingId: bookingId
+            });
+            if (verifyResponse.data.success) {
+              setMessage('Deposit paid. See you soon!');
+            } else {
+              setError('Payment verification failed. Please contact support.');
+            }
+          } catch (err) {
+            console.error('Payment verification error:', err);
+            setError('Payment verification failed.');
+          }
+        },
+        prefill: {
+          name: offer.name
+        },
+        theme: {
+          color: "#e23744"
+        },
+        modal: {
+          ondismiss: function () {
+            setError('Payment was cancelled. Your booking is saved but the deposit is still to pay from My Bookings.');
+          }
+        }
+      });
+      razorpay.open();
+    } catch (err) {
+      console.error('Payment error:', err);
+      setError('Payment initialization failed.');
+    }
+  };
+
+  const handleClaim = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      // Logged-in guests get the booking on their account
+      const response = await axios.post(`${url}/api/waitlist/claim`, { token }, { headers: authToken ? { token: authToken } : {} });
+      if (response.data.success) {
+        setOffer(response.data.data);
+        setMessage(response.data.message);
+        setManageLink(response.data.manageLink || '');
+        if (response.data.amountDue > 0) {
+          await payDeposit(response.data.data.bookingId);
+        }
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error claiming table:', err);
+      setError('Something went wrong. Please try again.');
+    }
+    setWorking(false);
+  };
+
+  const handleDecline = async () => {
+    if (!window.confirm('Give up this table? It will be offered to the next guest.')) return;
+    setWorking(true);
+    try {
+      const response = await axios.post(`${url}/api/waitlist/leave`, { token });
+      if (response.data.success) {
+        setOffer({ ...offer, status: 'cancelled' });
+        setMessage(response.data.message);
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error declining offer:', err);
+      setError('Something went wrong. Please try again.');
+    }
+    setWorking(false);
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+  });
+
+  const formatTime = (date) => new Date(date).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+
+  const isOpen = offer && offer.status === 'offered' && new Date(offer.expiresAt) > new Date();
+
+  return (
+    <div className="waitlist-claim">
+      <div className="waitlist-claim-card">
+        {loading ? (
+          <p className="waitlist-claim-note">Loading your offer...</p>
+        ) : !offer ? (
+          <>
+            <span className="waitlist-claim-icon">😕</span>
+            <h2>Offer not found</h2>
+            <p className="waitlist-claim-note">{error}</p>
+            <Link to="/book-table" className="waitlist-claim-btn">Book a Table</Link>
+          </>
+        ) : (
+          <>
+            <span className="waitlist-claim-icon">{offer.status === 'claimed' ? '🎉' : isOpen ? '🪑' : '⌛'}</span>
+            <h2>
+              {offer.status === 'claimed' ? 'Your table is booked!'
+                : isOpen ? `Good news, ${offer.name}!`
+                : offer.status === 'cancelled' ? 'Offer declined'
+                : 'This offer has expired'}
+            </h2>
+            <div className="waitlist-claim-details">
+              <p><strong>Table {offer.tableNumber}</strong>{offer.tableName && ` · ${offer.tableName}`}</p>
+              <p>{formatDate(offer.date)} at {offer.time}{offer.endAt && ` (until ${formatTime(offer.endAt)})`}</p>
+              <p>{offer.guests} {offer.guests === 1 ? 'guest' : 'guests'}</p>
+            </div>
+
+            {error && <p className="waitlist-claim-error">{error}</p>}
+            {message && <p className="waitlist-claim-success">{message}</p>}
+
+            {isOpen && (
+              <>
+                <p className="waitlist-claim-note">
+                  We are holding this table for you until {formatTime(offer.expiresAt)}.
+                </p>
+                <div className="waitlist-claim-actions">
+                  <button className="waitlist-claim-btn" onClick={handleClaim} disabled={working}>
+                    {working ? 'Booking...' : 'Book This Table'}
+                  </button>
+                  <button className="waitlist-claim-btn secondary" onClick={handleDecline} disabled={working}>
+                    No Thanks
+                  </button>
+                </div>
+              </>
+            )}
+            {offer.status === 'claimed' && (
+              // Guests without an account open the booking through its manage link
+              manageLink && !authToken
+                ? <a href={manageLink} className="waitlist-claim-btn">Manage My Booking</a>
+                : <Link to="/my-bookings" className="waitlist-claim-btn">View My Bookings</Link>
+            )}
+            {!isOpen && offer.status !== 'claimed' && (
+              <Link to="/book-table" className="waitlist-claim-btn">Book Another Time</Link>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistClaim;
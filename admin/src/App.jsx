@@ -1,21 +1,141 @@
 import './App.css'
-import { Routes, Route, Navigate } from 'react-router-dom'
+import { useState, useEffect, useCallback } from 'react'
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom'
+import axios from 'axios'
 import Navbar from './components/Navbar/Navbar'
 import Sidebar from './components/sidebar/Sidebar'
 import Add from './pages/Add/Add'
 import List from './pages/List/List'
 import Orders from './pages/Orders/Orders'
+import Kitchen from './pages/Kitchen/Kitchen'
 import Bookings from './pages/Bookings/Bookings'
 import Tables from './pages/Tables/Tables'
+import Staff from './pages/Staff/Staff'
+import Coupons from './pages/Coupons/Coupons'
+import Settings from './pages/Settings/Settings'
+import Inbox from './pages/Inbox/Inbox'
+import Reviews from './pages/Reviews/Reviews'
+import Login from './pages/Login/Login'
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+// Send the saved admin session with every API request
+const savedToken = localStorage.getItem('adminToken') || '';
+if (savedToken) {
+  axios.defaults.headers.common.token = savedToken;
+}
+
+// Sidebar pages in display order, with the permission each one needs
+const pagePermissions = [
+  { path: '/orders', permission: 'orders' },
+  { path: '/kitchen', permission: 'orders' },
+  { path: '/bookings', permission: 'bookings' },
+  { path: '/tables', permission: 'tables' },
+  { path: '/list', permission: 'menu' },
+  { path: '/add', permission: 'menu' },
+  { path: '/reviews', permission: 'menu' },
+  { path: '/coupons', permission: 'coupons' },
+  { path: '/inbox', permission: 'inbox' },
+  { path: '/settings', permission: 'settings' },
+  { path: '/staff', permission: 'staff' }
+];
+
 function App() {
   const url = 'http://localhost:4000'
+  const location = useLocation();
+  const [token, setToken] = useState(savedToken);
+  const [admin, setAdmin] = useState(null);
+  const [liveEvents, setLiveEvents] = useState(null);
+
+  const handleLogin = (newToken, profile) => {
+    localStorage.setItem('adminToken', newToken);
+    axios.defaults.headers.common.token = newToken;
+    setToken(newToken);
+    setAdmin(profile);
+  };
+
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem('adminToken');
+    delete axios.defaults.headers.common.token;
+    setToken('');
+    setAdmin(null);
+  }, []);
+
+  // Load the logged in admin's role and permissions
+  useEffect(() => {
+    if (!token || admin) return;
+    axios.get(`${url}/api/admin/profile`)
+      .then((response) => {
+        if (response.data.success) {
+          setAdmin(response.data.data);
+        } else {
+          handleLogout();
+        }
+      })
+      .catch((error) => console.log(error));
+  }, [token, admin, handleLogout]);
+
+  // One live connection per session for new orders, status changes, bookings and tables
+  useEffect(() => {
+    if (!token || !admin) return;
+    const events = new EventSource(`${url}/api/events/staff?token=${encodeURIComponent(token)}`);
+    setLiveEvents(events);
+    return () => {
+      events.close();
+      setLiveEvents(null);
+    };
+  }, [token, admin]);
+
+  // Log out when the server says the session is no longer valid
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use((response) => {
+      const message = response.data?.message || '';
+      if (response.data?.success === false && /log in again|disabled or no longer exists/i.test(message)) {
+        handleLogout();
+      }
+      return response;
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [handleLogout]);
+
+  if (!token) {
+    return (
+      <>
+        <ToastContainer position="top-right" autoClose={3000} theme="light" />
+        <Login url={url} onLogin={handleLogin} />
+      </>
+    );
+  }
+
+  if (!admin) {
+    return (
+      <div className="app-loading">
+        <div className="app-loading-spinner"></div>
+      </div>
+    );
+  }
+
+  const permissions = admin.permissions || [];
+  const canAccess = (permission) => permissions.includes(permission);
+  const homePage = pagePermissions.find((page) => canAccess(page.permission));
+  const homePath = homePage ? homePage.path : '/';
+
+  // Render a page only when the role may use it, otherwise send them to their home page
+  const guard = (permission, element) => canAccess(permission) ? element : <Navigate to={homePath} replace />;
+
+  // The kitchen display takes over the whole screen
+  if (location.pathname === '/kitchen') {
+    return (
+      <>
+        <ToastContainer position="top-right" autoClose={2000} theme="dark" />
+        {guard('orders', <Kitchen url={url} events={liveEvents}/>)}
+      </>
+    );
+  }
 
   return (
     <div className="app-container">
-      <ToastContainer 
+      <ToastContainer
         position="top-right"
         autoClose={3000}
         hideProgressBar={false}
@@ -27,17 +147,23 @@ function App() {
         pauseOnHover
         theme="light"
       />
-      <Navbar/>
+      <Navbar url={url} admin={admin} events={liveEvents} onLogout={handleLogout}/>
       <div className='app-content'>
-        <Sidebar/>
+        <Sidebar permissions={permissions}/>
         <main className='main-content'>
           <Routes>
-            <Route path='/' element={<Navigate to="/orders" replace />} />
-            <Route path='/add' element={<Add url={url}/>} />
-            <Route path='/list' element={<List url={url}/>} />
-            <Route path='/orders' element={<Orders url={url}/>} />
-            <Route path='/bookings' element={<Bookings url={url}/>} />
-            <Route path='/tables' element={<Tables url={url}/>} />
+            <Route path='/' element={homePage ? <Navigate to={homePath} replace /> : <p className="no-access">Your account has no pages assigned. Ask the owner for access.</p>} />
+            <Route path='/add' element={guard('menu', <Add url={url}/>)} />
+            <Route path='/list' element={guard('menu', <List url={url}/>)} />
+            <Route path='/reviews' element={guard('menu', <Reviews url={url} events={liveEvents}/>)} />
+            <Route path='/orders' element={guard('orders', <Orders url={url} events={liveEvents} canRefund={canAccess('refunds')}/>)} />
+            <Route path='/bookings' element={guard('bookings', <Bookings url={url} events={liveEvents} canRefund={canAccess('refunds')}/>)} />
+            <Route path='/tables' element={guard('tables', <Tables url={url} events={liveEvents}/>)} />
+            <Route path='/coupons' element={guard('coupons', <Coupons url={url}/>)} />
+            <Route path='/inbox' element={guard('inbox', <Inbox url={url} events={liveEvents} admin={admin}/>)} />
+            <Route path='/settings' element={guard('settings', <Settings url={url}/>)} />
+            <Route path='/staff' element={guard('staff', <Staff url={url} admin={admin}/>)} />
+            <Route path='*' element={<Navigate to={homePath} replace />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,112 @@
+import './DishAttributes.css';
+import { dietaryOptions, spiceLevels, allergenOptions, nutritionFields } from './dishAttributes';
+
+// Dietary type, spice level, allergens, nutrition, prep time and tags.
+// Used by the Add Item form and the edit dialog on Menu Items.
+const DishAttributes = ({ values, onChange }) => {
+  const setValue = (e) => onChange({ [e.target.name]: e.target.value });
+
+  const allergens = values.allergens || [];
+
+  const toggleAllergen = (allergen) => {
+    onChange({
+      allergens: allergens.includes(allergen)
+        ? allergens.filter(a => a !== allergen)
+        : [...allergens, allergen]
+    });
+  };
+
+  return (
+    <div className="dish-attributes">
+      <div className="dish-attribute-row">
+        <div className="dish-attribute">
+          <label>Dietary type</label>
+          <div className="dish-attribute-options">
+            {dietaryOptions.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`dish-option diet-${option.value} ${values.dietaryType === option.value ? 'active' : ''}`}
+                onClick={() => onChange({ dietaryType: option.value })}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {!values.dietaryType && (
+            <span className="dish-attribute-hint warning">Not set yet. The dish is left out of the menu&apos;s diet filters until it is.</span>
+          )}
+        </div>
+
+        <div className="dish-attribute">
+          <label>Spice level</label>
+          <div className="dish-attribute-options">
+            {spiceLevels.map((label, level) => (
+              <button
+                key={label}
+                type="button"
+                className={`dish-option ${values.spiceLevel === level ? 'active' : ''}`}
+                onClick={() => onChange({ spiceLevel: level })}
+              >
+                {level > 0 && '🌶️'.repeat(level)} {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="dish-attribute">
+        <label>Allergens</label>
+        <div className="dish-attribute-options">
+          <button
+            type="button"
+            className={`dish-option ${values.allergens?.length === 0 ? 'active' : ''}`}
+            onClick={() => onChange({ allergens: [] })}
+          >
+            None
+          </button>
+          {allergenOptions.map(allergen => (
+            <button
+              key={allergen}
+              type="button"
+              className={`dish-option allergen ${allergens.includes(allergen) ? 'active' : ''}`}
+              onClick={() => toggleAllergen(allergen)}
+            >
+              {allergen}
+            </button>
+          ))}
+        </div>
+        {!values.allergens && (
+          <span className="dish-attribute-hint warning">Not checked yet. Pick the allergens, or None. Until then guests filtering out an allergen won&apos;t see this dish.</span>
+        )}
+      </div>
+
+      <div className="dish-attribute-grid">
+        {nutritionFields.map(field => (
+          <div key={field.name} className="dish-attribute">
+            <label>{field.label}</label>
+            <input type="number" name={field.name} value={values[field.name]} onChange={setValue} min="0" step="any" placeholder="-" />
+          </div>
+        ))}
+        <div className="dish-attribute">
+          <label>Prep time (min)</label>
+          <input type="number" name="prepTime" value={values.prepTime} onChange={setValue} min="0" max="240" placeholder="-" />
+        </div>
+      </div>
+
+      <div className="dish-attribute">
+        <label>Tags</label>
+        <input
+          type="text"
+          name="tags"
+          value={values.tags}
+          onChange={setValue}
+          placeholder="bestseller, new, chef's special"
+        />
+        <span className="dish-attribute-hint">Separate with commas. &quot;bestseller&quot; and &quot;new&quot; show a badge on the menu.</span>
+      </div>
+    </div>
+  );
+};
+
+export default DishAttributes;
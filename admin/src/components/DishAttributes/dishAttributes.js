@@ -0,0 +1,66 @@
+// Dish attribute options, matching backend/config/dishAttributes.js
+
+export const dietaryOptions = [
+  { value: 'veg', label: 'Veg' },
+  { value: 'vegan', label: 'Vegan' },
+  { value: 'egg', label: 'Contains egg' },
+  { value: 'non-veg', label: 'Non-veg' }
+];
+
+export const spiceLevels = ['Not spicy', 'Mild', 'Medium', 'Hot'];
+
+export const allergenOptions = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame', 'mustard'];
+
+export const nutritionFields = [
+  { name: 'calories', label: 'Calories (kcal)' },
+  { name: 'protein', label: 'Protein (g)' },
+  { name: 'carbs', label: 'Carbs (g)' },
+  { name: 'fat', label: 'Fat (g)' }
+];
+
+// Form values for a new dish. Numbers are kept as strings while editing; empty means "not set".
+// Allergens stay null until someone has checked the dish, [] means it has none.
+export const emptyAttributes = {
+  dietaryType: '',
+  spiceLevel: 0,
+  allergens: null,
+  calories: '',
+  protein: '',
+  carbs: '',
+  fat: '',
+  prepTime: '',
+  tags: ''
+};
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Form values for an existing dish
+export const attributesFromItem = (item) => ({
+  dietaryType: item.dietaryType || '',
+  spiceLevel: item.spiceLevel || 0,
+  allergens: item.allergens || null,
+  calories: toInput(item.nutrition?.calories),
+  protein: toInput(item.nutrition?.protein),
+  carbs: toInput(item.nutrition?.carbs),
+  fat: toInput(item.nutrition?.fat),
+  prepTime: toInput(item.prepTime),
+  tags: (item.tags || []).join(', ')
+});
+
+// Dishes still missing details the menu's diet and allergen filters rely on
+export const needsDetails = (item) => !item.dietaryType || !item.allergens;
+
+// What the API expects. Diet and allergens that haven't been filled in are left out.
+export const attributesToPayload = (values) => ({
+  ...(values.dietaryType ? { dietaryType: values.dietaryType } : {}),
+  spiceLevel: values.spiceLevel,
+  ...(values.allergens ? { allergens: values.allergens } : {}),
+  nutrition: {
+    calories: values.calories,
+    protein: values.protein,
+    carbs: values.carbs,
+    fat: values.fat
+  },
+  prepTime: values.prepTime,
+  tags: values.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+});
@@ -0,0 +1,125 @@
+import './ModifierGroups.css';
+import { newSizeGroup, newAddOnGroup, newOption } from './modifierGroups';
+
+// Sizes, variants and add-ons a customer picks from when adding the dish.
+// Used by the Add Item form and the edit dialog on Menu Items.
+const ModifierGroups = ({ groups, onChange }) => {
+  const updateGroup = (groupIndex, changes) => {
+    onChange(groups.map((group, idx) => idx === groupIndex ? { ...group, ...changes } : group));
+  };
+
+  const updateOption = (groupIndex, optionIndex, changes) => {
+    updateGroup(groupIndex, {
+      options: groups[groupIndex].options.map((option, idx) => idx === optionIndex ? { ...option, ...changes } : option)
+    });
+  };
+
+  const removeOption = (groupIndex, optionIndex) => {
+    updateGroup(groupIndex, { options: groups[groupIndex].options.filter((_, idx) => idx !== optionIndex) });
+  };
+
+  return (
+    <div className="modifier-groups">
+      {groups.length === 0 && (
+        <p className="modifier-groups-empty">No options. Customers add this dish as it is.</p>
+      )}
+
+      {groups.map((group, groupIndex) => (
+        <div key={group._id || groupIndex} className="modifier-group">
+          <div className="modifier-group-header">
+            <input
+              type="text"
+              value={group.name}
+              onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+              placeholder="Group name, e.g. Size"
+              required
+            />
+            <label>
+              Min
+              <input
+                type="number"
+                min="0"
+                max={group.options.length}
+                value={group.minSelect}
+                onChange={(e) => updateGroup(groupIndex, { minSelect: e.target.value })}
+              />
+            </label>
+            <label>
+              Max
+              <input
+                type="number"
+                min="1"
+                max={group.options.length}
+                value={group.maxSelect}
+                onChange={(e) => updateGroup(groupIndex, { maxSelect: e.target.value })}
+              />
+            </label>
+            <button
+              type="button"
+              className="modifier-remove"
+              onClick={() => onChange(groups.filter((_, idx) => idx !== groupIndex))}
+              title="Remove group"
+            >
+              ×
+            </button>
+          </div>
+          <span className="modifier-group-hint">
+            {Number(group.minSelect) > 0 ? 'Required' : 'Optional'} - customers pick {Number(group.minSelect) === Number(group.maxSelect)
+              ? group.minSelect
+              : `${group.minSelect} to ${group.maxSelect}`}
+          </span>
+
+          {group.options.map((option, optionIndex) => (
+            <div key={option._id || optionIndex} className="modifier-option">
+              <input
+                type="text"
+                value={option.name}
+                onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                placeholder="Option, e.g. Large"
+                required
+              />
+              <input
+                type="number"
+                step="any"
+                value={option.priceDelta}
+                onChange={(e) => updateOption(groupIndex, optionIndex, { priceDelta: e.target.value })}
+                placeholder="+₹0"
+              />
+              <label className="modifier-option-available">
+                <input
+                  type="checkbox"
+                  checked={option.isAvailable}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { isAvailable: e.target.checked })}
+                />
+                In stock
+              </label>
+              <button
+                type="button"
+                className="modifier-remove"
+                onClick={() => removeOption(groupIndex, optionIndex)}
+                disabled={group.options.length === 1}
+                title="Remove option"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="modifier-add-option"
+            onClick={() => updateGroup(groupIndex, { options: [...group.options, newOption()] })}
+          >
+            + Add option
+          </button>
+        </div>
+      ))}
+
+      <div className="modifier-groups-actions">
+        <button type="button" onClick={() => onChange([...groups, newSizeGroup()])}>+ Size / variant</button>
+        <button type="button" onClick={() => onChange([...groups, newAddOnGroup()])}>+ Add-ons</button>
+      </div>
+    </div>
+  );
+};
+
+export default ModifierGroups;
@@ -0,0 +1,29 @@
+// Form values for a dish's option groups (sizes, variants, add-ons), checked again by backend/services/modifierService.js
+
+export const newOption = () => ({ name: '', priceDelta: '', isAvailable: true });
+
+// A size or variant: exactly one must be picked. Add-ons are optional.
+export const newSizeGroup = () => ({ name: 'Size', minSelect: 1, maxSelect: 1, options: [newOption(), newOption()] });
+export const newAddOnGroup = () => ({ name: 'Add-ons', minSelect: 0, maxSelect: 3, options: [newOption()] });
+
+// Form values for an existing dish. Ids are kept so customers' carts stay valid after an edit.
+export const groupsFromItem = (item) => (item.modifierGroups || []).map(group => ({
+  _id: group._id,
+  name: group.name,
+  minSelect: group.minSelect,
+  maxSelect: group.maxSelect,
+  options: group.options.map(option => ({
+    _id: option._id,
+    name: option.name,
+    priceDelta: option.priceDelta ? String(option.priceDelta) : '',
+    isAvailable: option.isAvailable !== false
+  }))
+}));
+
+// What the API expects
+export const groupsToPayload = (groups) => groups.map(group => ({
+  ...group,
+  minSelect: Number(group.minSelect),
+  maxSelect: Number(group.maxSelect),
+  options: group.options.map(option => ({ ...option, priceDelta: Number(option.priceDelta || 0) }))
+}));
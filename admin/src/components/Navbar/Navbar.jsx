@@ -1,8 +1,125 @@
-import React from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import './Navbar.css'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { useNavigate } from 'react-router-dom'
 import {assets} from '../../assets/assets'
 
-const Navbar = () => {
+const roleLabels = {
+  owner: 'Owner',
+  manager: 'Manager',
+  kitchen: 'Kitchen Staff',
+  host: 'Host'
+}
+
+// Short two-tone chime for new notifications (no audio file needed)
+let audioContext = null;
+const playAlert = () => {
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    [880, 1320].forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const start = audioContext.currentTime + index * 0.18;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.3);
+    });
+  } catch (error) {
+    console.log('Could not play alert sound:', error);
+  }
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+const Navbar = ({ url, admin, events, onLogout }) => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [soundOn, setSoundOn] = useState(localStorage.getItem('adminAlertSound') !== 'off');
+  const soundOnRef = useRef(soundOn);
+  const notificationsRef = useRef();
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get(`${url}/api/notification/list`);
+      if (response.data.success) {
+        setNotifications(response.data.data);
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [admin._id]);
+
+  // New notifications arrive over the live connection
+  useEffect(() => {
+    if (!events) return;
+    const handleNotification = (event) => {
+      const notification = { ...JSON.parse(event.data), read: false };
+      setNotifications(prev => [notification, ...prev].slice(0, 30));
+      setUnreadCount(prev => prev + 1);
+      toast.info(notification.title);
+      if (soundOnRef.current) playAlert();
+    };
+    events.addEventListener('notification', handleNotification);
+    return () => events.removeEventListener('notification', handleNotification);
+  }, [events]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!showNotifications) return;
+    const handleClick = (event) => {
+      if (notificationsRef.current && !notificationsRef.current.contains(event.target)) {
+        setShowNotifications(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [showNotifications]);
+
+  const toggleSound = () => {
+    const next = !soundOn;
+    soundOnRef.current = next;
+    setSoundOn(next);
+    localStorage.setItem('adminAlertSound', next ? 'on' : 'off');
+  };
+
+  const markRead = async (notificationId) => {
+    try {
+      await axios.post(`${url}/api/notification/read`, { notificationId });
+      if (notificationId) {
+        setNotifications(prev => prev.map(n => n._id === notificationId ? { ...n, read: true } : n));
+        setUnreadCount(prev => Math.max(0, prev - 1));
+      } else {
+        setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+        setUnreadCount(0);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read) markRead(notification._id);
+    setShowNotifications(false);
+    if (notification.link) navigate(notification.link);
+  };
+
   return (
     <nav className='admin-navbar'>
       <div className="navbar-left">
@@ -20,22 +137,62 @@ const Navbar = () => {
           </svg>
           <input type="text" placeholder="Search..." />
         </div>
-        <div className="navbar-notifications">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
-            <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
-          </svg>
-          <span className="notification-badge">3</span>
+        <div className="navbar-notifications" ref={notificationsRef}>
+          <button className="notification-bell" onClick={() => setShowNotifications(!showNotifications)} title="Notifications">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
+              <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
+            </svg>
+          </button>
+          {unreadCount > 0 && <span className="notification-badge">{unreadCount > 9 ? '9+' : unreadCount}</span>}
+
+          {showNotifications && (
+            <div className="notification-dropdown">
+              <div className="notification-header">
+                <span>Notifications</span>
+                <div className="notification-header-actions">
+                  <button onClick={toggleSound} title={soundOn ? 'Mute alerts' : 'Play sound for new alerts'}>
+                    {soundOn ? '🔔' : '🔕'}
+                  </button>
+                  {unreadCount > 0 && <button onClick={() => markRead()}>Mark all read</button>}
+                </div>
+              </div>
+              {notifications.length === 0 ? (
+                <p className="notification-empty">You&apos;re all caught up</p>
+              ) : (
+                <ul className="notification-list">
+                  {notifications.map(notification => (
+                    <li
+                      key={notification._id}
+                      className={`notification-item ${notification.read ? '' : 'unread'}`}
+                      onClick={() => openNotification(notification)}
+                    >
+                      <span className="notification-icon">{notification.type === 'order' ? '📦' : notification.type === 'booking' ? '📅' : notification.type === 'message' ? '✉️' : notification.type === 'review' ? '⭐' : '🪑'}</span>
+                      <div className="notification-body">
+                        <span className="notification-title">{notification.title}</span>
+                        {notification.message && <span className="notification-message">{notification.message}</span>}
+                        <span className="notification-time">{timeAgo(notification.createdAt)}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
         <div className="navbar-profile">
           <img className='profile' src={assets.profile_image} alt="Admin" />
           <div className="profile-info">
-            <span className="profile-name">Admin</span>
-            <span className="profile-role">Super Admin</span>
+            <span className="profile-name">{admin.name}</span>
+            <span className="profile-role">{roleLabels[admin.role] || admin.role}</span>
           </div>
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="m6 9 6 6 6-6"/>
-          </svg>
+          <button className="logout-btn" onClick={onLogout} title="Log out">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/>
+              <polyline points="16 17 21 12 16 7"/>
+              <line x1="21" y1="12" x2="9" y2="12"/>
+            </svg>
+          </button>
         </div>
       </div>
     </nav>
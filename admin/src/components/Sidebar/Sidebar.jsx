@@ -2,78 +2,176 @@ import React from 'react'
 import './Sidebar.css'
 import { NavLink } from 'react-router-dom'
 
-const Sidebar = () => {
+const Sidebar = ({ permissions = [] }) => {
+  const can = (permission) => permissions.includes(permission);
+
   return (
     <aside className='admin-sidebar'>
       <div className="sidebar-menu">
-        <div className="menu-section">
-          <span className="menu-label">Menu</span>
-          
-          <NavLink to="/add" className='sidebar-item'>
-            <div className="item-icon">
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <circle cx="12" cy="12" r="10"/>
-                <line x1="12" y1="8" x2="12" y2="16"/>
-                <line x1="8" y1="12" x2="16" y2="12"/>
-              </svg>
-            </div>
-            <span className="item-text">Add Item</span>
-          </NavLink>
-          
-          <NavLink to="/list" className='sidebar-item'>
-            <div className="item-icon">
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <line x1="8" y1="6" x2="21" y2="6"/>
-                <line x1="8" y1="12" x2="21" y2="12"/>
-                <line x1="8" y1="18" x2="21" y2="18"/>
-                <line x1="3" y1="6" x2="3.01" y2="6"/>
-                <line x1="3" y1="12" x2="3.01" y2="12"/>
-                <line x1="3" y1="18" x2="3.01" y2="18"/>
-              </svg>
-            </div>
-            <span className="item-text">Menu Items</span>
-          </NavLink>
-        </div>
+        {can('menu') && (
+          <div className="menu-section">
+            <span className="menu-label">Menu</span>
 
-        <div className="menu-section">
-          <span className="menu-label">Orders & Tables</span>
-          
-          <NavLink to="/orders" className='sidebar-item'>
-            <div className="item-icon">
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"/>
-                <line x1="3" y1="6" x2="21" y2="6"/>
-                <path d="M16 10a4 4 0 0 1-8 0"/>
-              </svg>
-            </div>
-            <span className="item-text">Orders</span>
-            <span className="item-badge">New</span>
-          </NavLink>
-          
-          <NavLink to="/tables" className='sidebar-item'>
-            <div className="item-icon">
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <rect x="3" y="8" width="18" height="4" rx="1"/>
-                <path d="M5 12v8"/>
-                <path d="M19 12v8"/>
-                <path d="M4 8V6a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v2"/>
-              </svg>
-            </div>
-            <span className="item-text">Manage Tables</span>
-          </NavLink>
-          
-          <NavLink to="/bookings" className='sidebar-item'>
-            <div className="item-icon">
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
-                <line x1="16" y1="2" x2="16" y2="6"/>
-                <line x1="8" y1="2" x2="8" y2="6"/>
-                <line x1="3" y1="10" x2="21" y2="10"/>
-              </svg>
-            </div>
-            <span className="item-text">Table Bookings</span>
-          </NavLink>
-        </div>
+            <NavLink to="/add" className='sidebar-item'>
+              <div className="item-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <circle cx="12" cy="12" r="10"/>
+                  <line x1="12" y1="8" x2="12" y2="16"/>
+                  <line x1="8" y1="12" x2="16" y2="12"/>
+                </svg>
+              </div>
+              <span className="item-text">Add Item</span>
+            </NavLink>
+
+            <NavLink to="/list" className='sidebar-item'>
+              <div className="item-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="8" y1="6" x2="21" y2="6"/>
+                  <line x1="8" y1="12" x2="21" y2="12"/>
+                  <line x1="8" y1="18" x2="21" y2="18"/>
+                  <line x1="3" y1="6" x2="3.01" y2="6"/>
+                  <line x1="3" y1="12" x2="3.01" y2="12"/>
+                  <line x1="3" y1="18" x2="3.01" y2="18"/>
+                </svg>
+              </div>
+              <span className="item-text">Menu Items</span>
+            </NavLink>
+
+            <NavLink to="/reviews" className='sidebar-item'>
+              <div className="item-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z"/>
+                </svg>
+              </div>
+              <span className="item-text">Reviews</span>
+            </NavLink>
+          </div>
+        )}
+
+        {(can('orders') || can('tables') || can('bookings')) && (
+          <div className="menu-section">
+            <span className="menu-label">Orders & Tables</span>
+
+            {can('orders') && (
+              <NavLink to="/orders" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"/>
+                    <line x1="3" y1="6" x2="21" y2="6"/>
+                    <path d="M16 10a4 4 0 0 1-8 0"/>
+                  </svg>
+                </div>
+                <span className="item-text">Orders</span>
+                <span className="item-badge">New</span>
+              </NavLink>
+            )}
+
+            {can('orders') && (
+              <NavLink to="/kitchen" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="3" width="20" height="14" rx="2" ry="2"/>
+                    <line x1="8" y1="21" x2="16" y2="21"/>
+                    <line x1="12" y1="17" x2="12" y2="21"/>
+                  </svg>
+                </div>
+                <span className="item-text">Kitchen Display</span>
+              </NavLink>
+            )}
+
+            {can('tables') && (
+              <NavLink to="/tables" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="3" y="8" width="18" height="4" rx="1"/>
+                    <path d="M5 12v8"/>
+                    <path d="M19 12v8"/>
+                    <path d="M4 8V6a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v2"/>
+                  </svg>
+                </div>
+                <span className="item-text">Manage Tables</span>
+              </NavLink>
+            )}
+
+            {can('bookings') && (
+              <NavLink to="/bookings" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
+                    <line x1="16" y1="2" x2="16" y2="6"/>
+                    <line x1="8" y1="2" x2="8" y2="6"/>
+                    <line x1="3" y1="10" x2="21" y2="10"/>
+                  </svg>
+                </div>
+                <span className="item-text">Table Bookings</span>
+              </NavLink>
+            )}
+          </div>
+        )}
+
+        {can('coupons') && (
+          <div className="menu-section">
+            <span className="menu-label">Promotions</span>
+
+            <NavLink to="/coupons" className='sidebar-item'>
+              <div className="item-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/>
+                  <line x1="7" y1="7" x2="7.01" y2="7"/>
+                </svg>
+              </div>
+              <span className="item-text">Coupons</span>
+            </NavLink>
+          </div>
+        )}
+
+        {can('inbox') && (
+          <div className="menu-section">
+            <span className="menu-label">Customers</span>
+
+            <NavLink to="/inbox" className='sidebar-item'>
+              <div className="item-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
+                  <polyline points="22,6 12,13 2,6"/>
+                </svg>
+              </div>
+              <span className="item-text">Inbox</span>
+            </NavLink>
+          </div>
+        )}
+
+        {(can('settings') || can('staff')) && (
+          <div className="menu-section">
+            <span className="menu-label">Settings</span>
+
+            {can('settings') && (
+              <NavLink to="/settings" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <polyline points="12 6 12 12 16 14"/>
+                  </svg>
+                </div>
+                <span className="item-text">Opening Hours</span>
+              </NavLink>
+            )}
+
+            {can('staff') && (
+              <NavLink to="/staff" className='sidebar-item'>
+                <div className="item-icon">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+                    <circle cx="9" cy="7" r="4"/>
+                    <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
+                    <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+                  </svg>
+                </div>
+                <span className="item-text">Staff Accounts</span>
+              </NavLink>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="sidebar-footer">
@@ -4,6 +4,10 @@ import { assets } from "../../assets/assets";
 import { useState } from "react";
 import axios from "axios";
 import { toast } from "react-toastify";
+import DishAttributes from "../../components/DishAttributes/DishAttributes";
+import { emptyAttributes, attributesToPayload } from "../../components/DishAttributes/dishAttributes";
+import ModifierGroups from "../../components/ModifierGroups/ModifierGroups";
+import { groupsToPayload } from "../../components/ModifierGroups/modifierGroups";
 
 const Add = ({url}) => {
   const [image, setImage] = useState(false);
@@ -14,6 +18,8 @@ const Add = ({url}) => {
     category: "Salad",
     price: "",
   });
+  const [attributes, setAttributes] = useState(emptyAttributes);
+  const [modifierGroups, setModifierGroups] = useState([]);
 
   const handleSubmit = (e) => {
     const name = e.target.name;
@@ -31,6 +37,17 @@ const Add = ({url}) => {
     form.append("category", data.category);
     form.append("price", Number(data.price));
     form.append("image", image);
+    // Lists and nutrition go as JSON, since multipart fields are plain strings
+    const payload = attributesToPayload(attributes);
+    form.append("dietaryType", payload.dietaryType || '');
+    form.append("spiceLevel", payload.spiceLevel);
+    if (payload.allergens) {
+      form.append("allergens", JSON.stringify(payload.allergens));
+    }
+    form.append("nutrition", JSON.stringify(payload.nutrition));
+    form.append("prepTime", payload.prepTime);
+    form.append("tags", JSON.stringify(payload.tags));
+    form.append("modifierGroups", JSON.stringify(groupsToPayload(modifierGroups)));
 
     try {
       const response = await axios.post(`${url}/api/food/add`, form);
@@ -42,6 +59,8 @@ const Add = ({url}) => {
           price: "",
         });
         setImage(false);
+        setAttributes(emptyAttributes);
+        setModifierGroups([]);
         toast.success(response.data.message);
       } else {
         toast.error(response.data.message);
@@ -158,11 +177,28 @@ const Add = ({url}) => {
             </div>
           </div>
 
+          {/* Dish Attributes */}
+          <div className="form-section">
+            <h3>Dish Attributes</h3>
+            <DishAttributes
+              values={attributes}
+              onChange={(changes) => setAttributes(prev => ({ ...prev, ...changes }))}
+            />
+          </div>
+
+          {/* Sizes, variants and add-ons */}
+          <div className="form-section">
+            <h3>Options</h3>
+            <ModifierGroups groups={modifierGroups} onChange={setModifierGroups} />
+          </div>
+
           {/* Submit Button */}
           <div className="form-actions">
             <button type="button" className="btn-cancel" onClick={() => {
               setData({ name: "", description: "", category: "Salad", price: "" });
               setImage(false);
+              setAttributes(emptyAttributes);
+              setModifierGroups([]);
             }}>
               Clear Form
             </button>
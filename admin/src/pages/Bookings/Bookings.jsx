@@ -2,16 +2,48 @@ import React, { useState, useEffect } from 'react';
 import './Bookings.css';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Waitlist from './Waitlist';
 
-const Bookings = ({ url }) => {
+// Pre-order and deposit paid online together
+const getAmountDue = (booking) => Math.round(((booking.preOrderTotal || 0) + (booking.depositAmount || 0)) * 100) / 100;
+
+// Paid online so far, including top-ups after changes (older bookings paid exactly the amount due)
+const getPaidAmount = (booking) => {
+  if (!['paid', 'refunded'].includes(booking.paymentStatus) || !booking.paymentId) return 0;
+  return booking.paidAmount > 0 ? booking.paidAmount : getAmountDue(booking);
+};
+
+// Online payment still available to refund (pending refunds count as already taken)
+const getRefundableAmount = (booking) => {
+  const pending = (booking.refunds || [])
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, Math.round((getPaidAmount(booking) - (booking.refundedAmount || 0) - pending) * 100) / 100);
+};
+
+// "12 Mar, 7:05 pm" for the change history
+const formatChangedAt = (date) => new Date(date).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+
+// Bookings still coming up, whose online payment counts towards the bill
+const ACTIVE_STATUSES = ['Pending', 'Confirmed'];
+
+// "8:30 pm" for the end of a booking
+const formatEndTime = (endAt) => new Date(endAt).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+
+const Bookings = ({ url, events, canRefund }) => {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [selectedBooking, setSelectedBooking] = useState(null);
+  const [refundForm, setRefundForm] = useState(null);
+  const [view, setView] = useState('bookings');
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Fetch all bookings
-  const fetchBookings = async () => {
-    setLoading(true);
+  const fetchBookings = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     try {
       const response = await axios.get(`${url}/api/booking/list`);
       if (response.data.success) {
@@ -30,6 +62,28 @@ const Bookings = ({ url }) => {
     fetchBookings();
   }, []);
 
+  // Opened from a table on the floor plan: show that booking straight away
+  useEffect(() => {
+    const bookingId = location.state && location.state.bookingId;
+    if (!bookingId) return;
+    const booking = bookings.find(b => b._id === bookingId);
+    if (booking) {
+      setView('bookings');
+      setSelectedBooking(booking);
+      // Clear it so a refresh of the list doesn't reopen the booking
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, [bookings, location.state, location.pathname, navigate]);
+
+  // Pick up new bookings, guest cancellations and changes made on other screens
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'booking:new', 'booking:status', 'booking:changed', 'booking:deleted'];
+    const refresh = () => fetchBookings({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events]);
+
   // Update booking status
   const updateStatus = async (bookingId, newStatus) => {
     try {
@@ -69,6 +123,37 @@ const Bookings = ({ url }) => {
     }
   };
 
+  // Refund a paid pre-order
+  const submitRefund = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Refund ₹${refundForm.amount} to ${selectedBooking.name}?`)) return;
+
+    try {
+      const response = await axios.post(`${url}/api/booking/refund`, {
+        bookingId: selectedBooking._id,
+        amount: Number(refundForm.amount),
+        reason: refundForm.reason
+      });
+
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setRefundForm(null);
+        setSelectedBooking(null);
+      } else {
+        toast.error(response.data.message);
+      }
+      fetchBookings();
+    } catch (error) {
+      console.error('Error refunding booking:', error);
+      toast.error('Error refunding booking');
+    }
+  };
+
+  const closeModal = () => {
+    setSelectedBooking(null);
+    setRefundForm(null);
+  };
+
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -136,189 +221,222 @@ const Bookings = ({ url }) => {
         </button>
       </div>
 
-      {/* Stats */}
-      <div className="booking-stats">
-        <div className="stat-card total" onClick={() => setFilter('all')}>
-          <span className="stat-number">{stats.total}</span>
-          <span className="stat-label">Total</span>
-        </div>
-        <div className="stat-card today">
-          <span className="stat-number">{stats.today}</span>
-          <span className="stat-label">Today</span>
-        </div>
-        <div className="stat-card pending" onClick={() => setFilter('Pending')}>
-          <span className="stat-number">{stats.pending}</span>
-          <span className="stat-label">Pending</span>
-        </div>
-        <div className="stat-card confirmed" onClick={() => setFilter('Confirmed')}>
-          <span className="stat-number">{stats.confirmed}</span>
-          <span className="stat-label">Confirmed</span>
-        </div>
-        <div className="stat-card completed" onClick={() => setFilter('Completed')}>
-          <span className="stat-number">{stats.completed}</span>
-          <span className="stat-label">Completed</span>
-        </div>
-        <div className="stat-card cancelled" onClick={() => setFilter('Cancelled')}>
-          <span className="stat-number">{stats.cancelled}</span>
-          <span className="stat-label">Cancelled</span>
-        </div>
-      </div>
-
-      {/* Filter Tabs */}
-      <div className="filter-tabs">
-        <button className={filter === 'all' ? 'active' : ''} onClick={() => setFilter('all')}>
-          All
+      <div className="view-tabs">
+        <button className={view === 'bookings' ? 'active' : ''} onClick={() => setView('bookings')}>
+          Bookings
         </button>
-        <button className={filter === 'Pending' ? 'active' : ''} onClick={() => setFilter('Pending')}>
-          Pending
-        </button>
-        <button className={filter === 'Confirmed' ? 'active' : ''} onClick={() => setFilter('Confirmed')}>
-          Confirmed
-        </button>
-        <button className={filter === 'Completed' ? 'active' : ''} onClick={() => setFilter('Completed')}>
-          Completed
-        </button>
-        <button className={filter === 'Cancelled' ? 'active' : ''} onClick={() => setFilter('Cancelled')}>
-          Cancelled
+        <button className={view === 'waitlist' ? 'active' : ''} onClick={() => setView('waitlist')}>
+          Waitlist
         </button>
       </div>
 
-      {/* Bookings List */}
-      {loading ? (
-        <div className="loading-state">
-          <div className="spinner"></div>
-          <p>Loading bookings...</p>
-        </div>
-      ) : filteredBookings.length === 0 ? (
-        <div className="empty-state">
-          <p>No bookings found</p>
-        </div>
+      {view === 'waitlist' ? (
+        <Waitlist url={url} events={events} />
       ) : (
-        <div className="bookings-list">
-          {filteredBookings.map((booking) => (
-            <div key={booking._id} className={`booking-card ${booking.status.toLowerCase()}`}>
-              <div className="booking-card-header">
-                <div className="booking-id">
-                  <span className="id-hash">#</span>
-                  {booking._id.slice(-8).toUpperCase()}
-                </div>
-                <div className="booking-meta">
-                  <span className="created-at">{timeAgo(booking.createdAt)}</span>
-                  <span className={`status-badge ${booking.status.toLowerCase()}`}>
-                    {booking.status === 'Pending' && '⏳'}
-                    {booking.status === 'Confirmed' && '✅'}
-                    {booking.status === 'Completed' && '🎉'}
-                    {booking.status === 'Cancelled' && '❌'}
-                    {booking.status}
-                  </span>
-                </div>
-              </div>
+        <>
+          {/* Stats */}
+          <div className="booking-stats">
+            <div className="stat-card total" onClick={() => setFilter('all')}>
+              <span className="stat-number">{stats.total}</span>
+              <span className="stat-label">Total</span>
+            </div>
+            <div className="stat-card today">
+              <span className="stat-number">{stats.today}</span>
+              <span className="stat-label">Today</span>
+            </div>
+            <div className="stat-card pending" onClick={() => setFilter('Pending')}>
+              <span className="stat-number">{stats.pending}</span>
+              <span className="stat-label">Pending</span>
+            </div>
+            <div className="stat-card confirmed" onClick={() => setFilter('Confirmed')}>
+              <span className="stat-number">{stats.confirmed}</span>
+              <span className="stat-label">Confirmed</span>
+            </div>
+            <div className="stat-card completed" onClick={() => setFilter('Completed')}>
+              <span className="stat-number">{stats.completed}</span>
+              <span className="stat-label">Completed</span>
+            </div>
+            <div className="stat-card cancelled" onClick={() => setFilter('Cancelled')}>
+              <span className="stat-number">{stats.cancelled}</span>
+              <span className="stat-label">Cancelled</span>
+            </div>
+          </div>
 
-              <div className="booking-card-body">
-                <div className="booking-customer">
-                  <div className="customer-avatar">
-                    {booking.name.charAt(0).toUpperCase()}
-                  </div>
-                  <div className="customer-info">
-                    <h4>{booking.name}</h4>
-                    <p>{booking.email}</p>
-                    <p>{booking.phone}</p>
-                  </div>
-                </div>
+          {/* Filter Tabs */}
+          <div className="filter-tabs">
+            <button className={filter === 'all' ? 'active' : ''} onClick={() => setFilter('all')}>
+              All
+            </button>
+            <button className={filter === 'Pending' ? 'active' : ''} onClick={() => setFilter('Pending')}>
+              Pending
+            </button>
+            <button className={filter === 'Confirmed' ? 'active' : ''} onClick={() => setFilter('Confirmed')}>
+              Confirmed
+            </button>
+            <button className={filter === 'Completed' ? 'active' : ''} onClick={() => setFilter('Completed')}>
+              Completed
+            </button>
+            <button className={filter === 'Cancelled' ? 'active' : ''} onClick={() => setFilter('Cancelled')}>
+              Cancelled
+            </button>
+            <button className={filter === 'No-show' ? 'active' : ''} onClick={() => setFilter('No-show')}>
+              No-show
+            </button>
+          </div>
 
-                <div className="booking-details">
-                  <div className="detail-row">
-                    <span className="detail-icon">📅</span>
-                    <span className="detail-text">{formatDate(booking.date)}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-icon">🕐</span>
-                    <span className="detail-text">{booking.time}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-icon">👥</span>
-                    <span className="detail-text">{booking.guests} Guest{booking.guests !== '1' ? 's' : ''}</span>
-                  </div>
-                  {booking.tableNumber && (
-                    <div className="detail-row table-detail">
-                      <span className="detail-icon">🪑</span>
-                      <span className="detail-text">
-                        Table {booking.tableNumber}
-                        {booking.tableName && <span className="table-name-badge"> • {booking.tableName}</span>}
+          {/* Bookings List */}
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner"></div>
+              <p>Loading bookings...</p>
+            </div>
+          ) : filteredBookings.length === 0 ? (
+            <div className="empty-state">
+              <p>No bookings found</p>
+            </div>
+          ) : (
+            <div className="bookings-list">
+              {filteredBookings.map((booking) => (
+                <div key={booking._id} className={`booking-card ${booking.status.toLowerCase()}`}>
+                  <div className="booking-card-header">
+                    <div className="booking-id">
+                      <span className="id-hash">#</span>
+                      {booking._id.slice(-8).toUpperCase()}
+                    </div>
+                    <div className="booking-meta">
+                      <span className="created-at">{timeAgo(booking.createdAt)}</span>
+                      <span className={`status-badge ${booking.status.toLowerCase()}`}>
+                        {booking.status === 'Pending' && '⏳'}
+                        {booking.status === 'Confirmed' && '✅'}
+                        {booking.status === 'Completed' && '🎉'}
+                        {booking.status === 'Cancelled' && '❌'}
+                        {booking.status === 'No-show' && '🚫'}
+                        {booking.status}
                       </span>
                     </div>
-                  )}
-                  {booking.occasion && (
-                    <div className="detail-row">
-                      <span className="detail-icon">🎉</span>
-                      <span className="detail-text">{booking.occasion}</span>
+                  </div>
+
+                  <div className="booking-card-body">
+                    <div className="booking-customer">
+                      <div className="customer-avatar">
+                        {booking.name.charAt(0).toUpperCase()}
+                      </div>
+                      <div className="customer-info">
+                        <h4>{booking.name}</h4>
+                        <p>{booking.email}</p>
+                        <p>{booking.phone}</p>
+                        {booking.guestNoShows > 0 && (
+                          <span className="no-show-count">🚫 {booking.guestNoShows} no-show{booking.guestNoShows === 1 ? '' : 's'}</span>
+                        )}
+                      </div>
                     </div>
-                  )}
-                </div>
 
-                {booking.specialRequests && (
-                  <div className="special-requests">
-                    <span className="requests-label">Special Requests:</span>
-                    <p>{booking.specialRequests}</p>
-                  </div>
-                )}
-
-                {/* Pre-Order Badge */}
-                {booking.hasPreOrder && booking.preOrderedItems && booking.preOrderedItems.length > 0 && (
-                  <div className="preorder-badge">
-                    <span className="preorder-icon">🍽️</span>
-                    <span className="preorder-text">
-                      {booking.preOrderedItems.length} items pre-ordered • ₹{booking.preOrderTotal}
-                    </span>
-                    <span className={`payment-pill ${booking.preOrderPayment ? 'paid' : 'pending'}`}>
-                      {booking.preOrderPayment ? '💳 Paid' : '⏳ Unpaid'}
-                    </span>
+                    <div className="booking-details">
+                      <div className="detail-row">
+                        <span className="detail-icon">📅</span>
+                        <span className="detail-text">{formatDate(booking.date)}</span>
+                      </div>
+                      <div className="detail-row">
+                        <span className="detail-icon">🕐</span>
+                        <span className="detail-text">{booking.time}{booking.endAt && ` – ${formatEndTime(booking.endAt)}`}</span>
+                      </div>
+                      <div className="detail-row">
+                        <span className="detail-icon">👥</span>
+                        <span className="detail-text">{booking.guests} Guest{booking.guests !== '1' ? 's' : ''}</span>
+                      </div>
+                      {booking.tableNumber && (
+                        <div className="detail-row table-detail">
+                          <span className="detail-icon">🪑</span>
+                          <span className="detail-text">
+                            Table {booking.tableNumber}
+                            {booking.tableName && <span className="table-name-badge"> • {booking.tableName}</span>}
+                          </span>
+                        </div>
+                      )}
+                      {booking.occasion && (
+                        <div className="detail-row">
+                          <span className="detail-icon">🎉</span>
+                          <span className="detail-text">{booking.occasion}</span>
+                        </div>
+                      )}
+                    </div>
+
+                    {booking.specialRequests && (
+                      <div className="special-requests">
+                        <span className="requests-label">Special Requests:</span>
+                        <p>{booking.specialRequests}</p>
+                      </div>
+                    )}
+
+                    {booking.depositAmount > 0 && (
+                      <div className="preorder-badge deposit-badge">
+                        <span className="preorder-icon">🔒</span>
+                        <span className="preorder-text">Deposit ₹{booking.depositAmount}</span>
+                        <span className={`payment-pill ${booking.paymentStatus === 'paid' ? 'paid' : 'pending'}`}>
+                          {booking.paymentStatus === 'refunded' ? '↩ Refunded' : booking.paymentStatus === 'paid' ? '💳 Paid' : '⏳ Unpaid'}
+                        </span>
+                      </div>
+                    )}
+
+                    {/* Pre-Order Badge */}
+                    {booking.hasPreOrder && booking.preOrderedItems && booking.preOrderedItems.length > 0 && (
+                      <div className="preorder-badge">
+                        <span className="preorder-icon">🍽️</span>
+                        <span className="preorder-text">
+                          {booking.preOrderedItems.length} items pre-ordered • ₹{booking.preOrderTotal}
+                        </span>
+                        <span className={`payment-pill ${booking.preOrderPayment ? 'paid' : 'pending'}`}>
+                          {booking.paymentStatus === 'refunded' ? '↩ Refunded' : booking.preOrderPayment ? '💳 Paid' : '⏳ Unpaid'}
+                        </span>
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
 
-              <div className="booking-card-footer">
-                <div className="status-select">
-                  <label>Update Status:</label>
-                  <select
-                    value={booking.status}
-                    onChange={(e) => updateStatus(booking._id, e.target.value)}
-                  >
-                    <option value="Pending">Pending</option>
-                    <option value="Confirmed">Confirmed</option>
-                    <option value="Completed">Completed</option>
-                    <option value="Cancelled">Cancelled</option>
-                  </select>
-                </div>
-                <div className="action-buttons">
-                  <button 
-                    className="view-btn"
-                    onClick={() => setSelectedBooking(booking)}
-                  >
-                    View Details
-                  </button>
-                  <button 
-                    className="delete-btn"
-                    onClick={() => deleteBooking(booking._id)}
-                  >
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-                    </svg>
-                  </button>
+                  <div className="booking-card-footer">
+                    <div className="status-select">
+                      <label>Update Status:</label>
+                      <select
+                        value={booking.status}
+                        onChange={(e) => updateStatus(booking._id, e.target.value)}
+                      >
+                        <option value="Pending">Pending</option>
+                        <option value="Confirmed">Confirmed</option>
+                        <option value="Completed">Completed</option>
+                        <option value="Cancelled">Cancelled</option>
+                        <option value="No-show">No-show</option>
+                      </select>
+                    </div>
+                    <div className="action-buttons">
+                      <button 
+                        className="view-btn"
+                        onClick={() => setSelectedBooking(booking)}
+                      >
+                        View Details
+                      </button>
+                      <button 
+                        className="delete-btn"
+                        onClick={() => deleteBooking(booking._id)}
+                      >
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                        </svg>
+                      </button>
+                    </div>
+                  </div>
                 </div>
-              </div>
+              ))}
             </div>
-          ))}
-        </div>
+          )}
+        </>
       )}
 
       {/* Booking Detail Modal */}
       {selectedBooking && (
-        <div className="booking-modal-overlay" onClick={() => setSelectedBooking(null)}>
+        <div className="booking-modal-overlay" onClick={closeModal}>
           <div className="booking-modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
               <h3>Booking Details</h3>
-              <button className="close-btn" onClick={() => setSelectedBooking(null)}>
+              <button className="close-btn" onClick={closeModal}>
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <path d="M18 6L6 18M6 6l12 12"/>
                 </svg>
@@ -353,7 +471,7 @@ const Bookings = ({ url }) => {
                   </div>
                   <div className="info-item">
                     <span className="info-label">Time</span>
-                    <span className="info-value">{selectedBooking.time}</span>
+                    <span className="info-value">{selectedBooking.time}{selectedBooking.endAt && ` – ${formatEndTime(selectedBooking.endAt)}`}</span>
                   </div>
                   <div className="info-item">
                     <span className="info-label">Guests</span>
@@ -382,26 +500,36 @@ const Bookings = ({ url }) => {
                 </div>
               )}
 
-              {/* Pre-Ordered Food Section */}
-              {selectedBooking.hasPreOrder && selectedBooking.preOrderedItems && selectedBooking.preOrderedItems.length > 0 && (
+              {/* Pre-Ordered Food and Deposit Section */}
+              {getAmountDue(selectedBooking) > 0 && (
                 <div className="modal-section preorder-section">
-                  <h4>🍽️ Pre-Ordered Food</h4>
-                  <div className="preorder-items-list">
-                    {selectedBooking.preOrderedItems.map((item, idx) => (
-                      <div key={idx} className="preorder-item">
-                        <img src={item.image} alt={item.name} className="preorder-item-img" />
-                        <div className="preorder-item-details">
-                          <span className="preorder-item-name">{item.name}</span>
-                          <span className="preorder-item-qty">Qty: {item.quantity}</span>
+                  <h4>{selectedBooking.hasPreOrder ? '🍽️ Pre-Ordered Food' : '🔒 Deposit'}</h4>
+                  {selectedBooking.hasPreOrder && selectedBooking.preOrderedItems && selectedBooking.preOrderedItems.length > 0 && (
+                    <div className="preorder-items-list">
+                      {selectedBooking.preOrderedItems.map((item, idx) => (
+                        <div key={idx} className="preorder-item">
+                          <img src={item.image} alt={item.name} className="preorder-item-img" />
+                          <div className="preorder-item-details">
+                            <span className="preorder-item-name">{item.name}</span>
+                            <span className="preorder-item-qty">Qty: {item.quantity}</span>
+                          </div>
+                          <span className="preorder-item-price">₹{item.price * item.quantity}</span>
                         </div>
-                        <span className="preorder-item-price">₹{item.price * item.quantity}</span>
-                      </div>
-                    ))}
-                  </div>
-                  <div className="preorder-total">
-                    <span>Food Total</span>
-                    <span>₹{selectedBooking.preOrderTotal}</span>
-                  </div>
+                      ))}
+                    </div>
+                  )}
+                  {selectedBooking.hasPreOrder && (
+                    <div className="preorder-total">
+                      <span>Food Total</span>
+                      <span>₹{selectedBooking.preOrderTotal}</span>
+                    </div>
+                  )}
+                  {selectedBooking.depositAmount > 0 && (
+                    <div className="preorder-total">
+                      <span>{selectedBooking.depositReason === 'no-show' ? 'Deposit (previous no-shows)' : 'Reservation deposit'}</span>
+                      <span>₹{selectedBooking.depositAmount}</span>
+                    </div>
+                  )}
                   <div className={`preorder-payment-status ${selectedBooking.preOrderPayment ? 'paid' : 'pending'}`}>
                     {selectedBooking.preOrderPayment ? (
                       <>
@@ -419,6 +547,99 @@ const Bookings = ({ url }) => {
                       </>
                     )}
                   </div>
+
+                  {/* What the guest already paid comes off the bill at the table */}
+                  {selectedBooking.paymentStatus === 'paid' && ACTIVE_STATUSES.includes(selectedBooking.status) && (
+                    <p className="bill-credit">
+                      Deduct ₹{Math.round((getPaidAmount(selectedBooking) - (selectedBooking.refundedAmount || 0)) * 100) / 100} paid online from the final bill
+                    </p>
+                  )}
+
+                  {/* Top-ups for changes made after the booking was paid */}
+                  {selectedBooking.extraPayments && selectedBooking.extraPayments.length > 0 && (
+                    <div className="refund-list">
+                      {selectedBooking.extraPayments.map(payment => (
+                        <div key={payment._id} className={`refund-row top-up ${payment.status}`}>
+                          <span>+ ₹{payment.amount}</span>
+                          <span className="refund-reason">Top-up after a change{payment.paymentId && ` · ${payment.paymentId}`}</span>
+                          <span className="refund-status">{payment.status === 'paid' ? 'paid' : 'unpaid'}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {selectedBooking.status === 'No-show' && selectedBooking.depositAmount > 0 && selectedBooking.paymentStatus === 'paid' && (
+                    <p className="bill-credit">The deposit is kept because the guest did not turn up</p>
+                  )}
+
+                  {/* Refunds */}
+                  {selectedBooking.refunds && selectedBooking.refunds.length > 0 && (
+                    <div className="refund-list">
+                      {selectedBooking.refunds.map(refund => (
+                        <div key={refund._id} className={`refund-row ${refund.status}`}>
+                          <span>↩ ₹{refund.amount}</span>
+                          <span className="refund-reason">{refund.failureReason || refund.reason || `By ${refund.initiatedByName || refund.initiatedBy}`}</span>
+                          <span className="refund-status">{refund.status}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {canRefund && getRefundableAmount(selectedBooking) > 0 && (
+                    refundForm ? (
+                      <form className="refund-form" onSubmit={submitRefund}>
+                        <input
+                          type="number"
+                          min="1"
+                          step="0.01"
+                          max={getRefundableAmount(selectedBooking)}
+                          value={refundForm.amount}
+                          onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })}
+                          required
+                        />
+                        <input
+                          type="text"
+                          placeholder="Reason"
+                          value={refundForm.reason}
+                          onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+                        />
+                        <button type="submit">Refund</button>
+                        <button type="button" onClick={() => setRefundForm(null)}>Cancel</button>
+                      </form>
+                    ) : (
+                      <button
+                        className="refund-btn"
+                        onClick={() => setRefundForm({ amount: getRefundableAmount(selectedBooking), reason: '' })}
+                      >
+                        ↩ Refund up to ₹{getRefundableAmount(selectedBooking)}
+                      </button>
+                    )
+                  )}
+                </div>
+              )}
+
+              {/* Every change since the booking was made */}
+              {selectedBooking.history && selectedBooking.history.length > 0 && (
+                <div className="modal-section">
+                  <h4>🕑 Change History</h4>
+                  <div className="history-list">
+                    {[...selectedBooking.history].reverse().map(entry => (
+                      <div key={entry._id} className="history-entry">
+                        <div className="history-meta">
+                          <span>{formatChangedAt(entry.changedAt)}</span>
+                          <span className={`history-by ${entry.changedBy}`}>
+                            {entry.changedBy === 'system' ? 'Automatic' : `${entry.changedBy === 'guest' ? 'Guest' : 'Staff'}${entry.changedByName ? ` · ${entry.changedByName}` : ''}`}
+                          </span>
+                        </div>
+                        {entry.changes.map((change, idx) => (
+                          <div key={idx} className="history-change">
+                            <strong>{change.field}:</strong> {change.from || '—'} → {change.to || '—'}
+                          </div>
+                        ))}
+                        {entry.amountToPay > 0 && <div className="history-money">Asked to pay ₹{entry.amountToPay} more</div>}
+                        {entry.amountRefunded > 0 && <div className="history-money">₹{entry.amountRefunded} refunded</div>}
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
 
@@ -446,7 +667,7 @@ const Bookings = ({ url }) => {
                 className="confirm-btn"
                 onClick={() => {
                   updateStatus(selectedBooking._id, 'Confirmed');
-                  setSelectedBooking(null);
+                  closeModal();
                 }}
                 disabled={selectedBooking.status === 'Confirmed' || selectedBooking.status === 'Completed'}
               >
@@ -456,7 +677,7 @@ const Bookings = ({ url }) => {
                 className="complete-btn"
                 onClick={() => {
                   updateStatus(selectedBooking._id, 'Completed');
-                  setSelectedBooking(null);
+                  closeModal();
                 }}
                 disabled={selectedBooking.status === 'Completed'}
               >
@@ -466,7 +687,7 @@ const Bookings = ({ url }) => {
                 className="cancel-btn"
                 onClick={() => {
                   updateStatus(selectedBooking._id, 'Cancelled');
-                  setSelectedBooking(null);
+                  closeModal();
                 }}
                 disabled={selectedBooking.status === 'Cancelled'}
               >
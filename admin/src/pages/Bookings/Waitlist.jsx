@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const statusIcons = {
+  waiting: '⏳',
+  offered: '📨',
+  claimed: '✅',
+  expired: '⌛',
+  cancelled: '❌'
+};
+
+// Guests waiting for a table on fully booked days, shown as a tab on the Bookings page
+const Waitlist = ({ url, events }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showClosed, setShowClosed] = useState(false);
+
+  const fetchWaitlist = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/waitlist/list`);
+      if (response.data.success) {
+        setEntries(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      toast.error('Error loading waitlist');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, []);
+
+  // New guests, offers going out and tables being claimed
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'waitlist:update'];
+    const refresh = () => fetchWaitlist({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events]);
+
+  const offerTable = async (entry) => {
+    try {
+      const response = await axios.post(`${url}/api/waitlist/offer`, { entryId: entry._id });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchWaitlist({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error offering table:', error);
+      toast.error('Error offering table');
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm(`Remove ${entry.name} from the waitlist?`)) return;
+    try {
+      const response = await axios.post(`${url}/api/waitlist/remove`, { entryId: entry._id });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchWaitlist({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error removing waitlist entry:', error);
+      toast.error('Error removing waitlist entry');
+    }
+  };
+
+  const copyLink = async (entry) => {
+    try {
+      await navigator.clipboard.writeText(entry.claimLink);
+      toast.success('Claim link copied');
+    } catch {
+      window.prompt('Copy the claim link:', entry.claimLink);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-IN', {
+    weekday: 'short', day: '2-digit', month: 'short', timeZone: 'UTC'
+  });
+
+  const formatTime = (dateString) => new Date(dateString).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+
+  const visibleEntries = entries.filter(entry => showClosed || ['waiting', 'offered'].includes(entry.status));
+
+  // Queue position within each day, for guests still waiting
+  const positions = {};
+  const counters = {};
+  entries.filter(entry => entry.status === 'waiting').forEach(entry => {
+    const day = entry.date.slice(0, 10);
+    counters[day] = (counters[day] || 0) + 1;
+    positions[entry._id] = counters[day];
+  });
+
+  if (loading) {
+    return (
+      <div className="loading-state">
+        <div className="spinner"></div>
+        <p>Loading waitlist...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="waitlist">
+      <div className="waitlist-toolbar">
+        <span>
+          {entries.filter(e => e.status === 'waiting').length} waiting · {entries.filter(e => e.status === 'offered').length} offered
+        </span>
+        <label>
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+          Show claimed, expired and removed
+        </label>
+      </div>
+
+      {visibleEntries.length === 0 ? (
+        <div className="empty-state">
+          <p>Nobody is on the waitlist</p>
+        </div>
+      ) : (
+        <div className="waitlist-table">
+          {visibleEntries.map(entry => (
+            <div key={entry._id} className={`waitlist-row ${entry.status}`}>
+              <div className="waitlist-position">
+                {positions[entry._id] ? `#${positions[entry._id]}` : statusIcons[entry.status]}
+              </div>
+              <div className="waitlist-guest">
+                <h4>{entry.name}</h4>
+                <p>{entry.email} · {entry.phone}</p>
+                {entry.notes && <p className="waitlist-notes">📝 {entry.notes}</p>}
+              </div>
+              <div className="waitlist-when">
+                <strong>{formatDate(entry.date)}</strong>
+                <span>{entry.windowStart} – {entry.windowEnd}</span>
+                <span>👥 {entry.guests} Guest{entry.guests !== 1 ? 's' : ''}</span>
+              </div>
+              <div className="waitlist-offer">
+                <span className={`status-badge ${entry.status}`}>{statusIcons[entry.status]} {entry.status}</span>
+                {entry.status === 'offered' && (
+                  <span className="waitlist-offer-detail">
+                    Table {entry.offer.tableNumber} at {entry.offer.time} · until {formatTime(entry.offer.expiresAt)}
+                  </span>
+                )}
+                {entry.status === 'claimed' && (
+                  <span className="waitlist-offer-detail">Table {entry.offer.tableNumber} at {entry.offer.time}</span>
+                )}
+              </div>
+              <div className="waitlist-actions">
+                {entry.status === 'waiting' && (
+                  <button className="waitlist-btn primary" onClick={() => offerTable(entry)}>Offer Table</button>
+                )}
+                {entry.status === 'offered' && entry.claimLink && (
+                  <button className="waitlist-btn" onClick={() => copyLink(entry)}>Copy Link</button>
+                )}
+                {['waiting', 'offered'].includes(entry.status) && (
+                  <button className="waitlist-btn danger" onClick={() => removeEntry(entry)}>Remove</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Waitlist;
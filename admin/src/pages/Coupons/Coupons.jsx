@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import './Coupons.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const categoryOptions = ['Salad', 'Rolls', 'Desserts', 'Sandwich', 'Cake', 'Pure veg', 'Pasta', 'Noodles'];
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  discountValue: '',
+  minOrderAmount: 0,
+  maxDiscount: 0,
+  validFrom: '',
+  validUntil: '',
+  usageLimit: 0,
+  perUserLimit: 1,
+  firstOrderOnly: false,
+  categories: [],
+  isPublic: false
+};
+
+// Dates come back as ISO strings, the date inputs want yyyy-mm-dd
+const toDateInput = (value) => value ? new Date(value).toISOString().split('T')[0] : '';
+
+const Coupons = ({ url }) => {
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchCoupons = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/coupon/list`);
+      if (response.data.success) {
+        setCoupons(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to fetch coupons');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchCoupons();
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleCategoryToggle = (category) => {
+    setFormData(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(c => c !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
+  const openAddModal = () => {
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const openEditModal = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      minOrderAmount: coupon.minOrderAmount,
+      maxDiscount: coupon.maxDiscount,
+      validFrom: toDateInput(coupon.validFrom),
+      validUntil: toDateInput(coupon.validUntil),
+      usageLimit: coupon.usageLimit,
+      perUserLimit: coupon.perUserLimit,
+      firstOrderOnly: coupon.firstOrderOnly,
+      categories: coupon.categories || [],
+      isPublic: coupon.isPublic
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...formData,
+      discountValue: Number(formData.discountValue),
+      minOrderAmount: Number(formData.minOrderAmount),
+      maxDiscount: Number(formData.maxDiscount),
+      usageLimit: Number(formData.usageLimit),
+      perUserLimit: Number(formData.perUserLimit),
+      // Coupons stay valid until the end of the expiry day
+      validUntil: formData.validUntil ? `${formData.validUntil}T23:59:59` : ''
+    };
+
+    try {
+      const response = editingCoupon
+        ? await axios.post(`${url}/api/coupon/update`, { couponId: editingCoupon._id, ...payload })
+        : await axios.post(`${url}/api/coupon/add`, payload);
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setShowModal(false);
+        fetchCoupons();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to save coupon');
+    }
+  };
+
+  const handleToggle = async (couponId) => {
+    try {
+      const response = await axios.post(`${url}/api/coupon/toggle`, { couponId });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchCoupons();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to update coupon');
+    }
+  };
+
+  const handleDelete = async (couponId, code) => {
+    if (!window.confirm(`Delete coupon ${code}?`)) return;
+    try {
+      const response = await axios.post(`${url}/api/coupon/delete`, { couponId });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchCoupons();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to delete coupon');
+    }
+  };
+
+  const describeDiscount = (coupon) => {
+    if (coupon.discountType === 'flat') return `₹${coupon.discountValue} off`;
+    return `${coupon.discountValue}% off${coupon.maxDiscount > 0 ? ` (max ₹${coupon.maxDiscount})` : ''}`;
+  };
+
+  const describeValidity = (coupon) => {
+    if (!coupon.validFrom && !coupon.validUntil) return 'No expiry';
+    const from = coupon.validFrom ? new Date(coupon.validFrom).toLocaleDateString('en-IN') : 'Now';
+    const until = coupon.validUntil ? new Date(coupon.validUntil).toLocaleDateString('en-IN') : 'No expiry';
+    return `${from} → ${until}`;
+  };
+
+  const totals = {
+    active: coupons.filter(c => c.isActive).length,
+    orders: coupons.reduce((sum, c) => sum + c.orders, 0),
+    discount: coupons.reduce((sum, c) => sum + c.totalDiscount, 0)
+  };
+
+  return (
+    <div className="coupons-page">
+      <div className="coupons-header">
+        <div className="header-left">
+          <h2>🏷️ Promo Codes</h2>
+          <p>Create discounts and see how they are used</p>
+        </div>
+        <button className="coupon-add-btn" onClick={openAddModal}>+ New Coupon</button>
+      </div>
+
+      <div className="coupon-stats">
+        <div className="coupon-stat">
+          <span className="coupon-stat-number">{totals.active}</span>
+          <span className="coupon-stat-label">Active Coupons</span>
+        </div>
+        <div className="coupon-stat">
+          <span className="coupon-stat-number">{totals.orders}</span>
+          <span className="coupon-stat-label">Orders with Coupons</span>
+        </div>
+        <div className="coupon-stat">
+          <span className="coupon-stat-number">₹{Math.round(totals.discount)}</span>
+          <span className="coupon-stat-label">Total Discount Given</span>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="coupon-empty">Loading coupons...</p>
+      ) : coupons.length === 0 ? (
+        <p className="coupon-empty">No coupons yet. Create your first promo code.</p>
+      ) : (
+        <div className="coupon-list">
+          {coupons.map(coupon => (
+            <div key={coupon._id} className={`coupon-card ${coupon.isActive ? '' : 'inactive'}`}>
+              <div className="coupon-main">
+                <div className="coupon-code-row">
+                  <span className="coupon-code">{coupon.code}</span>
+                  <span className="coupon-discount">{describeDiscount(coupon)}</span>
+                  {coupon.firstOrderOnly && <span className="coupon-tag">First order</span>}
+                  {coupon.isPublic && <span className="coupon-tag">Shown in cart</span>}
+                </div>
+                {coupon.description && <p className="coupon-description">{coupon.description}</p>}
+                <div className="coupon-rules">
+                  <span>Min cart ₹{coupon.minOrderAmount}</span>
+                  <span>{describeValidity(coupon)}</span>
+                  <span>Used {coupon.usedCount}{coupon.usageLimit > 0 ? ` / ${coupon.usageLimit}` : ''}</span>
+                  <span>{coupon.perUserLimit > 0 ? `${coupon.perUserLimit} per customer` : 'Unlimited per customer'}</span>
+                  {coupon.categories.length > 0 && <span>Only: {coupon.categories.join(', ')}</span>}
+                </div>
+              </div>
+              <div className="coupon-report">
+                <span><strong>{coupon.orders}</strong> orders</span>
+                <span><strong>₹{Math.round(coupon.totalDiscount)}</strong> discount</span>
+                <span><strong>₹{Math.round(coupon.revenue)}</strong> revenue</span>
+              </div>
+              <div className="coupon-actions">
+                <button onClick={() => openEditModal(coupon)}>Edit</button>
+                <button onClick={() => handleToggle(coupon._id)}>{coupon.isActive ? 'Disable' : 'Enable'}</button>
+                <button className="danger" onClick={() => handleDelete(coupon._id, coupon.code)}>Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showModal && (
+        <div className="coupon-modal-overlay" onClick={() => setShowModal(false)}>
+          <form className="coupon-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+            <h3>{editingCoupon ? `Edit ${editingCoupon.code}` : 'New Coupon'}</h3>
+
+            <div className="coupon-form-grid">
+              <label>
+                Code
+                <input name="code" value={formData.code} onChange={handleInputChange} placeholder="SAVE20" required />
+              </label>
+              <label>
+                Description
+                <input name="description" value={formData.description} onChange={handleInputChange} placeholder="20% off on all orders" />
+              </label>
+              <label>
+                Discount Type
+                <select name="discountType" value={formData.discountType} onChange={handleInputChange}>
+                  <option value="percent">Percentage</option>
+                  <option value="flat">Flat amount</option>
+                </select>
+              </label>
+              <label>
+                {formData.discountType === 'percent' ? 'Discount (%)' : 'Discount (₹)'}
+                <input name="discountValue" type="number" min="0" value={formData.discountValue} onChange={handleInputChange} required />
+              </label>
+              <label>
+                Minimum Cart (₹)
+                <input name="minOrderAmount" type="number" min="0" value={formData.minOrderAmount} onChange={handleInputChange} />
+              </label>
+              <label>
+                Max Discount (₹, 0 = no cap)
+                <input name="maxDiscount" type="number" min="0" value={formData.maxDiscount} onChange={handleInputChange} disabled={formData.discountType === 'flat'} />
+              </label>
+              <label>
+                Valid From
+                <input name="validFrom" type="date" value={formData.validFrom} onChange={handleInputChange} />
+              </label>
+              <label>
+                Valid Until
+                <input name="validUntil" type="date" value={formData.validUntil} onChange={handleInputChange} />
+              </label>
+              <label>
+                Total Uses (0 = unlimited)
+                <input name="usageLimit" type="number" min="0" value={formData.usageLimit} onChange={handleInputChange} />
+              </label>
+              <label>
+                Uses per Customer (0 = unlimited)
+                <input name="perUserLimit" type="number" min="0" value={formData.perUserLimit} onChange={handleInputChange} />
+              </label>
+            </div>
+
+            <div className="coupon-checkboxes">
+              <label>
+                <input type="checkbox" name="firstOrderOnly" checked={formData.firstOrderOnly} onChange={handleInputChange} />
+                First order only
+              </label>
+              <label>
+                <input type="checkbox" name="isPublic" checked={formData.isPublic} onChange={handleInputChange} />
+                Suggest on cart page
+              </label>
+            </div>
+
+            <div className="coupon-categories">
+              <span>Only for categories (leave empty for the whole menu)</span>
+              <div className="coupon-category-list">
+                {categoryOptions.map(category => (
+                  <button
+                    type="button"
+                    key={category}
+                    className={formData.categories.includes(category) ? 'selected' : ''}
+                    onClick={() => handleCategoryToggle(category)}
+                  >
+                    {category}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="coupon-modal-footer">
+              <button type="button" onClick={() => setShowModal(false)}>Cancel</button>
+              <button type="submit" className="primary">{editingCoupon ? 'Save Changes' : 'Create Coupon'}</button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import './Inbox.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+// Topics on the website's Contact page
+const subjectLabels = {
+  general: 'General Inquiry',
+  order: 'Order Related',
+  feedback: 'Feedback',
+  complaint: 'Complaint',
+  partnership: 'Partnership',
+  careers: 'Careers',
+  other: 'Other'
+};
+
+const statusOptions = [
+  { value: 'new', label: 'New' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'resolved', label: 'Resolved' }
+];
+
+const filters = [
+  { value: 'open', label: 'Open' },
+  ...statusOptions,
+  { value: 'mine', label: 'Assigned to me' },
+  { value: 'all', label: 'All' }
+];
+
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Messages sent through the Contact page: read them, hand them to someone and reply by email
+const Inbox = ({ url, events, admin }) => {
+  const [messages, setMessages] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [staff, setStaff] = useState([]);
+  const [filter, setFilter] = useState('open');
+  const [selectedId, setSelectedId] = useState(null);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchMessages = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    try {
+      const params = statusOptions.some(option => option.value === filter)
+        ? { status: filter }
+        : filter === 'mine' ? { assigned: 'me' } : {};
+      const response = await axios.get(`${url}/api/contact/list`, { params });
+      if (response.data.success) {
+        // "Open" is everything not yet resolved
+        setMessages(filter === 'open' ? response.data.data.filter(m => m.status !== 'resolved') : response.data.data);
+        setCounts(response.data.counts);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      toast.error('Error loading messages');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchMessages();
+  }, [filter]);
+
+  useEffect(() => {
+    axios.get(`${url}/api/contact/staff`)
+      .then((response) => {
+        if (response.data.success) setStaff(response.data.data);
+      })
+      .catch((error) => console.error('Error fetching staff:', error));
+  }, [url]);
+
+  // New messages and changes made by other staff
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'message:update'];
+    const refresh = () => fetchMessages({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events, filter]);
+
+  const selected = messages.find(m => m._id === selectedId);
+
+  const replaceMessage = (updated) => {
+    setMessages(prev => prev.map(m => m._id === updated._id ? updated : m));
+  };
+
+  const updateMessage = async (changes) => {
+    try {
+      const response = await axios.post(`${url}/api/contact/update`, { messageId: selected._id, ...changes });
+      if (response.data.success) {
+        replaceMessage(response.data.data);
+        fetchMessages({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error updating message:', error);
+      toast.error('Error updating message');
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await axios.post(`${url}/api/contact/reply`, { messageId: selected._id, body: reply });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        replaceMessage(response.data.data);
+        setReply('');
+        fetchMessages({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      toast.error('Error sending reply');
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="inbox-page">
+      <div className="inbox-header">
+        <div className="header-left">
+          <h2>✉️ Inbox</h2>
+          <p>Messages from the Contact page</p>
+        </div>
+        <div className="inbox-counts">
+          <span className="inbox-count new">{counts.new || 0} new</span>
+          <span className="inbox-count in-progress">{counts['in-progress'] || 0} in progress</span>
+        </div>
+      </div>
+
+      <div className="inbox-filters">
+        {filters.map(option => (
+          <button
+            key={option.value}
+            className={filter === option.value ? 'active' : ''}
+            onClick={() => setFilter(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="inbox-layout">
+        <div className="inbox-list">
+          {loading ? (
+            <p className="inbox-empty">Loading messages...</p>
+          ) : messages.length === 0 ? (
+            <p className="inbox-empty">No messages here.</p>
+          ) : (
+            messages.map(message => (
+              <button
+                key={message._id}
+                className={`inbox-item ${message.status} ${selectedId === message._id ? 'selected' : ''}`}
+                onClick={() => setSelectedId(message._id)}
+              >
+                <div className="inbox-item-top">
+                  <span className="inbox-item-name">{message.name}</span>
+                  <span className="inbox-item-time">{formatTime(message.lastMessageAt)}</span>
+                </div>
+                <span className="inbox-item-subject">{subjectLabels[message.subject] || message.subject}</span>
+                <span className="inbox-item-preview">{message.thread[message.thread.length - 1]?.body}</span>
+                <div className="inbox-item-tags">
+                  <span className={`inbox-status ${message.status}`}>
+                    {statusOptions.find(option => option.value === message.status)?.label}
+                  </span>
+                  {message.assignedToName && <span className="inbox-assignee">👤 {message.assignedToName}</span>}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="inbox-detail">
+          {!selected ? (
+            <p className="inbox-empty">Choose a message to read it.</p>
+          ) : (
+            <>
+              <div className="inbox-detail-header">
+                <div>
+                  <h3>{subjectLabels[selected.subject] || selected.subject}</h3>
+                  <p>
+                    {selected.name} · <a href={`mailto:${selected.email}`}>{selected.email}</a>
+                    {selected.phone && <> · {selected.phone}</>}
+                  </p>
+                </div>
+                <div className="inbox-detail-controls">
+                  <select value={selected.status} onChange={(e) => updateMessage({ status: e.target.value })}>
+                    {statusOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <select value={selected.assignedTo || ''} onChange={(e) => updateMessage({ assignedTo: e.target.value })}>
+                    <option value="">Unassigned</option>
+                    {staff.map(member => (
+                      <option key={member._id} value={member._id}>
+                        {member.name}{member._id === admin._id ? ' (me)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="inbox-thread">
+                {selected.thread.map(entry => (
+                  <div key={entry._id} className={`inbox-entry ${entry.from}`}>
+                    <div className="inbox-entry-meta">
+                      <strong>{entry.authorName}</strong>
+                      <span>{formatTime(entry.sentAt)}</span>
+                    </div>
+                    <p>{entry.body}</p>
+                  </div>
+                ))}
+              </div>
+
+              <form className="inbox-reply" onSubmit={sendReply}>
+                <textarea
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  placeholder={`Reply to ${selected.name}...`}
+                  rows="4"
+                  maxLength="5000"
+                  required
+                />
+                <div className="inbox-reply-footer">
+                  <span>Sent by email to {selected.email}</span>
+                  <button type="submit" disabled={sending || !reply.trim()}>
+                    {sending ? 'Sending...' : 'Send Reply'}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Inbox;
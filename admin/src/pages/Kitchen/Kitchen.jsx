@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import './Kitchen.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+
+// Minutes after which an order ticket turns amber, then red
+const WARN_AFTER_MINUTES = 10;
+const LATE_AFTER_MINUTES = 20;
+// Pre-orders turn amber this many minutes before the guests are due
+const PREORDER_WARN_MINUTES = 30;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+    : `${minutes}:${seconds}`;
+};
+
+// Timer text and urgency for a ticket at time `now`
+const getTicketTiming = (ticket, now) => {
+  if (ticket.type === 'booking') {
+    if (!ticket.dueAt) return { text: 'Today', level: 'normal' };
+    const untilDue = new Date(ticket.dueAt) - now;
+    if (untilDue < 0) return { text: `${formatDuration(untilDue)} late`, level: 'late' };
+    return {
+      text: `Due in ${formatDuration(untilDue)}`,
+      level: untilDue < PREORDER_WARN_MINUTES * 60000 ? 'warn' : 'normal'
+    };
+  }
+
+  const elapsed = now - new Date(ticket.startedAt);
+  const minutes = elapsed / 60000;
+  return {
+    text: formatDuration(elapsed),
+    level: minutes >= LATE_AFTER_MINUTES ? 'late' : minutes >= WARN_AFTER_MINUTES ? 'warn' : 'normal'
+  };
+};
+
+const Kitchen = ({ url, events }) => {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(Date.now());
+  const [busyTicket, setBusyTicket] = useState(null);
+
+  const fetchTickets = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/kitchen/tickets`);
+      if (response.data.success) {
+        setTickets(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to load kitchen tickets');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchTickets();
+  }, []);
+
+  // Timers tick every second
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // New orders, status changes and bumps from other kitchen screens
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'order:new', 'order:status', 'kitchen:update', 'booking:new', 'booking:status', 'booking:changed', 'booking:deleted'];
+    const refresh = () => fetchTickets({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events]);
+
+  const toggleItem = async (ticket, itemIndex) => {
+    const bumped = !ticket.items[itemIndex].bumped;
+
+    // Strike the item through straight away, the server catches up
+    setTickets(prev => prev.map(t => t.id === ticket.id
+      ? { ...t, items: t.items.map((item, idx) => idx === itemIndex ? { ...item, bumped } : item) }
+      : t
+    ));
+
+    try {
+      const response = await axios.post(`${url}/api/kitchen/bump`, { type: ticket.type, id: ticket.id, itemIndex, bumped });
+      if (!response.data.success) {
+        toast.error(response.data.message);
+        fetchTickets({ quiet: true });
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to update item');
+      fetchTickets({ quiet: true });
+    }
+  };
+
+  const advanceTicket = async (ticket, status) => {
+    setBusyTicket(ticket.id);
+    try {
+      const response = await axios.post(`${url}/api/kitchen/advance`, { type: ticket.type, id: ticket.id, status });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        await fetchTickets({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to update ticket');
+    }
+    setBusyTicket(null);
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  };
+
+  const orderCount = tickets.filter(t => t.type === 'order').length;
+  const lateCount = tickets.filter(t => getTicketTiming(t, now).level === 'late').length;
+
+  return (
+    <div className="kds-page">
+      <header className="kds-header">
+        <div className="kds-title">
+          <h1>🍳 Kitchen Display</h1>
+          <span className="kds-clock">
+            {new Date(now).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+          </span>
+        </div>
+        <div className="kds-summary">
+          <span className="kds-count">{orderCount} orders</span>
+          <span className="kds-count">{tickets.length - orderCount} pre-orders</span>
+          {lateCount > 0 && <span className="kds-count late">{lateCount} late</span>}
+        </div>
+        <div className="kds-header-actions">
+          <button onClick={toggleFullscreen}>⛶ Full screen</button>
+          <Link to="/orders">Exit</Link>
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="kds-loading">
+          <div className="kds-spinner"></div>
+        </div>
+      ) : tickets.length === 0 ? (
+        <div className="kds-empty">
+          <span>✅</span>
+          <p>No tickets. The kitchen is all caught up.</p>
+        </div>
+      ) : (
+        <div className="kds-grid">
+          {tickets.map(ticket => {
+            const timing = getTicketTiming(ticket, now);
+            const allBumped = ticket.items.length > 0 && ticket.items.every(item => item.bumped);
+            return (
+              <div key={ticket.id} className={`kds-ticket ${timing.level}`}>
+                <div className="kds-ticket-header">
+                  <div>
+                    <span className="kds-ticket-ref">{ticket.ref}</span>
+                    <span className="kds-ticket-type">
+                      {ticket.type === 'booking' ? '📅 Dine-in pre-order' : `🛵 ${ticket.status}`}
+                    </span>
+                  </div>
+                  <span className="kds-ticket-timer">{timing.text}</span>
+                </div>
+
+                {ticket.label && <p className="kds-ticket-label">{ticket.label}</p>}
+
+                <ul className="kds-items">
+                  {ticket.items.map((item, idx) => (
+                    <li
+                      key={idx}
+                      className={item.bumped ? 'bumped' : ''}
+                      onClick={() => toggleItem(ticket, idx)}
+                    >
+                      <span className="kds-item-qty">{item.quantity}×</span>
+                      <span className="kds-item-name">
+                        {item.name}
+                        {item.options?.length > 0 && <small className="kds-item-options">{item.options.join(', ')}</small>}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                {ticket.notes && <p className="kds-ticket-notes">📝 {ticket.notes}</p>}
+
+                <div className="kds-ticket-actions">
+                  {ticket.type === 'order' && ticket.status !== 'Preparing' && (
+                    <button
+                      className="kds-start-btn"
+                      disabled={busyTicket === ticket.id}
+                      onClick={() => advanceTicket(ticket, 'Preparing')}
+                    >
+                      Start
+                    </button>
+                  )}
+                  <button
+                    className={`kds-ready-btn ${allBumped ? 'highlight' : ''}`}
+                    disabled={busyTicket === ticket.id}
+                    onClick={() => advanceTicket(ticket, 'Ready')}
+                  >
+                    ✓ Ready
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Kitchen;
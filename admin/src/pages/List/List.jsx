@@ -2,13 +2,22 @@ import React, { useEffect, useState } from 'react'
 import './List.css'
 import { toast } from "react-toastify";
 import axios from 'axios'
+import DishAttributes from '../../components/DishAttributes/DishAttributes'
+import { attributesFromItem, attributesToPayload, needsDetails, dietaryOptions, spiceLevels } from '../../components/DishAttributes/dishAttributes'
+import ModifierGroups from '../../components/ModifierGroups/ModifierGroups'
+import { groupsFromItem, groupsToPayload } from '../../components/ModifierGroups/modifierGroups'
 
 const List = ({url}) => {
   const [list, setList] = useState([])
+  const [favouriteCounts, setFavouriteCounts] = useState({})
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('All')
   const [selectedStatus, setSelectedStatus] = useState('All')
+  const [showNeedsDetails, setShowNeedsDetails] = useState(false)
+  const [editingItem, setEditingItem] = useState(null)
+  const [editForm, setEditForm] = useState(null)
+  const [saving, setSaving] = useState(false)
 
   const fetchList = async () => {
     setLoading(true)
@@ -25,6 +34,18 @@ const List = ({url}) => {
     setLoading(false)
   }
 
+  // How many customers have favourited each dish
+  const fetchFavouriteCounts = async () => {
+    try {
+      const response = await axios.get(`${url}/api/food/favourites`)
+      if (response.data.success) {
+        setFavouriteCounts(response.data.data)
+      }
+    } catch (error) {
+      console.error("Error fetching favourite counts:", error)
+    }
+  }
+
   const deleteFood = async (id, name) => {
     if (!window.confirm(`Are you sure you want to delete "${name}"?`)) return;
     
@@ -55,8 +76,48 @@ const List = ({url}) => {
     }
   };
 
+  const openEditor = (item) => {
+    setEditingItem(item)
+    setEditForm({
+      name: item.name,
+      description: item.description,
+      category: item.category,
+      price: String(item.price),
+      ...attributesFromItem(item),
+      modifierGroups: groupsFromItem(item)
+    })
+  }
+
+  const saveItem = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const response = await axios.post(`${url}/api/food/update`, {
+        id: editingItem._id,
+        name: editForm.name,
+        description: editForm.description,
+        category: editForm.category,
+        price: editForm.price,
+        ...attributesToPayload(editForm),
+        modifierGroups: groupsToPayload(editForm.modifierGroups)
+      })
+      if (response.data.success) {
+        toast.success(response.data.message)
+        setList(prev => prev.map(item => item._id === editingItem._id ? response.data.data : item))
+        setEditingItem(null)
+      } else {
+        toast.error(response.data.message)
+      }
+    } catch (error) {
+      console.error("Error updating item:", error)
+      toast.error("Failed to update item")
+    }
+    setSaving(false)
+  }
+
   useEffect(() => {
     fetchList()
+    fetchFavouriteCounts()
   }, [])
 
   // Get unique categories
@@ -83,9 +144,12 @@ const List = ({url}) => {
     const matchesCategory = selectedCategory === 'All' || item.category === selectedCategory
     const itemStatus = item.status || 'available'
     const matchesStatus = selectedStatus === 'All' || itemStatus === selectedStatus
-    return matchesSearch && matchesCategory && matchesStatus
+    return matchesSearch && matchesCategory && matchesStatus && (!showNeedsDetails || needsDetails(item))
   })
 
+  // Dishes the menu's diet and allergen filters leave out until someone fills them in
+  const needsDetailsCount = list.filter(needsDetails).length
+
   return (
     <div className="list-page">
       <div className="page-header">
@@ -93,7 +157,7 @@ const List = ({url}) => {
           <h1>Menu Items</h1>
           <p>Manage your restaurant menu</p>
         </div>
-        <button className="btn-refresh" onClick={fetchList}>
+        <button className="btn-refresh" onClick={() => { fetchList(); fetchFavouriteCounts(); }}>
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <path d="M23 4v6h-6M1 20v-6h6M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
           </svg>
@@ -154,6 +218,18 @@ const List = ({url}) => {
         </div>
       </div>
 
+      {needsDetailsCount > 0 && (
+        <div className="list-notice">
+          <span>
+            {needsDetailsCount} dish{needsDetailsCount === 1 ? ' is' : 'es are'} missing a dietary type or allergens.
+            Guests filtering the menu by diet or allergen won&apos;t see {needsDetailsCount === 1 ? 'it' : 'them'} until they are filled in.
+          </span>
+          <button type="button" onClick={() => setShowNeedsDetails(show => !show)}>
+            {showNeedsDetails ? 'Show all dishes' : 'Show these dishes'}
+          </button>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="list-filters">
         <div className="search-box">
@@ -230,6 +306,23 @@ const List = ({url}) => {
                 <div className="item-details">
                   <h3>{item.name}</h3>
                   <p className="item-description">{item.description?.slice(0, 60)}...</p>
+
+                  <div className="item-attributes">
+                    <span className={`item-diet ${item.dietaryType || 'unknown'}`}>
+                      {dietaryOptions.find(option => option.value === item.dietaryType)?.label || 'Diet not set'}
+                    </span>
+                    {item.spiceLevel > 0 && <span title={spiceLevels[item.spiceLevel]}>{'🌶️'.repeat(item.spiceLevel)}</span>}
+                    {item.prepTime > 0 && <span>⏱ {item.prepTime} min</span>}
+                    {item.nutrition?.calories > 0 && <span>{item.nutrition.calories} kcal</span>}
+                    {!item.allergens && <span className="item-allergens unknown">Allergens not checked</span>}
+                    {item.allergens?.length > 0 && <span className="item-allergens">⚠ {item.allergens.join(', ')}</span>}
+                    {item.tags?.map(tag => <span key={tag} className="item-tag">#{tag}</span>)}
+                    {item.modifierGroups?.length > 0 && (
+                      <span title={item.modifierGroups.map(group => group.name).join(', ')}>
+                        ⚙ {item.modifierGroups.length} option group{item.modifierGroups.length === 1 ? '' : 's'}
+                      </span>
+                    )}
+                  </div>
                   
                   {/* Status Controls */}
                   <div className="status-controls">
@@ -270,6 +363,16 @@ const List = ({url}) => {
 
                   <div className="item-footer">
                     <span className="item-price">₹{item.price}</span>
+                    <span className="item-favourites" title="Customers who favourited this dish">
+                      ❤️ {favouriteCounts[item._id] || 0}
+                    </span>
+                    <button className="edit-btn" onClick={() => openEditor(item)}>
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                      </svg>
+                      Edit
+                    </button>
                     <button 
                       className="delete-btn"
                       onClick={() => deleteFood(item._id, item.name)}
@@ -286,6 +389,72 @@ const List = ({url}) => {
           })}
         </div>
       )}
+
+      {/* Edit Item */}
+      {editingItem && (
+        <div className="edit-modal-overlay" onClick={() => setEditingItem(null)}>
+          <form className="edit-modal" onClick={(e) => e.stopPropagation()} onSubmit={saveItem}>
+            <h3>Edit {editingItem.name}</h3>
+            <div className="edit-form-grid">
+              <label className="full-width">
+                Name
+                <input
+                  value={editForm.name}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, name: e.target.value }))}
+                  required
+                />
+              </label>
+              <label className="full-width">
+                Description
+                <textarea
+                  value={editForm.description}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, description: e.target.value }))}
+                  rows="3"
+                  required
+                />
+              </label>
+              <label>
+                Category
+                <select
+                  value={editForm.category}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, category: e.target.value }))}
+                >
+                  {categories.filter(cat => cat !== 'All').map(cat => (
+                    <option key={cat} value={cat}>{cat}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Price (₹)
+                <input
+                  type="number"
+                  min="0"
+                  value={editForm.price}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, price: e.target.value }))}
+                  required
+                />
+              </label>
+            </div>
+
+            <DishAttributes
+              values={editForm}
+              onChange={(changes) => setEditForm(prev => ({ ...prev, ...changes }))}
+            />
+
+            <ModifierGroups
+              groups={editForm.modifierGroups}
+              onChange={(modifierGroups) => setEditForm(prev => ({ ...prev, modifierGroups }))}
+            />
+
+            <div className="edit-modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={() => setEditingItem(null)}>Cancel</button>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import './Login.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const Login = ({ url, onLogin }) => {
+  const [data, setData] = useState({ email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const onChangeHandler = (e) => {
+    const { name, value } = e.target;
+    setData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const onSubmitHandler = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`${url}/api/admin/login`, data);
+      if (response.data.success) {
+        toast.success(`Welcome back, ${response.data.data.name}!`);
+        onLogin(response.data.token, response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Login failed. Please try again.');
+    }
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="admin-login-page">
+      <form className="admin-login-card" onSubmit={onSubmitHandler}>
+        <img className="login-logo" src="/savantxeats.png" alt="SavantX Eats" />
+        <h1>Admin Panel</h1>
+        <p className="login-subtitle">Sign in with your staff account</p>
+
+        <div className="login-field">
+          <label>Email</label>
+          <input
+            type="email"
+            name="email"
+            value={data.email}
+            onChange={onChangeHandler}
+            placeholder="you@savantxeats.com"
+            required
+          />
+        </div>
+
+        <div className="login-field">
+          <label>Password</label>
+          <input
+            type="password"
+            name="password"
+            value={data.password}
+            onChange={onChangeHandler}
+            placeholder="Enter your password"
+            required
+          />
+        </div>
+
+        <button type="submit" className="login-btn" disabled={isSubmitting}>
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -6,12 +6,22 @@ import { toast } from "react-toastify";
 import { useEffect } from "react";
 import { assets } from "../../assets/assets";
 
-const Orders = ({ url }) => {
+// Online payment still available to refund (pending refunds count as already taken)
+const getRefundableAmount = (order) => {
+  if (!order.payment || order.paymentMethod === 'COD' || !order.paymentId) return 0;
+  const pending = (order.refunds || [])
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, Math.round((order.amount - (order.refundedAmount || 0) - pending) * 100) / 100);
+};
+
+const Orders = ({ url, events, canRefund }) => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [refundForm, setRefundForm] = useState(null);
 
-  const fetchAllOrder = async () => {
-    setLoading(true);
+  const fetchAllOrder = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     try {
       const response = await axios.get(`${url}/api/order/list`);
       if (response.data.success) {
@@ -37,7 +47,7 @@ const Orders = ({ url }) => {
         status: event.target.value
       });
       if (response.data.success) {
-        toast.success("Order status updated!");
+        toast.success(response.data.message);
         await fetchAllOrder();
       } else {
         toast.error(response.data.message);
@@ -52,6 +62,42 @@ const Orders = ({ url }) => {
     fetchAllOrder();
   }, []);
 
+  // Pick up new orders and status changes made on other screens
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'order:new', 'order:status'];
+    const refresh = () => fetchAllOrder({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events]);
+
+  const openRefundForm = (order) => {
+    setRefundForm({ orderId: order._id, amount: getRefundableAmount(order), max: getRefundableAmount(order), reason: '' });
+  };
+
+  const submitRefund = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Refund ₹${refundForm.amount} to the customer?`)) return;
+
+    try {
+      const response = await axios.post(`${url}/api/order/refund`, {
+        orderId: refundForm.orderId,
+        amount: Number(refundForm.amount),
+        reason: refundForm.reason
+      });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setRefundForm(null);
+      } else {
+        toast.error(response.data.message);
+      }
+      await fetchAllOrder();
+    } catch (error) {
+      console.log(error);
+      toast.error("Failed to refund order");
+    }
+  };
+
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -64,12 +110,32 @@ const Orders = ({ url }) => {
     });
   };
 
+  const statusIcons = {
+    'Pending Payment': '💳',
+    'Payment Failed': '⚠️',
+    'Placed': '📝',
+    'Accepted': '👍',
+    'Preparing': '🍳',
+    'Ready': '🛍️',
+    'Out for delivery': '🚚',
+    'Delivered': '✅',
+    'Cancelled': '❌',
+    'Rejected': '🚫'
+  };
+
   // Get status color
   const getStatusColor = (status) => {
     switch (status) {
-      case 'Food Processing': return '#f59e0b';
+      case 'Pending Payment': return '#a855f7';
+      case 'Placed': return '#6366f1';
+      case 'Accepted':
+      case 'Preparing':
+      case 'Ready': return '#f59e0b';
       case 'Out for delivery': return '#3b82f6';
       case 'Delivered': return '#10b981';
+      case 'Payment Failed':
+      case 'Cancelled':
+      case 'Rejected': return '#ef4444';
       default: return '#6b7280';
     }
   };
@@ -93,7 +159,7 @@ const Orders = ({ url }) => {
           <span className="stat-label">Total Orders</span>
         </div>
         <div className="stat-card">
-          <span className="stat-number">{orders.filter(o => o.status === 'Food Processing').length}</span>
+          <span className="stat-number">{orders.filter(o => ['Placed', 'Accepted', 'Preparing', 'Ready'].includes(o.status)).length}</span>
           <span className="stat-label">Processing</span>
         </div>
         <div className="stat-card">
@@ -145,7 +211,7 @@ const Orders = ({ url }) => {
                   <div className="items-list">
                     {order.items.map((item, idx) => (
                       <span key={idx} className="item-tag">
-                        {item.name} × {item.quantity}
+                        {item.name}{item.options?.length > 0 && ` (${item.options.map(option => option.name).join(', ')})`} × {item.quantity}
                       </span>
                     ))}
                   </div>
@@ -183,6 +249,21 @@ const Orders = ({ url }) => {
                     <span>Amount</span>
                     <span>₹{order.amount}</span>
                   </div>
+                  {order.refunds && order.refunds.length > 0 && (
+                    <div className="order-refunds">
+                      {order.refunds.map(refund => (
+                        <div key={refund._id} className={`refund-row ${refund.status}`} title={refund.failureReason || refund.reason}>
+                          <span>↩ ₹{refund.amount}</span>
+                          <span className="refund-status">{refund.status}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {canRefund && getRefundableAmount(order) > 0 && (
+                    <button className="refund-btn" onClick={() => openRefundForm(order)}>
+                      ↩ Refund
+                    </button>
+                  )}
                 </div>
 
                 <div className="order-status-section">
@@ -191,17 +272,68 @@ const Orders = ({ url }) => {
                     value={order.status} 
                     onChange={(event) => statusHandler(event, order._id)}
                     style={{ borderColor: getStatusColor(order.status) }}
+                    disabled={!order.nextStatuses || order.nextStatuses.length === 0}
                   >
-                    <option value="Food Processing">🍳 Food Processing</option>
-                    <option value="Out for delivery">🚚 Out for Delivery</option>
-                    <option value="Delivered">✅ Delivered</option>
+                    {[order.status, ...(order.nextStatuses || [])].map(status => (
+                      <option key={status} value={status}>{statusIcons[status]} {status}</option>
+                    ))}
                   </select>
+                  {order.statusHistory && order.statusHistory.length > 0 && (
+                    <ul className="status-history">
+                      {order.statusHistory.slice().reverse().map((entry, idx) => (
+                        <li key={idx}>
+                          <span className="status-history-dot" style={{ background: getStatusColor(entry.status) }}></span>
+                          <span className="status-history-status">{entry.status}</span>
+                          <span className="status-history-meta">
+                            {formatDate(entry.at)}
+                            {entry.actor?.name ? ` · ${entry.actor.name}` : ` · ${entry.actor?.type || 'system'}`}
+                          </span>
+                          {entry.note && <span className="status-history-note">{entry.note}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {/* Refund Form */}
+      {refundForm && (
+        <div className="refund-modal-overlay" onClick={() => setRefundForm(null)}>
+          <form className="refund-modal" onClick={(e) => e.stopPropagation()} onSubmit={submitRefund}>
+            <h3>Refund Order #{refundForm.orderId.slice(-8).toUpperCase()}</h3>
+            <p>Up to ₹{refundForm.max} can be refunded to the original payment method.</p>
+            <label>
+              Amount (₹)
+              <input
+                type="number"
+                min="1"
+                step="0.01"
+                max={refundForm.max}
+                value={refundForm.amount}
+                onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })}
+                required
+              />
+            </label>
+            <label>
+              Reason
+              <input
+                type="text"
+                placeholder="e.g. Item missing, order cancelled"
+                value={refundForm.reason}
+                onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+              />
+            </label>
+            <div className="refund-modal-footer">
+              <button type="button" onClick={() => setRefundForm(null)}>Cancel</button>
+              <button type="submit" className="primary">Refund ₹{refundForm.amount || 0}</button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
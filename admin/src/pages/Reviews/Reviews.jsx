@@ -0,0 +1,150 @@
+import { useState, useEffect } from 'react';
+import './Reviews.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const statusOptions = [
+  { value: 'pending', label: 'Waiting' },
+  { value: 'approved', label: 'Published' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Customer reviews waiting to be checked. Only approved reviews count towards a dish's rating.
+const Reviews = ({ url, events }) => {
+  const [reviews, setReviews] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+
+  const fetchReviews = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/review/queue`, { params: { status } });
+      if (response.data.success) {
+        setReviews(response.data.data);
+        setCounts(response.data.counts);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      toast.error('Error loading reviews');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchReviews();
+  }, [status]);
+
+  // New reviews and decisions made by other staff
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'review:update'];
+    const refresh = () => fetchReviews({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events, status]);
+
+  const moderateReview = async (review, newStatus) => {
+    let reason = '';
+    if (newStatus === 'rejected') {
+      const answer = window.prompt('Reason shown to the customer (optional):', '');
+      if (answer === null) return;
+      reason = answer;
+    }
+    try {
+      const response = await axios.post(`${url}/api/review/moderate`, { reviewId: review._id, status: newStatus, reason });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchReviews({ quiet: true });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      toast.error('Error updating review');
+    }
+  };
+
+  return (
+    <div className="reviews-page">
+      <div className="reviews-header">
+        <div className="header-left">
+          <h2>⭐ Reviews</h2>
+          <p>Check customer reviews before they appear on the menu</p>
+        </div>
+      </div>
+
+      <div className="reviews-filters">
+        {statusOptions.map(option => (
+          <button
+            key={option.value}
+            className={status === option.value ? 'active' : ''}
+            onClick={() => setStatus(option.value)}
+          >
+            {option.label} ({counts[option.value] || 0})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <p className="reviews-empty">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <p className="reviews-empty">
+          {status === 'pending' ? 'All caught up - no reviews waiting.' : 'No reviews here.'}
+        </p>
+      ) : (
+        <div className="reviews-grid">
+          {reviews.map(review => (
+            <div key={review._id} className={`review-card ${review.status}`}>
+              <div className="review-card-top">
+                <div>
+                  <h3>{review.foodName}</h3>
+                  <span className="review-author">{review.userName} · {formatTime(review.updatedAt)}</span>
+                </div>
+                <span className="review-stars">
+                  {'★'.repeat(review.rating)}<span>{'★'.repeat(5 - review.rating)}</span>
+                </span>
+              </div>
+
+              {review.text ? <p className="review-text">{review.text}</p> : <p className="review-text empty">No written review</p>}
+              {review.photo && (
+                <a href={review.photo} target="_blank" rel="noreferrer">
+                  <img className="review-photo" src={review.photo} alt={`Photo of ${review.foodName}`} />
+                </a>
+              )}
+
+              {review.status !== 'pending' && (
+                <p className="review-moderation">
+                  {review.status === 'approved' ? 'Published' : 'Rejected'} by {review.moderatedByName}
+                  {review.rejectReason && ` - ${review.rejectReason}`}
+                </p>
+              )}
+
+              <div className="review-actions">
+                {review.status !== 'approved' && (
+                  <button className="approve" onClick={() => moderateReview(review, 'approved')}>Publish</button>
+                )}
+                {review.status !== 'rejected' && (
+                  <button className="reject" onClick={() => moderateReview(review, 'rejected')}>
+                    {review.status === 'approved' ? 'Unpublish' : 'Reject'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,307 @@
+import { useState, useEffect } from 'react';
+import './Settings.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const bookingRules = [
+  { name: 'slotIntervalMinutes', label: 'Minutes between slots' },
+  { name: 'lastSeatingMinutes', label: 'Last booking before closing (min)' },
+  { name: 'minNoticeMinutes', label: 'Minimum notice (min)' },
+  { name: 'maxAdvanceDays', label: 'Bookable days ahead' }
+];
+
+const noShowRules = [
+  { name: 'noShowGraceMinutes', label: 'Mark as no-show after (min late, 0 = never)' },
+  { name: 'noShowDepositThreshold', label: 'Require a deposit after this many no-shows (0 = never)' },
+  { name: 'noShowDepositAmount', label: 'Deposit amount (₹)' }
+];
+
+const depositModes = [
+  { value: 'none', label: 'No deposit' },
+  { value: 'perTable', label: 'Fixed amount per table' },
+  { value: 'perGuest', label: 'Fixed amount per guest' },
+  { value: 'perHour', label: "Each table's price per hour" }
+];
+
+const newShift = () => ({ open: '12:00', close: '15:00' });
+
+// Shift rows shared by the weekly schedule, special hours and peak slots
+const ShiftEditor = ({ shifts, onChange, emptyLabel = 'Closed', addLabel = '+ Add shift' }) => {
+  const updateShift = (index, field, value) => {
+    onChange(shifts.map((shift, idx) => idx === index ? { ...shift, [field]: value } : shift));
+  };
+
+  return (
+    <div className="settings-shifts">
+      {shifts.length === 0 && <span className="settings-closed">{emptyLabel}</span>}
+      {shifts.map((shift, index) => (
+        <div key={index} className="settings-shift">
+          <input type="time" value={shift.open} onChange={(e) => updateShift(index, 'open', e.target.value)} />
+          <span>to</span>
+          <input type="time" value={shift.close} onChange={(e) => updateShift(index, 'close', e.target.value)} />
+          <button type="button" className="settings-remove" onClick={() => onChange(shifts.filter((_, idx) => idx !== index))}>✕</button>
+        </div>
+      ))}
+      <button type="button" className="settings-link" onClick={() => onChange([...shifts, newShift()])}>{addLabel}</button>
+    </div>
+  );
+};
+
+const Settings = ({ url }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [closureForm, setClosureForm] = useState({ date: '', reason: '' });
+  const [specialForm, setSpecialForm] = useState({ date: '', note: '' });
+
+  const fetchSettings = async () => {
+    try {
+      const response = await axios.get(`${url}/api/settings`);
+      if (response.data.success) {
+        const data = response.data.data;
+        // Always show all seven days, in order
+        const openingHours = weekdays.map((_, day) => ({
+          day,
+          shifts: (data.openingHours.find(h => h.day === day) || { shifts: [] }).shifts
+        }));
+        setSettings({ ...data, openingHours });
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to load settings');
+    }
+  };
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  // Peak slots are stored as one list; the editor shows them day by day
+  const setPeakSlots = (day, shifts) => {
+    update({
+      peakSlots: [
+        ...settings.peakSlots.filter(slot => slot.day !== day),
+        ...shifts.map(shift => ({ day, open: shift.open, close: shift.close }))
+      ]
+    });
+  };
+
+  const setDayShifts = (day, shifts) => {
+    update({ openingHours: settings.openingHours.map(h => h.day === day ? { ...h, shifts } : h) });
+  };
+
+  const addClosure = (e) => {
+    e.preventDefault();
+    if (!closureForm.date) return;
+    update({
+      closures: [...settings.closures.filter(c => c.date !== closureForm.date), closureForm]
+        .sort((a, b) => a.date.localeCompare(b.date))
+    });
+    setClosureForm({ date: '', reason: '' });
+  };
+
+  const addSpecialHours = (e) => {
+    e.preventDefault();
+    if (!specialForm.date) return;
+    update({
+      specialHours: [...settings.specialHours.filter(s => s.date !== specialForm.date), { ...specialForm, shifts: [newShift()] }]
+        .sort((a, b) => a.date.localeCompare(b.date))
+    });
+    setSpecialForm({ date: '', note: '' });
+  };
+
+  const saveSettings = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.post(`${url}/api/settings/update`, {
+        openingHours: settings.openingHours,
+        closures: settings.closures,
+        specialHours: settings.specialHours,
+        slotIntervalMinutes: Number(settings.slotIntervalMinutes),
+        lastSeatingMinutes: Number(settings.lastSeatingMinutes),
+        minNoticeMinutes: Number(settings.minNoticeMinutes),
+        maxAdvanceDays: Number(settings.maxAdvanceDays),
+        noShowGraceMinutes: Number(settings.noShowGraceMinutes),
+        noShowDepositThreshold: Number(settings.noShowDepositThreshold),
+        noShowDepositAmount: Number(settings.noShowDepositAmount),
+        depositMode: settings.depositMode,
+        depositAmount: Number(settings.depositAmount),
+        depositPeakOnly: settings.depositPeakOnly,
+        peakSlots: settings.peakSlots
+      });
+      if (response.data.success) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to save settings');
+    }
+    setSaving(false);
+  };
+
+  if (!settings) {
+    return <div className="settings-page"><p className="settings-empty">Loading settings...</p></div>;
+  }
+
+  return (
+    <div className="settings-page">
+      <div className="settings-header">
+        <div>
+          <h2>🕒 Opening Hours</h2>
+          <p>Booking slots on the website are generated from these hours</p>
+        </div>
+        <button className="settings-save-btn" onClick={saveSettings} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+
+      <section className="settings-card">
+        <h3>Weekly hours</h3>
+        {settings.openingHours.map(({ day, shifts }) => (
+          <div key={day} className="settings-day">
+            <span className="settings-day-name">{weekdays[day]}</span>
+            <ShiftEditor shifts={shifts} onChange={(next) => setDayShifts(day, next)} />
+          </div>
+        ))}
+      </section>
+
+      <section className="settings-card">
+        <h3>Holiday closures</h3>
+        {settings.closures.length === 0 && <p className="settings-empty">No closures planned</p>}
+        {settings.closures.map(closure => (
+          <div key={closure.date} className="settings-day">
+            <span className="settings-day-name">{closure.date}</span>
+            <span className="settings-note">{closure.reason || 'Closed'}</span>
+            <button className="settings-remove" onClick={() => update({ closures: settings.closures.filter(c => c.date !== closure.date) })}>✕</button>
+          </div>
+        ))}
+        <form className="settings-add-row" onSubmit={addClosure}>
+          <input type="date" value={closureForm.date} onChange={(e) => setClosureForm({ ...closureForm, date: e.target.value })} required />
+          <input type="text" placeholder="Reason (e.g. Diwali)" value={closureForm.reason} onChange={(e) => setClosureForm({ ...closureForm, reason: e.target.value })} />
+          <button type="submit">Add closure</button>
+        </form>
+      </section>
+
+      <section className="settings-card">
+        <h3>Special hours</h3>
+        {settings.specialHours.length === 0 && <p className="settings-empty">No special hours</p>}
+        {settings.specialHours.map(special => (
+          <div key={special.date} className="settings-day">
+            <span className="settings-day-name">
+              {special.date}
+              {special.note && <small>{special.note}</small>}
+            </span>
+            <ShiftEditor
+              shifts={special.shifts}
+              onChange={(shifts) => update({ specialHours: settings.specialHours.map(s => s.date === special.date ? { ...s, shifts } : s) })}
+            />
+            <button className="settings-remove" onClick={() => update({ specialHours: settings.specialHours.filter(s => s.date !== special.date) })}>✕</button>
+          </div>
+        ))}
+        <form className="settings-add-row" onSubmit={addSpecialHours}>
+          <input type="date" value={specialForm.date} onChange={(e) => setSpecialForm({ ...specialForm, date: e.target.value })} required />
+          <input type="text" placeholder="Note (e.g. New Year's Eve)" value={specialForm.note} onChange={(e) => setSpecialForm({ ...specialForm, note: e.target.value })} />
+          <button type="submit">Add day</button>
+        </form>
+      </section>
+
+      <section className="settings-card">
+        <h3>Booking rules</h3>
+        <div className="settings-rules">
+          {bookingRules.map(rule => (
+            <label key={rule.name}>
+              <span>{rule.label}</span>
+              <input
+                type="number"
+                min="0"
+                value={settings[rule.name]}
+                onChange={(e) => update({ [rule.name]: e.target.value })}
+              />
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="settings-card">
+        <h3>Reservation deposit</h3>
+        <p className="settings-empty">
+          Taken online when the guest books, together with any food pre-order, and deducted from the final bill.
+          Cancellations get it back under the same refund rules as pre-orders. It is kept for no-shows.
+        </p>
+        <div className="settings-rules">
+          <label>
+            <span>Deposit</span>
+            <select value={settings.depositMode} onChange={(e) => update({ depositMode: e.target.value })}>
+              {depositModes.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+          </label>
+          {(settings.depositMode === 'perTable' || settings.depositMode === 'perGuest') && (
+            <label>
+              <span>Amount (₹)</span>
+              <input
+                type="number"
+                min="0"
+                value={settings.depositAmount}
+                onChange={(e) => update({ depositAmount: e.target.value })}
+              />
+            </label>
+          )}
+          {settings.depositMode === 'perHour' && (
+            <p className="settings-note">Set the price per hour on each table in the Tables page.</p>
+          )}
+        </div>
+        {settings.depositMode !== 'none' && (
+          <label className="settings-check">
+            <input
+              type="checkbox"
+              checked={settings.depositPeakOnly}
+              onChange={(e) => update({ depositPeakOnly: e.target.checked })}
+            />
+            Only for bookings in peak slots
+          </label>
+        )}
+        {settings.depositMode !== 'none' && settings.depositPeakOnly && weekdays.map((name, day) => (
+          <div key={day} className="settings-day">
+            <span className="settings-day-name">{name}</span>
+            <ShiftEditor
+              shifts={settings.peakSlots.filter(slot => slot.day === day)}
+              onChange={(shifts) => setPeakSlots(day, shifts)}
+              emptyLabel="No peak slots"
+              addLabel="+ Add peak slot"
+            />
+          </div>
+        ))}
+      </section>
+
+      <section className="settings-card">
+        <h3>No-shows</h3>
+        <p className="settings-empty">
+          Bookings nobody has been seated for are marked as no-shows once the guest is this late, and their tables are freed.
+          Guests with repeated no-shows have to pay a deposit online to book again.
+        </p>
+        <div className="settings-rules">
+          {noShowRules.map(rule => (
+            <label key={rule.name}>
+              <span>{rule.label}</span>
+              <input
+                type="number"
+                min="0"
+                value={settings[rule.name]}
+                onChange={(e) => update({ [rule.name]: e.target.value })}
+              />
+            </label>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Settings;
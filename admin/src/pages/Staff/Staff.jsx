@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import './Staff.css';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const roles = [
+  { value: 'owner', label: 'Owner', description: 'Full access, manages staff' },
+  { value: 'manager', label: 'Manager', description: 'Menu, orders, bookings, tables, coupons, refunds, opening hours and the inbox' },
+  { value: 'kitchen', label: 'Kitchen', description: 'Orders only' },
+  { value: 'host', label: 'Host', description: 'Bookings, tables and the inbox' }
+];
+
+const emptyForm = { name: '', email: '', password: '', role: 'host' };
+
+const Staff = ({ url, admin }) => {
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchStaff = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/admin/staff`);
+      if (response.data.success) {
+        setStaff(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to fetch staff');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchStaff();
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddStaff = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`${url}/api/admin/staff/add`, formData);
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setFormData(emptyForm);
+        fetchStaff();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to add staff member');
+    }
+    setIsSubmitting(false);
+  };
+
+  const updateStaff = async (adminId, changes) => {
+    try {
+      const response = await axios.post(`${url}/api/admin/staff/update`, { adminId, ...changes });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchStaff();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error('Failed to update staff member');
+    }
+  };
+
+  return (
+    <div className="staff-page">
+      <div className="staff-header">
+        <div className="header-left">
+          <h2>👥 Staff Accounts</h2>
+          <p>Manage who can sign in to the admin panel and what they can see</p>
+        </div>
+      </div>
+
+      <form className="staff-form-card" onSubmit={handleAddStaff}>
+        <h3>Add Staff Member</h3>
+        <div className="staff-form-grid">
+          <input name="name" value={formData.name} onChange={handleInputChange} placeholder="Full name" required />
+          <input name="email" type="email" value={formData.email} onChange={handleInputChange} placeholder="Email" required />
+          <input name="password" type="password" value={formData.password} onChange={handleInputChange} placeholder="Temporary password (min 8 chars)" minLength={8} required />
+          <select name="role" value={formData.role} onChange={handleInputChange}>
+            {roles.map(role => (
+              <option key={role.value} value={role.value}>{role.label} - {role.description}</option>
+            ))}
+          </select>
+        </div>
+        <button type="submit" className="staff-add-btn" disabled={isSubmitting}>
+          {isSubmitting ? 'Adding...' : 'Add Staff Member'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading staff...</p>
+        </div>
+      ) : (
+        <div className="staff-list">
+          {staff.map(member => (
+            <div key={member._id} className={`staff-card ${member.isActive ? '' : 'inactive'}`}>
+              <div className="staff-info">
+                <span className="staff-name">
+                  {member.name}
+                  {member._id === admin?._id && <span className="staff-you">You</span>}
+                </span>
+                <span className="staff-email">{member.email}</span>
+                <span className="staff-last-login">
+                  {member.lastLoginAt ? `Last login ${new Date(member.lastLoginAt).toLocaleString('en-IN')}` : 'Never logged in'}
+                </span>
+              </div>
+              <select
+                value={member.role}
+                disabled={member._id === admin?._id}
+                onChange={(e) => updateStaff(member._id, { role: e.target.value })}
+              >
+                {roles.map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+              <button
+                className={`staff-toggle-btn ${member.isActive ? 'active' : ''}`}
+                disabled={member._id === admin?._id}
+                onClick={() => updateStaff(member._id, { isActive: !member.isActive })}
+              >
+                {member.isActive ? 'Disable' : 'Enable'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Staff;
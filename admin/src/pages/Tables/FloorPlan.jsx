@@ -0,0 +1,439 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { useNavigate } from 'react-router-dom';
+import './FloorPlan.css';
+
+const DEFAULT_FLOOR = 'Main Floor';
+
+const shapes = [
+  { value: 'square', label: 'Square' },
+  { value: 'round', label: 'Round' },
+  { value: 'rectangle', label: 'Rectangle' }
+];
+
+// A booking starting this soon turns a free table amber on the live view
+const SOON_MINUTES = 60;
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+
+// Tables that have never been placed are lined up along the top until someone drags them
+const getDefaultPosition = (index) => ({
+  x: 8 + (index % 6) * 16,
+  y: 14 + Math.floor(index / 6) * 22
+});
+
+// The booking seated at the table now, and the next one still to come today
+const getBookings = (table, now) => {
+  const bookings = (table.todayBookings || []).filter(b => b.startAt && b.endAt);
+  return {
+    current: bookings.find(b => new Date(b.startAt) <= now && new Date(b.endAt) > now) || null,
+    next: bookings.find(b => new Date(b.startAt) > now) || null
+  };
+};
+
+// Whole minutes since the party sat down
+const minutesSince = (date, now) => Math.max(0, Math.round((now - new Date(date)) / 60000));
+
+const FloorPlan = ({ url, tables, onStatusChange, onRefresh }) => {
+  const navigate = useNavigate();
+  const canvasRef = useRef(null);
+
+  const [mode, setMode] = useState('live');
+  const [floor, setFloor] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const [walkIn, setWalkIn] = useState(null);
+  const [seating, setSeating] = useState(false);
+
+  // Keep "soon" and "current booking" up to date while the plan is left open
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Saved layout with any unsaved edits on top, and a default spot for unplaced tables
+  const unplaced = tables.filter(t => !t.layout || t.layout.x === null || t.layout.x === undefined);
+  const getLayout = (table) => {
+    const saved = table.layout || {};
+    const position = saved.x === null || saved.x === undefined
+      ? getDefaultPosition(unplaced.indexOf(table))
+      : { x: saved.x, y: saved.y };
+    return {
+      floor: saved.floor || DEFAULT_FLOOR,
+      shape: saved.shape || 'square',
+      rotation: saved.rotation || 0,
+      ...position,
+      ...edits[table._id]
+    };
+  };
+
+  const floors = [...new Set([DEFAULT_FLOOR, ...tables.map(t => getLayout(t).floor)])];
+  const activeFloor = floors.includes(floor) ? floor : floors[0];
+  const floorTables = tables.filter(t => getLayout(t).floor === activeFloor);
+  const selectedTable = tables.find(t => t._id === selectedId) || null;
+  const hasEdits = Object.keys(edits).length > 0;
+
+  const updateLayout = (tableId, changes) => {
+    setEdits(prev => ({ ...prev, [tableId]: { ...prev[tableId], ...changes } }));
+  };
+
+  // Pointer position as a % of the plan, kept inside the edges
+  const toPlanPosition = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const clamp = (value) => Math.min(97, Math.max(3, value));
+    return {
+      x: clamp(((e.clientX - rect.left) / rect.width) * 100),
+      y: clamp(((e.clientY - rect.top) / rect.height) * 100)
+    };
+  };
+
+  const handlePointerDown = (e, table) => {
+    setSelectedId(table._id);
+    if (walkIn && walkIn.tableId !== table._id) setWalkIn(null);
+    if (mode !== 'edit') return;
+
+    e.preventDefault();
+    const layout = getLayout(table);
+    const pointer = toPlanPosition(e);
+    setDragging({ tableId: table._id, dx: pointer.x - layout.x, dy: pointer.y - layout.y });
+    canvasRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    const pointer = toPlanPosition(e);
+    updateLayout(dragging.tableId, {
+      x: Math.round((pointer.x - dragging.dx) * 10) / 10,
+      y: Math.round((pointer.y - dragging.dy) * 10) / 10
+    });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragging) return;
+    canvasRef.current.releasePointerCapture(e.pointerId);
+    setDragging(null);
+  };
+
+  const saveLayout = async () => {
+    setSaving(true);
+    try {
+      // Unplaced tables are saved where they are shown, so the plan looks the same after a reload
+      const changed = tables.filter(t => edits[t._id] || unplaced.includes(t));
+      const response = await axios.post(`${url}/api/table/layout`, {
+        layouts: changed.map(t => ({ tableId: t._id, ...getLayout(t) }))
+      });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setEdits({});
+        setMode('live');
+        onRefresh();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error saving floor plan:', error);
+      toast.error('Failed to save floor plan');
+    }
+    setSaving(false);
+  };
+
+  const discardChanges = () => {
+    setEdits({});
+    setMode('live');
+  };
+
+  const addFloor = () => {
+    const name = window.prompt('Name of the new floor or area (e.g. Terrace):');
+    if (!name || !name.trim()) return;
+    if (selectedTable) {
+      updateLayout(selectedTable._id, { floor: name.trim() });
+    } else {
+      toast.info('Select a table and move it to the new floor to keep it');
+    }
+    setFloor(name.trim());
+  };
+
+  const seatWalkIn = (table) => {
+    const { current, next } = getBookings(table, now);
+    const clash = current || (next && new Date(next.startAt) - now < SOON_MINUTES * 60000 ? next : null);
+    if (clash && !window.confirm(`Table ${table.tableNumber} is booked for ${clash.name} at ${clash.time}. Seat a walk-in anyway?`)) {
+      return;
+    }
+    setWalkIn({ tableId: table._id, partySize: '', name: '' });
+  };
+
+  // Seat a walk-in (party size and name) or a booking (bookingId) at the table
+  const seatParty = async (table, details) => {
+    setSeating(true);
+    try {
+      const response = await axios.post(`${url}/api/seating/seat`, { tableId: table._id, ...details });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setWalkIn(null);
+        onRefresh();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error seating party:', error);
+      toast.error('Failed to seat party');
+    }
+    setSeating(false);
+  };
+
+  const clearTable = async (table) => {
+    try {
+      const response = await axios.post(`${url}/api/seating/clear`, { tableId: table._id });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        onRefresh();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error clearing table:', error);
+      toast.error('Failed to clear table');
+    }
+  };
+
+  const getTableClass = (table) => {
+    const classes = ['floor-table', getLayout(table).shape];
+    if (!table.isActive) {
+      classes.push('inactive');
+    } else {
+      classes.push(table.status);
+      const { next } = getBookings(table, now);
+      if (table.status === 'available' && next && new Date(next.startAt) - now < SOON_MINUTES * 60000) {
+        classes.push('soon');
+      }
+    }
+    if (table._id === selectedId) classes.push('selected');
+    if (dragging && dragging.tableId === table._id) classes.push('dragging');
+    return classes.join(' ');
+  };
+
+  const renderWalkInForm = (table) => (
+    <form
+      className="floor-walkin"
+      onSubmit={(e) => {
+        e.preventDefault();
+        seatParty(table, { partySize: walkIn.partySize, name: walkIn.name });
+      }}
+    >
+      <label>
+        Party size
+        <input
+          type="number"
+          min="1"
+          value={walkIn.partySize}
+          onChange={(e) => setWalkIn({ ...walkIn, partySize: e.target.value })}
+          autoFocus
+          required
+        />
+      </label>
+      <label>
+        Name (optional)
+        <input type="text" value={walkIn.name} onChange={(e) => setWalkIn({ ...walkIn, name: e.target.value })} />
+      </label>
+      <div className="floor-actions">
+        <button type="button" className="floor-btn" onClick={() => setWalkIn(null)}>Cancel</button>
+        <button type="submit" className="floor-btn primary" disabled={seating}>{seating ? 'Seating...' : 'Seat'}</button>
+      </div>
+    </form>
+  );
+
+  const renderLivePanel = (table) => {
+    const { current, next } = getBookings(table, now);
+    const booking = current || next;
+    const seated = table.seating;
+    // Guests of the booking held right now (or starting soon) can be seated straight from it
+    const seatable = current || (next && new Date(next.startAt) - now < SOON_MINUTES * 60000 ? next : null);
+    return (
+      <>
+        <p className="floor-panel-status">
+          <span className={`floor-dot ${table.isActive ? table.status : 'inactive'}`}></span>
+          {table.isActive ? table.status : 'inactive'} · {table.capacity} seats
+        </p>
+
+        {seated && (
+          <div className="floor-booking seated">
+            <span className="floor-booking-label">Seated {minutesSince(seated.seatedAt, now)} min ago</span>
+            <strong>{seated.name || 'Walk-in'}</strong>
+            <span>{seated.partySize} guests{seated.source === 'walk-in' ? ' · Walk-in' : ''}</span>
+            {seated.tableNumber !== table.tableNumber && <span>🔗 Tables {seated.tableNumber}</span>}
+          </div>
+        )}
+
+        {booking ? (
+          <div className="floor-booking">
+            <span className="floor-booking-label">{current ? 'Booked now' : 'Next booking'}</span>
+            <strong>{booking.name}</strong>
+            <span>{booking.time}{booking.endAt && ` – ${formatTime(booking.endAt)}`} · {booking.guests} guests</span>
+            {booking.phone && <span>📞 {booking.phone}</span>}
+            {booking.tableNumber && booking.tableNumber !== table.tableNumber && <span>🔗 Tables {booking.tableNumber}</span>}
+            {booking.specialRequests && <span>📝 {booking.specialRequests}</span>}
+            {booking.hasPreOrder && <span>🍽️ Has a food pre-order</span>}
+            <button className="floor-link" onClick={() => navigate('/bookings', { state: { bookingId: booking._id } })}>View Booking →</button>
+          </div>
+        ) : (
+          <p className="floor-panel-empty">No more bookings today</p>
+        )}
+
+        {table.isActive && walkIn && walkIn.tableId === table._id ? renderWalkInForm(table) : table.isActive && (
+          <div className="floor-actions">
+            {!seated && seatable && (
+              <button className="floor-btn primary" disabled={seating} onClick={() => seatParty(table, { bookingId: seatable._id })}>
+                Seat {seatable.name.split(' ')[0]}
+              </button>
+            )}
+            {!seated && table.status !== 'maintenance' && (
+              <button className={`floor-btn ${seatable ? '' : 'primary'}`} onClick={() => seatWalkIn(table)}>Seat Walk-in</button>
+            )}
+            {seated && (
+              <button className="floor-btn primary" onClick={() => clearTable(table)}>Clear Table</button>
+            )}
+            {!seated && table.status !== 'occupied' && (
+              <button className="floor-btn" onClick={() => onStatusChange(table._id, 'occupied')}>Mark Occupied</button>
+            )}
+            {!seated && table.status !== 'available' && (
+              <button className="floor-btn" onClick={() => onStatusChange(table._id, 'available')}>Mark Available</button>
+            )}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  const renderEditPanel = (table) => {
+    const layout = getLayout(table);
+    return (
+      <div className="floor-edit-fields">
+        <label>
+          Floor / area
+          <select
+            value={layout.floor}
+            onChange={(e) => {
+              updateLayout(table._id, { floor: e.target.value });
+              setFloor(e.target.value);
+            }}
+          >
+            {floors.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Shape
+          <select value={layout.shape} onChange={(e) => updateLayout(table._id, { shape: e.target.value })}>
+            {shapes.map(shape => <option key={shape.value} value={shape.value}>{shape.label}</option>)}
+          </select>
+        </label>
+        <label>
+          Rotation ({layout.rotation}°)
+          <input
+            type="range"
+            min="0"
+            max="345"
+            step="15"
+            value={layout.rotation}
+            onChange={(e) => updateLayout(table._id, { rotation: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+    );
+  };
+
+  return (
+    <div className="floor-plan">
+      <div className="floor-toolbar">
+        <div className="floor-tabs">
+          {floors.map(name => (
+            <button key={name} className={name === activeFloor ? 'active' : ''} onClick={() => setFloor(name)}>
+              {name}
+            </button>
+          ))}
+          {mode === 'edit' && <button className="floor-add" onClick={addFloor}>+ Floor</button>}
+        </div>
+        {mode === 'live' ? (
+          <button className="floor-btn" onClick={() => setMode('edit')}>✏️ Edit Layout</button>
+        ) : (
+          <div className="floor-actions">
+            <button className="floor-btn" onClick={discardChanges}>Cancel</button>
+            <button className="floor-btn primary" onClick={saveLayout} disabled={saving}>
+              {saving ? 'Saving...' : hasEdits || unplaced.length > 0 ? 'Save Layout' : 'Done'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="floor-body">
+        <div
+          ref={canvasRef}
+          className={`floor-canvas ${mode}`}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onClick={(e) => { if (e.target === canvasRef.current) setSelectedId(null); }}
+        >
+          {floorTables.length === 0 && (
+            <p className="floor-empty">No tables on this floor{mode === 'edit' ? ' yet. Select a table and pick this floor to move it here.' : ''}</p>
+          )}
+          {floorTables.map(table => {
+            const layout = getLayout(table);
+            const { next } = getBookings(table, now);
+            return (
+              <div
+                key={table._id}
+                className={getTableClass(table)}
+                style={{
+                  left: `${layout.x}%`,
+                  top: `${layout.y}%`,
+                  transform: `translate(-50%, -50%) rotate(${layout.rotation}deg)`,
+                  '--seats': table.capacity
+                }}
+                onPointerDown={(e) => handlePointerDown(e, table)}
+              >
+                <div className="floor-table-label" style={{ transform: `rotate(${-layout.rotation}deg)` }}>
+                  <strong>{table.tableNumber}</strong>
+                  <span>
+                    {mode !== 'live' ? `${table.capacity} seats`
+                      : table.seating ? `${minutesSince(table.seating.seatedAt, now)} min`
+                        : next ? next.time : `${table.capacity} seats`}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <aside className="floor-panel">
+          {selectedTable ? (
+            <>
+              <h3>Table {selectedTable.tableNumber}</h3>
+              {selectedTable.tableName && <p className="floor-panel-sub">{selectedTable.tableName}</p>}
+              {mode === 'edit' ? renderEditPanel(selectedTable) : renderLivePanel(selectedTable)}
+            </>
+          ) : (
+            <p className="floor-panel-empty">
+              {mode === 'edit' ? 'Drag tables to move them. Click a table to change its shape, rotation or floor.' : 'Click a table to see its bookings and seat guests.'}
+            </p>
+          )}
+
+          {mode === 'live' && (
+            <div className="floor-legend">
+              <span><span className="floor-dot available"></span>Available</span>
+              <span><span className="floor-dot soon"></span>Booking within the hour</span>
+              <span><span className="floor-dot reserved"></span>Reserved</span>
+              <span><span className="floor-dot occupied"></span>Occupied</span>
+              <span><span className="floor-dot maintenance"></span>Maintenance</span>
+            </div>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlan;
@@ -2,20 +2,24 @@ import React, { useState, useEffect } from 'react';
 import './Tables.css';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import FloorPlan from './FloorPlan';
+import TurnTimes from './TurnTimes';
 
-const Tables = ({ url }) => {
+const Tables = ({ url, events }) => {
   const [tables, setTables] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedTable, setSelectedTable] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [view, setView] = useState('cards');
 
   const [formData, setFormData] = useState({
     tableNumber: '',
     tableName: '',
     capacity: 2,
     location: 'indoor',
+    pricePerHour: 0,
     description: '',
     features: []
   });
@@ -33,8 +37,8 @@ const Tables = ({ url }) => {
     'Near Kitchen', 'Wheelchair Accessible', 'Baby Chair Available'
   ];
 
-  const fetchTables = async () => {
-    setLoading(true);
+  const fetchTables = async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     try {
       const response = await axios.get(`${url}/api/table/list`);
       if (response.data.success) {
@@ -52,6 +56,15 @@ const Tables = ({ url }) => {
     fetchTables();
   }, []);
 
+  // Bookings reserve and release tables, so refresh on those too
+  useEffect(() => {
+    if (!events) return;
+    const liveEvents = ['connected', 'table:status', 'booking:new', 'booking:status', 'booking:changed', 'booking:deleted'];
+    const refresh = () => fetchTables({ quiet: true });
+    liveEvents.forEach((event) => events.addEventListener(event, refresh));
+    return () => liveEvents.forEach((event) => events.removeEventListener(event, refresh));
+  }, [events]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -66,6 +79,20 @@ const Tables = ({ url }) => {
     }));
   };
 
+  const handleJoinToggle = (tableId) => {
+    setFormData(prev => ({
+      ...prev,
+      joinableWith: prev.joinableWith.includes(tableId)
+        ? prev.joinableWith.filter(id => id !== tableId)
+        : [...prev.joinableWith, tableId]
+    }));
+  };
+
+  const getTableNumber = (tableId) => {
+    const found = tables.find(t => t._id === tableId);
+    return found ? found.tableNumber : null;
+  };
+
   const handleAddTable = async (e) => {
     e.preventDefault();
     try {
@@ -78,6 +105,7 @@ const Tables = ({ url }) => {
           tableName: '',
           capacity: 2,
           location: 'indoor',
+          pricePerHour: 0,
           description: '',
           features: []
         });
@@ -95,7 +123,12 @@ const Tables = ({ url }) => {
     try {
       const response = await axios.post(`${url}/api/table/update`, {
         tableId: selectedTable._id,
-        ...formData
+        ...formData,
+        // Joins only make sense within one area
+        joinableWith: (formData.joinableWith || []).filter(id => {
+          const other = tables.find(t => t._id === id);
+          return other && other.location === formData.location;
+        })
       });
       if (response.data.success) {
         toast.success('Table updated successfully!');
@@ -161,8 +194,10 @@ const Tables = ({ url }) => {
       tableName: table.tableName,
       capacity: table.capacity,
       location: table.location,
+      pricePerHour: table.pricePerHour || 0,
       description: table.description || '',
-      features: table.features || []
+      features: table.features || [],
+      joinableWith: table.joinableWith || []
     });
     setShowEditModal(true);
   };
@@ -239,157 +274,195 @@ const Tables = ({ url }) => {
         </div>
       </div>
 
-      {/* Filters */}
-      <div className="table-filters">
-        <button className={`filter-btn ${filter === 'all' ? 'active' : ''}`} onClick={() => setFilter('all')}>All</button>
-        <button className={`filter-btn ${filter === 'available' ? 'active' : ''}`} onClick={() => setFilter('available')}>Available</button>
-        <button className={`filter-btn ${filter === 'occupied' ? 'active' : ''}`} onClick={() => setFilter('occupied')}>Occupied</button>
-        <button className={`filter-btn ${filter === 'reserved' ? 'active' : ''}`} onClick={() => setFilter('reserved')}>Reserved</button>
-        <button className={`filter-btn ${filter === 'maintenance' ? 'active' : ''}`} onClick={() => setFilter('maintenance')}>Maintenance</button>
-        <button className={`filter-btn ${filter === 'inactive' ? 'active' : ''}`} onClick={() => setFilter('inactive')}>Inactive</button>
+      <div className="table-view-tabs">
+        <button className={view === 'cards' ? 'active' : ''} onClick={() => setView('cards')}>▦ Cards</button>
+        <button className={view === 'floor' ? 'active' : ''} onClick={() => setView('floor')}>🗺️ Floor Plan</button>
+        <button className={view === 'turns' ? 'active' : ''} onClick={() => setView('turns')}>⏱️ Turn Times</button>
       </div>
 
-      {/* Tables Grid */}
-      {loading ? (
-        <div className="loading-state">
-          <div className="spinner-large"></div>
-          <p>Loading tables...</p>
-        </div>
-      ) : filteredTables.length === 0 ? (
-        <div className="empty-state">
-          <span className="empty-icon">🪑</span>
-          <p>No tables found</p>
-          <button onClick={() => setShowAddModal(true)}>Add your first table</button>
-        </div>
+      {view === 'turns' ? (
+        <TurnTimes url={url} />
+      ) : view === 'floor' ? (
+        loading ? (
+          <div className="loading-state">
+            <div className="spinner-large"></div>
+            <p>Loading tables...</p>
+          </div>
+        ) : (
+          <FloorPlan
+            url={url}
+            tables={tables}
+            onStatusChange={handleStatusChange}
+            onRefresh={() => fetchTables({ quiet: true })}
+          />
+        )
       ) : (
-        <div className="tables-grid">
-          {filteredTables.map((table) => (
-            <div key={table._id} className={`table-card ${table.status} ${!table.isActive ? 'inactive' : ''}`}>
-              <div className="table-card-header">
-                <div className="table-number">
-                  <span className="location-icon">{getLocationIcon(table.location)}</span>
-                  <div>
-                    <h3>Table {table.tableNumber}</h3>
-                    {table.tableName && <span className="table-name">{table.tableName}</span>}
-                  </div>
-                </div>
-                <div className="table-status" style={{ backgroundColor: getStatusColor(table.status) }}>
-                  {table.status}
-                </div>
-              </div>
+        <>
+          {/* Filters */}
+          <div className="table-filters">
+            <button className={`filter-btn ${filter === 'all' ? 'active' : ''}`} onClick={() => setFilter('all')}>All</button>
+            <button className={`filter-btn ${filter === 'available' ? 'active' : ''}`} onClick={() => setFilter('available')}>Available</button>
+            <button className={`filter-btn ${filter === 'occupied' ? 'active' : ''}`} onClick={() => setFilter('occupied')}>Occupied</button>
+            <button className={`filter-btn ${filter === 'reserved' ? 'active' : ''}`} onClick={() => setFilter('reserved')}>Reserved</button>
+            <button className={`filter-btn ${filter === 'maintenance' ? 'active' : ''}`} onClick={() => setFilter('maintenance')}>Maintenance</button>
+            <button className={`filter-btn ${filter === 'inactive' ? 'active' : ''}`} onClick={() => setFilter('inactive')}>Inactive</button>
+          </div>
 
-              <div className="table-card-body">
-                <div className="table-info">
-                  <div className="info-item">
-                    <span className="info-icon">👥</span>
-                    <span>{table.capacity} seats</span>
-                  </div>
-                  <div className="info-item">
-                    <span className="info-icon">{getLocationIcon(table.location)}</span>
-                    <span>{table.location}</span>
+          {/* Tables Grid */}
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner-large"></div>
+              <p>Loading tables...</p>
+            </div>
+          ) : filteredTables.length === 0 ? (
+            <div className="empty-state">
+              <span className="empty-icon">🪑</span>
+              <p>No tables found</p>
+              <button onClick={() => setShowAddModal(true)}>Add your first table</button>
+            </div>
+          ) : (
+            <div className="tables-grid">
+              {filteredTables.map((table) => (
+                <div key={table._id} className={`table-card ${table.status} ${!table.isActive ? 'inactive' : ''}`}>
+                  <div className="table-card-header">
+                    <div className="table-number">
+                      <span className="location-icon">{getLocationIcon(table.location)}</span>
+                      <div>
+                        <h3>Table {table.tableNumber}</h3>
+                        {table.tableName && <span className="table-name">{table.tableName}</span>}
+                      </div>
+                    </div>
+                    <div className="table-status" style={{ backgroundColor: getStatusColor(table.status) }}>
+                      {table.status}
+                    </div>
                   </div>
-                </div>
 
-                {/* Today's Bookings */}
-                {table.todayBookings && table.todayBookings.length > 0 && (
-                  <div className="table-bookings-info">
-                    <div className="bookings-header">
-                      <span className="booking-icon">📅</span>
-                      <span className="booking-title">Today's Bookings ({table.todayBookings.length})</span>
-                    </div>
-                    <div className="bookings-list-mini">
-                      {table.todayBookings.slice(0, 2).map((booking, idx) => (
-                        <div key={idx} className={`booking-mini ${booking.status.toLowerCase()}`}>
-                          <span className="booking-time">{booking.time}</span>
-                          <span className="booking-name">{booking.name}</span>
-                          <span className="booking-guests">{booking.guests}👥</span>
+                  <div className="table-card-body">
+                    <div className="table-info">
+                      <div className="info-item">
+                        <span className="info-icon">👥</span>
+                        <span>{table.capacity} seats</span>
+                      </div>
+                      <div className="info-item">
+                        <span className="info-icon">{getLocationIcon(table.location)}</span>
+                        <span>{table.location}</span>
+                      </div>
+                      {table.pricePerHour > 0 && (
+                        <div className="info-item">
+                          <span className="info-icon">💰</span>
+                          <span>₹{table.pricePerHour}/hr</span>
                         </div>
-                      ))}
-                      {table.todayBookings.length > 2 && (
-                        <span className="more-bookings">+{table.todayBookings.length - 2} more</span>
                       )}
                     </div>
-                  </div>
-                )}
 
-                {/* Upcoming Bookings Count */}
-                {table.upcomingBookingsCount > 0 && (
-                  <div className="upcoming-badge">
-                    <span>📆 {table.upcomingBookingsCount} upcoming booking{table.upcomingBookingsCount > 1 ? 's' : ''}</span>
-                  </div>
-                )}
+                    {/* Today's Bookings */}
+                    {table.todayBookings && table.todayBookings.length > 0 && (
+                      <div className="table-bookings-info">
+                        <div className="bookings-header">
+                          <span className="booking-icon">📅</span>
+                          <span className="booking-title">Today's Bookings ({table.todayBookings.length})</span>
+                        </div>
+                        <div className="bookings-list-mini">
+                          {table.todayBookings.slice(0, 2).map((booking, idx) => (
+                            <div key={idx} className={`booking-mini ${booking.status.toLowerCase()}`}>
+                              <span className="booking-time">{booking.time}</span>
+                              <span className="booking-name">{booking.name}</span>
+                              <span className="booking-guests">{booking.guests}👥</span>
+                            </div>
+                          ))}
+                          {table.todayBookings.length > 2 && (
+                            <span className="more-bookings">+{table.todayBookings.length - 2} more</span>
+                          )}
+                        </div>
+                      </div>
+                    )}
 
-                {/* Currently Booked Indicator */}
-                {table.isCurrentlyBooked && (
-                  <div className="currently-booked-badge">
-                    <span className="pulse-dot"></span>
-                    <span>Currently in use</span>
-                  </div>
-                )}
+                    {/* Upcoming Bookings Count */}
+                    {table.upcomingBookingsCount > 0 && (
+                      <div className="upcoming-badge">
+                        <span>📆 {table.upcomingBookingsCount} upcoming booking{table.upcomingBookingsCount > 1 ? 's' : ''}</span>
+                      </div>
+                    )}
 
-                {table.features && table.features.length > 0 && (
-                  <div className="table-features">
-                    {table.features.slice(0, 3).map((feature, idx) => (
-                      <span key={idx} className="feature-tag">{feature}</span>
-                    ))}
-                    {table.features.length > 3 && (
-                      <span className="feature-more">+{table.features.length - 3}</span>
+                    {table.joinableWith && table.joinableWith.length > 0 && (
+                      <div className="joinable-info">
+                        🔗 Joins with {table.joinableWith.map(getTableNumber).filter(Boolean).join(', ')}
+                      </div>
                     )}
-                  </div>
-                )}
 
-                {!table.isActive && (
-                  <div className="inactive-badge">⚠️ Inactive</div>
-                )}
-              </div>
+                    {/* Currently Booked Indicator */}
+                    {table.isCurrentlyBooked && (
+                      <div className="currently-booked-badge">
+                        <span className="pulse-dot"></span>
+                        <span>Currently in use</span>
+                      </div>
+                    )}
 
-              <div className="table-card-footer">
-                <div className="status-buttons">
-                  <button 
-                    className={`status-btn available ${table.status === 'available' ? 'active' : ''}`}
-                    onClick={() => handleStatusChange(table._id, 'available')}
-                    title="Mark Available"
-                  >✓</button>
-                  <button 
-                    className={`status-btn occupied ${table.status === 'occupied' ? 'active' : ''}`}
-                    onClick={() => handleStatusChange(table._id, 'occupied')}
-                    title="Mark Occupied"
-                  >●</button>
-                  <button 
-                    className={`status-btn reserved ${table.status === 'reserved' ? 'active' : ''}`}
-                    onClick={() => handleStatusChange(table._id, 'reserved')}
-                    title="Mark Reserved"
-                  >◐</button>
-                  <button 
-                    className={`status-btn maintenance ${table.status === 'maintenance' ? 'active' : ''}`}
-                    onClick={() => handleStatusChange(table._id, 'maintenance')}
-                    title="Mark Maintenance"
-                  >⚠</button>
-                </div>
-                <div className="action-buttons">
-                  <button className="edit-btn" onClick={() => openEditModal(table)}>
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-                      <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-                    </svg>
-                  </button>
-                  <button 
-                    className={`toggle-btn ${table.isActive ? 'active' : ''}`}
-                    onClick={() => handleToggleActive(table._id)}
-                    title={table.isActive ? 'Deactivate' : 'Activate'}
-                  >
-                    {table.isActive ? '👁' : '👁‍🗨'}
-                  </button>
-                  <button className="delete-btn" onClick={() => handleDeleteTable(table._id, table.tableNumber)}>
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-                    </svg>
-                  </button>
+                    {table.features && table.features.length > 0 && (
+                      <div className="table-features">
+                        {table.features.slice(0, 3).map((feature, idx) => (
+                          <span key={idx} className="feature-tag">{feature}</span>
+                        ))}
+                        {table.features.length > 3 && (
+                          <span className="feature-more">+{table.features.length - 3}</span>
+                        )}
+                      </div>
+                    )}
+
+                    {!table.isActive && (
+                      <div className="inactive-badge">⚠️ Inactive</div>
+                    )}
+                  </div>
+
+                  <div className="table-card-footer">
+                    <div className="status-buttons">
+                      <button 
+                        className={`status-btn available ${table.status === 'available' ? 'active' : ''}`}
+                        onClick={() => handleStatusChange(table._id, 'available')}
+                        title="Mark Available"
+                      >✓</button>
+                      <button 
+                        className={`status-btn occupied ${table.status === 'occupied' ? 'active' : ''}`}
+                        onClick={() => handleStatusChange(table._id, 'occupied')}
+                        title="Mark Occupied"
+                      >●</button>
+                      <button 
+                        className={`status-btn reserved ${table.status === 'reserved' ? 'active' : ''}`}
+                        onClick={() => handleStatusChange(table._id, 'reserved')}
+                        title="Mark Reserved"
+                      >◐</button>
+                      <button 
+                        className={`status-btn maintenance ${table.status === 'maintenance' ? 'active' : ''}`}
+                        onClick={() => handleStatusChange(table._id, 'maintenance')}
+                        title="Mark Maintenance"
+                      >⚠</button>
+                    </div>
+                    <div className="action-buttons">
+                      <button className="edit-btn" onClick={() => openEditModal(table)}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                          <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                        </svg>
+                      </button>
+                      <button 
+                        className={`toggle-btn ${table.isActive ? 'active' : ''}`}
+                        onClick={() => handleToggleActive(table._id)}
+                        title={table.isActive ? 'Deactivate' : 'Activate'}
+                      >
+                        {table.isActive ? '👁' : '👁‍🗨'}
+                      </button>
+                      <button className="delete-btn" onClick={() => handleDeleteTable(table._id, table.tableNumber)}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                        </svg>
+                      </button>
+                    </div>
+                  </div>
                 </div>
-              </div>
+              ))}
             </div>
-          ))}
-        </div>
+          )}
+        </>
       )}
 
       {/* Add Table Modal */}
@@ -443,6 +516,17 @@ const Tables = ({ url }) => {
                     ))}
                   </select>
                 </div>
+                <div className="form-group">
+                  <label>Price per hour (₹)</label>
+                  <input
+                    type="number"
+                    name="pricePerHour"
+                    value={formData.pricePerHour}
+                    onChange={handleInputChange}
+                    min="0"
+                  />
+                  <span className="form-hint">Charged as a deposit when hourly deposits are turned on in Settings</span>
+                </div>
                 <div className="form-group full-width">
                   <label>Description</label>
                   <textarea
@@ -527,6 +611,17 @@ const Tables = ({ url }) => {
                     ))}
                   </select>
                 </div>
+                <div className="form-group">
+                  <label>Price per hour (₹)</label>
+                  <input
+                    type="number"
+                    name="pricePerHour"
+                    value={formData.pricePerHour}
+                    onChange={handleInputChange}
+                    min="0"
+                  />
+                  <span className="form-hint">Charged as a deposit when hourly deposits are turned on in Settings</span>
+                </div>
                 <div className="form-group full-width">
                   <label>Description</label>
                   <textarea
@@ -551,6 +646,24 @@ const Tables = ({ url }) => {
                     ))}
                   </div>
                 </div>
+                <div className="form-group full-width">
+                  <label>Can be joined with</label>
+                  <p className="form-hint">Tables in the same area that can be pushed together for larger parties</p>
+                  <div className="features-grid">
+                    {tables
+                      .filter(t => t._id !== selectedTable?._id && t.location === formData.location)
+                      .map(t => (
+                        <label key={t._id} className={`feature-checkbox ${formData.joinableWith.includes(t._id) ? 'checked' : ''}`}>
+                          <input
+                            type="checkbox"
+                            checked={formData.joinableWith.includes(t._id)}
+                            onChange={() => handleJoinToggle(t._id)}
+                          />
+                          <span>Table {t.tableNumber} ({t.capacity} seats)</span>
+                        </label>
+                      ))}
+                  </div>
+                </div>
               </div>
               <div className="modal-footer">
                 <button type="button" className="btn-cancel" onClick={() => setShowEditModal(false)}>Cancel</button>
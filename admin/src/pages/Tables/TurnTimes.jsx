@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import './TurnTimes.css';
+
+const periods = [7, 30, 90];
+
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60 ? `${minutes % 60}m` : ''}`.trim();
+};
+
+const TurnTimes = ({ url }) => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${url}/api/seating/turn-times`, { params: { days } });
+      if (response.data.success) {
+        setReport(response.data.data);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching turn times:', error);
+      toast.error('Failed to load turn times');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchReport();
+  }, [days]);
+
+  const renderRows = (rows, label) => {
+    const longest = Math.max(...rows.map(row => row.averageMinutes), 1);
+    return rows.map(row => (
+      <div key={label(row)} className="turn-row">
+        <span className="turn-row-label">{label(row)}</span>
+        <div className="turn-bar">
+          <div className="turn-bar-fill" style={{ width: `${(row.averageMinutes / longest) * 100}%` }}></div>
+        </div>
+        <span className="turn-row-value">{formatMinutes(row.averageMinutes)}</span>
+        <span className={`turn-row-count ${row.count >= report.minSamples ? 'used' : ''}`}>
+          {row.count} {row.count === 1 ? 'party' : 'parties'}
+        </span>
+      </div>
+    ));
+  };
+
+  return (
+    <div className="turn-times">
+      <div className="turn-header">
+        <p>
+          How long parties stay, from seating to clearing the table. Once a table or party size has
+          {report ? ` ${report.minSamples}` : ''} or more parties, bookings are held for that long instead of the default.
+        </p>
+        <div className="table-view-tabs">
+          {periods.map(period => (
+            <button key={period} className={days === period ? 'active' : ''} onClick={() => setDays(period)}>
+              {period} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">
+          <div className="spinner-large"></div>
+          <p>Loading turn times...</p>
+        </div>
+      ) : !report || report.sessions === 0 ? (
+        <div className="empty-state">
+          <span className="empty-icon">⏱️</span>
+          <h3>No turn times yet</h3>
+          <p>Seat and clear tables from the floor plan to start tracking how long parties stay</p>
+        </div>
+      ) : (
+        <div className="turn-grid">
+          <div className="turn-card">
+            <h3>By party size</h3>
+            {renderRows(report.byPartySize, row => `${row.partySize} ${row.partySize === 1 ? 'guest' : 'guests'}`)}
+          </div>
+          <div className="turn-card">
+            <h3>By table</h3>
+            {renderRows(report.byTable, row => `Table ${row.tableNumber}`)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TurnTimes;
@@ -0,0 +1,17 @@
+// What a dish can be labelled with on the menu. The admin and website apps keep matching labels.
+
+// veg and vegan dishes count as vegetarian for the "Pure Veg" filter
+const DIETARY_TYPES = ['veg', 'vegan', 'egg', 'non-veg'];
+const VEGETARIAN_TYPES = ['veg', 'vegan'];
+
+// 0 = not spicy, 1 = mild, 2 = medium, 3 = hot
+const MAX_SPICE_LEVEL = 3;
+
+const ALLERGENS = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame', 'mustard'];
+
+// Tags the menu gives a badge to; any other tag is just searchable
+const BADGE_TAGS = ['bestseller', 'new'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+export { DIETARY_TYPES, VEGETARIAN_TYPES, MAX_SPICE_LEVEL, ALLERGENS, BADGE_TAGS, MAX_TAGS, MAX_TAG_LENGTH };
@@ -0,0 +1,71 @@
+// Order lifecycle. Each status lists the statuses it may move to next.
+// "Pending Payment" / "Payment Failed" belong to online checkouts and are only changed by the payment flow.
+const ORDER_TRANSITIONS = {
+    'Pending Payment': ['Placed', 'Payment Failed', 'Cancelled'],
+    'Payment Failed': ['Placed'],
+    'Placed': ['Accepted', 'Rejected', 'Cancelled'],
+    'Accepted': ['Preparing', 'Cancelled'],
+    'Preparing': ['Ready', 'Cancelled'],
+    'Ready': ['Out for delivery', 'Cancelled'],
+    'Out for delivery': ['Delivered'],
+    'Delivered': [],
+    'Cancelled': [],
+    'Rejected': []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// The normal path of an order from the kitchen to the customer's door
+const ORDER_FLOW = ['Placed', 'Accepted', 'Preparing', 'Ready', 'Out for delivery', 'Delivered'];
+
+// Statuses used before the lifecycle existed, and what they mean now
+const LEGACY_ORDER_STATUSES = {
+    'Food Processing': 'Preparing'
+};
+
+// Orders in these states never went through (no payment, or stopped by us or the customer)
+const UNPAID_ORDER_STATUSES = ['Pending Payment', 'Payment Failed'];
+const VOID_ORDER_STATUSES = ['Payment Failed', 'Cancelled', 'Rejected'];
+
+// Staff can move orders along the lifecycle, but not take over the payment flow
+const PAYMENT_CONTROLLED_STATUSES = ['Placed', 'Payment Failed'];
+
+// Orders the kitchen still has to cook
+const KITCHEN_ORDER_STATUSES = ['Placed', 'Accepted', 'Preparing'];
+
+// Customers may cancel until the restaurant accepts the order
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending Payment', 'Placed'];
+
+// Customers get an email when their order reaches one of these
+const EMAILED_ORDER_STATUSES = ['Accepted', 'Out for delivery', 'Delivered', 'Cancelled', 'Rejected'];
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'System' };
+
+const getNextStatuses = (status) => ORDER_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+// One entry in an order's status history. actor is { type: 'customer' | 'admin' | 'system', id, name }
+const createStatusEntry = (status, actor = SYSTEM_ACTOR, note = '') => ({
+    status: status,
+    at: new Date(),
+    actor: { type: actor.type, id: actor.id ? actor.id.toString() : null, name: actor.name || '' },
+    note: note
+});
+
+export {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    ORDER_FLOW,
+    LEGACY_ORDER_STATUSES,
+    UNPAID_ORDER_STATUSES,
+    VOID_ORDER_STATUSES,
+    PAYMENT_CONTROLLED_STATUSES,
+    KITCHEN_ORDER_STATUSES,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    EMAILED_ORDER_STATUSES,
+    SYSTEM_ACTOR,
+    getNextStatuses,
+    canTransition,
+    createStatusEntry
+};
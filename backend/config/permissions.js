@@ -0,0 +1,16 @@
+// Admin panel areas each staff role can access.
+// Used by the adminAuth middleware and sent to the admin app to build the sidebar.
+const ROLE_PERMISSIONS = {
+    owner: ['menu', 'orders', 'bookings', 'tables', 'coupons', 'refunds', 'settings', 'inbox', 'staff'],
+    manager: ['menu', 'orders', 'bookings', 'tables', 'coupons', 'refunds', 'settings', 'inbox'],
+    kitchen: ['orders'],
+    host: ['bookings', 'tables', 'inbox']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+export { ROLE_PERMISSIONS, ADMIN_ROLES, getPermissions, hasPermission };
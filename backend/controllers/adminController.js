@@ -0,0 +1,198 @@
+import adminModel from "../models/adminModel.js";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import validator from "validator";
+import { ADMIN_ROLES, getPermissions } from "../config/permissions.js";
+
+// Admin sessions expire so a forgotten logged-in terminal doesn't stay open forever
+const createAdminToken = (admin) => {
+    return jwt.sign(
+        { id: admin._id, role: admin.role, scope: 'admin' },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.ADMIN_SESSION_TTL || '12h' }
+    );
+};
+
+const toAdminProfile = (admin) => ({
+    _id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    isActive: admin.isActive,
+    lastLoginAt: admin.lastLoginAt,
+    permissions: getPermissions(admin.role)
+});
+
+// Create the first owner account from .env (ADMIN_EMAIL / ADMIN_PASSWORD) if no staff exist yet
+const seedOwnerAccount = async () => {
+    try {
+        const count = await adminModel.countDocuments();
+        if (count > 0) return;
+
+        const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+            console.log("No admin accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the owner account.");
+            return;
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(ADMIN_PASSWORD, salt);
+
+        await adminModel.create({
+            name: ADMIN_NAME || 'Owner',
+            email: ADMIN_EMAIL.toLowerCase(),
+            password: hashedPassword,
+            role: 'owner'
+        });
+        console.log("Owner admin account created:", ADMIN_EMAIL);
+    } catch (error) {
+        console.error("Error creating owner admin account:", error);
+    }
+};
+
+// Admin login
+const loginAdmin = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.json({ success: false, message: "Email and password are required" });
+        }
+
+        const admin = await adminModel.findOne({ email: email.toLowerCase() });
+        if (!admin) {
+            return res.json({ success: false, message: "Invalid credentials" });
+        }
+
+        const isMatch = await bcrypt.compare(password, admin.password);
+        if (!isMatch) {
+            return res.json({ success: false, message: "Invalid credentials" });
+        }
+
+        if (!admin.isActive) {
+            return res.json({ success: false, message: "Your account has been disabled" });
+        }
+
+        admin.lastLoginAt = new Date();
+        await admin.save();
+
+        console.log(`Admin logged in: ${admin.email} (${admin.role})`);
+        res.json({ success: true, token: createAdminToken(admin), data: toAdminProfile(admin) });
+    } catch (error) {
+        console.error("Admin login error:", error);
+        res.json({ success: false, message: "Something went wrong" });
+    }
+};
+
+// Get logged in admin profile
+const getAdminProfile = async (req, res) => {
+    try {
+        const admin = await adminModel.findById(req.admin.id);
+        if (!admin) {
+            return res.json({ success: false, message: "Admin not found" });
+        }
+
+        res.json({ success: true, data: toAdminProfile(admin) });
+    } catch (error) {
+        console.error("Error fetching admin profile:", error);
+        res.json({ success: false, message: "Error fetching profile" });
+    }
+};
+
+// List all staff accounts (owner)
+const listAdmins = async (req, res) => {
+    try {
+        const admins = await adminModel.find({}).sort({ createdAt: -1 });
+        res.json({ success: true, data: admins.map(toAdminProfile) });
+    } catch (error) {
+        console.error("Error fetching admins:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Create a staff account (owner)
+const createAdmin = async (req, res) => {
+    try {
+        const { name, email, password, role } = req.body;
+
+        if (!name || !email || !password || !role) {
+            return res.json({ success: false, message: "Name, email, password and role are required" });
+        }
+        if (!validator.isEmail(email)) {
+            return res.json({ success: false, message: "Email is not valid" });
+        }
+        if (password.length < 8) {
+            return res.json({ success: false, message: "Password must be at least 8 characters" });
+        }
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.json({ success: false, message: "Invalid role" });
+        }
+
+        const exists = await adminModel.findOne({ email: email.toLowerCase() });
+        if (exists) {
+            return res.json({ success: false, message: "An account with this email already exists" });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        const newAdmin = await adminModel.create({
+            name,
+            email: email.toLowerCase(),
+            password: hashedPassword,
+            role
+        });
+
+        console.log(`Staff account created: ${newAdmin.email} (${role}) by ${req.admin.email}`);
+        res.json({ success: true, message: "Staff account created", data: toAdminProfile(newAdmin) });
+    } catch (error) {
+        console.error("Error creating admin:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Update a staff account's role, status or password (owner)
+const updateAdmin = async (req, res) => {
+    try {
+        const { adminId, role, isActive, password } = req.body;
+
+        if (!adminId) {
+            return res.json({ success: false, message: "Admin ID is required" });
+        }
+
+        const admin = await adminModel.findById(adminId);
+        if (!admin) {
+            return res.json({ success: false, message: "Admin not found" });
+        }
+
+        // Owners can't lock themselves out
+        if (admin._id.toString() === req.admin.id && ((role && role !== 'owner') || isActive === false)) {
+            return res.json({ success: false, message: "You can't demote or disable your own account" });
+        }
+
+        if (role !== undefined) {
+            if (!ADMIN_ROLES.includes(role)) {
+                return res.json({ success: false, message: "Invalid role" });
+            }
+            admin.role = role;
+        }
+        if (isActive !== undefined) {
+            admin.isActive = Boolean(isActive);
+        }
+        if (password) {
+            if (password.length < 8) {
+                return res.json({ success: false, message: "Password must be at least 8 characters" });
+            }
+            const salt = await bcrypt.genSalt(10);
+            admin.password = await bcrypt.hash(password, salt);
+        }
+
+        await admin.save();
+        res.json({ success: true, message: "Staff account updated", data: toAdminProfile(admin) });
+    } catch (error) {
+        console.error("Error updating admin:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { seedOwnerAccount, loginAdmin, getAdminProfile, listAdmins, createAdmin, updateAdmin };
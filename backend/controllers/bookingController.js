@@ -1,72 +1,201 @@
 import bookingModel from "../models/bookingModel.js";
 import tableModel from "../models/tableModel.js";
+import { priceOrder, getBookingAmountDue } from "../services/pricingService.js";
+import { calculateBookingRefund, issueBookingRefunds, attachRefunds } from "../services/refundService.js";
+import { announceBooking } from "../services/realtimeService.js";
+import { getBookingStart } from "../services/bookingTimeService.js";
+import { notifyStaff } from "../services/notificationService.js";
+import { queueEmail } from "../services/emailService.js";
+import { offerFreedTables } from "../services/waitlistService.js";
+import { getNoShowCounts } from "../services/noShowService.js";
+import { getBookingDeposit } from "../services/depositService.js";
+import {
+    makeHistoryEntry,
+    planBookingChange,
+    applyBookingChange,
+    announceBookingChange,
+    holdBookingChange,
+    getChangePaymentMinutes
+} from "../services/bookingChangeService.js";
+import {
+    getManageLink,
+    requestGuestCode,
+    verifyGuestCode,
+    getAccessFilter
+} from "../services/bookingAccessService.js";
+import {
+    ACTIVE_BOOKING_STATUSES,
+    getBookingDuration,
+    getBookingWindow,
+    findOverlappingBookings,
+    isTableFree,
+    withTableLocks,
+    getBookingTableIds,
+    areTablesJoinable,
+    countSeats,
+    findTableCombinations,
+    describeTables,
+    releaseBookingTables
+} from "../services/bookingAvailabilityService.js";
+import {
+    getSettings,
+    getDaySchedule,
+    getSlotMinutes,
+    formatSlotTime,
+    checkBookingNotice,
+    checkBookingTime
+} from "../services/openingHoursService.js";
+
+// "12 Mar, 7:00 PM" for staff notifications
+const bookingSlotLabel = (booking) =>
+    `${new Date(booking.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}, ${booking.time}`;
 
 // Create a new booking
 const createBooking = async (req, res) => {
     try {
-        const { name, email, phone, date, time, guests, occasion, specialRequests, preOrderedItems, preOrderTotal, tableId, tableNumber, tableName } = req.body;
+        const { name, email, phone, date, time, guests, occasion, specialRequests, tableId } = req.body;
+        let { tableNumber, tableName } = req.body;
 
         // Validate required fields
         if (!name || !email || !phone || !date || !time || !guests) {
             return res.json({ success: false, message: "Please fill all required fields" });
         }
 
-        // Check if table is already booked for this date/time
-        if (tableId) {
-            const bookingDate = new Date(date);
-            const existingBooking = await bookingModel.findOne({
-                tableId: tableId,
-                date: {
-                    $gte: new Date(bookingDate.setHours(0, 0, 0, 0)),
-                    $lt: new Date(bookingDate.setHours(23, 59, 59, 999))
-                },
-                time: time,
-                status: { $in: ['Pending', 'Confirmed'] }
-            });
+        // Only open hours, not in the past, not too far ahead
+        const settings = await getSettings();
+        const timeError = checkBookingTime(settings, date, time);
+        if (timeError) {
+            return res.json({ success: false, message: timeError });
+        }
 
-            if (existingBooking) {
-                return res.json({ success: false, message: "This table is already booked for the selected date and time" });
+        // A large party can book several joined tables (`tableIds`), everyone else one `tableId`
+        const tableIds = Array.isArray(req.body.tableIds) && req.body.tableIds.length > 0
+            ? [...new Set(req.body.tableIds.map(String))]
+            : tableId ? [String(tableId)] : [];
+        const tables = await tableModel.find({ _id: { $in: tableIds } });
+        if (tables.length !== tableIds.length || tables.some(t => !t.isActive || t.status === 'maintenance')) {
+            return res.json({ success: false, message: "This table is not available for booking" });
+        }
+        if (tables.length > 1) {
+            if (!areTablesJoinable(tables)) {
+                return res.json({ success: false, message: "These tables can't be joined together" });
             }
+            // Keep the order the guest picked, and show the group as "4 + 5"
+            tables.sort((a, b) => tableIds.indexOf(a._id.toString()) - tableIds.indexOf(b._id.toString()));
+            ({ tableNumber, tableName } = describeTables(tables));
+        }
+        const seats = countSeats(tables);
+        if (tables.length > 0 && seats < parseInt(guests)) {
+            return res.json({
+                success: false,
+                message: `Table ${describeTables(tables).tableNumber} only seats ${seats}. Please pick a bigger table.`
+            });
+        }
+
+        // Work out how long the tables are held for (the longest minimum of the group)
+        const durationMinutes = tables.length > 0
+            ? Math.max(...tables.map(t => getBookingDuration(t, req.body.durationHours, guests)))
+            : getBookingDuration(null, req.body.durationHours, guests);
+        const window = getBookingWindow(date, time, durationMinutes);
+        if (!window) {
+            return res.json({ success: false, message: "Please choose a valid date and time" });
         }
 
         // Check if there are pre-ordered items
-        const hasPreOrder = preOrderedItems && preOrderedItems.length > 0;
+        const hasPreOrder = Array.isArray(req.body.preOrderedItems) && req.body.preOrderedItems.length > 0;
+
+        // Pre-orders are priced on the server at menu prices (tax and service are settled on the final bill)
+        let preOrderedItems = [];
+        let preOrderTotal = 0;
+        if (hasPreOrder) {
+            const preOrder = await priceOrder(req.body.preOrderedItems, { includeDelivery: false, includeTax: false });
+            preOrderedItems = preOrder.items;
+            preOrderTotal = preOrder.pricing.total;
+        }
+
+        // Reservation deposit, or a higher one for guests who have missed earlier bookings
+        const deposit = await getBookingDeposit(
+            settings,
+            { tables, guests, date, time, durationMinutes },
+            { email, phone }
+        );
 
         // Create new booking
         const newBooking = new bookingModel({
+            // Set by optionalAuth when the guest is logged in
+            userId: req.body.userId || null,
             name,
             email,
             phone,
             date: new Date(date),
             time,
             guests,
-            tableId: tableId || null,
+            tableId: tableIds[0] || null,
+            tableIds: tableIds,
             tableNumber: tableNumber || '',
             tableName: tableName || '',
             occasion: occasion || '',
             specialRequests: specialRequests || '',
             status: 'Pending',
-            preOrderedItems: preOrderedItems || [],
-            preOrderTotal: preOrderTotal || 0,
-            hasPreOrder: hasPreOrder
+            startAt: window.startAt,
+            endAt: window.endAt,
+            durationMinutes: durationMinutes,
+            preOrderedItems: preOrderedItems,
+            preOrderTotal: preOrderTotal,
+            hasPreOrder: hasPreOrder,
+            depositAmount: deposit.amount,
+            depositReason: deposit.reason
         });
 
-        await newBooking.save();
+        if (tableIds.length > 0) {
+            // The overlap check and the save happen under the table locks, so only one of two racing guests gets the slot
+            const saved = await withTableLocks(tableIds, async () => {
+                const overlapping = await findOverlappingBookings(tableIds, window);
+                if (overlapping.length > 0) {
+                    return false;
+                }
+                await newBooking.save();
+                return true;
+            });
+            if (!saved) {
+                return res.json({ success: false, message: "This table is already booked around the selected time. Please pick another time or table." });
+            }
 
-        // Update table status to reserved if table was selected
-        if (tableId) {
-            await tableModel.findByIdAndUpdate(tableId, { status: 'reserved' });
+            // Update table status to reserved
+            await tableModel.updateMany({ _id: { $in: tableIds } }, { status: 'reserved' });
             console.log(`Table ${tableNumber} marked as reserved`);
+        } else {
+            await newBooking.save();
         }
 
+        announceBooking('booking:new', newBooking);
+        await notifyStaff({
+            type: 'booking',
+            title: `New booking for ${guests} guest${Number(guests) === 1 ? '' : 's'}`,
+            message: `${name} · ${bookingSlotLabel(newBooking)}${tableNumber ? ` · Table ${tableNumber}` : ''}`,
+            permission: 'bookings',
+            link: '/bookings',
+            bookingId: newBooking._id
+        });
+
         console.log("New booking created:", newBooking._id, tableNumber ? `Table: ${tableNumber}` : '', hasPreOrder ? `with ${preOrderedItems.length} pre-ordered items` : '');
+        const manageLink = getManageLink(newBooking);
+        await queueEmail({ to: email, template: 'bookingReceived', data: { booking: newBooking, manageLink } });
 
         res.json({ 
             success: true, 
             message: hasPreOrder ? "Table booked with food pre-order!" : "Table booked successfully!", 
             bookingId: newBooking._id,
             hasPreOrder: hasPreOrder,
-            tableNumber: tableNumber
+            preOrderTotal: preOrderTotal,
+            depositAmount: deposit.amount,
+            depositReason: deposit.reason,
+            amountDue: getBookingAmountDue(newBooking),
+            tableNumber: tableNumber,
+            tableIds: tableIds,
+            startAt: window.startAt,
+            endAt: window.endAt,
+            manageLink: manageLink
         });
     } catch (error) {
         console.error("Error creating booking:", error);
@@ -74,11 +203,74 @@ const createBooking = async (req, res) => {
     }
 };
 
+// Bookable times for a day from the opening hours, with how many suitable tables are still free
+const getBookingSlots = async (req, res) => {
+    try {
+        const { date, guests } = req.query;
+
+        const settings = await getSettings();
+        const schedule = getDaySchedule(settings, date);
+        if (!schedule) {
+            return res.json({ success: false, message: "Please choose a valid date" });
+        }
+        if (schedule.closed) {
+            return res.json({ success: true, data: { date: schedule.dateKey, closed: true, reason: schedule.reason, slots: [] } });
+        }
+
+        const openTables = await tableModel.find({ isActive: true, status: { $ne: 'maintenance' } });
+        const partySize = parseInt(guests) || 0;
+        const tables = openTables.filter(table => table.capacity >= partySize);
+        const restaurantHasTables = openTables.length > 0 || await tableModel.exists({ isActive: true });
+
+        // Every active booking on these tables that day, checked against each slot below
+        const dayStart = getBookingStart(date, '0:00');
+        const bookings = openTables.length > 0
+            ? await findOverlappingBookings(openTables.map(t => t._id), {
+                startAt: dayStart,
+                endAt: new Date(dayStart.getTime() + 24 * 60 * 60000)
+            })
+            : [];
+
+        const slots = [];
+        for (const minutes of getSlotMinutes(settings, schedule)) {
+            const time = formatSlotTime(minutes);
+            if (checkBookingNotice(settings, getBookingStart(date, time))) continue;
+
+            const isFree = (table) => isTableFree(table, bookings, getBookingWindow(date, time, getBookingDuration(table, 0, guests)));
+            const tablesLeft = tables.filter(isFree).length;
+            // No single table is big enough or free - joined tables may still seat the party
+            const canJoinTables = tablesLeft === 0 && partySize > 0 &&
+                findTableCombinations(openTables.filter(isFree), partySize, 1).length > 0;
+
+            slots.push({
+                time: time,
+                tablesLeft: tablesLeft,
+                // Without any tables set up, bookings are taken without a table
+                available: restaurantHasTables ? tablesLeft > 0 || canJoinTables : true
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { date: schedule.dateKey, closed: false, reason: schedule.reason, slots: slots }
+        });
+    } catch (error) {
+        console.error("Error fetching booking slots:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
 // Get all bookings (for admin)
 const listBookings = async (req, res) => {
     try {
         const bookings = await bookingModel.find({}).sort({ createdAt: -1 });
-        res.json({ success: true, data: bookings });
+        const withRefunds = await attachRefunds('booking', bookings);
+        // How many times each guest has not turned up, so staff can spot repeat no-shows
+        const noShows = await getNoShowCounts(bookings);
+        res.json({
+            success: true,
+            data: withRefunds.map(b => ({ ...b, guestNoShows: noShows.get(b._id.toString()) || 0 }))
+        });
     } catch (error) {
         console.error("Error fetching bookings:", error);
         res.json({ success: false, message: error.message });
@@ -100,38 +292,68 @@ const updateBookingStatus = async (req, res) => {
             return res.json({ success: false, message: "Booking not found" });
         }
 
-        const updatedBooking = await bookingModel.findByIdAndUpdate(
-            bookingId,
-            { status },
-            { new: true }
-        );
+        const history = makeHistoryEntry({
+            changedBy: 'staff',
+            changedByName: req.admin.name,
+            changes: [{ field: 'Status', from: booking.status, to: status }]
+        });
 
-        // Update table status based on booking status
-        if (booking.tableId) {
-            if (status === 'Completed' || status === 'Cancelled') {
-                // Check if there are other active bookings for this table today
-                const today = new Date();
-                const activeBookings = await bookingModel.find({
-                    tableId: booking.tableId,
-                    _id: { $ne: bookingId },
-                    date: {
-                        $gte: new Date(today.setHours(0, 0, 0, 0)),
-                        $lt: new Date(today.setHours(23, 59, 59, 999))
-                    },
-                    status: { $in: ['Pending', 'Confirmed'] }
-                });
-
-                // If no other active bookings, set table to available
-                if (activeBookings.length === 0) {
-                    await tableModel.findByIdAndUpdate(booking.tableId, { status: 'available' });
-                    console.log(`Table ${booking.tableNumber} marked as available`);
+        // Re-opening a cancelled or completed booking must not double-book its table
+        const reopening = ACTIVE_BOOKING_STATUSES.includes(status) && !ACTIVE_BOOKING_STATUSES.includes(booking.status);
+        let updatedBooking;
+        const tableIds = getBookingTableIds(booking);
+        if (reopening && tableIds.length > 0 && booking.startAt) {
+            updatedBooking = await withTableLocks(tableIds, async () => {
+                const overlapping = await findOverlappingBookings(tableIds, booking, bookingId);
+                if (overlapping.length > 0) {
+                    return null;
                 }
+                return bookingModel.findByIdAndUpdate(bookingId, { status, noShowAt: null, $push: { history } }, { new: true });
+            });
+            if (!updatedBooking) {
+                return res.json({ success: false, message: "The table has been booked by someone else for this time since" });
+            }
+        } else {
+            updatedBooking = await bookingModel.findByIdAndUpdate(
+                bookingId,
+                { status, noShowAt: status === 'No-show' ? new Date() : null, $push: { history } },
+                { new: true }
+            );
+        }
+
+        // Update table status based on booking status
+        if (tableIds.length > 0) {
+            if (!ACTIVE_BOOKING_STATUSES.includes(status)) {
+                // Tables with no other active bookings today go back to available
+                await releaseBookingTables(booking, 'marked as available');
             } else if (status === 'Confirmed') {
-                await tableModel.findByIdAndUpdate(booking.tableId, { status: 'reserved' });
+                await tableModel.updateMany({ _id: { $in: tableIds } }, { status: 'reserved' });
                 console.log(`Table ${booking.tableNumber} confirmed as reserved`);
             }
         }
 
+        announceBooking('booking:status', updatedBooking);
+
+        // Let the guest know when staff confirm or call off their booking
+        if (status !== booking.status && status === 'Confirmed') {
+            await queueEmail({
+                to: updatedBooking.email,
+                template: 'bookingConfirmed',
+                data: { booking: updatedBooking, manageLink: getManageLink(updatedBooking) }
+            });
+        } else if (status !== booking.status && status === 'Cancelled') {
+            await queueEmail({
+                to: updatedBooking.email,
+                template: 'bookingCancelled',
+                data: { booking: updatedBooking, byRestaurant: true }
+            });
+        }
+
+        // A freed table goes to the next guest on the waitlist
+        if (tableIds.length > 0 && ACTIVE_BOOKING_STATUSES.includes(booking.status) && !ACTIVE_BOOKING_STATUSES.includes(status)) {
+            await offerFreedTables(booking.date);
+        }
+
         console.log("Booking status updated:", bookingId, "->", status);
         res.json({ success: true, message: "Booking status updated", data: updatedBooking });
     } catch (error) {
@@ -158,24 +380,15 @@ const deleteBooking = async (req, res) => {
             return res.json({ success: false, message: "Booking not found" });
         }
 
-        // If booking had a table, check if we should release it
-        if (booking && booking.tableId) {
-            const today = new Date();
-            const activeBookings = await bookingModel.find({
-                tableId: booking.tableId,
-                date: {
-                    $gte: new Date(today.setHours(0, 0, 0, 0)),
-                    $lt: new Date(today.setHours(23, 59, 59, 999))
-                },
-                status: { $in: ['Pending', 'Confirmed'] }
-            });
-
-            if (activeBookings.length === 0) {
-                await tableModel.findByIdAndUpdate(booking.tableId, { status: 'available' });
-                console.log(`Table ${booking.tableNumber} released and marked as available`);
-            }
+        // If booking had tables, check if we should release them
+        if (booking) {
+            await releaseBookingTables(booking, 'released and marked as available');
         }
 
+        announceBooking('booking:deleted', deletedBooking);
+        if (getBookingTableIds(deletedBooking).length > 0 && ACTIVE_BOOKING_STATUSES.includes(deletedBooking.status)) {
+            await offerFreedTables(deletedBooking.date);
+        }
         console.log("Booking deleted:", bookingId);
         res.json({ success: true, message: "Booking deleted successfully" });
     } catch (error) {
@@ -228,83 +441,291 @@ const getBookingsByDate = async (req, res) => {
     }
 };
 
-// Get user's bookings by email or phone
-const getUserBookings = async (req, res) => {
+// Bookings made while logged in (user)
+const getMyBookings = async (req, res) => {
     try {
-        const { email, phone } = req.body;
-        
-        if (!email && !phone) {
-            return res.json({ success: false, message: "Email or phone is required" });
+        const bookings = await bookingModel.find({ userId: req.body.userId }).sort({ createdAt: -1 });
+        res.json({ success: true, data: await attachRefunds('booking', bookings) });
+    } catch (error) {
+        console.error("Error fetching user bookings:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Bookings a guest opened with a manage link or a verified email
+const getGuestBookings = async (req, res) => {
+    try {
+        const bookings = await bookingModel.find(getAccessFilter(req.bookingAccess)).sort({ createdAt: -1 });
+        res.json({ success: true, data: await attachRefunds('booking', bookings) });
+    } catch (error) {
+        console.error("Error fetching guest bookings:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Send a one-time code to a guest's email so they can see their bookings (public)
+const requestBookingCode = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.json({ success: false, message: "Please enter your email" });
         }
 
-        // Build query - search by email OR phone
-        let query = {};
-        if (email && phone) {
-            query = { $or: [{ email: email }, { phone: phone }] };
-        } else if (email) {
-            query = { email: email };
-        } else {
-            query = { phone: phone };
+        const error = await requestGuestCode(email);
+        if (error) {
+            return res.json({ success: false, message: error });
+        }
+        res.json({ success: true, message: `We've sent a 6-digit code to ${email}` });
+    } catch (error) {
+        console.error("Error sending booking code:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Swap a guest's one-time code for a booking token (public)
+const verifyBookingCode = async (req, res) => {
+    try {
+        const { email, code } = req.body;
+        if (!email || !code) {
+            return res.json({ success: false, message: "Please enter the code we sent you" });
         }
 
-        const bookings = await bookingModel.find(query).sort({ createdAt: -1 });
-        res.json({ success: true, data: bookings });
+        const result = await verifyGuestCode(email, code);
+        if (result.error) {
+            return res.json({ success: false, message: result.error });
+        }
+        res.json({ success: true, token: result.token });
     } catch (error) {
-        console.error("Error fetching user bookings:", error);
+        console.error("Error verifying booking code:", error);
         res.json({ success: false, message: error.message });
     }
 };
 
+// A booking the caller is allowed to manage (see middleware/bookingAccess.js)
+const findAccessibleBooking = (access, bookingId) =>
+    bookingModel.findOne({ $and: [{ _id: bookingId }, getAccessFilter(access)] });
+
 // Cancel booking by user
 const cancelUserBooking = async (req, res) => {
     try {
-        const { bookingId, email } = req.body;
+        const { bookingId } = req.body;
 
-        if (!bookingId || !email) {
-            return res.json({ success: false, message: "Booking ID and email are required" });
+        if (!bookingId) {
+            return res.json({ success: false, message: "Booking ID is required" });
         }
 
         // Find booking and verify it belongs to the user
-        const booking = await bookingModel.findOne({ _id: bookingId, email: email });
+        const booking = await findAccessibleBooking(req.bookingAccess, bookingId);
 
         if (!booking) {
             return res.json({ success: false, message: "Booking not found or unauthorized" });
         }
 
         // Only allow cancellation of pending or confirmed bookings
-        if (booking.status === 'Completed' || booking.status === 'Cancelled') {
+        if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
             return res.json({ success: false, message: `Cannot cancel a ${booking.status.toLowerCase()} booking` });
         }
 
+        // Refund a paid pre-order according to the cancellation policy
+        const refundQuote = await calculateBookingRefund(booking);
+
+        booking.history.push(makeHistoryEntry({
+            changedBy: 'guest',
+            changedByName: booking.name,
+            changes: [{ field: 'Status', from: booking.status, to: 'Cancelled' }],
+            amountRefunded: refundQuote.amount
+        }));
         booking.status = 'Cancelled';
         await booking.save();
 
-        // Release the table if one was booked
-        if (booking.tableId) {
-            const today = new Date();
-            const activeBookings = await bookingModel.find({
-                tableId: booking.tableId,
-                _id: { $ne: bookingId },
-                date: {
-                    $gte: new Date(today.setHours(0, 0, 0, 0)),
-                    $lt: new Date(today.setHours(23, 59, 59, 999))
-                },
-                status: { $in: ['Pending', 'Confirmed'] }
+        // Release the tables if any were booked
+        await releaseBookingTables(booking, 'released after user cancellation');
+
+        let refunds = [];
+        if (refundQuote.amount > 0) {
+            refunds = await issueBookingRefunds({
+                booking: booking,
+                amount: refundQuote.amount,
+                reason: `Cancelled by guest - ${refundQuote.policy} refund`,
+                initiatedBy: 'customer',
+                initiatedByName: booking.name
             });
+        }
 
-            if (activeBookings.length === 0) {
-                await tableModel.findByIdAndUpdate(booking.tableId, { status: 'available' });
-                console.log(`Table ${booking.tableNumber} released after user cancellation`);
-            }
+        let message = "Booking cancelled successfully";
+        let refundMessage = '';
+        if (refunds.some(refund => refund.status === 'failed')) {
+            refundMessage = "We couldn't start your refund automatically - our team will process it shortly";
+        } else if (refunds.length > 0) {
+            refundMessage = `${refundQuote.message} is on its way to your original payment method`;
+        } else if (booking.paymentStatus === 'paid') {
+            refundMessage = refundQuote.message;
+        }
+        if (refundMessage) {
+            message += `. ${refundMessage}.`;
+        }
+
+        await queueEmail({ to: booking.email, template: 'bookingCancelled', data: { booking, refundMessage } });
+
+        announceBooking('booking:status', booking);
+        await notifyStaff({
+            type: 'booking',
+            title: 'Booking cancelled by guest',
+            message: `${booking.name} · ${bookingSlotLabel(booking)}${booking.tableNumber ? ` · Table ${booking.tableNumber}` : ''}`,
+            permission: 'bookings',
+            link: '/bookings',
+            bookingId: booking._id
+        });
+        if (booking.tableId) {
+            await offerFreedTables(booking.date);
         }
 
         console.log("Booking cancelled by user:", bookingId);
-        res.json({ success: true, message: "Booking cancelled successfully" });
+        res.json({ success: true, message: message, refunds: refunds });
     } catch (error) {
         console.error("Error cancelling booking:", error);
         res.json({ success: false, message: error.message });
     }
 };
 
-export { createBooking, listBookings, updateBookingStatus, deleteBooking, getBooking, getBookingsByDate, getUserBookings, cancelUserBooking };
+// Show the guest what they would get back before they cancel
+const getCancellationQuote = async (req, res) => {
+    try {
+        const { bookingId } = req.body;
+
+        if (!bookingId) {
+            return res.json({ success: false, message: "Booking ID is required" });
+        }
+
+        const booking = await findAccessibleBooking(req.bookingAccess, bookingId);
+        if (!booking) {
+            return res.json({ success: false, message: "Booking not found or unauthorized" });
+        }
+
+        res.json({ success: true, data: await calculateBookingRefund(booking) });
+    } catch (error) {
+        console.error("Error calculating cancellation refund:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// What a change would do to a booking, before the guest confirms it
+const getChangeQuote = async (req, res) => {
+    try {
+        const { bookingId, ...changes } = req.body;
+
+        const booking = bookingId ? await findAccessibleBooking(req.bookingAccess, bookingId) : null;
+        if (!booking) {
+            return res.json({ success: false, message: "Booking not found or unauthorized" });
+        }
+
+        const plan = await planBookingChange(booking, changes);
+        if (plan.error) {
+            return res.json({ success: false, message: plan.error });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                changes: plan.changes,
+                amountDue: plan.amountDue,
+                amountToPay: plan.amountToPay,
+                refund: plan.refund
+            }
+        });
+    } catch (error) {
+        console.error("Error quoting booking change:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Reschedule, change the party size or tables, or edit the pre-order (user or guest)
+const changeBooking = async (req, res) => {
+    try {
+        const { bookingId, ...changes } = req.body;
+
+        const booking = bookingId ? await findAccessibleBooking(req.bookingAccess, bookingId) : null;
+        if (!booking) {
+            return res.json({ success: false, message: "Booking not found or unauthorized" });
+        }
+
+        const plan = await planBookingChange(booking, changes);
+        if (plan.error) {
+            return res.json({ success: false, message: plan.error });
+        }
+
+        // A change that costs more waits until the difference is paid
+        if (plan.amountToPay > 0) {
+            const held = await holdBookingChange(booking, plan, { changedBy: 'guest', changedByName: booking.name });
+            if (held.error) {
+                return res.json({ success: false, message: held.error });
+            }
+
+            console.log("Booking change waiting for payment:", booking._id, plan.changes.map(change => change.field).join(', '));
+            return res.json({
+                success: true,
+                message: `Please pay the ₹${plan.amountToPay} difference within ${getChangePaymentMinutes()} minutes to confirm your changes. Your booking stays as it is until then.`,
+                data: held.booking,
+                amountToPay: plan.amountToPay
+            });
+        }
+
+        const result = await applyBookingChange(booking, plan, { changedBy: 'guest', changedByName: booking.name });
+        if (result.error) {
+            return res.json({ success: false, message: result.error });
+        }
+        const updated = result.booking;
+
+        const refundMessage = await announceBookingChange(booking, updated, plan, result.refunds);
+        const message = refundMessage ? `Your booking has been updated. ${refundMessage}.` : "Your booking has been updated";
+
+        console.log("Booking changed:", updated._id, plan.changes.map(change => change.field).join(', '));
+        res.json({
+            success: true,
+            message: message,
+            data: updated,
+            amountToPay: plan.amountToPay
+        });
+    } catch (error) {
+        console.error("Error changing booking:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Refund part or all of a paid pre-order (admin)
+const refundBooking = async (req, res) => {
+    try {
+        const { bookingId, amount, reason } = req.body;
+
+        const booking = await bookingModel.findById(bookingId);
+        if (!booking) {
+            return res.json({ success: false, message: "Booking not found" });
+        }
+
+        // Split across the first payment and any top-ups
+        const refunds = await issueBookingRefunds({
+            booking: booking,
+            amount: amount,
+            reason: reason,
+            initiatedBy: 'admin',
+            initiatedByName: req.admin.name
+        });
+
+        const failed = refunds.find(refund => refund.status === 'failed');
+        if (failed) {
+            return res.json({ success: false, message: `Refund failed: ${failed.failureReason}`, data: refunds });
+        }
+        const total = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        res.json({
+            success: true,
+            message: refunds.every(refund => refund.status === 'processed') ? `₹${total} refunded` : `Refund of ₹${total} initiated`,
+            data: refunds
+        });
+    } catch (error) {
+        console.error("Error refunding booking:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { createBooking, getBookingSlots, listBookings, updateBookingStatus, deleteBooking, getBooking, getBookingsByDate, getMyBookings, getGuestBookings, requestBookingCode, verifyBookingCode, cancelUserBooking, getCancellationQuote, getChangeQuote, changeBooking, refundBooking };
 
@@ -1,6 +1,8 @@
 import Razorpay from "razorpay";
-import crypto from "crypto";
 import bookingModel from "../models/bookingModel.js";
+import { toPaise, roundMoney, getBookingAmountDue } from "../services/pricingService.js";
+import { getRefundableAmount } from "../services/refundService.js";
+import { verifyHmacSignature, processPaymentEvent, markBookingPaid, markBookingFailed } from "../services/paymentService.js";
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -8,13 +10,13 @@ const razorpay = new Razorpay({
     key_secret: process.env.RAZORPAY_KEY_SECRET
 });
 
-// Create Razorpay order for pre-order payment
+// Create Razorpay order for the pre-order and/or deposit
 const createPreOrderPayment = async (req, res) => {
     try {
-        const { bookingId, amount } = req.body;
+        const { bookingId } = req.body;
 
-        if (!bookingId || !amount) {
-            return res.json({ success: false, message: "Booking ID and amount are required" });
+        if (!bookingId) {
+            return res.json({ success: false, message: "Booking ID is required" });
         }
 
         // Verify booking exists
@@ -23,14 +25,46 @@ const createPreOrderPayment = async (req, res) => {
             return res.json({ success: false, message: "Booking not found" });
         }
 
+        // Charge the pre-order total and deposit worked out when the booking was created
+        const amountDue = getBookingAmountDue(booking);
+        if (amountDue <= 0) {
+            return res.json({ success: false, message: "This booking has nothing to pay for" });
+        }
+
+        // A paid booking that was changed to cost more only pays the difference. Changes that
+        // wait for payment are saved once it comes in.
+        const isTopUp = booking.paymentStatus === 'paid';
+        const pendingChange = isTopUp ? booking.pendingChange : null;
+        if (pendingChange && new Date(pendingChange.expiresAt) <= new Date()) {
+            return res.json({ success: false, message: "Your change has expired. Please make it again." });
+        }
+        const amount = pendingChange
+            ? pendingChange.amountToPay
+            : isTopUp ? roundMoney(amountDue - await getRefundableAmount('booking', booking)) : amountDue;
+        if (amount <= 0) {
+            return res.json({ success: false, message: "This booking is already paid" });
+        }
+
+        // A retry or double click pays the top-up already opened for this amount
+        const openTopUp = isTopUp && booking.extraPayments.find((payment) =>
+            payment.status === 'pending' && payment.razorpayOrderId && toPaise(payment.amount) === toPaise(amount)
+            && payment.forPendingChange === Boolean(pendingChange));
+        if (openTopUp) {
+            const openOrder = await razorpay.orders.fetch(openTopUp.razorpayOrderId);
+            if (openOrder.status === 'paid') {
+                return res.json({ success: false, message: "Your payment is being confirmed. Please check back in a minute." });
+            }
+            return res.json({ success: true, order: openOrder, key: process.env.RAZORPAY_KEY_ID });
+        }
+
         // Create Razorpay order
         const options = {
-            amount: amount * 100, // Razorpay expects amount in paise
+            amount: toPaise(amount), // Razorpay expects amount in paise
             currency: "INR",
             receipt: `booking_${bookingId.slice(-8)}`,
             notes: {
                 bookingId: bookingId,
-                type: "pre_order_payment"
+                type: isTopUp ? "booking_top_up" : "pre_order_payment"
             }
         };
 
@@ -38,9 +72,20 @@ const createPreOrderPayment = async (req, res) => {
         console.log("Razorpay order created:", order.id);
 
         // Update booking with razorpay order ID
-        await bookingModel.findByIdAndUpdate(bookingId, {
-            razorpayOrderId: order.id
-        });
+        if (isTopUp) {
+            // The new top-up replaces any unpaid one for a different amount
+            await bookingModel.findByIdAndUpdate(bookingId, {
+                $pull: { extraPayments: { status: 'pending' } }
+            });
+            await bookingModel.findByIdAndUpdate(bookingId, {
+                $push: { extraPayments: { amount: amount, razorpayOrderId: order.id, forPendingChange: Boolean(pendingChange) } }
+            });
+        } else {
+            await bookingModel.findByIdAndUpdate(bookingId, {
+                razorpayOrderId: order.id,
+                razorpayOrderCreatedAt: new Date()
+            });
+        }
 
         res.json({
             success: true,
@@ -65,20 +110,31 @@ const verifyPreOrderPayment = async (req, res) => {
 
         // Verify signature
         const body = razorpay_order_id + "|" + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-            .update(body.toString())
-            .digest("hex");
-
-        const isAuthentic = expectedSignature === razorpay_signature;
+        const isAuthentic = verifyHmacSignature(body, razorpay_signature, process.env.RAZORPAY_KEY_SECRET);
 
         if (isAuthentic) {
-            // Update booking with payment info
-            await bookingModel.findByIdAndUpdate(bookingId, {
-                preOrderPayment: true,
+            // Record what Razorpay actually took, not what the booking costs now. The booking may
+            // have changed since this checkout was opened.
+            const payment = await razorpay.payments.fetch(razorpay_payment_id);
+            if (payment.order_id !== razorpay_order_id) {
+                return res.json({ success: false, message: "Payment verification failed" });
+            }
+            const amount = payment.amount / 100;
+
+            // Same update the payment.captured webhook makes, whichever arrives first wins
+            await processPaymentEvent({
+                provider: 'razorpay',
+                eventId: `checkout_${razorpay_payment_id}`,
+                type: 'payment.captured',
+                source: 'checkout',
+                bookingId: bookingId,
                 paymentId: razorpay_payment_id,
-                paymentStatus: 'paid'
-            });
+                amount: amount
+            }, () => markBookingPaid(bookingId, {
+                paymentId: razorpay_payment_id,
+                razorpayOrderId: razorpay_order_id,
+                amount: amount
+            }));
 
             console.log("Payment verified for booking:", bookingId);
             res.json({ 
@@ -88,9 +144,7 @@ const verifyPreOrderPayment = async (req, res) => {
             });
         } else {
             // Payment verification failed
-            await bookingModel.findByIdAndUpdate(bookingId, {
-                paymentStatus: 'failed'
-            });
+            await markBookingFailed(bookingId);
 
             console.log("Payment verification failed for booking:", bookingId);
             res.json({ success: false, message: "Payment verification failed" });
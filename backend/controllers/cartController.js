@@ -1,73 +1,230 @@
 import userModel from "../models/userModel.js";
+import foodModel from "../models/foodModel.js";
+import { MAX_ITEM_QUANTITY, isFoodAvailable } from "../services/pricingService.js";
+import { cleanCartData, getUnavailableReason, priceCart } from "../services/cartService.js";
+import { makeCartKey, parseCartKey, isValidCartKey, selectOptions } from "../services/modifierService.js";
+
+// Every cart endpoint answers with the saved cart and its prices, so the app can show exactly what the server has
+const sendCart = async (res, user, message) => {
+    const cartData = cleanCartData(user.cartData);
+    res.json({ success: true, message, cartData, cart: await priceCart(cartData) });
+};
+
+// The cart line a request is about: a cart `key`, or an `itemId` plus the option ids picked for it
+const readCartKey = (body) => {
+    if (body.key) {
+        const { itemId, optionIds } = parseCartKey(body.key);
+        return makeCartKey(itemId, optionIds);
+    }
+    return makeCartKey(body.itemId, Array.isArray(body.options) ? body.options : []);
+};
 
-//add items to cart
+// A dish (with its chosen options) that can be put in the cart. Returns an error message, or null when it's fine.
+const checkCartItem = async (key) => {
+    if (!isValidCartKey(key)) {
+        return "Item not found";
+    }
+    const { itemId, optionIds } = parseCartKey(key);
+    const food = await foodModel.findById(itemId);
+    if (!food) {
+        return "Item not found";
+    }
+    if (!isFoodAvailable(food)) {
+        return `${food.name} is currently unavailable`;
+    }
+    try {
+        selectOptions(food, optionIds);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+};
+
+// A failed change still sends the saved cart back, so the app can undo what it showed
+const sendCartError = async (res, userId, message) => {
+    const user = await userModel.findById(userId);
+    res.json({ success: false, message, cartData: cleanCartData(user?.cartData) });
+};
+
+//add items to cart (one by default, or `quantity` more) with the sizes and add-ons in `options`
 const addToCart = async (req, res) => {
     try {
-        // Retrieve the user data
-        let userData = await userModel.findById( req.body.userId );
+        const key = readCartKey(req.body);
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.json({ success: false, message: "Invalid quantity" });
+        }
 
-        // Initialize cartData if it doesn't exist
-        let cartData = userData.cartData || {}; 
+        const itemError = await checkCartItem(key);
+        if (itemError) {
+            return sendCartError(res, req.body.userId, itemError);
+        }
 
-        // Check if the item already exists in cartData, increment or initialize count
-        if (!cartData[req.body.itemId]) {
-            cartData[req.body.itemId] = 1;
-        } else {
-            cartData[req.body.itemId] += 1;
+        // $inc keeps several quick taps from overwriting each other
+        let user = await userModel.findByIdAndUpdate(
+            req.body.userId,
+            { $inc: { [`cartData.${key}`]: quantity } },
+            { new: true }
+        );
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
+        if (user.cartData[key] > MAX_ITEM_QUANTITY) {
+            user = await userModel.findByIdAndUpdate(
+                req.body.userId,
+                { $set: { [`cartData.${key}`]: MAX_ITEM_QUANTITY } },
+                { new: true }
+            );
+            return sendCart(res, user, `You can order at most ${MAX_ITEM_QUANTITY} of a single item`);
         }
 
-        // Update the user's cartData
-        await userModel.findByIdAndUpdate(req.body.userId, { cartData });
-        res.json({ success: true, message: "Item added to cart successfully" });
-        
+        await sendCart(res, user, "Item added to cart successfully");
     } catch (error) {
-        console.log(error); 
+        console.log(error);
         res.json({ success: false, message: error.message });
     }
 };
 
+//remove one of an item from the cart
+const removeFromCart = async (req, res) => {
+    try {
+        const key = readCartKey(req.body);
+        if (!isValidCartKey(key)) {
+            return res.json({ success: false, message: "Item not found" });
+        }
+
+        let user = await userModel.findOneAndUpdate(
+            { _id: req.body.userId, [`cartData.${key}`]: { $gt: 1 } },
+            { $inc: { [`cartData.${key}`]: -1 } },
+            { new: true }
+        );
+        // The last one takes the item out of the cart
+        if (!user) {
+            user = await userModel.findByIdAndUpdate(
+                req.body.userId,
+                { $unset: { [`cartData.${key}`]: "" } },
+                { new: true }
+            );
+        }
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
 
+        await sendCart(res, user, "Item removed from the cart successfully");
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
 
-//remove item from cart
-const removeFromCart = async (req, res) => {
+// Set how many of an item are in the cart. 0 takes it out.
+const updateCartItem = async (req, res) => {
     try {
-       
-        let userData = await userModel.findById( req.body.userId );
+        const key = readCartKey(req.body);
+        const quantity = Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.json({ success: false, message: "Invalid quantity" });
+        }
+        if (quantity > MAX_ITEM_QUANTITY) {
+            return res.json({ success: false, message: `You can order at most ${MAX_ITEM_QUANTITY} of a single item` });
+        }
 
-        let cartData = userData.cartData || {}; 
+        let update;
+        if (quantity === 0) {
+            if (!isValidCartKey(key)) {
+                return res.json({ success: false, message: "Item not found" });
+            }
+            update = { $unset: { [`cartData.${key}`]: "" } };
+        } else {
+            const itemError = await checkCartItem(key);
+            if (itemError) {
+                return sendCartError(res, req.body.userId, itemError);
+            }
+            update = { $set: { [`cartData.${key}`]: quantity } };
+        }
 
-       
-        if (cartData[req.body.itemId]>0) {
-            cartData[req.body.itemId] -= 1;
+        const user = await userModel.findByIdAndUpdate(req.body.userId, update, { new: true });
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
         }
-     
 
+        await sendCart(res, user, "Cart updated");
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
 
-        await userModel.findByIdAndUpdate(req.body.userId, { cartData });
-        res.json({ success: true, message: "Item removed from the  cart successfully" });
-        
+// Take an item out of the cart whatever its quantity
+const deleteCartItem = async (req, res) => {
+    req.body.quantity = 0;
+    return updateCartItem(req, res);
+};
+
+// Empty the cart
+const clearCart = async (req, res) => {
+    try {
+        const user = await userModel.findByIdAndUpdate(req.body.userId, { cartData: {} }, { new: true });
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
+
+        await sendCart(res, user, "Cart cleared");
     } catch (error) {
-        console.log(error); 
+        console.log(error);
         res.json({ success: false, message: error.message });
     }
+};
 
+// Add a cart built before logging in to the saved cart. Quantities of the same item and options are
+// added together (up to the per-item limit); dishes that are gone, unavailable or whose options
+// have changed are skipped.
+const mergeCart = async (req, res) => {
+    try {
+        const guestCart = cleanCartData(req.body.cartData);
+        const foodIds = [...new Set(Object.keys(guestCart).map((key) => parseCartKey(key).itemId))];
+        const foods = await foodModel.find({ _id: { $in: foodIds } });
+        const orderableKeys = Object.keys(guestCart).filter((key) => {
+            const { itemId, optionIds } = parseCartKey(key);
+            return !getUnavailableReason(foods.find((food) => food._id.toString() === itemId), optionIds);
+        });
+
+        const user = await userModel.findById(req.body.userId);
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
 
-}
+        const cartData = cleanCartData(user.cartData);
+        for (const key of orderableKeys) {
+            cartData[key] = Math.min((cartData[key] || 0) + guestCart[key], MAX_ITEM_QUANTITY);
+        }
+        user.cartData = cartData;
+        user.markModified('cartData');
+        await user.save();
+
+        const skipped = Object.keys(guestCart).length - orderableKeys.length;
+        await sendCart(res, user, skipped > 0
+            ? `${skipped} item${skipped === 1 ? " is" : "s are"} no longer available and ${skipped === 1 ? "was" : "were"} left out`
+            : "Cart merged");
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
 
 //get cart items
 const getCart = async (req, res) => {
-   try {
-    let userData = await userModel.findById( req.body.userId );
-    let cartData = userData.cartData; 
-    res.json({ success: true, cartData });
-   } catch (error) {
-    console.log(error); 
-    res.json({ success: false, message: error.message });
-    
-   }
-
-
+    try {
+        const user = await userModel.findById(req.body.userId);
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
 
-}
+        await sendCart(res, user);
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
 
-export { addToCart, removeFromCart, getCart }
+export { addToCart, removeFromCart, updateCartItem, deleteCartItem, clearCart, mergeCart, getCart }
@@ -0,0 +1,239 @@
+import validator from "validator";
+import contactMessageModel from "../models/contactMessageModel.js";
+import adminModel from "../models/adminModel.js";
+import { hasPermission } from "../config/permissions.js";
+import { sendToStaff } from "../services/realtimeService.js";
+import { notifyStaff } from "../services/notificationService.js";
+import { queueEmail } from "../services/emailService.js";
+
+// Topics on the Contact page form
+const CONTACT_SUBJECTS = {
+    general: 'General Inquiry',
+    order: 'Order Related',
+    feedback: 'Feedback',
+    complaint: 'Complaint',
+    partnership: 'Partnership',
+    careers: 'Careers',
+    other: 'Other'
+};
+
+const MESSAGE_STATUSES = ['new', 'in-progress', 'resolved'];
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Keep open inbox pages up to date
+const announceMessage = (message) => {
+    sendToStaff('inbox', 'message:update', {
+        messageId: message._id.toString(),
+        status: message.status,
+        at: new Date()
+    });
+};
+
+// Send a message from the Contact page (public, rate limited)
+const submitContactMessage = async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const phone = String(req.body.phone || '').trim();
+        const { subject } = req.body;
+        const body = String(req.body.message || '').trim();
+
+        if (!name || !email || !subject || !body) {
+            return res.json({ success: false, message: "Please fill all required fields" });
+        }
+        if (!validator.isEmail(email)) {
+            return res.json({ success: false, message: "Please enter a valid email address" });
+        }
+        if (phone && !validator.isMobilePhone(phone.replace(/[\s-]/g, ''), 'any')) {
+            return res.json({ success: false, message: "Please enter a valid phone number" });
+        }
+        if (!CONTACT_SUBJECTS[subject]) {
+            return res.json({ success: false, message: "Please choose a subject" });
+        }
+        if (name.length > 100) {
+            return res.json({ success: false, message: "Please enter a shorter name" });
+        }
+        if (body.length > MAX_MESSAGE_LENGTH) {
+            return res.json({ success: false, message: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters` });
+        }
+
+        const message = await contactMessageModel.create({
+            name,
+            email,
+            phone,
+            subject,
+            thread: [{ from: 'customer', authorName: name, body }]
+        });
+
+        announceMessage(message);
+        await notifyStaff({
+            type: 'message',
+            title: `New message: ${CONTACT_SUBJECTS[subject]}`,
+            message: `${name} · ${email}`,
+            permission: 'inbox',
+            link: '/inbox'
+        });
+
+        console.log("New contact message:", message._id, "from", email);
+        res.json({ success: true, message: "Thanks for getting in touch! We'll get back to you soon." });
+    } catch (error) {
+        console.error("Error saving contact message:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Inbox messages, newest conversation first, with a count per status (admin)
+const listContactMessages = async (req, res) => {
+    try {
+        const { status, assigned } = req.query;
+
+        const filter = {};
+        if (MESSAGE_STATUSES.includes(status)) {
+            filter.status = status;
+        }
+        if (assigned === 'me') {
+            filter.assignedTo = req.admin.id;
+        }
+
+        const [messages, counts] = await Promise.all([
+            contactMessageModel.find(filter).sort({ lastMessageAt: -1 }).limit(200),
+            contactMessageModel.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            data: messages,
+            counts: Object.fromEntries(MESSAGE_STATUSES.map((s) => [s, counts.find((c) => c._id === s)?.count || 0]))
+        });
+    } catch (error) {
+        console.error("Error fetching contact messages:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Staff who can pick up inbox messages, for the assign menu (admin)
+const listInboxStaff = async (req, res) => {
+    try {
+        const admins = await adminModel.find({ isActive: true }).sort({ name: 1 });
+        res.json({
+            success: true,
+            data: admins
+                .filter((admin) => hasPermission(admin.role, 'inbox'))
+                .map((admin) => ({ _id: admin._id, name: admin.name, role: admin.role }))
+        });
+    } catch (error) {
+        console.error("Error fetching inbox staff:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Change a message's status or who it's assigned to (admin)
+const updateContactMessage = async (req, res) => {
+    try {
+        const { messageId, status, assignedTo } = req.body;
+
+        const updates = {};
+        if (status !== undefined) {
+            if (!MESSAGE_STATUSES.includes(status)) {
+                return res.json({ success: false, message: "Invalid status" });
+            }
+            updates.status = status;
+        }
+        if (assignedTo !== undefined) {
+            if (assignedTo) {
+                const admin = await adminModel.findById(assignedTo);
+                if (!admin || !admin.isActive || !hasPermission(admin.role, 'inbox')) {
+                    return res.json({ success: false, message: "This staff member can't be assigned messages" });
+                }
+                updates.assignedTo = admin._id;
+                updates.assignedToName = admin.name;
+            } else {
+                updates.assignedTo = null;
+                updates.assignedToName = '';
+            }
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.json({ success: false, message: "Nothing to update" });
+        }
+
+        const message = await contactMessageModel.findByIdAndUpdate(messageId, updates, { new: true });
+        if (!message) {
+            return res.json({ success: false, message: "Message not found" });
+        }
+
+        announceMessage(message);
+        console.log("Contact message updated:", messageId, "by", req.admin.name);
+        res.json({ success: true, message: "Message updated", data: message });
+    } catch (error) {
+        console.error("Error updating contact message:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Email a reply to the customer and add it to the conversation (admin).
+// Replying picks the message up: it moves to in progress and is assigned to whoever replied.
+const replyToContactMessage = async (req, res) => {
+    try {
+        const { messageId } = req.body;
+        const body = String(req.body.body || '').trim();
+
+        if (!body) {
+            return res.json({ success: false, message: "Please write a reply" });
+        }
+        if (body.length > MAX_MESSAGE_LENGTH) {
+            return res.json({ success: false, message: `Replies can be up to ${MAX_MESSAGE_LENGTH} characters` });
+        }
+
+        const message = await contactMessageModel.findById(messageId);
+        if (!message) {
+            return res.json({ success: false, message: "Message not found" });
+        }
+
+        const email = await queueEmail({
+            to: message.email,
+            template: 'contactReply',
+            data: {
+                name: message.name,
+                subject: CONTACT_SUBJECTS[message.subject] || message.subject,
+                reply: body,
+                original: message.thread[0]?.body || '',
+                staffName: req.admin.name
+            }
+        });
+        if (!email) {
+            return res.json({ success: false, message: "Your reply couldn't be sent. Please try again." });
+        }
+
+        message.thread.push({
+            from: 'staff',
+            authorId: req.admin.id,
+            authorName: req.admin.name,
+            body,
+            emailId: email._id
+        });
+        message.lastMessageAt = new Date();
+        if (message.status === 'new') {
+            message.status = 'in-progress';
+        }
+        if (!message.assignedTo) {
+            message.assignedTo = req.admin.id;
+            message.assignedToName = req.admin.name;
+        }
+        await message.save();
+
+        announceMessage(message);
+        console.log("Reply sent to contact message:", messageId, "by", req.admin.name);
+        res.json({ success: true, message: `Reply sent to ${message.email}`, data: message });
+    } catch (error) {
+        console.error("Error replying to contact message:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export {
+    submitContactMessage,
+    listContactMessages,
+    listInboxStaff,
+    updateContactMessage,
+    replyToContactMessage
+};
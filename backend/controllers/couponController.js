@@ -0,0 +1,210 @@
+import couponModel from "../models/couponModel.js";
+import orderModel from "../models/orderModel.js";
+import { priceOrder } from "../services/pricingService.js";
+import { VOID_ORDER_STATUSES } from "../config/orderStatus.js";
+
+// Fields admins can set on a coupon
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'minOrderAmount', 'maxDiscount',
+    'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'firstOrderOnly', 'categories', 'isPublic', 'isActive'
+];
+
+const pickCouponFields = (body) => {
+    const data = {};
+    COUPON_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    // Empty date inputs mean "no limit"
+    if (data.validFrom === '') data.validFrom = null;
+    if (data.validUntil === '') data.validUntil = null;
+    return data;
+};
+
+const checkCouponData = (data) => {
+    if (data.discountType === 'percent' && data.discountValue > 100) {
+        return "Percentage discount can't be more than 100";
+    }
+    if (data.validFrom && data.validUntil && new Date(data.validFrom) > new Date(data.validUntil)) {
+        return "Valid from date must be before the expiry date";
+    }
+    return null;
+};
+
+// Validate a promo code against the user's cart and return the discounted price breakdown
+const validateCouponCode = async (req, res) => {
+    try {
+        const { code, items } = req.body;
+
+        if (!code) {
+            return res.json({ success: false, message: "Please enter a promo code" });
+        }
+
+        const { pricing, coupon } = await priceOrder(items, { couponCode: code, userId: req.body.userId });
+
+        res.json({
+            success: true,
+            message: `'${coupon.code}' applied! You save ₹${coupon.discount}`,
+            coupon: { code: coupon.code, description: coupon.description, discount: coupon.discount },
+            pricing
+        });
+    } catch (error) {
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Public offers shown on the cart page
+const listPublicCoupons = async (req, res) => {
+    try {
+        const now = new Date();
+        const coupons = await couponModel.find({
+            isActive: true,
+            isPublic: true,
+            $and: [
+                { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+                { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] }
+            ]
+        }).select('code description minOrderAmount firstOrderOnly');
+
+        res.json({ success: true, data: coupons });
+    } catch (error) {
+        console.error("Error fetching offers:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// List all coupons with redemption stats (admin)
+const listCoupons = async (req, res) => {
+    try {
+        const coupons = await couponModel.find({}).sort({ createdAt: -1 });
+
+        // Orders and total discount given per coupon
+        const stats = await orderModel.aggregate([
+            { $match: { coupon: { $ne: null }, status: { $nin: VOID_ORDER_STATUSES } } },
+            {
+                $group: {
+                    _id: '$coupon.couponId',
+                    orders: { $sum: 1 },
+                    totalDiscount: { $sum: '$coupon.discount' },
+                    revenue: { $sum: '$amount' }
+                }
+            }
+        ]);
+
+        const data = coupons.map((coupon) => {
+            const couponStats = stats.find((s) => s._id === coupon._id.toString());
+            return {
+                ...coupon.toObject(),
+                orders: couponStats ? couponStats.orders : 0,
+                totalDiscount: couponStats ? couponStats.totalDiscount : 0,
+                revenue: couponStats ? couponStats.revenue : 0
+            };
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error("Error fetching coupons:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Create a coupon (admin)
+const addCoupon = async (req, res) => {
+    try {
+        const data = pickCouponFields(req.body);
+
+        if (!data.code || data.discountValue === undefined) {
+            return res.json({ success: false, message: "Code and discount value are required" });
+        }
+
+        const validationError = checkCouponData(data);
+        if (validationError) {
+            return res.json({ success: false, message: validationError });
+        }
+
+        const exists = await couponModel.findOne({ code: data.code.trim().toUpperCase() });
+        if (exists) {
+            return res.json({ success: false, message: "A coupon with this code already exists" });
+        }
+
+        const coupon = await couponModel.create(data);
+        console.log("New coupon created:", coupon.code);
+
+        res.json({ success: true, message: "Coupon created successfully", data: coupon });
+    } catch (error) {
+        console.error("Error creating coupon:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Update a coupon (admin)
+const updateCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.body;
+
+        if (!couponId) {
+            return res.json({ success: false, message: "Coupon ID is required" });
+        }
+
+        const data = pickCouponFields(req.body);
+        const validationError = checkCouponData(data);
+        if (validationError) {
+            return res.json({ success: false, message: validationError });
+        }
+
+        const coupon = await couponModel.findByIdAndUpdate(couponId, data, { new: true, runValidators: true });
+        if (!coupon) {
+            return res.json({ success: false, message: "Coupon not found" });
+        }
+
+        res.json({ success: true, message: "Coupon updated successfully", data: coupon });
+    } catch (error) {
+        console.error("Error updating coupon:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Enable / disable a coupon (admin)
+const toggleCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.body;
+
+        const coupon = await couponModel.findById(couponId);
+        if (!coupon) {
+            return res.json({ success: false, message: "Coupon not found" });
+        }
+
+        coupon.isActive = !coupon.isActive;
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: `Coupon ${coupon.isActive ? 'activated' : 'deactivated'}`,
+            data: coupon
+        });
+    } catch (error) {
+        console.error("Error toggling coupon:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Delete a coupon (admin)
+const deleteCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.body;
+
+        const coupon = await couponModel.findByIdAndDelete(couponId);
+        if (!coupon) {
+            return res.json({ success: false, message: "Coupon not found" });
+        }
+
+        console.log("Coupon deleted:", coupon.code);
+        res.json({ success: true, message: "Coupon deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting coupon:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { validateCouponCode, listPublicCoupons, listCoupons, addCoupon, updateCoupon, toggleCoupon, deleteCoupon };
@@ -0,0 +1,13 @@
+import { openStream } from "../services/realtimeService.js";
+
+// Live feed for the admin panel: new orders, status changes, bookings and tables
+const staffEvents = (req, res) => {
+    openStream(req, res, { type: 'staff', adminId: req.admin.id, role: req.admin.role });
+};
+
+// Live feed for a customer's own orders
+const customerEvents = (req, res) => {
+    openStream(req, res, { type: 'customer', userId: String(req.body.userId) });
+};
+
+export { staffEvents, customerEvents };
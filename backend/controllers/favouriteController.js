@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import foodModel from "../models/foodModel.js";
+
+// Most favourites one account can hold
+const MAX_FAVOURITES = 200;
+
+// Dish ids the user has favourited, skipping dishes that have since been removed from the menu
+const getFavouriteIds = async (userId) => {
+    const user = await userModel.findById(userId).select('favourites');
+    if (!user) return null;
+
+    const existing = await foodModel.find({ _id: { $in: user.favourites } }).select('_id');
+    const existingIds = new Set(existing.map((food) => food._id.toString()));
+    return user.favourites.map(String).filter((id) => existingIds.has(id));
+};
+
+// The user's favourites
+const listFavourites = async (req, res) => {
+    try {
+        const favourites = await getFavouriteIds(req.body.userId);
+        if (!favourites) {
+            return res.json({ success: false, message: "User not found" });
+        }
+        res.json({ success: true, data: favourites });
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Favourite a dish
+const addFavourite = async (req, res) => {
+    try {
+        const { itemId } = req.body;
+        if (!mongoose.isValidObjectId(itemId) || !(await foodModel.exists({ _id: itemId }))) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+
+        const user = await userModel.findOneAndUpdate(
+            { _id: req.body.userId, [`favourites.${MAX_FAVOURITES - 1}`]: { $exists: false } },
+            { $addToSet: { favourites: itemId } },
+            { new: true }
+        );
+        if (!user) {
+            return res.json({ success: false, message: `You can save up to ${MAX_FAVOURITES} favourites` });
+        }
+        res.json({ success: true, message: "Added to favourites", data: user.favourites.map(String) });
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Un-favourite a dish
+const removeFavourite = async (req, res) => {
+    try {
+        const { itemId } = req.body;
+        if (!mongoose.isValidObjectId(itemId)) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+
+        const user = await userModel.findByIdAndUpdate(
+            req.body.userId,
+            { $pull: { favourites: itemId } },
+            { new: true }
+        );
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
+        res.json({ success: true, message: "Removed from favourites", data: user.favourites.map(String) });
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Add favourites saved in the browser while logged out to the account, and return the combined list
+const mergeFavourites = async (req, res) => {
+    try {
+        const itemIds = Array.isArray(req.body.itemIds)
+            ? req.body.itemIds.filter((id) => mongoose.isValidObjectId(id))
+            : [];
+
+        const user = await userModel.findById(req.body.userId).select('favourites');
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
+
+        const foods = await foodModel.find({ _id: { $in: itemIds } }).select('_id');
+        const room = Math.max(0, MAX_FAVOURITES - user.favourites.length);
+        const newIds = foods
+            .map((food) => food._id)
+            .filter((id) => !user.favourites.some((favourite) => favourite.equals(id)))
+            .slice(0, room);
+        if (newIds.length > 0) {
+            await userModel.findByIdAndUpdate(req.body.userId, { $addToSet: { favourites: { $each: newIds } } });
+        }
+
+        res.json({ success: true, data: await getFavouriteIds(req.body.userId) });
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// How many customers have favourited each dish, keyed by dish id (admin)
+const getFavouriteCounts = async (req, res) => {
+    try {
+        const counts = await userModel.aggregate([
+            { $unwind: '$favourites' },
+            { $group: { _id: '$favourites', count: { $sum: 1 } } }
+        ]);
+        res.json({
+            success: true,
+            data: Object.fromEntries(counts.map((entry) => [entry._id.toString(), entry.count]))
+        });
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { listFavourites, addFavourite, removeFavourite, mergeFavourites, getFavouriteCounts };
@@ -1,11 +1,22 @@
 import foodModel from "../models/foodModel.js";
+import userModel from "../models/userModel.js";
+import reviewModel from "../models/reviewModel.js";
 import { v2 as cloudinary } from "cloudinary";
+import { cleanDishAttributes, buildMenuQuery, sortMenu } from "../services/dishAttributeService.js";
+import { cleanModifierGroups } from "../services/modifierService.js";
 
 // Add food item
 const addFood = async (req, res) => {
     try {
         const { name, description, price, category } = req.body;
         const imageFile = req.file; // Get the uploaded file
+        // Dietary type, spice level, allergens, nutrition, prep time and tags
+        const attributes = cleanDishAttributes(req.body);
+        if (!attributes.dietaryType) {
+            return res.json({ success: false, message: "Please choose veg, vegan, egg or non-veg" });
+        }
+        // Sizes, variants and add-ons
+        const modifierGroups = cleanModifierGroups(req.body.modifierGroups || [], price);
 
         // Upload image to Cloudinary
         const imageUpload = await cloudinary.uploader.upload(imageFile.path, {
@@ -19,6 +30,8 @@ const addFood = async (req, res) => {
             price,
             image: imageUrl,
             category,
+            ...attributes,
+            modifierGroups,
         });
 
         // Save the new food item to the database
@@ -48,6 +61,24 @@ const listFood = async (req, res) => {
 const removeFood = async (req, res) => {
     try {
         const food = await foodModel.findByIdAndDelete(req.body.id);
+        // Nobody can favourite or order a dish that is gone
+        await userModel.updateMany({ favourites: req.body.id }, { $pull: { favourites: req.body.id } });
+        // Cart keys start with the dish id, whatever options were picked
+        if (food) {
+            await userModel.updateMany({}, [{
+                $set: {
+                    cartData: {
+                        $arrayToObject: {
+                            $filter: {
+                                input: { $objectToArray: { $ifNull: ["$cartData", {}] } },
+                                cond: { $not: { $regexMatch: { input: "$$this.k", regex: `^${food._id}(:|$)` } } }
+                            }
+                        }
+                    }
+                }
+            }]);
+        }
+        await reviewModel.deleteMany({ foodId: req.body.id });
         res.json({ success: true, message: "Food removed successfully" });
         
     } catch (error) {
@@ -89,22 +120,83 @@ const updateFoodStatus = async (req, res) => {
     }
 }
 
-// Get available food only (for user frontend)
+// Edit a dish's details and attributes. Only the fields sent are changed; the image stays.
+const updateFood = async (req, res) => {
+    try {
+        const { id } = req.body;
+        if (!id) {
+            return res.json({ success: false, message: "ID is required" });
+        }
+
+        const updates = cleanDishAttributes(req.body);
+        for (const field of ['name', 'description', 'category']) {
+            if (req.body[field] !== undefined) {
+                const value = String(req.body[field]).trim();
+                if (!value) {
+                    return res.json({ success: false, message: `Please enter a ${field}` });
+                }
+                updates[field] = value;
+            }
+        }
+        if (req.body.price !== undefined) {
+            const price = Number(req.body.price);
+            if (!Number.isFinite(price) || price < 0) {
+                return res.json({ success: false, message: "Please enter a valid price" });
+            }
+            updates.price = price;
+        }
+        // Options can't take the dish below ₹0 at its new or current price
+        if (req.body.modifierGroups !== undefined) {
+            let price = updates.price;
+            if (price === undefined) {
+                const current = await foodModel.findById(id);
+                if (!current) {
+                    return res.json({ success: false, message: "Food item not found" });
+                }
+                price = current.price;
+            }
+            updates.modifierGroups = cleanModifierGroups(req.body.modifierGroups, price);
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.json({ success: false, message: "Nothing to update" });
+        }
+
+        const food = await foodModel.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+        if (!food) {
+            return res.json({ success: false, message: "Food item not found" });
+        }
+
+        console.log(`Food "${food.name}" updated`);
+        res.json({ success: true, message: "Item updated", data: food });
+    } catch (error) {
+        console.error(error);
+        res.json({ success: false, message: error.message });
+    }
+}
+
+// Get available food only (for user frontend).
+// The Menu page sends its search, filters and sort order (see buildMenuQuery); with no query
+// every available dish comes back in the order it was added.
 const listAvailableFood = async (req, res) => {
     try {
         // Include items that are 'available' OR don't have a status field (legacy items)
         const foods = await foodModel.find({
-            $or: [
-                { status: 'available' },
-                { status: { $exists: false } },
-                { status: null }
+            $and: [
+                {
+                    $or: [
+                        { status: 'available' },
+                        { status: { $exists: false } },
+                        { status: null }
+                    ]
+                },
+                buildMenuQuery(req.query)
             ]
         });
-        res.json({ success: true, data: foods });
+        res.json({ success: true, data: req.query.sort ? sortMenu(foods, req.query.sort) : foods });
     } catch (error) {
         console.error(error);
         res.json({ success: false, message: error.message });
     }
 }
 
-export { addFood, listFood, removeFood, updateFoodStatus, listAvailableFood };
+export { addFood, listFood, removeFood, updateFoodStatus, updateFood, listAvailableFood };
@@ -0,0 +1,135 @@
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import { KITCHEN_ORDER_STATUSES } from "../config/orderStatus.js";
+import { advanceOrder } from "../services/orderStatusService.js";
+import { getBookingStart } from "../services/bookingTimeService.js";
+import { sendToStaff } from "../services/realtimeService.js";
+
+const ticketItems = (items) => items.map((item) => ({
+    name: item.name,
+    options: (item.options || []).map((option) => option.name),
+    quantity: item.quantity,
+    bumped: Boolean(item.bumped)
+}));
+
+// When the order reached the kitchen (paid online orders are placed after checkout)
+const placedAt = (order) => {
+    const placed = (order.statusHistory || []).find((entry) => entry.status === 'Placed');
+    return placed ? placed.at : order.date;
+};
+
+// Tickets for the kitchen display: orders still to cook and today's confirmed pre-orders
+const listKitchenTickets = async (req, res) => {
+    try {
+        const orders = await orderModel.find({ status: { $in: KITCHEN_ORDER_STATUSES } });
+
+        // Booking dates are midnight UTC of the booked day (see bookingTimeService)
+        const now = new Date();
+        const dayStart = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        const bookings = await bookingModel.find({
+            status: 'Confirmed',
+            hasPreOrder: true,
+            preOrderReadyAt: null,
+            date: { $gte: dayStart, $lt: dayEnd }
+        });
+
+        const orderTickets = orders.map((order) => ({
+            type: 'order',
+            id: order._id,
+            ref: `#${order._id.toString().slice(-8).toUpperCase()}`,
+            status: order.status,
+            label: `${order.address?.firstName || ''} ${order.address?.lastName || ''}`.trim(),
+            paymentMethod: order.paymentMethod,
+            items: ticketItems(order.items),
+            startedAt: placedAt(order),
+            dueAt: null,
+            notes: ''
+        }));
+
+        const preOrderTickets = bookings.map((booking) => ({
+            type: 'booking',
+            id: booking._id,
+            ref: booking.tableNumber ? `Table ${booking.tableNumber}` : 'Pre-order',
+            status: booking.status,
+            label: `${booking.name} · ${booking.guests} guests`,
+            items: ticketItems(booking.preOrderedItems),
+            startedAt: null,
+            dueAt: booking.startAt || getBookingStart(booking.date, booking.time),
+            notes: booking.specialRequests || ''
+        }));
+
+        // Oldest orders first, pre-orders by when the guests arrive
+        const tickets = [...orderTickets, ...preOrderTickets].sort((a, b) =>
+            new Date(a.startedAt || a.dueAt) - new Date(b.startedAt || b.dueAt)
+        );
+
+        res.json({ success: true, data: tickets });
+    } catch (error) {
+        console.error("Error fetching kitchen tickets:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Tick an item off (or back on) a ticket
+const bumpItem = async (req, res) => {
+    try {
+        const { type, id, itemIndex, bumped } = req.body;
+        const model = type === 'booking' ? bookingModel : orderModel;
+        const field = type === 'booking' ? 'preOrderedItems' : 'items';
+
+        const record = await model.findById(id);
+        if (!record) {
+            return res.json({ success: false, message: "Ticket not found" });
+        }
+        if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= record[field].length) {
+            return res.json({ success: false, message: "Invalid item" });
+        }
+
+        await model.updateOne({ _id: id }, { $set: { [`${field}.${itemIndex}.bumped`]: Boolean(bumped) } });
+
+        // Keep every kitchen screen in step
+        sendToStaff('orders', 'kitchen:update', { type, id, itemIndex, bumped: Boolean(bumped) });
+        res.json({ success: true, message: bumped ? "Item done" : "Item back on" });
+    } catch (error) {
+        console.error("Error bumping item:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Move an order on to Preparing or Ready, or mark a booking pre-order as ready
+const advanceTicket = async (req, res) => {
+    try {
+        const { type, id, status } = req.body;
+
+        if (type === 'booking') {
+            const booking = await bookingModel.findOneAndUpdate(
+                { _id: id, hasPreOrder: true, preOrderReadyAt: null },
+                { preOrderReadyAt: new Date() },
+                { new: true }
+            );
+            if (!booking) {
+                return res.json({ success: false, message: "Pre-order not found or already ready" });
+            }
+            sendToStaff(['orders', 'bookings'], 'kitchen:update', { type, id, ready: true });
+            return res.json({ success: true, message: `Pre-order for ${booking.name} is ready` });
+        }
+
+        if (!['Preparing', 'Ready'].includes(status)) {
+            return res.json({ success: false, message: "The kitchen can only start or finish orders" });
+        }
+
+        const { order } = await advanceOrder(id, status, {
+            type: 'admin',
+            id: req.admin.id,
+            name: req.admin.name
+        }, 'From kitchen display');
+
+        res.json({ success: true, message: `Order ${status === 'Ready' ? 'ready' : 'started'}`, data: order });
+    } catch (error) {
+        console.error("Error advancing kitchen ticket:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { listKitchenTickets, bumpItem, advanceTicket };
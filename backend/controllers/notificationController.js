@@ -0,0 +1,41 @@
+import notificationModel from "../models/notificationModel.js";
+import { getPermissions } from "../config/permissions.js";
+
+// Latest notifications for the logged in staff member's role, with their unread count
+const listNotifications = async (req, res) => {
+    try {
+        const visible = { permission: { $in: getPermissions(req.admin.role) } };
+
+        const notifications = await notificationModel.find(visible).sort({ createdAt: -1 }).limit(30);
+        const unreadCount = await notificationModel.countDocuments({ ...visible, readBy: { $ne: req.admin.id } });
+
+        const data = notifications.map((notification) => {
+            const { readBy, ...rest } = notification.toObject();
+            return { ...rest, read: readBy.some((id) => id.toString() === req.admin.id) };
+        });
+
+        res.json({ success: true, data: data, unreadCount: unreadCount });
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Mark one notification as read, or all of them when no id is given
+const markNotificationsRead = async (req, res) => {
+    try {
+        const { notificationId } = req.body;
+        const filter = { permission: { $in: getPermissions(req.admin.role) } };
+        if (notificationId) {
+            filter._id = notificationId;
+        }
+
+        await notificationModel.updateMany(filter, { $addToSet: { readBy: req.admin.id } });
+        res.json({ success: true, message: "Marked as read" });
+    } catch (error) {
+        console.error("Error marking notifications read:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { listNotifications, markNotificationsRead };
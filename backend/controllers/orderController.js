@@ -1,64 +1,136 @@
 import orderModel from "../models/orderModel.js";
 import userModel from "../models/userModel.js";
 import Stripe from "stripe";
+import { priceOrder, toPaise } from "../services/pricingService.js";
+import { redeemCoupon, releaseCoupon } from "../services/couponService.js";
+import { processPaymentEvent, markOrderPaid, markOrderFailed } from "../services/paymentService.js";
+import { issueRefund, attachRefunds } from "../services/refundService.js";
+import { transitionOrder } from "../services/orderStatusService.js";
+import { announceOrder } from "../services/realtimeService.js";
+import { notifyNewOrder } from "../services/notificationService.js";
+import { queueEmail } from "../services/emailService.js";
+import { CUSTOMER_CANCELLABLE_STATUSES, PAYMENT_CONTROLLED_STATUSES, VOID_ORDER_STATUSES, createStatusEntry, getNextStatuses } from "../config/orderStatus.js";
+import { hasPermission } from "../config/permissions.js";
 
 
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
+// Customer placing or cancelling an order, for the status history
+const customerActor = (userId, address = {}) => ({
+    type: 'customer',
+    id: userId,
+    name: `${address.firstName || ''} ${address.lastName || ''}`.trim()
+});
+
 //placing user Order for frontend
 const placeOrder = async (req, res) => {
 
     const frontendUrl = "http://localhost:5173";
+    // What to undo if placing the order fails part way
+    let redeemedCoupon = null;
+    let session = null;
     try {
+        if (!req.body.address) {
+            return res.json({ success: false, message: "Delivery address is required" });
+        }
+
+        // Prices are rebuilt on the server - client amounts are ignored
+        const { items, pricing, coupon } = await priceOrder(req.body.items, {
+            couponCode: req.body.couponCode,
+            userId: req.body.userId
+        });
+
+        // The order is only saved once Stripe has a checkout session for it, and the cart
+        // is kept until the payment is confirmed
         const newOrder = new orderModel({
             userId: req.body.userId,
-            items: req.body.items,
-            amount: req.body.amount,
-            address: req.body.address
+            items: items,
+            amount: pricing.total,
+            pricing: pricing,
+            coupon: coupon,
+            address: req.body.address,
+            paymentMethod: "Stripe",
+            status: "Pending Payment",
+            statusHistory: [createStatusEntry("Pending Payment", customerActor(req.body.userId, req.body.address), "Order placed, waiting for card payment")]
         });
-        await newOrder.save();
-        await userModel.findByIdAndUpdate(req.body.userId, {cartData: {}});
 
-        const line_items = req.body.items.map((item) =>({
+        const line_items = items.map((item) =>({
         price_data: {
             currency: "inr",
             product_data: {
                 name: item.name,
                 
             },
-            unit_amount: item.price * 100
+            unit_amount: toPaise(item.price)
         },
         quantity: item.quantity
         }));
-        line_items.push({
-            price_data: {
-                currency: "inr",
-                product_data: {
-                    name: "Delivery Charges",
-                    
+        if (pricing.deliveryFee > 0) {
+            line_items.push({
+                price_data: {
+                    currency: "inr",
+                    product_data: {
+                        name: "Delivery Charges",
+                        
+                    },
+                    unit_amount: toPaise(pricing.deliveryFee)
                 },
-                unit_amount: 2*100
-            },
-            quantity: 1
+                quantity: 1
 
-        });
-        const session = await stripe.checkout.sessions.create({
+            });
+        }
+        if (pricing.tax > 0) {
+            line_items.push({
+                price_data: {
+                    currency: "inr",
+                    product_data: {
+                        name: "Taxes",
+                    },
+                    unit_amount: toPaise(pricing.tax)
+                },
+                quantity: 1
+            });
+        }
+        // Stripe can't take a negative line item, so the promo discount goes in as a one-off coupon
+        let discounts;
+        if (pricing.discount > 0) {
+            const stripeCoupon = await stripe.coupons.create({
+                amount_off: toPaise(pricing.discount),
+                currency: "inr",
+                duration: "once",
+                name: coupon.code
+            });
+            discounts = [{ coupon: stripeCoupon.id }];
+        }
+
+        session = await stripe.checkout.sessions.create({
             line_items: line_items,
+            discounts: discounts,
             mode: "payment",
             success_url: `${frontendUrl}/verify?success=true&orderId=${newOrder._id}`,
             cancel_url: `${frontendUrl}/verify?success=false&orderId=${newOrder._id}`,
+            metadata: { orderId: newOrder._id.toString() }
            
         })
+        await redeemCoupon(coupon);
+        redeemedCoupon = coupon;
+
+        newOrder.stripeSessionId = session.id;
+        await newOrder.save();
         res.json({success: true, session_url: session.url});
-           
-    
-        
-        
     } catch (error) {
         console.error(error);
+        // Nothing was ordered, so the coupon use goes back and the checkout can't be paid
+        try {
+            await releaseCoupon(redeemedCoupon);
+            if (session) {
+                await stripe.checkout.sessions.expire(session.id);
+            }
+        } catch (cleanupError) {
+            console.error("Error undoing a failed Stripe order:", cleanupError);
+        }
         res.json({success: false, message: error.message});
-        
     }
 
 }
@@ -68,7 +140,6 @@ const placeOrderCOD = async (req, res) => {
     console.log("=== COD Order Request ===");
     console.log("User ID:", req.body.userId);
     console.log("Items:", req.body.items?.length, "items");
-    console.log("Amount:", req.body.amount);
     console.log("Address:", req.body.address);
     
     try {
@@ -79,35 +150,48 @@ const placeOrderCOD = async (req, res) => {
         if (!req.body.items || req.body.items.length === 0) {
             return res.json({ success: false, message: "Order items are required" });
         }
-        if (!req.body.amount) {
-            return res.json({ success: false, message: "Order amount is required" });
-        }
         if (!req.body.address) {
             return res.json({ success: false, message: "Delivery address is required" });
         }
 
+        // Prices are rebuilt on the server - client amounts are ignored
+        const { items, pricing, coupon } = await priceOrder(req.body.items, {
+            couponCode: req.body.couponCode,
+            userId: req.body.userId
+        });
+        await redeemCoupon(coupon);
+
         const newOrder = new orderModel({
             userId: req.body.userId,
-            items: req.body.items,
-            amount: req.body.amount,
+            items: items,
+            amount: pricing.total,
+            pricing: pricing,
+            coupon: coupon,
             address: req.body.address,
             payment: false, // COD - payment will be collected on delivery
-            status: "Food Processing",
+            status: "Placed",
+            statusHistory: [createStatusEntry("Placed", customerActor(req.body.userId, req.body.address), "Cash on delivery")],
             paymentMethod: "COD",
             date: new Date()
         });
         
         const savedOrder = await newOrder.save();
-        console.log("Order saved successfully! ID:", savedOrder._id);
+        console.log("Order saved successfully! ID:", savedOrder._id, "Amount:", pricing.total);
         
         // Clear user's cart
         await userModel.findByIdAndUpdate(req.body.userId, { cartData: {} });
         console.log("Cart cleared for user:", req.body.userId);
+
+        announceOrder('order:new', savedOrder);
+        await notifyNewOrder(savedOrder);
+        await queueEmail({ to: savedOrder.address?.email, template: 'orderPlaced', data: { order: savedOrder } });
         
         res.json({
             success: true, 
             message: "Order placed successfully! Pay on delivery.",
-            orderId: savedOrder._id
+            orderId: savedOrder._id,
+            amount: pricing.total,
+            pricing: pricing
         });
     } catch (error) {
         console.error("COD Order Error:", error);
@@ -115,18 +199,60 @@ const placeOrderCOD = async (req, res) => {
     }
 }
 
+// Price a cart without placing an order (used by Cart and PlaceOrder pages).
+// A promo code is priced in too, so the total shown is what the customer will be charged.
+const getOrderQuote = async (req, res) => {
+    try {
+        const { items, pricing, coupon } = await priceOrder(req.body.items, {
+            couponCode: req.body.couponCode,
+            userId: req.body.userId
+        });
+        res.json({
+            success: true,
+            items,
+            pricing,
+            coupon: coupon ? { code: coupon.code, description: coupon.description, discount: coupon.discount } : null
+        });
+    } catch (error) {
+        res.json({ success: false, message: error.message });
+    }
+}
+
+// Called when the customer returns from Stripe checkout.
+// The success flag in the URL is only a hint - the session status from Stripe decides.
 const verifyOrder = async (req, res) => {
     const {orderId, success} = req.body;
   try {
-  
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+        return res.json({success: false, message: "Order not found"});
+    }
+    if (order.payment) {
+        return res.json({success: true, message: "Paid"});
+    }
+    if (!order.stripeSessionId) {
+        return res.json({success: false, message: "Payment could not be verified"});
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
 
-    if (success == "true") {
-     await orderModel.findByIdAndUpdate(orderId,{payment:true, status: "Food Processing"});
+    if (session.payment_status === "paid") {
+        await processPaymentEvent({
+            provider: 'stripe',
+            eventId: `checkout_${session.id}`,
+            type: 'checkout.session.completed',
+            source: 'checkout',
+            orderId: orderId,
+            paymentId: session.payment_intent || '',
+            amount: session.amount_total / 100
+        }, () => markOrderPaid(orderId, { paymentId: session.payment_intent, amount: session.amount_total / 100 }));
         res.json({success: true, message: "Paid"});
-    } else {
-        const order = await orderModel.findByIdAndDelete(orderId);
+    } else if (success != "true" || session.status === "expired") {
+        await markOrderFailed(orderId);
         res.json({success: false, message: "Not Paid"});
-      
+    } else {
+        // Session completed but the money hasn't arrived yet - the webhook will confirm it
+        res.json({success: false, message: "Payment is still processing"});
     }
     
   } catch (error) {
@@ -139,7 +265,11 @@ const verifyOrder = async (req, res) => {
 const userOrder = async (req, res) => {
 try {
   const orders = await orderModel.find({userId: req.body.userId});
-  res.json({success: true, data:orders});
+  const data = (await attachRefunds('order', orders)).map((order) => ({
+    ...order,
+    canCancel: CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)
+  }));
+  res.json({success: true, data: data});
 } catch (error) {
     console.log(error);
     res.json({success: false, message: error.message});
@@ -151,7 +281,22 @@ try {
 const listOrder = async (req, res) => {
     try {
         const orders = await orderModel.find({});
-        res.json({success: true, data:orders});
+        const canRefund = hasPermission(req.admin.role, 'refunds');
+        // Statuses staff may move each order to next. Cancelling or rejecting
+        // an order that still has money to give back needs the refunds permission.
+        const data = (await attachRefunds('order', orders)).map((order) => {
+            const pendingRefunds = order.refunds
+                .filter((refund) => refund.status === 'pending')
+                .reduce((sum, refund) => sum + refund.amount, 0);
+            const owesRefund = Boolean(order.paymentId) && order.payment && order.paymentMethod !== 'COD'
+                && order.amount - (order.refundedAmount || 0) - pendingRefunds > 0;
+            return {
+                ...order,
+                nextStatuses: getNextStatuses(order.status).filter((status) => !PAYMENT_CONTROLLED_STATUSES.includes(status)
+                    && (canRefund || !owesRefund || !VOID_ORDER_STATUSES.includes(status)))
+            };
+        });
+        res.json({success: true, data: data});
         
     } catch (error) {
         console.log(error);
@@ -160,30 +305,97 @@ const listOrder = async (req, res) => {
 }
 
 
+// Move an order along its lifecycle (admin)
 const updateStatus = async (req, res) => {
   try {
-    const { orderId, status } = req.body;
+    const { orderId, status, note } = req.body;
+
+    if (!orderId || !status) {
+      return res.json({ success: false, message: "Order ID and status are required" });
+    }
+    if (PAYMENT_CONTROLLED_STATUSES.includes(status)) {
+      return res.json({ success: false, message: `"${status}" is set automatically by the payment system` });
+    }
+
+    const { order, refund } = await transitionOrder(orderId, status, {
+      type: 'admin',
+      id: req.admin.id,
+      name: req.admin.name,
+      canRefund: hasPermission(req.admin.role, 'refunds')
+    }, note);
+
+    let message = "Status updated";
+    if (refund) {
+      message += refund.status === 'failed'
+        ? `. Refund failed: ${refund.failureReason}`
+        : `. ₹${refund.amount} refund ${refund.status === 'processed' ? 'completed' : 'started'}`;
+    }
+
+    res.json({ success: true, message: message, data: order });
     
-    // Get the order to check payment method
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+}
+
+// Cancel an order before the restaurant accepts it (customer)
+const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    const order = await orderModel.findOne({ _id: orderId, userId: req.body.userId });
+    if (!order) {
+      return res.json({ success: false, message: "Order not found" });
+    }
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.json({ success: false, message: "This order can no longer be cancelled. Please contact the restaurant." });
+    }
+
+    const { refund } = await transitionOrder(orderId, 'Cancelled', customerActor(req.body.userId, order.address), "Cancelled by customer");
+
+    let message = "Order cancelled";
+    if (refund) {
+      message += refund.status === 'failed'
+        ? ". We couldn't start your refund automatically - our team will process it shortly."
+        : `. ₹${refund.amount} will be refunded to your original payment method.`;
+    }
+
+    res.json({ success: true, message: message });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+}
+
+
+// Refund part or all of a paid online order (admin)
+const refundOrder = async (req, res) => {
+  try {
+    const { orderId, amount, reason } = req.body;
+
     const order = await orderModel.findById(orderId);
-    
     if (!order) {
       return res.json({ success: false, message: "Order not found" });
     }
-    
-    // Update object
-    let updateData = { status: status };
-    
-    // For COD orders, mark as paid when delivered
-    if (order.paymentMethod === 'COD' && status === 'Delivered') {
-      updateData.payment = true;
-      console.log("COD Order delivered - marking as paid:", orderId);
+
+    const refund = await issueRefund({
+      type: 'order',
+      record: order,
+      amount: amount,
+      reason: reason,
+      initiatedBy: 'admin',
+      initiatedByName: req.admin.name
+    });
+
+    if (refund.status === 'failed') {
+      return res.json({ success: false, message: `Refund failed: ${refund.failureReason}`, data: refund });
     }
-    
-    await orderModel.findByIdAndUpdate(orderId, updateData);
-    
-    res.json({ success: true, message: "Status updated" });
-    
+    res.json({
+      success: true,
+      message: refund.status === 'processed' ? `₹${refund.amount} refunded` : `Refund of ₹${refund.amount} initiated`,
+      data: refund
+    });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
@@ -191,4 +403,4 @@ const updateStatus = async (req, res) => {
 }
 
 
-export {placeOrder, placeOrderCOD, verifyOrder, userOrder, listOrder, updateStatus};
\ No newline at end of file
+export {placeOrder, placeOrderCOD, getOrderQuote, verifyOrder, userOrder, listOrder, updateStatus, cancelOrder, refundOrder};
\ No newline at end of file
@@ -1,6 +1,9 @@
 import Razorpay from "razorpay";
-import crypto from "crypto";
 import orderModel from "../models/orderModel.js";
+import { priceOrder, toPaise } from "../services/pricingService.js";
+import { redeemCoupon } from "../services/couponService.js";
+import { createStatusEntry } from "../config/orderStatus.js";
+import { verifyHmacSignature, processPaymentEvent, markOrderPaid, markOrderFailed } from "../services/paymentService.js";
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -11,22 +14,36 @@ const razorpay = new Razorpay({
 // Create Razorpay order for food order payment
 const createRazorpayOrder = async (req, res) => {
     try {
-        const { items, amount, address, paymentMethod } = req.body;
+        const { address, paymentMethod } = req.body;
         const userId = req.body.userId;
 
-        if (!items || !amount || !address) {
+        if (!req.body.items || !address) {
             return res.json({ success: false, message: "Missing required order details" });
         }
 
+        // Prices are rebuilt on the server - client amounts are ignored
+        const { items, pricing, coupon } = await priceOrder(req.body.items, {
+            couponCode: req.body.couponCode,
+            userId: userId
+        });
+        await redeemCoupon(coupon);
+
         // Create order in database first (with pending payment status)
         const newOrder = new orderModel({
             userId: userId,
             items: items,
-            amount: amount,
+            amount: pricing.total,
+            pricing: pricing,
+            coupon: coupon,
             address: address,
             paymentMethod: paymentMethod || 'RAZORPAY',
             payment: false,
-            status: "Pending Payment"
+            status: "Pending Payment",
+            statusHistory: [createStatusEntry("Pending Payment", {
+                type: 'customer',
+                id: userId,
+                name: `${address.firstName || ''} ${address.lastName || ''}`.trim()
+            }, "Order placed, waiting for online payment")]
         });
 
         await newOrder.save();
@@ -34,7 +51,7 @@ const createRazorpayOrder = async (req, res) => {
 
         // Create Razorpay order
         const options = {
-            amount: amount * 100, // Razorpay expects amount in paise
+            amount: toPaise(pricing.total), // Razorpay expects amount in paise
             currency: "INR",
             receipt: `order_${newOrder._id.toString().slice(-8)}`,
             notes: {
@@ -46,10 +63,16 @@ const createRazorpayOrder = async (req, res) => {
         const razorpayOrder = await razorpay.orders.create(options);
         console.log("Razorpay order created:", razorpayOrder.id);
 
+        // Webhooks and reconciliation find the order by its Razorpay order ID
+        newOrder.razorpayOrderId = razorpayOrder.id;
+        await newOrder.save();
+
         res.json({
             success: true,
             order: razorpayOrder,
             orderId: newOrder._id,
+            amount: pricing.total,
+            pricing: pricing,
             key: process.env.RAZORPAY_KEY_ID
         });
     } catch (error) {
@@ -70,21 +93,21 @@ const verifyRazorpayPayment = async (req, res) => {
 
         // Verify signature
         const body = razorpay_order_id + "|" + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-            .update(body.toString())
-            .digest("hex");
-
-        const isAuthentic = expectedSignature === razorpay_signature;
+        const isAuthentic = verifyHmacSignature(body, razorpay_signature, process.env.RAZORPAY_KEY_SECRET);
 
         if (isAuthentic) {
-            // Update order with payment info
-            await orderModel.findByIdAndUpdate(orderId, {
-                payment: true,
+            // Same update the payment.captured webhook makes, whichever arrives first wins
+            await processPaymentEvent({
+                provider: 'razorpay',
+                eventId: `checkout_${razorpay_payment_id}`,
+                type: 'payment.captured',
+                source: 'checkout',
+                orderId: orderId,
+                paymentId: razorpay_payment_id
+            }, () => markOrderPaid(orderId, {
                 paymentId: razorpay_payment_id,
-                razorpayOrderId: razorpay_order_id,
-                status: "Food Processing"
-            });
+                razorpayOrderId: razorpay_order_id
+            }));
 
             console.log("Payment verified for order:", orderId);
             res.json({ 
@@ -95,9 +118,7 @@ const verifyRazorpayPayment = async (req, res) => {
             });
         } else {
             // Payment verification failed
-            await orderModel.findByIdAndUpdate(orderId, {
-                status: "Payment Failed"
-            });
+            await markOrderFailed(orderId);
 
             console.log("Payment verification failed for order:", orderId);
             res.json({ success: false, message: "Payment verification failed" });
@@ -0,0 +1,240 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import { v2 as cloudinary } from "cloudinary";
+import reviewModel from "../models/reviewModel.js";
+import foodModel from "../models/foodModel.js";
+import userModel from "../models/userModel.js";
+import { sendToStaff } from "../services/realtimeService.js";
+import { notifyStaff } from "../services/notificationService.js";
+import { refreshFoodRating, findDeliveredOrder, getReviewableDishes } from "../services/reviewService.js";
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_REVIEW_LENGTH = 1000;
+const REVIEWS_PER_PAGE = 10;
+
+// Keep open moderation pages up to date
+const announceReview = (review) => {
+    sendToStaff('menu', 'review:update', {
+        reviewId: review._id.toString(),
+        status: review.status,
+        at: new Date()
+    });
+};
+
+// "Priya Sharma" is shown as "Priya S."
+const displayName = (name = '') => {
+    const [first, ...rest] = name.trim().split(/\s+/);
+    if (!first) return 'Customer';
+    return rest.length > 0 ? `${first} ${rest[rest.length - 1][0].toUpperCase()}.` : first;
+};
+
+// Approved reviews of a dish, newest first, with its rating and a count per star (public)
+const listFoodReviews = async (req, res) => {
+    try {
+        const { foodId } = req.query;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+        if (!mongoose.isValidObjectId(foodId)) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+        const food = await foodModel.findById(foodId).select('name rating reviews');
+        if (!food) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+
+        const filter = { foodId, status: 'approved' };
+        const [reviews, stars] = await Promise.all([
+            reviewModel.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * REVIEWS_PER_PAGE)
+                .limit(REVIEWS_PER_PAGE)
+                .select('userName rating text photo createdAt'),
+            reviewModel.aggregate([
+                { $match: { foodId: food._id, status: 'approved' } },
+                { $group: { _id: '$rating', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: reviews,
+            food: { _id: food._id, name: food.name, rating: food.rating, reviews: food.reviews },
+            stars: Object.fromEntries([5, 4, 3, 2, 1].map((star) => [star, stars.find((s) => s._id === star)?.count || 0])),
+            hasMore: page * REVIEWS_PER_PAGE < food.reviews
+        });
+    } catch (error) {
+        console.error("Error fetching reviews:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Dishes the user can review (from delivered orders) and the reviews they've written
+const listMyReviews = async (req, res) => {
+    try {
+        const dishes = await getReviewableDishes(req.body.userId);
+        res.json({ success: true, data: dishes });
+    } catch (error) {
+        console.error("Error fetching reviewable dishes:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Rate a dish from a delivered order, with optional text and photo. Reviewing the same dish
+// again replaces the earlier review, which goes back to the moderation queue.
+const addReview = async (req, res) => {
+    try {
+        const { userId, foodId } = req.body;
+        const rating = Number(req.body.rating);
+        const text = String(req.body.text || '').trim();
+        const photoFile = req.file;
+
+        if (!mongoose.isValidObjectId(foodId)) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.json({ success: false, message: "Please choose between 1 and 5 stars" });
+        }
+        if (text.length > MAX_REVIEW_LENGTH) {
+            return res.json({ success: false, message: `Reviews can be up to ${MAX_REVIEW_LENGTH} characters` });
+        }
+        if (photoFile && !photoFile.mimetype.startsWith('image/')) {
+            return res.json({ success: false, message: "Photos must be an image file" });
+        }
+
+        const [food, user, order] = await Promise.all([
+            foodModel.findById(foodId),
+            userModel.findById(userId).select('name'),
+            findDeliveredOrder(userId, foodId)
+        ]);
+        if (!food) {
+            return res.json({ success: false, message: "Dish not found" });
+        }
+        if (!user) {
+            return res.json({ success: false, message: "User not found" });
+        }
+        if (!order) {
+            return res.json({ success: false, message: "You can review a dish once an order with it has been delivered" });
+        }
+
+        let photo;
+        if (photoFile) {
+            const photoUpload = await cloudinary.uploader.upload(photoFile.path, {
+                resource_type: "image",
+            });
+            photo = photoUpload.url;
+        }
+
+        const previous = await reviewModel.findOne({ userId, foodId });
+        const review = await reviewModel.findOneAndUpdate(
+            { userId, foodId },
+            {
+                userName: displayName(user.name),
+                foodName: food.name,
+                orderId: order._id,
+                rating,
+                text,
+                ...(photo ? { photo } : {}),
+                status: 'pending',
+                moderatedBy: null,
+                moderatedByName: '',
+                moderatedAt: null,
+                rejectReason: ''
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        // An edited review comes off the dish until it's approved again
+        if (previous?.status === 'approved') {
+            await refreshFoodRating(foodId);
+        }
+
+        announceReview(review);
+        await notifyStaff({
+            type: 'review',
+            title: `${previous ? 'Updated' : 'New'} review: ${food.name}`,
+            message: `${'★'.repeat(rating)} · ${review.userName}`,
+            permission: 'menu',
+            link: '/reviews'
+        });
+
+        console.log("Review saved:", review._id, "for", foodId, "by", userId);
+        res.json({ success: true, message: "Thanks! Your review will appear once it's been checked.", data: review });
+    } catch (error) {
+        console.error("Error saving review:", error);
+        res.json({ success: false, message: error.message });
+    } finally {
+        // multer's copy of the photo is only needed until it's on Cloudinary
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+    }
+};
+
+// Moderation queue: reviews by status (pending by default), oldest first so nothing waits
+// too long, with a count per status (admin)
+const listReviewQueue = async (req, res) => {
+    try {
+        const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+        const [reviews, counts] = await Promise.all([
+            reviewModel.find({ status }).sort({ createdAt: status === 'pending' ? 1 : -1 }).limit(200),
+            reviewModel.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            data: reviews,
+            counts: Object.fromEntries(REVIEW_STATUSES.map((s) => [s, counts.find((c) => c._id === s)?.count || 0]))
+        });
+    } catch (error) {
+        console.error("Error fetching review queue:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Approve or reject a review and update the dish's rating (admin)
+const moderateReview = async (req, res) => {
+    try {
+        const { reviewId, status } = req.body;
+        const reason = String(req.body.reason || '').trim();
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.json({ success: false, message: "Invalid status" });
+        }
+        if (reason.length > 300) {
+            return res.json({ success: false, message: "Please keep the reason under 300 characters" });
+        }
+
+        const review = await reviewModel.findByIdAndUpdate(
+            reviewId,
+            {
+                status,
+                moderatedBy: req.admin.id,
+                moderatedByName: req.admin.name,
+                moderatedAt: new Date(),
+                rejectReason: status === 'rejected' ? reason : ''
+            },
+            { new: true }
+        );
+        if (!review) {
+            return res.json({ success: false, message: "Review not found" });
+        }
+
+        await refreshFoodRating(review.foodId);
+
+        announceReview(review);
+        console.log("Review", reviewId, status, "by", req.admin.name);
+        res.json({ success: true, message: status === 'approved' ? "Review published" : "Review rejected", data: review });
+    } catch (error) {
+        console.error("Error moderating review:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export {
+    listFoodReviews,
+    listMyReviews,
+    addReview,
+    listReviewQueue,
+    moderateReview
+};
@@ -0,0 +1,78 @@
+import seatingModel from "../models/seatingModel.js";
+import tableModel from "../models/tableModel.js";
+import { seatParty, clearTable } from "../services/seatingService.js";
+import { MIN_SAMPLES, getTurnTimeStats } from "../services/turnTimeService.js";
+
+// Seat a booking or a walk-in (admin)
+const seatTable = async (req, res) => {
+    try {
+        const { tableId, tableIds, partySize, bookingId, name } = req.body;
+        const session = await seatParty({
+            tableIds: Array.isArray(tableIds) && tableIds.length > 0 ? tableIds : tableId ? [tableId] : [],
+            partySize: partySize,
+            bookingId: bookingId || null,
+            name: name || '',
+            seatedBy: req.admin.name
+        });
+        res.json({ success: true, message: `Party of ${session.partySize} seated at Table ${session.tableNumber}`, data: session });
+    } catch (error) {
+        console.error("Error seating table:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Guests have left: clear the table (admin)
+const clearSeatedTable = async (req, res) => {
+    try {
+        const { tableId } = req.body;
+        const session = await clearTable(tableId, req.admin.name);
+        if (!session) {
+            return res.json({ success: false, message: "Nobody is seated at this table" });
+        }
+        res.json({ success: true, message: `Table ${session.tableNumber} cleared after ${session.turnMinutes} min`, data: session });
+    } catch (error) {
+        console.error("Error clearing table:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Parties currently seated (admin)
+const listActiveSessions = async (req, res) => {
+    try {
+        const sessions = await seatingModel.find({ clearedAt: null }).sort({ seatedAt: 1 });
+        res.json({ success: true, data: sessions });
+    } catch (error) {
+        console.error("Error fetching seated tables:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Average turn time per table and per party size (admin)
+const getTurnTimeReport = async (req, res) => {
+    try {
+        const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+        const stats = await getTurnTimeStats(days);
+        const tables = await tableModel.find({ _id: { $in: [...stats.byTable.keys()] } });
+
+        res.json({
+            success: true,
+            data: {
+                days: stats.days,
+                sessions: stats.sessions,
+                minSamples: MIN_SAMPLES,
+                byTable: [...stats.byTable].map(([tableId, stat]) => {
+                    const table = tables.find(t => t._id.toString() === tableId);
+                    return { tableId, tableNumber: table ? table.tableNumber : '?', capacity: table ? table.capacity : null, ...stat };
+                }).sort((a, b) => String(a.tableNumber).localeCompare(String(b.tableNumber), undefined, { numeric: true })),
+                byPartySize: [...stats.byPartySize]
+                    .map(([partySize, stat]) => ({ partySize, ...stat }))
+                    .sort((a, b) => a.partySize - b.partySize)
+            }
+        });
+    } catch (error) {
+        console.error("Error building turn time report:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { seatTable, clearSeatedTable, listActiveSessions, getTurnTimeReport };
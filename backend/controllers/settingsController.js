@@ -0,0 +1,107 @@
+import { getSettings } from "../services/openingHoursService.js";
+import { parseTimeToMinutes } from "../services/bookingTimeService.js";
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_24H = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEPOSIT_MODES = ['none', 'perTable', 'perGuest', 'perHour'];
+
+// Shifts must be "HH:MM", close after they open and not overlap each other
+const checkShifts = (shifts, label) => {
+    const sorted = [...shifts].sort((a, b) => parseTimeToMinutes(a.open) - parseTimeToMinutes(b.open));
+    for (let i = 0; i < sorted.length; i++) {
+        const { open, close } = sorted[i];
+        if (!TIME_24H.test(open) || !TIME_24H.test(close)) {
+            return `${label}: times must look like 11:00 or 22:30`;
+        }
+        if (parseTimeToMinutes(close) <= parseTimeToMinutes(open)) {
+            return `${label}: closing time must be after opening time`;
+        }
+        if (i > 0 && parseTimeToMinutes(open) < parseTimeToMinutes(sorted[i - 1].close)) {
+            return `${label}: shifts overlap`;
+        }
+    }
+    return null;
+};
+
+const checkSettingsData = (data) => {
+    for (const day of data.openingHours || []) {
+        const error = checkShifts(day.shifts || [], `Day ${day.day}`);
+        if (error) return error;
+    }
+    for (const closure of data.closures || []) {
+        if (!DATE_KEY.test(closure.date)) return "Closure dates must be YYYY-MM-DD";
+    }
+    for (const special of data.specialHours || []) {
+        if (!DATE_KEY.test(special.date)) return "Special hours dates must be YYYY-MM-DD";
+        const error = checkShifts(special.shifts || [], special.date);
+        if (error) return error;
+    }
+    for (const field of ['slotIntervalMinutes', 'lastSeatingMinutes', 'minNoticeMinutes', 'maxAdvanceDays', 'noShowGraceMinutes', 'noShowDepositThreshold', 'noShowDepositAmount', 'depositAmount']) {
+        if (data[field] !== undefined && (!Number.isFinite(Number(data[field])) || Number(data[field]) < 0)) {
+            return `${field} must be a positive number`;
+        }
+    }
+    if (data.slotIntervalMinutes !== undefined && Number(data.slotIntervalMinutes) < 5) {
+        return "Slots must be at least 5 minutes apart";
+    }
+    if (Number(data.noShowDepositThreshold) > 0 && data.noShowDepositAmount !== undefined && !(Number(data.noShowDepositAmount) > 0)) {
+        return "Enter the deposit amount for guests with no-shows";
+    }
+    if (data.depositMode !== undefined && !DEPOSIT_MODES.includes(data.depositMode)) {
+        return "Unknown deposit type";
+    }
+    if (['perTable', 'perGuest'].includes(data.depositMode) && !(Number(data.depositAmount) > 0)) {
+        return "Enter the deposit amount";
+    }
+    for (const slot of data.peakSlots || []) {
+        if (!(slot.day >= 0 && slot.day <= 6)) return "Peak slots need a day of the week";
+        const error = checkShifts([slot], 'Peak slot');
+        if (error) return error;
+    }
+    return null;
+};
+
+// Restaurant settings for the admin panel
+const getRestaurantSettings = async (req, res) => {
+    try {
+        res.json({ success: true, data: await getSettings() });
+    } catch (error) {
+        console.error("Error fetching settings:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Save opening hours, closures, special hours and booking rules
+const updateRestaurantSettings = async (req, res) => {
+    try {
+        const fields = [
+            'openingHours', 'closures', 'specialHours',
+            'slotIntervalMinutes', 'lastSeatingMinutes', 'minNoticeMinutes', 'maxAdvanceDays',
+            'noShowGraceMinutes', 'noShowDepositThreshold', 'noShowDepositAmount',
+            'depositMode', 'depositAmount', 'depositPeakOnly', 'peakSlots'
+        ];
+        const data = {};
+        fields.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                data[field] = req.body[field];
+            }
+        });
+
+        const error = checkSettingsData(data);
+        if (error) {
+            return res.json({ success: false, message: error });
+        }
+
+        const settings = await getSettings();
+        Object.assign(settings, data, { updatedBy: req.admin.name, updatedAt: new Date() });
+        await settings.save();
+
+        console.log(`Restaurant settings updated by ${req.admin.name}`);
+        res.json({ success: true, message: "Settings saved", data: settings });
+    } catch (error) {
+        console.error("Error updating settings:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export { getRestaurantSettings, updateRestaurantSettings };
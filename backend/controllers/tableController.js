@@ -1,5 +1,20 @@
+import mongoose from "mongoose";
 import tableModel from "../models/tableModel.js";
 import bookingModel from "../models/bookingModel.js";
+import seatingModel from "../models/seatingModel.js";
+import { announceTable } from "../services/realtimeService.js";
+import {
+    getBookingDuration,
+    getBookingWindow,
+    findOverlappingBookings,
+    isTableFree,
+    getBookingTableIds,
+    findTableCombinations,
+    describeTables
+} from "../services/bookingAvailabilityService.js";
+import { clearTable } from "../services/seatingService.js";
+import { getSettings } from "../services/openingHoursService.js";
+import { calculateReservationDeposit } from "../services/depositService.js";
 
 // Add new table
 const addTable = async (req, res) => {
@@ -61,33 +76,41 @@ const listTables = async (req, res) => {
             status: { $in: ['Pending', 'Confirmed'] }
         });
 
+        // Parties sitting at a table right now
+        const openSessions = await seatingModel.find({ clearedAt: null });
+
         // Attach booking info to each table
         const tablesWithBookings = tables.map(table => {
             const tableObj = table.toObject();
             
+            const holdsTable = (b) => getBookingTableIds(b).some(id => id.toString() === table._id.toString());
+
             // Today's bookings for this table
-            tableObj.todayBookings = todayBookings.filter(b => 
-                b.tableId && b.tableId.toString() === table._id.toString()
-            ).map(b => ({
+            tableObj.todayBookings = todayBookings.filter(holdsTable).map(b => ({
                 _id: b._id,
                 time: b.time,
                 guests: b.guests,
                 name: b.name,
-                status: b.status
-            }));
+                phone: b.phone,
+                status: b.status,
+                startAt: b.startAt,
+                endAt: b.endAt,
+                tableNumber: b.tableNumber,
+                occasion: b.occasion,
+                specialRequests: b.specialRequests,
+                hasPreOrder: b.hasPreOrder
+            })).sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
             
             // Upcoming bookings count
-            tableObj.upcomingBookingsCount = upcomingBookings.filter(b => 
-                b.tableId && b.tableId.toString() === table._id.toString()
-            ).length;
+            tableObj.upcomingBookingsCount = upcomingBookings.filter(holdsTable).length;
+
+            tableObj.seating = openSessions.find(holdsTable) || null;
             
-            // Check if table is booked right now (within 2 hours of current time)
+            // Check if a booking holds the table right now
             const now = new Date();
-            const currentHour = now.getHours();
-            tableObj.isCurrentlyBooked = tableObj.todayBookings.some(b => {
-                const bookingHour = parseInt(b.time.split(':')[0]);
-                return Math.abs(currentHour - bookingHour) <= 2;
-            });
+            tableObj.isCurrentlyBooked = tableObj.todayBookings.some(b =>
+                b.startAt && b.endAt && new Date(b.startAt) <= now && new Date(b.endAt) > now
+            );
             
             return tableObj;
         });
@@ -102,46 +125,81 @@ const listTables = async (req, res) => {
 // Get available tables for booking (User frontend)
 const getAvailableTables = async (req, res) => {
     try {
-        const { date, time, guests } = req.query;
-
-        // Get all active tables that can accommodate the guests
-        let query = { isActive: true };
-        if (guests) {
-            query.capacity = { $gte: parseInt(guests) };
-        }
+        // excludeBookingId: a guest changing a booking can keep the tables it already holds
+        const { date, time, guests, durationHours, excludeBookingId } = req.query;
 
-        const tables = await tableModel.find(query).sort({ capacity: 1 });
+        // Get all active tables; smaller ones can still be joined for a large party
+        const tables = await tableModel.find({ isActive: true }).sort({ capacity: 1 });
+        const partySize = parseInt(guests) || 0;
+        const fitsParty = (table) => table.capacity >= partySize;
 
-        // If date and time provided, check for existing bookings
+        // If date and time provided, drop tables with a booking overlapping the stay
         if (date && time) {
-            const bookingDate = new Date(date);
-            
-            // Get bookings for that date and time
-            const existingBookings = await bookingModel.find({
-                date: {
-                    $gte: new Date(bookingDate.setHours(0, 0, 0, 0)),
-                    $lt: new Date(bookingDate.setHours(23, 59, 59, 999))
-                },
-                time: time,
-                status: { $in: ['Pending', 'Confirmed'] }
+            const openTables = tables.filter(table => table.status !== 'maintenance');
+
+            // Each table is held for its own minimum booking length
+            const windows = new Map();
+            for (const table of openTables) {
+                const window = getBookingWindow(date, time, getBookingDuration(table, durationHours, guests));
+                if (!window) {
+                    return res.json({ success: false, message: "Invalid date or time" });
+                }
+                windows.set(table._id.toString(), window);
+            }
+            if (openTables.length === 0) {
+                return res.json({ success: true, data: [] });
+            }
+
+            // One query for the longest window, then check each table against its own
+            const allWindows = [...windows.values()];
+            const overlapping = await findOverlappingBookings(openTables.map(t => t._id), {
+                startAt: allWindows[0].startAt,
+                endAt: new Date(Math.max(...allWindows.map(w => w.endAt.getTime())))
+            }, mongoose.isValidObjectId(excludeBookingId) ? excludeBookingId : null);
+
+            // Deposit the guest will be asked for with each choice (before any no-show deposit)
+            const settings = await getSettings();
+            const getDeposit = (group, window) => calculateReservationDeposit(settings, {
+                tables: group,
+                guests,
+                date,
+                time,
+                durationMinutes: (window.endAt - window.startAt) / 60000
             });
 
-            // Get booked table IDs
-            const bookedTableIds = existingBookings
-                .filter(b => b.tableId)
-                .map(b => b.tableId.toString());
-
-            // Filter out booked tables and maintenance tables
-            const availableTables = tables.filter(table => 
-                !bookedTableIds.includes(table._id.toString()) && 
-                table.status !== 'maintenance'
-            );
+            const freeTables = openTables.filter(table => isTableFree(table, overlapping, windows.get(table._id.toString())));
+            const availableTables = freeTables
+                .filter(fitsParty)
+                .map(table => {
+                    const window = windows.get(table._id.toString());
+                    return { ...table.toObject(), bookingEndsAt: window.endAt, deposit: getDeposit([table], window) };
+                });
+
+            // No single table seats the party: offer groups of joinable tables instead
+            if (availableTables.length === 0 && partySize > 0) {
+                for (const { tables: group, capacity } of findTableCombinations(freeTables, partySize)) {
+                    const startAt = windows.get(group[0]._id.toString()).startAt;
+                    const endAt = new Date(Math.max(...group.map(t => windows.get(t._id.toString()).endAt.getTime())));
+                    availableTables.push({
+                        _id: group.map(t => t._id.toString()).join('+'),
+                        isCombination: true,
+                        tableIds: group.map(t => t._id),
+                        ...describeTables(group),
+                        capacity: capacity,
+                        location: group[0].location,
+                        features: [...new Set(group.flatMap(t => t.features))],
+                        tables: group.map(t => ({ _id: t._id, tableNumber: t.tableNumber, capacity: t.capacity })),
+                        bookingEndsAt: endAt,
+                        deposit: getDeposit(group, { startAt, endAt })
+                    });
+                }
+            }
 
             return res.json({ success: true, data: availableTables });
         }
 
         // Return all active tables (not in maintenance)
-        const availableTables = tables.filter(t => t.status !== 'maintenance');
+        const availableTables = tables.filter(t => t.status !== 'maintenance' && fitsParty(t));
         res.json({ success: true, data: availableTables });
     } catch (error) {
         console.error("Error fetching available tables:", error);
@@ -163,6 +221,11 @@ const updateTableStatus = async (req, res) => {
             return res.json({ success: false, message: "Invalid status" });
         }
 
+        // Freeing up a table with guests still recorded at it ends their seating session
+        if (status !== 'occupied') {
+            await clearTable(tableId, req.admin.name);
+        }
+
         const table = await tableModel.findByIdAndUpdate(
             tableId,
             { status },
@@ -173,6 +236,7 @@ const updateTableStatus = async (req, res) => {
             return res.json({ success: false, message: "Table not found" });
         }
 
+        announceTable(table);
         console.log(`Table ${table.tableNumber} status updated to: ${status}`);
         res.json({ success: true, message: "Table status updated", data: table });
     } catch (error) {
@@ -190,14 +254,38 @@ const updateTable = async (req, res) => {
             return res.json({ success: false, message: "Table ID is required" });
         }
 
+        // Joins are saved on both tables, so they are handled separately below
+        const { joinableWith } = updateData;
+        delete updateData.joinableWith;
+
+        const existing = await tableModel.findById(tableId);
+        if (!existing) {
+            return res.json({ success: false, message: "Table not found" });
+        }
+
+        let joinIds = null;
+        if (Array.isArray(joinableWith)) {
+            joinIds = [...new Set(joinableWith.map(String))].filter(id => id !== tableId.toString());
+            const location = updateData.location || existing.location;
+            const joinTables = await tableModel.find({ _id: { $in: joinIds } });
+            if (joinTables.length !== joinIds.length) {
+                return res.json({ success: false, message: "Some of the tables to join were not found" });
+            }
+            if (joinTables.some(t => t.location !== location)) {
+                return res.json({ success: false, message: "Only tables in the same area can be joined" });
+            }
+            updateData.joinableWith = joinIds;
+        }
+
         const table = await tableModel.findByIdAndUpdate(
             tableId,
             updateData,
             { new: true }
         );
 
-        if (!table) {
-            return res.json({ success: false, message: "Table not found" });
+        if (joinIds) {
+            await tableModel.updateMany({ _id: { $nin: joinIds }, joinableWith: table._id }, { $pull: { joinableWith: table._id } });
+            await tableModel.updateMany({ _id: { $in: joinIds } }, { $addToSet: { joinableWith: table._id } });
         }
 
         res.json({ success: true, message: "Table updated successfully", data: table });
@@ -207,6 +295,49 @@ const updateTable = async (req, res) => {
     }
 };
 
+const TABLE_SHAPES = ['square', 'round', 'rectangle'];
+
+// Save the floor plan: position, shape, rotation and floor of each table moved in the editor
+const saveFloorPlan = async (req, res) => {
+    try {
+        const { layouts } = req.body;
+        if (!Array.isArray(layouts) || layouts.length === 0) {
+            return res.json({ success: false, message: "Nothing to save" });
+        }
+
+        for (const layout of layouts) {
+            const x = Number(layout.x);
+            const y = Number(layout.y);
+            if (!layout.tableId || !Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 100 || y < 0 || y > 100) {
+                return res.json({ success: false, message: "Every table needs a position inside the plan" });
+            }
+            if (layout.shape && !TABLE_SHAPES.includes(layout.shape)) {
+                return res.json({ success: false, message: `Unknown table shape: ${layout.shape}` });
+            }
+        }
+
+        await tableModel.bulkWrite(layouts.map(layout => ({
+            updateOne: {
+                filter: { _id: layout.tableId },
+                update: {
+                    'layout.floor': String(layout.floor || '').trim() || 'Main Floor',
+                    'layout.x': Number(layout.x),
+                    'layout.y': Number(layout.y),
+                    'layout.shape': layout.shape || 'square',
+                    // Stored as 0-359
+                    'layout.rotation': ((Math.round(Number(layout.rotation) || 0) % 360) + 360) % 360
+                }
+            }
+        })));
+
+        console.log(`Floor plan saved for ${layouts.length} tables by ${req.admin.name}`);
+        res.json({ success: true, message: "Floor plan saved" });
+    } catch (error) {
+        console.error("Error saving floor plan:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
 // Toggle table active status
 const toggleTableActive = async (req, res) => {
     try {
@@ -241,6 +372,7 @@ const deleteTable = async (req, res) => {
             return res.json({ success: false, message: "Table not found" });
         }
 
+        await tableModel.updateMany({ joinableWith: table._id }, { $pull: { joinableWith: table._id } });
         console.log("Table deleted:", table.tableNumber);
         res.json({ success: true, message: "Table deleted successfully" });
     } catch (error) {
@@ -272,6 +404,7 @@ export {
     getAvailableTables, 
     updateTableStatus, 
     updateTable, 
+    saveFloorPlan,
     toggleTableActive, 
     deleteTable,
     getTable 
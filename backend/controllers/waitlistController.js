@@ -0,0 +1,359 @@
+import waitlistModel from "../models/waitlistModel.js";
+import bookingModel from "../models/bookingModel.js";
+import tableModel from "../models/tableModel.js";
+import { parseTimeToMinutes, getBookingStart } from "../services/bookingTimeService.js";
+import { findOverlappingBookings, withTableLock } from "../services/bookingAvailabilityService.js";
+import { getSettings, getDaySchedule } from "../services/openingHoursService.js";
+import { getBookingDeposit } from "../services/depositService.js";
+import { getBookingAmountDue } from "../services/pricingService.js";
+import { announceBooking } from "../services/realtimeService.js";
+import { notifyStaff } from "../services/notificationService.js";
+import { queueEmail } from "../services/emailService.js";
+import { getManageLink } from "../services/bookingAccessService.js";
+import {
+    getClaimLink,
+    getDayRange,
+    announceWaitlist,
+    offerFreedTables
+} from "../services/waitlistService.js";
+
+// What the guest sees about their offer (never the token or internal ids)
+const offerSummary = (entry) => ({
+    name: entry.name,
+    date: entry.date,
+    guests: entry.guests,
+    status: entry.status,
+    tableNumber: entry.offer.tableNumber,
+    tableName: entry.offer.tableName,
+    time: entry.offer.time,
+    startAt: entry.offer.startAt,
+    endAt: entry.offer.endAt,
+    expiresAt: entry.offer.expiresAt,
+    bookingId: entry.claimedBookingId
+});
+
+// Join the waitlist for a date and time window (public)
+const joinWaitlist = async (req, res) => {
+    try {
+        const { name, email, phone, date, windowStart, windowEnd, guests, notes } = req.body;
+
+        if (!name || !email || !phone || !date || !windowStart || !windowEnd || !guests) {
+            return res.json({ success: false, message: "Please fill all required fields" });
+        }
+
+        const from = parseTimeToMinutes(windowStart);
+        const to = parseTimeToMinutes(windowEnd);
+        if (from === null || to === null || to < from) {
+            return res.json({ success: false, message: "Please choose a valid time window" });
+        }
+        if (!(parseInt(guests) > 0)) {
+            return res.json({ success: false, message: "Please enter the number of guests" });
+        }
+
+        const schedule = getDaySchedule(await getSettings(), date);
+        if (!schedule) {
+            return res.json({ success: false, message: "Please choose a valid date" });
+        }
+        if (schedule.closed) {
+            return res.json({ success: false, message: `We're closed on this day (${schedule.reason})` });
+        }
+        const latestStart = getBookingStart(date, windowEnd);
+        if (latestStart < new Date()) {
+            return res.json({ success: false, message: "That time has already passed" });
+        }
+
+        const existing = await waitlistModel.findOne({
+            email: email,
+            date: getDayRange(date),
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existing) {
+            return res.json({ success: false, message: "You're already on the waitlist for this day" });
+        }
+
+        const entry = await waitlistModel.create({
+            name,
+            email,
+            phone,
+            date: new Date(date),
+            windowStart,
+            windowEnd,
+            guests: parseInt(guests),
+            notes: notes || ''
+        });
+        const position = await waitlistModel.countDocuments({
+            date: getDayRange(date),
+            status: 'waiting',
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        announceWaitlist(entry);
+        await notifyStaff({
+            type: 'booking',
+            title: `Waitlist: ${entry.guests} guest${entry.guests === 1 ? '' : 's'}`,
+            message: `${name} · ${new Date(entry.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}, ${windowStart} - ${windowEnd}`,
+            permission: 'bookings',
+            link: '/bookings'
+        });
+
+        // A table may already be free in their window (e.g. the guest wanted a time the slot picker didn't show)
+        await offerFreedTables(entry.date, { entryId: entry._id });
+
+        console.log("Waitlist entry created:", entry._id);
+        res.json({
+            success: true,
+            message: "You're on the waitlist! We'll send you a link as soon as a table frees up.",
+            data: { entryId: entry._id, position: position }
+        });
+    } catch (error) {
+        console.error("Error joining waitlist:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Offer details for the claim page (public, by token)
+const getWaitlistOffer = async (req, res) => {
+    try {
+        const { token } = req.query;
+        const entry = token ? await waitlistModel.findOne({ 'offer.token': token }) : null;
+        if (!entry) {
+            return res.json({ success: false, message: "This link is not valid" });
+        }
+        res.json({ success: true, data: offerSummary(entry) });
+    } catch (error) {
+        console.error("Error fetching waitlist offer:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Turn an offer into a booking (public, by token)
+const claimWaitlistOffer = async (req, res) => {
+    try {
+        const { token } = req.body;
+        const entry = token ? await waitlistModel.findOne({ 'offer.token': token }) : null;
+        if (!entry) {
+            return res.json({ success: false, message: "This link is not valid" });
+        }
+        if (entry.status === 'claimed') {
+            return res.json({ success: true, message: "This table is already booked for you", data: offerSummary(entry) });
+        }
+        if (entry.status !== 'offered' || entry.offer.expiresAt < new Date()) {
+            return res.json({ success: false, message: "Sorry, this offer has expired" });
+        }
+
+        const { offer } = entry;
+
+        // Same deposit rules as booking the table directly, including the no-show deposit
+        const [settings, table] = await Promise.all([getSettings(), tableModel.findById(offer.tableId)]);
+        const deposit = await getBookingDeposit(
+            settings,
+            { tables: table ? [table] : [], guests: entry.guests, date: entry.date, time: offer.time, durationMinutes: offer.durationMinutes },
+            { email: entry.email, phone: entry.phone }
+        );
+
+        const booking = await withTableLock(offer.tableId, async () => {
+            const overlapping = await findOverlappingBookings([offer.tableId], offer);
+            if (overlapping.length > 0) {
+                return null;
+            }
+
+            // Claim the entry before booking so a second click can't book twice
+            const claimed = await waitlistModel.findOneAndUpdate(
+                { _id: entry._id, status: 'offered' },
+                { status: 'claimed' }
+            );
+            if (!claimed) {
+                return null;
+            }
+
+            const newBooking = await bookingModel.create({
+                // Set by optionalAuth when the guest is logged in
+                userId: req.body.userId || null,
+                name: entry.name,
+                email: entry.email,
+                phone: entry.phone,
+                date: entry.date,
+                time: offer.time,
+                guests: String(entry.guests),
+                tableId: offer.tableId,
+                tableNumber: offer.tableNumber,
+                tableName: offer.tableName,
+                specialRequests: entry.notes,
+                status: 'Pending',
+                startAt: offer.startAt,
+                endAt: offer.endAt,
+                durationMinutes: offer.durationMinutes,
+                depositAmount: deposit.amount,
+                depositReason: deposit.reason
+            });
+            await waitlistModel.updateOne({ _id: entry._id }, { claimedBookingId: newBooking._id });
+            return newBooking;
+        });
+
+        if (!booking) {
+            // The table went to a walk-in or an admin booking in the meantime - put the guest back in the queue
+            const requeued = await waitlistModel.findOneAndUpdate(
+                { _id: entry._id, status: 'offered' },
+                { status: 'waiting' },
+                { new: true }
+            );
+            if (requeued) {
+                announceWaitlist(requeued);
+                await offerFreedTables(entry.date, { entryId: entry._id });
+            }
+            return res.json({ success: false, message: "Sorry, this table was just taken. You're still on the waitlist." });
+        }
+
+        await tableModel.findByIdAndUpdate(offer.tableId, { status: 'reserved' });
+
+        announceBooking('booking:new', booking);
+        announceWaitlist({ ...entry.toObject(), status: 'claimed' });
+        await notifyStaff({
+            type: 'booking',
+            title: 'Waitlist guest claimed a table',
+            message: `${entry.name} · Table ${offer.tableNumber} at ${offer.time}`,
+            permission: 'bookings',
+            link: '/bookings',
+            bookingId: booking._id
+        });
+
+        console.log("Waitlist offer claimed:", entry._id, "-> booking", booking._id);
+        const manageLink = getManageLink(booking);
+        await queueEmail({ to: booking.email, template: 'bookingReceived', data: { booking, manageLink } });
+
+        const amountDue = getBookingAmountDue(booking);
+        res.json({
+            success: true,
+            message: amountDue > 0 ? `Your table is booked! Please pay the ₹${amountDue} deposit to keep it.` : "Your table is booked!",
+            data: { ...offerSummary(entry), status: 'claimed', bookingId: booking._id },
+            depositAmount: deposit.amount,
+            depositReason: deposit.reason,
+            amountDue: amountDue,
+            manageLink: manageLink
+        });
+    } catch (error) {
+        console.error("Error claiming waitlist offer:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Guest turns down an offer or leaves the waitlist (public, by token or entry id + email)
+const leaveWaitlist = async (req, res) => {
+    try {
+        const { token, entryId, email } = req.body;
+
+        let filter;
+        if (token) {
+            filter = { 'offer.token': token };
+        } else if (entryId && email) {
+            filter = { _id: entryId, email: email };
+        } else {
+            return res.json({ success: false, message: "Waitlist entry not found" });
+        }
+
+        const entry = await waitlistModel.findOneAndUpdate(
+            { ...filter, status: { $in: ['waiting', 'offered'] } },
+            { status: 'cancelled' },
+            { new: true }
+        );
+        if (!entry) {
+            return res.json({ success: false, message: "Waitlist entry not found" });
+        }
+
+        announceWaitlist(entry);
+        // A declined table goes straight to the next guest
+        if (entry.offer.tableId) {
+            await offerFreedTables(entry.date);
+        }
+
+        res.json({ success: true, message: "You've been removed from the waitlist" });
+    } catch (error) {
+        console.error("Error leaving waitlist:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Upcoming waitlist entries (admin)
+const listWaitlist = async (req, res) => {
+    try {
+        const today = new Date();
+        const entries = await waitlistModel.find({
+            date: { $gte: new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())) }
+        }).sort({ date: 1, createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: entries.map((entry) => ({
+                ...entry.toObject(),
+                claimLink: entry.status === 'offered' ? getClaimLink(entry.offer.token) : ''
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching waitlist:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Look for a free table for one guest right now (admin)
+const offerWaitlistEntry = async (req, res) => {
+    try {
+        const { entryId } = req.body;
+        const entry = await waitlistModel.findById(entryId);
+        if (!entry) {
+            return res.json({ success: false, message: "Waitlist entry not found" });
+        }
+        if (entry.status !== 'waiting') {
+            return res.json({ success: false, message: `This guest is already ${entry.status}` });
+        }
+
+        const [offered] = await offerFreedTables(entry.date, { entryId: entry._id });
+        if (!offered) {
+            return res.json({ success: false, message: "No suitable table is free in this guest's time window" });
+        }
+
+        res.json({
+            success: true,
+            message: `Table ${offered.offer.tableNumber} at ${offered.offer.time} offered to ${offered.name}`,
+            data: { ...offered.toObject(), claimLink: getClaimLink(offered.offer.token) }
+        });
+    } catch (error) {
+        console.error("Error offering table to waitlist guest:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+// Take a guest off the waitlist (admin). An open offer is passed on to the next guest.
+const removeWaitlistEntry = async (req, res) => {
+    try {
+        const { entryId } = req.body;
+        const entry = await waitlistModel.findOneAndUpdate(
+            { _id: entryId, status: { $in: ['waiting', 'offered'] } },
+            { status: 'cancelled' },
+            { new: true }
+        );
+        if (!entry) {
+            return res.json({ success: false, message: "Waitlist entry not found" });
+        }
+
+        announceWaitlist(entry);
+        if (entry.offer.tableId) {
+            await offerFreedTables(entry.date);
+        }
+
+        console.log("Waitlist entry removed:", entryId, "by", req.admin.name);
+        res.json({ success: true, message: "Removed from the waitlist" });
+    } catch (error) {
+        console.error("Error removing waitlist entry:", error);
+        res.json({ success: false, message: error.message });
+    }
+};
+
+export {
+    joinWaitlist,
+    getWaitlistOffer,
+    claimWaitlistOffer,
+    leaveWaitlist,
+    listWaitlist,
+    offerWaitlistEntry,
+    removeWaitlistEntry
+};
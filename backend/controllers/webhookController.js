@@ -0,0 +1,180 @@
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import {
+    getStripe,
+    verifyHmacSignature,
+    processPaymentEvent,
+    markOrderPaid,
+    markOrderFailed,
+    markBookingPaid,
+    markBookingFailed
+} from "../services/paymentService.js";
+import { handleProviderRefund } from "../services/refundService.js";
+
+// Find the food order or booking a Razorpay payment belongs to
+const findRazorpayTarget = async (payment) => {
+    if (payment.order_id) {
+        const order = await orderModel.findOne({ razorpayOrderId: payment.order_id }).select('_id');
+        if (order) return { orderId: order._id.toString() };
+
+        const booking = await bookingModel.findOne({
+            $or: [{ razorpayOrderId: payment.order_id }, { 'extraPayments.razorpayOrderId': payment.order_id }]
+        }).select('_id');
+        if (booking) return { bookingId: booking._id.toString() };
+    }
+
+    // Fall back to the notes we attach when creating the Razorpay order
+    const notes = payment.notes || {};
+    if (notes.orderId) return { orderId: notes.orderId };
+    if (notes.bookingId) return { bookingId: notes.bookingId };
+    return {};
+};
+
+// Razorpay webhook: payment.captured, payment.failed, refund.processed, refund.failed
+const razorpayWebhook = async (req, res) => {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!verifyHmacSignature(req.body, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        console.log("Rejected Razorpay webhook with invalid signature");
+        return res.status(400).json({ success: false, message: "Invalid signature" });
+    }
+
+    try {
+        const event = JSON.parse(req.body.toString());
+        const payment = event.payload?.payment?.entity;
+        const refund = event.payload?.refund?.entity;
+        const eventId = req.headers['x-razorpay-event-id'] || `${event.event}_${(refund || payment)?.id}`;
+
+        if (!['payment.captured', 'payment.failed', 'refund.processed', 'refund.failed'].includes(event.event)) {
+            return res.json({ success: true, message: "Event ignored" });
+        }
+
+        const target = refund ? {} : await findRazorpayTarget(payment);
+        const amount = (refund || payment).amount / 100;
+
+        const { duplicate } = await processPaymentEvent({
+            provider: 'razorpay',
+            eventId: eventId,
+            type: event.event,
+            source: 'webhook',
+            orderId: target.orderId || null,
+            bookingId: target.bookingId || null,
+            paymentId: refund ? refund.payment_id : payment.id,
+            amount: amount,
+            payload: event.payload
+        }, async () => {
+            if (refund) {
+                return handleProviderRefund({
+                    provider: 'razorpay',
+                    providerRefundId: refund.id,
+                    refundId: refund.notes?.refundId,
+                    paymentId: refund.payment_id,
+                    amount: amount,
+                    status: event.event === 'refund.processed' ? 'processed' : 'failed'
+                });
+            }
+
+            const details = { paymentId: payment.id, razorpayOrderId: payment.order_id, amount: amount };
+            if (event.event === 'payment.captured') {
+                if (target.orderId) return markOrderPaid(target.orderId, details);
+                if (target.bookingId) return markBookingPaid(target.bookingId, details);
+            } else {
+                if (target.orderId) return markOrderFailed(target.orderId);
+                if (target.bookingId) return markBookingFailed(target.bookingId);
+            }
+            return null;
+        });
+
+        res.json({ success: true, message: duplicate ? "Already processed" : "Processed" });
+    } catch (error) {
+        // A non-2xx response makes Razorpay retry the delivery
+        console.error("Error processing Razorpay webhook:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// Stripe refunds report "succeeded" / "failed" / "canceled" on the refund object
+const handleStripeRefundEvent = async (event) => {
+    const refund = event.data.object;
+    const status = refund.status === 'succeeded' ? 'processed'
+        : ['failed', 'canceled'].includes(refund.status) ? 'failed'
+            : 'pending';
+
+    return processPaymentEvent({
+        provider: 'stripe',
+        eventId: event.id,
+        type: event.type,
+        source: 'webhook',
+        paymentId: refund.payment_intent || '',
+        amount: refund.amount / 100,
+        payload: event.data
+    }, () => handleProviderRefund({
+        provider: 'stripe',
+        providerRefundId: refund.id,
+        refundId: refund.metadata?.refundId,
+        paymentId: refund.payment_intent,
+        amount: refund.amount / 100,
+        status: status
+    }));
+};
+
+// Stripe webhook: checkout.session.completed, checkout.session.expired, refund.updated
+const stripeWebhook = async (req, res) => {
+    let event;
+    try {
+        event = getStripe().webhooks.constructEvent(
+            req.body,
+            req.headers['stripe-signature'],
+            process.env.STRIPE_WEBHOOK_SECRET
+        );
+    } catch (error) {
+        console.log("Rejected Stripe webhook:", error.message);
+        return res.status(400).json({ success: false, message: "Invalid signature" });
+    }
+
+    if (!['checkout.session.completed', 'checkout.session.expired', 'refund.updated', 'charge.refund.updated'].includes(event.type)) {
+        return res.json({ success: true, message: "Event ignored" });
+    }
+
+    try {
+        if (event.type.endsWith('refund.updated')) {
+            const { duplicate } = await handleStripeRefundEvent(event);
+            return res.json({ success: true, message: duplicate ? "Already processed" : "Processed" });
+        }
+
+        const session = event.data.object;
+        let orderId = session.metadata?.orderId;
+        if (!orderId) {
+            const order = await orderModel.findOne({ stripeSessionId: session.id }).select('_id');
+            orderId = order ? order._id.toString() : null;
+        }
+
+        const { duplicate } = await processPaymentEvent({
+            provider: 'stripe',
+            eventId: event.id,
+            type: event.type,
+            source: 'webhook',
+            orderId: orderId,
+            paymentId: session.payment_intent || '',
+            amount: (session.amount_total || 0) / 100,
+            payload: event.data
+        }, async () => {
+            if (!orderId) return null;
+
+            if (event.type === 'checkout.session.expired') {
+                return markOrderFailed(orderId);
+            }
+            // Delayed payment methods complete the session before the money arrives
+            if (session.payment_status !== 'paid') {
+                return null;
+            }
+            return markOrderPaid(orderId, { paymentId: session.payment_intent, amount: session.amount_total / 100 });
+        });
+
+        res.json({ success: true, message: duplicate ? "Already processed" : "Processed" });
+    } catch (error) {
+        console.error("Error processing Stripe webhook:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+export { razorpayWebhook, stripeWebhook };
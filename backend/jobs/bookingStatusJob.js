@@ -0,0 +1,35 @@
+import { processPastBookings } from "../services/noShowService.js";
+import { expireBookingChanges } from "../services/bookingChangeService.js";
+
+// How often to look for no-shows and finished bookings (can be overridden from .env)
+const getBookingStatusJobMinutes = () => Number(process.env.BOOKING_STATUS_INTERVAL_MINUTES ?? 5);
+
+// Mark no-shows, complete past bookings and drop changes that were never paid for. Runs never overlap.
+const startBookingStatusJob = () => {
+    const intervalMinutes = getBookingStatusJobMinutes();
+    if (!intervalMinutes || intervalMinutes <= 0) {
+        console.log("Automatic no-show and completion of bookings is disabled");
+        return;
+    }
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { noShows, completed } = await processPastBookings();
+            if (noShows || completed) {
+                console.log(`Bookings: ${noShows} marked as no-show, ${completed} completed`);
+            }
+            const expiredChanges = await expireBookingChanges();
+            if (expiredChanges) {
+                console.log(`Bookings: ${expiredChanges} unpaid change${expiredChanges === 1 ? '' : 's'} dropped`);
+            }
+        } catch (error) {
+            console.error("Booking status job failed:", error);
+        }
+        running = false;
+    }, intervalMinutes * 60 * 1000);
+};
+
+export { startBookingStatusJob };
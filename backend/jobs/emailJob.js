@@ -0,0 +1,30 @@
+import { processEmailQueue } from "../services/emailService.js";
+
+// How often to retry queued emails (can be overridden from .env)
+const getEmailJobMinutes = () => Number(process.env.EMAIL_QUEUE_INTERVAL_MINUTES ?? 1);
+
+// Send emails that failed or were left behind. Runs never overlap.
+const startEmailJob = () => {
+    const intervalMinutes = getEmailJobMinutes();
+    if (!intervalMinutes || intervalMinutes <= 0) {
+        console.log("Email retries are disabled");
+        return;
+    }
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { sent, failed } = await processEmailQueue();
+            if (sent || failed) {
+                console.log(`Email queue: ${sent} sent, ${failed} failed`);
+            }
+        } catch (error) {
+            console.error("Email queue failed:", error);
+        }
+        running = false;
+    }, intervalMinutes * 60 * 1000);
+};
+
+export { startEmailJob };
@@ -0,0 +1,165 @@
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import {
+    getRazorpay,
+    getStripe,
+    processPaymentEvent,
+    markOrderPaid,
+    markOrderFailed,
+    markBookingPaid,
+    markBookingFailed
+} from "../services/paymentService.js";
+import { getBookingAmountDue } from "../services/pricingService.js";
+
+// Reconciliation settings (can be overridden from .env)
+const getReconcileSettings = () => ({
+    intervalMinutes: Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES ?? 10),
+    // How long a checkout may stay unpaid before we ask the provider what happened
+    pendingTimeoutMinutes: Number(process.env.PENDING_PAYMENT_TIMEOUT_MINUTES ?? 30)
+});
+
+const BATCH_SIZE = 50;
+
+// Look up a Razorpay order and return its captured payment, if any
+const findCapturedRazorpayPayment = async (razorpayOrderId) => {
+    const payments = await getRazorpay().orders.fetchPayments(razorpayOrderId);
+    return (payments.items || []).find((payment) => payment.status === 'captured') || null;
+};
+
+const reconcileOrder = async (order) => {
+    const orderId = order._id.toString();
+
+    if (order.razorpayOrderId) {
+        const payment = await findCapturedRazorpayPayment(order.razorpayOrderId);
+        if (payment) {
+            return processPaymentEvent({
+                provider: 'razorpay',
+                eventId: `reconcile_${payment.id}`,
+                type: 'payment.captured',
+                source: 'reconciliation',
+                orderId: orderId,
+                paymentId: payment.id,
+                amount: payment.amount / 100
+            }, () => markOrderPaid(orderId, {
+                paymentId: payment.id,
+                razorpayOrderId: order.razorpayOrderId,
+                amount: payment.amount / 100
+            }));
+        }
+    }
+
+    if (order.stripeSessionId) {
+        const stripe = getStripe();
+        const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+        if (session.payment_status === 'paid') {
+            return processPaymentEvent({
+                provider: 'stripe',
+                eventId: `reconcile_${session.id}`,
+                type: 'checkout.session.completed',
+                source: 'reconciliation',
+                orderId: orderId,
+                paymentId: session.payment_intent || '',
+                amount: session.amount_total / 100
+            }, () => markOrderPaid(orderId, { paymentId: session.payment_intent, amount: session.amount_total / 100 }));
+        }
+        // Close the checkout page so the customer can't pay for an order we are about to fail
+        if (session.status === 'open') {
+            await stripe.checkout.sessions.expire(session.id);
+        }
+    }
+
+    return processPaymentEvent({
+        provider: order.stripeSessionId ? 'stripe' : 'razorpay',
+        eventId: `reconcile_${orderId}_expired`,
+        type: 'payment.expired',
+        source: 'reconciliation',
+        orderId: orderId,
+        amount: order.amount
+    }, () => markOrderFailed(orderId));
+};
+
+const reconcileBooking = async (booking) => {
+    const bookingId = booking._id.toString();
+    const payment = await findCapturedRazorpayPayment(booking.razorpayOrderId);
+
+    return processPaymentEvent({
+        provider: 'razorpay',
+        eventId: payment ? `reconcile_${payment.id}` : `reconcile_${booking.razorpayOrderId}_expired`,
+        type: payment ? 'payment.captured' : 'payment.expired',
+        source: 'reconciliation',
+        bookingId: bookingId,
+        paymentId: payment ? payment.id : '',
+        amount: payment ? payment.amount / 100 : getBookingAmountDue(booking)
+    }, () => payment
+        ? markBookingPaid(bookingId, {
+            paymentId: payment.id,
+            razorpayOrderId: booking.razorpayOrderId,
+            amount: payment.amount / 100
+        })
+        : markBookingFailed(bookingId));
+};
+
+// Resolve checkouts that never reported back (closed tab, lost callback, missed webhook)
+const reconcilePendingPayments = async () => {
+    const { pendingTimeoutMinutes } = getReconcileSettings();
+    const cutoff = new Date(Date.now() - pendingTimeoutMinutes * 60 * 1000);
+
+    const orders = await orderModel.find({
+        status: "Pending Payment",
+        payment: false,
+        date: { $lte: cutoff }
+    }).limit(BATCH_SIZE);
+
+    const bookings = await bookingModel.find({
+        paymentStatus: 'pending',
+        razorpayOrderId: { $ne: '' },
+        // Timed from when the checkout was opened; bookings from before that was stored use their creation time
+        $or: [
+            { razorpayOrderCreatedAt: { $lte: cutoff } },
+            { razorpayOrderCreatedAt: null, createdAt: { $lte: cutoff } }
+        ]
+    }).limit(BATCH_SIZE);
+
+    // One bad record shouldn't stop the rest of the sweep
+    for (const order of orders) {
+        try {
+            await reconcileOrder(order);
+        } catch (error) {
+            console.error(`Error reconciling order ${order._id}:`, error.message);
+        }
+    }
+    for (const booking of bookings) {
+        try {
+            await reconcileBooking(booking);
+        } catch (error) {
+            console.error(`Error reconciling booking ${booking._id}:`, error.message);
+        }
+    }
+
+    if (orders.length || bookings.length) {
+        console.log(`Payment reconciliation checked ${orders.length} orders and ${bookings.length} bookings`);
+    }
+};
+
+// Run the sweep on a timer. Runs never overlap.
+const startPaymentReconciliation = () => {
+    const { intervalMinutes } = getReconcileSettings();
+    if (!intervalMinutes || intervalMinutes <= 0) {
+        console.log("Payment reconciliation is disabled");
+        return;
+    }
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await reconcilePendingPayments();
+        } catch (error) {
+            console.error("Payment reconciliation failed:", error);
+        }
+        running = false;
+    }, intervalMinutes * 60 * 1000);
+};
+
+export { startPaymentReconciliation, reconcilePendingPayments };
@@ -0,0 +1,30 @@
+import { expireWaitlist } from "../services/waitlistService.js";
+
+// How often to look for lapsed offers (can be overridden from .env)
+const getWaitlistJobMinutes = () => Number(process.env.WAITLIST_CHECK_INTERVAL_MINUTES ?? 1);
+
+// Expire unclaimed offers and pass their tables on. Runs never overlap.
+const startWaitlistJob = () => {
+    const intervalMinutes = getWaitlistJobMinutes();
+    if (!intervalMinutes || intervalMinutes <= 0) {
+        console.log("Waitlist offer expiry is disabled");
+        return;
+    }
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const expired = await expireWaitlist();
+            if (expired) {
+                console.log(`Expired ${expired} unclaimed waitlist offers`);
+            }
+        } catch (error) {
+            console.error("Waitlist expiry failed:", error);
+        }
+        running = false;
+    }, intervalMinutes * 60 * 1000);
+};
+
+export { startWaitlistJob };
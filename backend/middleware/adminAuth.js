@@ -0,0 +1,49 @@
+import jwt from "jsonwebtoken";
+import adminModel from "../models/adminModel.js";
+import { hasPermission } from "../config/permissions.js";
+
+// Protect admin routes. Pass the panel area the route belongs to,
+// e.g. adminAuth('orders'), and only roles with that permission get through.
+const adminAuth = (permission) => async (req, res, next) => {
+    const { token } = req.headers;
+
+    if (!token) {
+        return res.json({ success: false, message: "Not authorized. Please log in again." });
+    }
+
+    if (!process.env.JWT_SECRET) {
+        console.log("JWT_SECRET is not set in environment variables");
+        return res.json({ success: false, message: "Server configuration error" });
+    }
+
+    try {
+        const token_decode = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Customer tokens are signed with the same secret, so check the scope
+        if (token_decode.scope !== 'admin' || !token_decode.id) {
+            return res.json({ success: false, message: "Not authorized. Please log in again." });
+        }
+
+        // Look the account up so deactivated staff and role changes take effect immediately
+        const admin = await adminModel.findById(token_decode.id).select('-password');
+        if (!admin || !admin.isActive) {
+            return res.json({ success: false, message: "Account is disabled or no longer exists" });
+        }
+
+        if (permission && !hasPermission(admin.role, permission)) {
+            return res.json({ success: false, message: "You don't have permission to do this" });
+        }
+
+        req.admin = { id: admin._id.toString(), name: admin.name, email: admin.email, role: admin.role };
+        next();
+
+    } catch (error) {
+        console.log("Admin auth error:", error.name, error.message);
+        if (error.name === 'TokenExpiredError') {
+            return res.json({ success: false, message: "Session expired. Please log in again." });
+        }
+        return res.json({ success: false, message: "Invalid token. Please log in again." });
+    }
+};
+
+export default adminAuth;
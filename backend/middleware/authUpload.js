@@ -0,0 +1,17 @@
+import authMiddleware from "./auth.js";
+
+// Check the customer's token before a file upload is accepted, so anonymous requests never
+// write to disk. multer replaces req.body, so the userId from authMiddleware is put back after it.
+const authUpload = (uploadMiddleware) => [
+    authMiddleware,
+    (req, res, next) => {
+        const { userId } = req.body;
+        uploadMiddleware(req, res, (error) => {
+            if (error) return next(error);
+            req.body.userId = userId;
+            next();
+        });
+    }
+];
+
+export default authUpload;
@@ -0,0 +1,31 @@
+import jwt from "jsonwebtoken";
+import { readGuestToken } from "../services/bookingAccessService.js";
+
+// Works out whose bookings the caller may see and manage:
+// a logged-in user (`token` header), or a guest with a manage link or verified email (`bookingtoken` header).
+const bookingAccess = (req, res, next) => {
+    const { token, bookingtoken } = req.headers;
+
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const userId = decoded._id || decoded.id;
+            if (userId) {
+                req.bookingAccess = { userId };
+                return next();
+            }
+        } catch (error) {
+            console.log("Booking access with an invalid user token:", error.message);
+        }
+    }
+
+    const guest = bookingtoken ? readGuestToken(bookingtoken) : null;
+    if (guest) {
+        req.bookingAccess = guest;
+        return next();
+    }
+
+    res.json({ success: false, message: "Please log in or verify your email to manage bookings" });
+};
+
+export default bookingAccess;
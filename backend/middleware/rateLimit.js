@@ -0,0 +1,32 @@
+// Limit how often one client (by IP address) can call a route. Counts live in memory,
+// so they reset when the server restarts.
+const rateLimit = ({ max, windowMinutes, message = "Too many requests. Please try again later." }) => {
+    const windowMs = windowMinutes * 60000;
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+
+        // Forget clients that have gone quiet so the map doesn't keep growing
+        if (hits.size > 1000) {
+            for (const [key, times] of hits) {
+                if (now - times[times.length - 1] >= windowMs) {
+                    hits.delete(key);
+                }
+            }
+        }
+
+        const key = req.ip;
+        const recent = (hits.get(key) || []).filter((at) => now - at < windowMs);
+        if (recent.length >= max) {
+            hits.set(key, recent);
+            return res.json({ success: false, message });
+        }
+
+        recent.push(now);
+        hits.set(key, recent);
+        next();
+    };
+};
+
+export default rateLimit;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const adminSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    password: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['owner', 'manager', 'kitchen', 'host'],
+        default: 'host'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const adminModel = mongoose.models.admin || mongoose.model("admin", adminSchema);
+export default adminModel;
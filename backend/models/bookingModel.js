@@ -1,6 +1,12 @@
 import mongoose from "mongoose";
 
 const bookingSchema = new mongoose.Schema({
+    // The account the booking was made from (null for guests without one)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        default: null
+    },
     name: {
         type: String,
         required: true
@@ -21,6 +27,19 @@ const bookingSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // When the table is held from and until (worked out from date, time and duration)
+    startAt: {
+        type: Date,
+        default: null
+    },
+    endAt: {
+        type: Date,
+        default: null
+    },
+    durationMinutes: {
+        type: Number,
+        default: 60
+    },
     guests: {
         type: String,
         required: true
@@ -31,6 +50,12 @@ const bookingSchema = new mongoose.Schema({
         ref: 'table',
         default: null
     },
+    // Every table the booking holds. Large parties can have several joined tables; tableId is the first of them.
+    tableIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'table' }],
+        default: []
+    },
+    // "4" for one table, "4 + 5" for joined tables
     tableNumber: {
         type: String,
         default: ''
@@ -49,9 +74,14 @@ const bookingSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['Pending', 'Confirmed', 'Completed', 'Cancelled'],
+        enum: ['Pending', 'Confirmed', 'Completed', 'Cancelled', 'No-show'],
         default: 'Pending'
     },
+    // When the booking was marked as a no-show (by staff or automatically)
+    noShowAt: {
+        type: Date,
+        default: null
+    },
     // Pre-ordered food items
     preOrderedItems: {
         type: Array,
@@ -65,6 +95,22 @@ const bookingSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set when the kitchen marks the pre-order as ready
+    preOrderReadyAt: {
+        type: Date,
+        default: null
+    },
+    // Deposit the guest pays online with the pre-order. It comes off the final bill.
+    depositAmount: {
+        type: Number,
+        default: 0
+    },
+    // Why the deposit was taken: the restaurant's reservation deposit or earlier no-shows
+    depositReason: {
+        type: String,
+        enum: ['', 'reservation', 'no-show'],
+        default: ''
+    },
     // Payment info
     preOrderPayment: {
         type: Boolean,
@@ -78,17 +124,78 @@ const bookingSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // When the Razorpay order was opened, so a checkout reopened later isn't swept too early
+    razorpayOrderCreatedAt: {
+        type: Date,
+        default: null
+    },
     paymentStatus: {
         type: String,
         enum: ['pending', 'paid', 'failed', 'refunded'],
         default: 'pending'
     },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    // Total paid online so far (rupees): the first payment plus any top-ups
+    paidAmount: {
+        type: Number,
+        default: 0
+    },
+    // A change that costs more, saved once the guest pays the difference (see bookingChangeService)
+    pendingChange: {
+        type: Object,
+        default: null
+    },
+    // Payments for the difference when a paid booking is changed to cost more
+    extraPayments: {
+        type: [{
+            amount: { type: Number, required: true },
+            razorpayOrderId: { type: String, default: '' },
+            paymentId: { type: String, default: '' },
+            status: { type: String, enum: ['pending', 'paid'], default: 'pending' },
+            // Paying for a change still waiting on the booking, rather than one already saved
+            forPendingChange: { type: Boolean, default: false },
+            createdAt: { type: Date, default: Date.now },
+            paidAt: { type: Date, default: null }
+        }],
+        default: []
+    },
+    // Total refunded so far (rupees), updated when a refund is processed
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Audit trail: every change to the booking after it was made, oldest first
+    history: {
+        type: [{
+            changedAt: { type: Date, default: Date.now },
+            changedBy: { type: String, enum: ['guest', 'staff', 'system'], required: true },
+            changedByName: { type: String, default: '' },
+            changes: [{
+                _id: false,
+                field: { type: String, required: true },
+                from: { type: String, default: '' },
+                to: { type: String, default: '' }
+            }],
+            // Money side of the change: what the guest was asked to pay or got back
+            amountToPay: { type: Number, default: 0 },
+            amountRefunded: { type: Number, default: 0 }
+        }],
+        default: []
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+bookingSchema.index({ tableId: 1, startAt: 1 });
+bookingSchema.index({ tableIds: 1, startAt: 1 });
+bookingSchema.index({ status: 1, startAt: 1 });
+bookingSchema.index({ userId: 1, createdAt: -1 });
+
 const bookingModel = mongoose.models.booking || mongoose.model("booking", bookingSchema);
 export default bookingModel;
 
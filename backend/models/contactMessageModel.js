@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// One entry in a conversation: the customer's message from the contact form or a staff reply
+const threadEntrySchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: ['customer', 'staff'],
+        required: true
+    },
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'admin',
+        default: null
+    },
+    authorName: {
+        type: String,
+        default: ''
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    // Queued email that carried a staff reply
+    emailId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'email',
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A message sent through the Contact page, answered from the admin inbox
+const contactMessageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    phone: {
+        type: String,
+        default: ''
+    },
+    // Topic picked on the form ("general", "order", "feedback", ...)
+    subject: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['new', 'in-progress', 'resolved'],
+        default: 'new'
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'admin',
+        default: null
+    },
+    assignedToName: {
+        type: String,
+        default: ''
+    },
+    thread: {
+        type: [threadEntrySchema],
+        default: []
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+contactMessageSchema.index({ status: 1, lastMessageAt: -1 });
+
+const contactMessageModel = mongoose.models.contactMessage || mongoose.model("contactMessage", contactMessageSchema);
+export default contactMessageModel;
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'flat'],
+        default: 'percent'
+    },
+    // Percentage (e.g. 20 = 20%) or flat amount in rupees
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    minOrderAmount: {
+        type: Number,
+        default: 0
+    },
+    // Cap for percent coupons (0 = no cap)
+    maxDiscount: {
+        type: Number,
+        default: 0
+    },
+    validFrom: {
+        type: Date,
+        default: null
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    // Total redemptions allowed (0 = unlimited)
+    usageLimit: {
+        type: Number,
+        default: 0
+    },
+    // Redemptions allowed per customer (0 = unlimited)
+    perUserLimit: {
+        type: Number,
+        default: 1
+    },
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Only items in these categories are discounted (empty = whole menu)
+    categories: {
+        type: [String],
+        default: []
+    },
+    // Shown as a suggestion on the cart page
+    isPublic: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const couponModel = mongoose.models.coupon || mongoose.model("coupon", couponSchema);
+export default couponModel;
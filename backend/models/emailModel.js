@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Outgoing email queue. Messages are rendered when queued and retried until sent or out of attempts.
+const emailSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    // Template the message was rendered from ("bookingReceived", "orderStatus", ...)
+    template: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String,
+        default: ''
+    },
+    text: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When a sender picked the message up, so one stuck after a crash can be retried
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+emailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const emailModel = mongoose.models.email || mongoose.model("email", emailSchema);
+export default emailModel;
@@ -1,4 +1,29 @@
 import mongoose from "mongoose";
+import { DIETARY_TYPES, VEGETARIAN_TYPES, MAX_SPICE_LEVEL, ALLERGENS } from "../config/dishAttributes.js";
+
+// Per serving. Left empty until the kitchen fills it in.
+const nutritionSchema = new mongoose.Schema({
+    calories: { type: Number, min: 0, default: null },
+    protein: { type: Number, min: 0, default: null },
+    carbs: { type: Number, min: 0, default: null },
+    fat: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+// One choice in an option group, e.g. "Full" or "Extra cheese". The price is added to the dish's.
+const modifierOptionSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 },
+    isAvailable: { type: Boolean, default: true }
+});
+
+// e.g. "Portion" (pick exactly 1) or "Add-ons" (pick up to 3).
+// minSelect 0 makes the group optional; 1 or more makes it required.
+const modifierOptionGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    minSelect: { type: Number, min: 0, default: 0 },
+    maxSelect: { type: Number, min: 1, default: 1 },
+    options: { type: [modifierOptionSchema], default: [] }
+});
 
 const foodSchema = new mongoose.Schema({
     name: {
@@ -25,6 +50,63 @@ const foodSchema = new mongoose.Schema({
         type: String,
         enum: ['available', 'unavailable', 'out_of_stock'],
         default: 'available'
+    },
+    // Average of the approved reviews (0 until the first one) and how many there are
+    rating: {
+        type: Number,
+        default: 0
+    },
+    reviews: {
+        type: Number,
+        default: 0
+    },
+    // Null until staff set it. Dishes added before this was recorded stay unknown rather than
+    // being shown as veg.
+    dietaryType: {
+        type: String,
+        enum: [...DIETARY_TYPES, null],
+        default: null
+    },
+    spiceLevel: {
+        type: Number,
+        min: 0,
+        max: MAX_SPICE_LEVEL,
+        default: 0
+    },
+    // Left unset until staff have checked the dish; an empty list means "no allergens"
+    allergens: {
+        type: [{ type: String, enum: ALLERGENS }],
+        default: undefined
+    },
+    nutrition: {
+        type: nutritionSchema,
+        default: () => ({})
+    },
+    // Minutes from the kitchen starting the dish to it being ready
+    prepTime: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Lowercase, e.g. "bestseller", "new", "chef's special"
+    tags: {
+        type: [String],
+        default: []
+    },
+    // Sizes, variants and add-ons (see modifierService)
+    modifierGroups: {
+        type: [modifierOptionGroupSchema],
+        default: []
+    }
+}, {
+    toJSON: {
+        // Flags the website's dish cards already read, worked out from the attributes
+        transform: (doc, ret) => {
+            ret.isVeg = ret.dietaryType ? VEGETARIAN_TYPES.includes(ret.dietaryType) : null;
+            ret.isBestseller = (ret.tags || []).includes('bestseller');
+            ret.isNew = (ret.tags || []).includes('new');
+            return ret;
+        }
     }
 });
 
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// One-time code a guest without an account uses to see and manage their bookings
+const guestCodeSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true
+    },
+    // sha256 of the code, never the code itself
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+guestCodeSchema.index({ email: 1, createdAt: -1 });
+// Mongo removes codes once they have expired
+guestCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const guestCodeModel = mongoose.models.guestCode || mongoose.model("guestCode", guestCodeSchema);
+export default guestCodeModel;
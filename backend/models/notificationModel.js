@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Staff notification feed shown under the bell in the admin panel
+const notificationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['order', 'booking', 'table', 'message', 'review'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    // Admin panel area that sees this notification (see config/permissions.js)
+    permission: {
+        type: String,
+        required: true
+    },
+    // Admin page to open when the notification is clicked
+    link: {
+        type: String,
+        default: ''
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'order',
+        default: null
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'booking',
+        default: null
+    },
+    // Staff accounts that have read it
+    readBy: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ permission: 1, createdAt: -1 });
+
+const notificationModel = mongoose.models.notification || mongoose.model("notification", notificationSchema);
+export default notificationModel;
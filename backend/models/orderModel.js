@@ -21,11 +21,16 @@ const orderSchema = new mongoose.Schema({
     },
     status :{
         type : String,
-       default: "Food Processing"
+       default: "Placed"
+    },
+    // Every status change: { status, at, actor: { type, id, name }, note }
+    statusHistory:{
+        type: Array,
+        default: []
     },
     date:{
         type : Date,
-        default : Date.now()
+        default : Date.now
     },
     payment:{
         type:Boolean,
@@ -42,6 +47,29 @@ const orderSchema = new mongoose.Schema({
     razorpayOrderId:{
         type: String,
         default: ""
+    },
+    stripeSessionId:{
+        type: String,
+        default: ""
+    },
+    paidAt:{
+        type: Date,
+        default: null
+    },
+    // Total refunded so far (rupees), updated when a refund is processed
+    refundedAmount:{
+        type: Number,
+        default: 0
+    },
+    // Itemized price breakdown computed on the server (subtotal, deliveryFee, discount, tax, total)
+    pricing:{
+        type: Object,
+        default: {}
+    },
+    // Promo code applied to this order ({ couponId, code, discount })
+    coupon:{
+        type: Object,
+        default: null
     }
     })
 
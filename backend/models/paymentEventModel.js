@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Ledger of every payment event we have seen (webhooks, checkout callbacks and reconciliation).
+// Provider + eventId is unique so the same event is never applied twice.
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['razorpay', 'stripe'],
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    // Where the event came from
+    source: {
+        type: String,
+        enum: ['webhook', 'checkout', 'reconciliation'],
+        default: 'webhook'
+    },
+    orderId: {
+        type: String,
+        default: null
+    },
+    bookingId: {
+        type: String,
+        default: null
+    },
+    paymentId: {
+        type: String,
+        default: ''
+    },
+    // Amount in rupees
+    amount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'error'],
+        default: 'received'
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    payload: {
+        type: Object,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const paymentEventModel = mongoose.models.paymentEvent || mongoose.model("paymentEvent", paymentEventSchema);
+export default paymentEventModel;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// A refund against a paid food order or booking pre-order
+const refundSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['order', 'booking'],
+        required: true
+    },
+    orderId: {
+        type: String,
+        default: null
+    },
+    bookingId: {
+        type: String,
+        default: null
+    },
+    provider: {
+        type: String,
+        enum: ['razorpay', 'stripe'],
+        required: true
+    },
+    // Payment being refunded and the refund ID the provider gave us
+    paymentId: {
+        type: String,
+        required: true
+    },
+    providerRefundId: {
+        type: String,
+        default: ''
+    },
+    // Amount in rupees
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    failureReason: {
+        type: String,
+        default: ''
+    },
+    // Who asked for the refund: the customer (cancellation), a staff member, or the payment provider dashboard
+    initiatedBy: {
+        type: String,
+        enum: ['customer', 'admin', 'provider'],
+        default: 'admin'
+    },
+    initiatedByName: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+const refundModel = mongoose.models.refund || mongoose.model("refund", refundSchema);
+export default refundModel;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// A customer's rating of a dish they've had delivered. Reviews stay hidden until staff approve them.
+const reviewSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    // Shown with the review, e.g. "Priya"
+    userName: {
+        type: String,
+        default: ''
+    },
+    foodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'food',
+        required: true
+    },
+    // Saved with the review so the moderation queue can show it without looking up the dish
+    foodName: {
+        type: String,
+        default: ''
+    },
+    // The delivered order that allowed the review
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'order',
+        required: true
+    },
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+        required: true
+    },
+    text: {
+        type: String,
+        default: ''
+    },
+    photo: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'admin',
+        default: null
+    },
+    moderatedByName: {
+        type: String,
+        default: ''
+    },
+    moderatedAt: {
+        type: Date,
+        default: null
+    },
+    // Told to the customer when a review isn't published
+    rejectReason: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true });
+
+// One review per customer per dish; posting again edits it
+reviewSchema.index({ userId: 1, foodId: 1 }, { unique: true });
+reviewSchema.index({ foodId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+const reviewModel = mongoose.models.review || mongoose.model("review", reviewSchema);
+export default reviewModel;
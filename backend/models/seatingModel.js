@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// One party sitting at a table (or joined tables), from being seated until the table is cleared
+const seatingSchema = new mongoose.Schema({
+    tableIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'table' }],
+        required: true
+    },
+    // "4" or "4 + 5" at the time of seating
+    tableNumber: {
+        type: String,
+        default: ''
+    },
+    partySize: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    source: {
+        type: String,
+        enum: ['booking', 'walk-in'],
+        required: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'booking',
+        default: null
+    },
+    // Guest name for walk-ins (bookings carry their own)
+    name: {
+        type: String,
+        default: ''
+    },
+    seatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Null while the party is still at the table
+    clearedAt: {
+        type: Date,
+        default: null
+    },
+    // Minutes from seated to cleared, filled in when the table is cleared
+    turnMinutes: {
+        type: Number,
+        default: null
+    },
+    seatedBy: {
+        type: String,
+        default: ''
+    },
+    clearedBy: {
+        type: String,
+        default: ''
+    }
+});
+
+seatingSchema.index({ tableIds: 1, clearedAt: 1 });
+seatingSchema.index({ clearedAt: -1 });
+
+const seatingModel = mongoose.models.seating || mongoose.model("seating", seatingSchema);
+export default seatingModel;
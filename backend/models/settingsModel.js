@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// A shift the restaurant is open for bookings, in 24h "HH:MM" (e.g. 11:00 - 15:00)
+const shiftSchema = new mongoose.Schema({
+    open: { type: String, required: true },
+    close: { type: String, required: true }
+}, { _id: false });
+
+// Restaurant-wide settings. There is a single document (see services/openingHoursService.js).
+const settingsSchema = new mongoose.Schema({
+    // One entry per weekday, 0 = Sunday. No shifts = closed that day.
+    openingHours: {
+        type: [{
+            day: { type: Number, min: 0, max: 6, required: true },
+            shifts: { type: [shiftSchema], default: [] }
+        }],
+        default: []
+    },
+    // Whole days the restaurant is closed ("YYYY-MM-DD")
+    closures: {
+        type: [{
+            date: { type: String, required: true },
+            reason: { type: String, default: '' }
+        }],
+        default: []
+    },
+    // Days with different hours from the weekly schedule ("YYYY-MM-DD")
+    specialHours: {
+        type: [{
+            date: { type: String, required: true },
+            shifts: { type: [shiftSchema], default: [] },
+            note: { type: String, default: '' }
+        }],
+        default: []
+    },
+    // Minutes between bookable start times
+    slotIntervalMinutes: {
+        type: Number,
+        default: 30
+    },
+    // Last booking starts this many minutes before a shift closes
+    lastSeatingMinutes: {
+        type: Number,
+        default: 30
+    },
+    // How soon from now a guest may book
+    minNoticeMinutes: {
+        type: Number,
+        default: 60
+    },
+    // How far ahead a guest may book
+    maxAdvanceDays: {
+        type: Number,
+        default: 60
+    },
+    // A booking nobody was seated for becomes a no-show this many minutes after it starts.
+    // Off by default (0 = never), since it relies on staff seating guests from the floor plan.
+    noShowGraceMinutes: {
+        type: Number,
+        default: 0
+    },
+    // Guests with this many no-shows must pay a deposit to book (0 = never)
+    noShowDepositThreshold: {
+        type: Number,
+        default: 0
+    },
+    // Deposit those guests pay (rupees)
+    noShowDepositAmount: {
+        type: Number,
+        default: 0
+    },
+    // Reservation deposit taken online when booking: a fixed amount per table or per guest,
+    // or each table's pricePerHour for the hours it is held
+    depositMode: {
+        type: String,
+        enum: ['none', 'perTable', 'perGuest', 'perHour'],
+        default: 'none'
+    },
+    // Rupees per table or per guest (not used for perHour)
+    depositAmount: {
+        type: Number,
+        default: 0
+    },
+    // Only take the deposit for bookings starting in a peak slot
+    depositPeakOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Busy times of the week, 0 = Sunday
+    peakSlots: {
+        type: [{
+            day: { type: Number, min: 0, max: 6, required: true },
+            open: { type: String, required: true },
+            close: { type: String, required: true }
+        }],
+        default: []
+    },
+    updatedBy: {
+        type: String,
+        default: ''
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const settingsModel = mongoose.models.settings || mongoose.model("settings", settingsSchema);
+export default settingsModel;
@@ -50,6 +50,28 @@ const tableSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Where the table sits on the admin floor plan. x/y are the centre as a % of the plan (null until placed).
+    layout: {
+        floor: { type: String, default: 'Main Floor' },
+        x: { type: Number, default: null },
+        y: { type: Number, default: null },
+        shape: { type: String, enum: ['square', 'round', 'rectangle'], default: 'square' },
+        rotation: { type: Number, default: 0 }
+    },
+    // Tables this one can be pushed together with for a larger party (kept in sync on both tables)
+    joinableWith: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'table' }],
+        default: []
+    },
+    // Short-lived lock held while a booking for this table is being saved
+    bookingLock: {
+        type: String,
+        default: ''
+    },
+    bookingLockUntil: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -18,6 +18,11 @@ password:{
 cartData:{
     type: Object,
     default:{}
+},
+// Dishes the user has hearted, newest last
+favourites:{
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'food' }],
+    default: []
 }
 
 },{minimize : false})
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// A guest waiting for a table to free up on a fully booked day
+const waitlistSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    phone: {
+        type: String,
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    // Earliest and latest start time the guest would accept ("7:00 PM")
+    windowStart: {
+        type: String,
+        required: true
+    },
+    windowEnd: {
+        type: String,
+        required: true
+    },
+    guests: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    // The table currently held for this guest. The guest claims it with the token before it expires.
+    offer: {
+        tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'table', default: null },
+        tableNumber: { type: String, default: '' },
+        tableName: { type: String, default: '' },
+        time: { type: String, default: '' },
+        startAt: { type: Date, default: null },
+        endAt: { type: Date, default: null },
+        durationMinutes: { type: Number, default: 60 },
+        token: { type: String, default: '' },
+        expiresAt: { type: Date, default: null }
+    },
+    offeredAt: {
+        type: Date,
+        default: null
+    },
+    // How many tables this guest has been offered so far
+    offerCount: {
+        type: Number,
+        default: 0
+    },
+    claimedBookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'booking',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+waitlistSchema.index({ date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ 'offer.token': 1 });
+
+const waitlistModel = mongoose.models.waitlist || mongoose.model("waitlist", waitlistSchema);
+export default waitlistModel;
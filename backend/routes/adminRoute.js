@@ -0,0 +1,15 @@
+import express from "express";
+import { loginAdmin, getAdminProfile, listAdmins, createAdmin, updateAdmin } from "../controllers/adminController.js";
+import adminAuth from "../middleware/adminAuth.js";
+
+const adminRouter = express.Router();
+
+adminRouter.post("/login", loginAdmin);
+adminRouter.get("/profile", adminAuth(), getAdminProfile);
+
+// Staff management (owner only)
+adminRouter.get("/staff", adminAuth('staff'), listAdmins);
+adminRouter.post("/staff/add", adminAuth('staff'), createAdmin);
+adminRouter.post("/staff/update", adminAuth('staff'), updateAdmin);
+
+export default adminRouter;
@@ -1,50 +1,82 @@
 import express from "express";
 import { 
     createBooking, 
+    getBookingSlots,
     listBookings, 
     updateBookingStatus, 
     deleteBooking, 
     getBooking,
     getBookingsByDate,
-    getUserBookings,
-    cancelUserBooking
+    getMyBookings,
+    getGuestBookings,
+    requestBookingCode,
+    verifyBookingCode,
+    cancelUserBooking,
+    getCancellationQuote,
+    getChangeQuote,
+    changeBooking,
+    refundBooking
 } from "../controllers/bookingController.js";
 import {
     createPreOrderPayment,
     verifyPreOrderPayment,
     getRazorpayKey
 } from "../controllers/bookingPaymentController.js";
+import adminAuth from "../middleware/adminAuth.js";
+import authMiddleware from "../middleware/auth.js";
+import optionalAuth from "../middleware/optionalAuth.js";
+import bookingAccess from "../middleware/bookingAccess.js";
 
 const bookingRouter = express.Router();
 
-// Create a new booking (public)
-bookingRouter.post("/create", createBooking);
+// Create a new booking (public, linked to the account when logged in)
+bookingRouter.post("/create", optionalAuth, createBooking);
+
+// Bookable times for a date (public)
+bookingRouter.get("/slots", getBookingSlots);
 
 // Get all bookings (admin)
-bookingRouter.get("/list", listBookings);
+bookingRouter.get("/list", adminAuth('bookings'), listBookings);
 
 // Update booking status (admin)
-bookingRouter.post("/status", updateBookingStatus);
+bookingRouter.post("/status", adminAuth('bookings'), updateBookingStatus);
 
 // Delete a booking (admin)
-bookingRouter.post("/delete", deleteBooking);
+bookingRouter.post("/delete", adminAuth('bookings'), deleteBooking);
+
+// Bookings made while logged in (user)
+bookingRouter.get("/mine", authMiddleware, getMyBookings);
+
+// Guests without an account verify their email with a one-time code
+bookingRouter.post("/guest/request-code", requestBookingCode);
+bookingRouter.post("/guest/verify-code", verifyBookingCode);
+
+// Bookings a guest can see with a manage link or verified email
+bookingRouter.get("/guest", bookingAccess, getGuestBookings);
+
+// Cancel booking by user or guest
+bookingRouter.post("/cancel", bookingAccess, cancelUserBooking);
+
+// Refund the guest would get if they cancelled now
+bookingRouter.post("/cancel-quote", bookingAccess, getCancellationQuote);
 
-// Get user's bookings by email/phone
-bookingRouter.post("/user-bookings", getUserBookings);
+// Reschedule, change guests or tables, or edit the pre-order (user or guest)
+bookingRouter.post("/change-quote", bookingAccess, getChangeQuote);
+bookingRouter.post("/change", bookingAccess, changeBooking);
 
-// Cancel booking by user
-bookingRouter.post("/cancel", cancelUserBooking);
+// Refund a paid pre-order (admin)
+bookingRouter.post("/refund", adminAuth('refunds'), refundBooking);
 
 // Payment routes
 bookingRouter.get("/payment/key", getRazorpayKey);
 bookingRouter.post("/payment/create", createPreOrderPayment);
 bookingRouter.post("/payment/verify", verifyPreOrderPayment);
 
-// Get bookings by date (for availability check)
-bookingRouter.get("/check/availability", getBookingsByDate);
+// Get bookings by date (admin)
+bookingRouter.get("/check/availability", adminAuth('bookings'), getBookingsByDate);
 
-// Get single booking by ID (keep at end due to param)
-bookingRouter.get("/:bookingId", getBooking);
+// Get single booking by ID (admin, keep at end due to param)
+bookingRouter.get("/:bookingId", adminAuth('bookings'), getBooking);
 
 export default bookingRouter;
 
@@ -1,6 +1,14 @@
 import express from "express";
 
-import { addToCart, getCart, removeFromCart } from "../controllers/cartController.js";
+import {
+    addToCart,
+    getCart,
+    removeFromCart,
+    updateCartItem,
+    deleteCartItem,
+    clearCart,
+    mergeCart
+} from "../controllers/cartController.js";
 import authMiddleware from "../middleware/auth.js";
 
 
@@ -12,5 +20,9 @@ const cartRouter = express.Router();
 cartRouter.post("/add", authMiddleware ,addToCart);
 cartRouter.get("/list", authMiddleware, getCart);
 cartRouter.post("/remove",authMiddleware, removeFromCart);
+cartRouter.post("/update", authMiddleware, updateCartItem); // set an item's quantity
+cartRouter.post("/delete", authMiddleware, deleteCartItem); // take an item out completely
+cartRouter.post("/clear", authMiddleware, clearCart);
+cartRouter.post("/merge", authMiddleware, mergeCart); // add the logged-out cart at login
 
 export default cartRouter;
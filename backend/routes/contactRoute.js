@@ -0,0 +1,27 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+    submitContactMessage,
+    listContactMessages,
+    listInboxStaff,
+    updateContactMessage,
+    replyToContactMessage
+} from "../controllers/contactController.js";
+
+const contactRouter = express.Router();
+
+// Contact page form (public). A handful of messages per visitor keeps spam out of the inbox.
+contactRouter.post("/", rateLimit({
+    max: 5,
+    windowMinutes: 60,
+    message: "You've sent a lot of messages. Please wait a while before sending another."
+}), submitContactMessage);
+
+// Inbox (admin)
+contactRouter.get("/list", adminAuth('inbox'), listContactMessages);
+contactRouter.get("/staff", adminAuth('inbox'), listInboxStaff);
+contactRouter.post("/update", adminAuth('inbox'), updateContactMessage);
+contactRouter.post("/reply", adminAuth('inbox'), replyToContactMessage);
+
+export default contactRouter;
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+    validateCouponCode,
+    listPublicCoupons,
+    listCoupons,
+    addCoupon,
+    updateCoupon,
+    toggleCoupon,
+    deleteCoupon
+} from "../controllers/couponController.js";
+import authMiddleware from "../middleware/auth.js";
+import adminAuth from "../middleware/adminAuth.js";
+
+const couponRouter = express.Router();
+
+// User routes
+couponRouter.post("/validate", authMiddleware, validateCouponCode);
+couponRouter.get("/offers", listPublicCoupons);
+
+// Admin routes
+couponRouter.get("/list", adminAuth('coupons'), listCoupons);
+couponRouter.post("/add", adminAuth('coupons'), addCoupon);
+couponRouter.post("/update", adminAuth('coupons'), updateCoupon);
+couponRouter.post("/toggle", adminAuth('coupons'), toggleCoupon);
+couponRouter.post("/delete", adminAuth('coupons'), deleteCoupon);
+
+export default couponRouter;
@@ -0,0 +1,19 @@
+import express from "express";
+import authMiddleware from "../middleware/auth.js";
+import adminAuth from "../middleware/adminAuth.js";
+import { staffEvents, customerEvents } from "../controllers/eventController.js";
+
+const eventRouter = express.Router();
+
+// EventSource can't send headers, so the stream token comes in the query string
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.token && req.query.token) {
+        req.headers.token = req.query.token;
+    }
+    next();
+};
+
+eventRouter.get("/staff", tokenFromQuery, adminAuth(), staffEvents);
+eventRouter.get("/customer", tokenFromQuery, authMiddleware, customerEvents);
+
+export default eventRouter;
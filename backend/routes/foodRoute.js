@@ -1,14 +1,18 @@
 import express from "express";
 
-import { addFood, listFood, removeFood, updateFoodStatus, listAvailableFood } from "../controllers/foodController.js";
+import { addFood, listFood, removeFood, updateFoodStatus, updateFood, listAvailableFood } from "../controllers/foodController.js";
 import upload from "../uploads/multer.js";
+import adminAuth from "../middleware/adminAuth.js";
+import { getFavouriteCounts } from "../controllers/favouriteController.js";
 
 const foodRouter = express.Router();
 
-foodRouter.post("/add", upload.single("image"), addFood);
+foodRouter.post("/add", adminAuth('menu'), upload.single("image"), addFood);
 foodRouter.get("/list", listFood);
-foodRouter.get("/available", listAvailableFood); // For user frontend - only available items
-foodRouter.post("/remove", removeFood);
-foodRouter.post("/status", updateFoodStatus); // Update item status
+foodRouter.get("/available", listAvailableFood); // For user frontend - only available items, with Menu filters
+foodRouter.post("/remove", adminAuth('menu'), removeFood);
+foodRouter.post("/status", adminAuth('menu'), updateFoodStatus); // Update item status
+foodRouter.post("/update", adminAuth('menu'), updateFood); // Edit details and attributes
+foodRouter.get("/favourites", adminAuth('menu'), getFavouriteCounts); // Customers who favourited each dish
 
 export default foodRouter;
\ No newline at end of file
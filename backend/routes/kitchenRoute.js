@@ -0,0 +1,12 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import { listKitchenTickets, bumpItem, advanceTicket } from "../controllers/kitchenController.js";
+
+const kitchenRouter = express.Router();
+
+// Kitchen display system
+kitchenRouter.get("/tickets", adminAuth('orders'), listKitchenTickets);
+kitchenRouter.post("/bump", adminAuth('orders'), bumpItem);
+kitchenRouter.post("/advance", adminAuth('orders'), advanceTicket);
+
+export default kitchenRouter;
@@ -0,0 +1,11 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import { listNotifications, markNotificationsRead } from "../controllers/notificationController.js";
+
+const notificationRouter = express.Router();
+
+// Each staff member only sees notifications for the areas their role can access
+notificationRouter.get("/list", adminAuth(), listNotifications);
+notificationRouter.post("/read", adminAuth(), markNotificationsRead);
+
+export default notificationRouter;
@@ -1,7 +1,9 @@
 import express from "express";
 import authMiddleware from "../middleware/auth.js";
+import adminAuth from "../middleware/adminAuth.js";
+import optionalAuth from "../middleware/optionalAuth.js";
 
-import { listOrder, placeOrder, placeOrderCOD, updateStatus, userOrder, verifyOrder } from "../controllers/orderController.js";
+import { cancelOrder, getOrderQuote, listOrder, placeOrder, placeOrderCOD, refundOrder, updateStatus, userOrder, verifyOrder } from "../controllers/orderController.js";
 import { createRazorpayOrder, verifyRazorpayPayment, getKey } from "../controllers/orderPaymentController.js";
 
 const orderRouter = express.Router();
@@ -9,6 +11,7 @@ const orderRouter = express.Router();
 orderRouter.post("/place", authMiddleware, placeOrder);
 orderRouter.post("/place-cod", authMiddleware, placeOrderCOD);
 orderRouter.post("/verify", verifyOrder);
+orderRouter.post("/quote", optionalAuth, getOrderQuote); // Server-side price breakdown for a cart, with any promo code
 
 // Razorpay payment routes
 orderRouter.get("/razorpay-key", getKey);
@@ -16,8 +19,10 @@ orderRouter.post("/create-razorpay", authMiddleware, createRazorpayOrder);
 orderRouter.post("/verify-razorpay", verifyRazorpayPayment);
 
 orderRouter.post("/userorders", authMiddleware, userOrder);
-orderRouter.get("/list", listOrder);
-orderRouter.post("/status", updateStatus);
+orderRouter.post("/cancel", authMiddleware, cancelOrder);
+orderRouter.get("/list", adminAuth('orders'), listOrder);
+orderRouter.post("/status", adminAuth('orders'), updateStatus);
+orderRouter.post("/refund", adminAuth('refunds'), refundOrder);
 
 
 export default orderRouter;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import express from "express";
+import authMiddleware from "../middleware/auth.js";
+import authUpload from "../middleware/authUpload.js";
+import adminAuth from "../middleware/adminAuth.js";
+import upload from "../uploads/multer.js";
+import {
+    listFoodReviews,
+    listMyReviews,
+    addReview,
+    listReviewQueue,
+    moderateReview
+} from "../controllers/reviewController.js";
+
+const reviewRouter = express.Router();
+
+// Published reviews of a dish (public)
+reviewRouter.get("/food", listFoodReviews);
+
+// Customer reviews. The photo is only read once the customer is logged in.
+reviewRouter.get("/mine", authMiddleware, listMyReviews);
+reviewRouter.post("/add", authUpload(upload.single("image")), addReview);
+
+// Moderation (admin)
+reviewRouter.get("/queue", adminAuth('menu'), listReviewQueue);
+reviewRouter.post("/moderate", adminAuth('menu'), moderateReview);
+
+export default reviewRouter;
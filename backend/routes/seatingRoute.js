@@ -0,0 +1,13 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import { seatTable, clearSeatedTable, listActiveSessions, getTurnTimeReport } from "../controllers/seatingController.js";
+
+const seatingRouter = express.Router();
+
+// Seat and clear tables, and turn time reporting (host / manager)
+seatingRouter.post("/seat", adminAuth('tables'), seatTable);
+seatingRouter.post("/clear", adminAuth('tables'), clearSeatedTable);
+seatingRouter.get("/active", adminAuth('tables'), listActiveSessions);
+seatingRouter.get("/turn-times", adminAuth('tables'), getTurnTimeReport);
+
+export default seatingRouter;
@@ -0,0 +1,11 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import { getRestaurantSettings, updateRestaurantSettings } from "../controllers/settingsController.js";
+
+const settingsRouter = express.Router();
+
+// Opening hours, holidays and booking rules (owner and manager)
+settingsRouter.get("/", adminAuth('settings'), getRestaurantSettings);
+settingsRouter.post("/update", adminAuth('settings'), updateRestaurantSettings);
+
+export default settingsRouter;
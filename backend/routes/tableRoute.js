@@ -5,20 +5,23 @@ import {
     getAvailableTables,
     updateTableStatus,
     updateTable,
+    saveFloorPlan,
     toggleTableActive,
     deleteTable,
     getTable
 } from "../controllers/tableController.js";
+import adminAuth from "../middleware/adminAuth.js";
 
 const tableRouter = express.Router();
 
 // Admin routes
-tableRouter.post("/add", addTable);
-tableRouter.get("/list", listTables);
-tableRouter.post("/status", updateTableStatus);
-tableRouter.post("/update", updateTable);
-tableRouter.post("/toggle", toggleTableActive);
-tableRouter.post("/delete", deleteTable);
+tableRouter.post("/add", adminAuth('tables'), addTable);
+tableRouter.get("/list", adminAuth('tables'), listTables);
+tableRouter.post("/status", adminAuth('tables'), updateTableStatus);
+tableRouter.post("/update", adminAuth('tables'), updateTable);
+tableRouter.post("/layout", adminAuth('tables'), saveFloorPlan);
+tableRouter.post("/toggle", adminAuth('tables'), toggleTableActive);
+tableRouter.post("/delete", adminAuth('tables'), deleteTable);
 
 // User routes
 tableRouter.get("/available", getAvailableTables);
@@ -1,5 +1,6 @@
 import express from "express";
 import { registerUser, loginUser, getUserProfile } from "../controllers/userController.js";
+import { listFavourites, addFavourite, removeFavourite, mergeFavourites } from "../controllers/favouriteController.js";
 import authMiddleware from "../middleware/auth.js";
 
 const userRouter = express.Router();
@@ -8,4 +9,10 @@ userRouter.post("/register", registerUser);
 userRouter.post("/login", loginUser);
 userRouter.get("/profile", authMiddleware, getUserProfile);
 
+// Favourite dishes, kept on the account
+userRouter.get("/favourites", authMiddleware, listFavourites);
+userRouter.post("/favourites/add", authMiddleware, addFavourite);
+userRouter.post("/favourites/remove", authMiddleware, removeFavourite);
+userRouter.post("/favourites/merge", authMiddleware, mergeFavourites);
+
 export default userRouter;
\ No newline at end of file
@@ -0,0 +1,30 @@
+import express from "express";
+import adminAuth from "../middleware/adminAuth.js";
+import optionalAuth from "../middleware/optionalAuth.js";
+import {
+    joinWaitlist,
+    getWaitlistOffer,
+    claimWaitlistOffer,
+    leaveWaitlist,
+    listWaitlist,
+    offerWaitlistEntry,
+    removeWaitlistEntry
+} from "../controllers/waitlistController.js";
+
+const waitlistRouter = express.Router();
+
+// Join the waitlist for a fully booked day (public)
+waitlistRouter.post("/join", joinWaitlist);
+
+// Claim page: look up, claim or turn down an offered table (public, by token).
+// A logged-in guest's claimed booking goes on their account.
+waitlistRouter.get("/offer", getWaitlistOffer);
+waitlistRouter.post("/claim", optionalAuth, claimWaitlistOffer);
+waitlistRouter.post("/leave", leaveWaitlist);
+
+// Manage the waitlist (admin)
+waitlistRouter.get("/list", adminAuth('bookings'), listWaitlist);
+waitlistRouter.post("/offer", adminAuth('bookings'), offerWaitlistEntry);
+waitlistRouter.post("/remove", adminAuth('bookings'), removeWaitlistEntry);
+
+export default waitlistRouter;
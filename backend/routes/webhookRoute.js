@@ -0,0 +1,10 @@
+import express from "express";
+import { razorpayWebhook, stripeWebhook } from "../controllers/webhookController.js";
+
+const webhookRouter = express.Router();
+
+// Signatures are checked against the exact request bytes, so these routes get the raw body
+webhookRouter.post("/razorpay", express.raw({ type: "application/json" }), razorpayWebhook);
+webhookRouter.post("/stripe", express.raw({ type: "application/json" }), stripeWebhook);
+
+export default webhookRouter;
@@ -9,11 +9,33 @@ import cartRouter from './routes/cartRoute.js';
 import orderRouter from './routes/orderRoute.js';
 import bookingRouter from './routes/bookingRoute.js';
 import tableRouter from './routes/tableRoute.js';
+import adminRouter from './routes/adminRoute.js';
+import couponRouter from './routes/couponRoute.js';
+import webhookRouter from './routes/webhookRoute.js';
+import eventRouter from './routes/eventRoute.js';
+import notificationRouter from './routes/notificationRoute.js';
+import kitchenRouter from './routes/kitchenRoute.js';
+import settingsRouter from './routes/settingsRoute.js';
+import waitlistRouter from './routes/waitlistRoute.js';
+import seatingRouter from './routes/seatingRoute.js';
+import contactRouter from './routes/contactRoute.js';
+import reviewRouter from './routes/reviewRoute.js';
+import { seedOwnerAccount } from './controllers/adminController.js';
+import { startPaymentReconciliation } from './jobs/paymentReconciliation.js';
+import { startWaitlistJob } from './jobs/waitlistJob.js';
+import { startBookingStatusJob } from './jobs/bookingStatusJob.js';
+import { startEmailJob } from './jobs/emailJob.js';
+import { migrateLegacyOrderStatuses } from './services/orderStatusService.js';
+import { migrateBookingTimes } from './services/bookingAvailabilityService.js';
+import { refreshTurnTimes } from './services/turnTimeService.js';
 
 // app config
 const app = express();
 const port = process.env.PORT || 4000;
 
+// payment webhooks need the raw body, so they are mounted before the JSON parser
+app.use('/api/webhooks', webhookRouter);
+
 // middleware
 app.use(express.json());
 app.use(cors());
@@ -30,10 +52,28 @@ app.use('/api/cart', cartRouter);
 app.use('/api/order', orderRouter);
 app.use('/api/booking', bookingRouter);
 app.use('/api/table', tableRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/coupon', couponRouter);
+app.use('/api/events', eventRouter);
+app.use('/api/notification', notificationRouter);
+app.use('/api/kitchen', kitchenRouter);
+app.use('/api/settings', settingsRouter);
+app.use('/api/waitlist', waitlistRouter);
+app.use('/api/seating', seatingRouter);
+app.use('/api/contact', contactRouter);
+app.use('/api/review', reviewRouter);
 
 // db connection
 connectDB();
 connectCloudinary();
+seedOwnerAccount();
+migrateLegacyOrderStatuses();
+migrateBookingTimes();
+refreshTurnTimes();
+startPaymentReconciliation();
+startWaitlistJob();
+startBookingStatusJob();
+startEmailJob();
 
 
 // listener
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import guestCodeModel from "../models/guestCodeModel.js";
+import { queueEmail } from "./emailService.js";
+
+// How long a one-time code and the guest session it unlocks last
+const CODE_MINUTES = 10;
+const GUEST_SESSION = '2h';
+const MAX_CODE_ATTEMPTS = 5;
+// A new code can be requested this often per email
+const CODE_RESEND_SECONDS = 60;
+
+// Manage links stay valid well past the booking so guests can look back at it
+const MANAGE_LINK_EXPIRY = '120d';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Signed token in a booking's manage link. It opens that one booking only.
+const createManageToken = (booking) =>
+    jwt.sign({ bookingId: booking._id.toString(), purpose: 'manage-booking' }, process.env.JWT_SECRET, { expiresIn: MANAGE_LINK_EXPIRY });
+
+const getManageLink = (booking) =>
+    `${process.env.FRONTEND_URL || "http://localhost:5173"}/my-bookings?manage=${createManageToken(booking)}`;
+
+// Send a guest a one-time code for their email. Returns an error message or null.
+const requestGuestCode = async (email) => {
+    const address = normaliseEmail(email);
+    const latest = await guestCodeModel.findOne({ email: address }).sort({ createdAt: -1 });
+    if (latest && Date.now() - latest.createdAt.getTime() < CODE_RESEND_SECONDS * 1000) {
+        return "Please wait a minute before asking for another code";
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await guestCodeModel.deleteMany({ email: address });
+    await guestCodeModel.create({
+        email: address,
+        codeHash: hashCode(code),
+        expiresAt: new Date(Date.now() + CODE_MINUTES * 60000)
+    });
+
+    await queueEmail({ to: address, template: 'bookingCode', data: { code, minutes: CODE_MINUTES } });
+    return null;
+};
+
+// Check a guest's code and hand back a short-lived token for their email's bookings
+const verifyGuestCode = async (email, code) => {
+    const address = normaliseEmail(email);
+    const entry = await guestCodeModel.findOne({ email: address, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+    if (!entry || entry.attempts >= MAX_CODE_ATTEMPTS) {
+        return { error: "This code has expired. Please ask for a new one." };
+    }
+
+    const expected = Buffer.from(entry.codeHash, 'hex');
+    const given = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+        entry.attempts += 1;
+        await entry.save();
+        return { error: "That code is not right" };
+    }
+
+    await guestCodeModel.deleteMany({ email: address });
+    const token = jwt.sign({ email: address, purpose: 'guest-bookings' }, process.env.JWT_SECRET, { expiresIn: GUEST_SESSION });
+    return { token };
+};
+
+// What a guest token opens: { bookingId } for a manage link, { email } after a code check, or null
+const readGuestToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose === 'manage-booking' && decoded.bookingId) return { bookingId: decoded.bookingId };
+        if (decoded.purpose === 'guest-bookings' && decoded.email) return { email: decoded.email };
+        return null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Mongo filter for the bookings a caller may see. Emails are matched case-insensitively.
+const getAccessFilter = (access) => {
+    if (access.userId) return { userId: access.userId };
+    if (access.bookingId) return { _id: access.bookingId };
+    const escaped = access.email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { email: { $regex: `^${escaped}$`, $options: 'i' } };
+};
+
+export {
+    normaliseEmail,
+    createManageToken,
+    getManageLink,
+    requestGuestCode,
+    verifyGuestCode,
+    readGuestToken,
+    getAccessFilter
+};
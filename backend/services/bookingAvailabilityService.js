@@ -0,0 +1,243 @@
+import bookingModel from "../models/bookingModel.js";
+import tableModel from "../models/tableModel.js";
+import seatingModel from "../models/seatingModel.js";
+import { getBookingStart } from "./bookingTimeService.js";
+import { getExpectedTurnMinutes } from "./turnTimeService.js";
+
+// Bookings that still hold their table
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Confirmed'];
+
+// How long a booking without a table (or a table without a minimum) lasts
+const DEFAULT_BOOKING_MINUTES = 60;
+
+// How long a table lock may be held before another request can take it over
+const TABLE_LOCK_MS = 10000;
+
+// Most tables that can be pushed together for one party
+const MAX_JOINED_TABLES = 3;
+
+// Tables a booking holds. Bookings made before tables could be joined only have `tableId`.
+const getBookingTableIds = (booking) => {
+    if (booking.tableIds && booking.tableIds.length > 0) return booking.tableIds;
+    return booking.tableId ? [booking.tableId] : [];
+};
+
+// Minutes kept free between two bookings on the same table for clearing and resetting
+const getTurnoverMinutes = () => {
+    const minutes = Number(process.env.BOOKING_TURNOVER_MINUTES);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : 15;
+};
+
+// Booking length for a table: the guest's requested hours, but never less than the table's minimum
+// or how long parties this size have actually been staying lately (rounded up to 15 minutes)
+const getBookingDuration = (table, requestedHours, partySize) => {
+    const minimum = table && table.minBookingHours > 0 ? table.minBookingHours * 60 : DEFAULT_BOOKING_MINUTES;
+    const requested = Number(requestedHours) > 0 ? Number(requestedHours) * 60 : 0;
+    const expected = getExpectedTurnMinutes(table, parseInt(partySize));
+    const learned = expected ? Math.ceil(expected / 15) * 15 : 0;
+    return Math.max(minimum, requested, learned);
+};
+
+// Start and end of a booking, or null when the date or time can't be read
+const getBookingWindow = (date, time, durationMinutes) => {
+    const startAt = getBookingStart(date, time);
+    if (!startAt) return null;
+    return { startAt, endAt: new Date(startAt.getTime() + durationMinutes * 60000) };
+};
+
+// Active bookings on these tables whose time (plus turnover) overlaps the window
+const findOverlappingBookings = async (tableIds, { startAt, endAt }, excludeBookingId = null) => {
+    const turnover = getTurnoverMinutes() * 60000;
+    const filter = {
+        $or: [{ tableIds: { $in: tableIds } }, { tableId: { $in: tableIds } }],
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        startAt: { $lt: new Date(endAt.getTime() + turnover) },
+        endAt: { $gt: new Date(startAt.getTime() - turnover) }
+    };
+    if (excludeBookingId) {
+        filter._id = { $ne: excludeBookingId };
+    }
+    return bookingModel.find(filter);
+};
+
+// Whether a table is free for the window, checked against bookings already loaded
+const isTableFree = (table, bookings, { startAt, endAt }) => {
+    const turnover = getTurnoverMinutes() * 60000;
+    return !bookings.some((booking) =>
+        getBookingTableIds(booking).some((id) => id.toString() === table._id.toString()) &&
+        booking.startAt < new Date(endAt.getTime() + turnover) &&
+        booking.endAt > new Date(startAt.getTime() - turnover)
+    );
+};
+
+// Run `work` while holding a short lock on the table, so two guests racing for the
+// same slot can't both pass the overlap check. The lock expires on its own if we crash.
+const withTableLock = async (tableId, work) => {
+    const lockId = `${process.pid}-${Date.now()}-${Math.random()}`;
+
+    let locked = null;
+    for (let attempt = 0; attempt < 20 && !locked; attempt++) {
+        const now = new Date();
+        locked = await tableModel.findOneAndUpdate(
+            { _id: tableId, $or: [{ bookingLockUntil: null }, { bookingLockUntil: { $lt: now } }] },
+            { bookingLock: lockId, bookingLockUntil: new Date(now.getTime() + TABLE_LOCK_MS) }
+        );
+        if (!locked) {
+            if (!(await tableModel.exists({ _id: tableId }))) {
+                throw new Error("Table not found");
+            }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+    if (!locked) {
+        throw new Error("This table is being booked by someone else right now. Please try again.");
+    }
+
+    try {
+        return await work(locked);
+    } finally {
+        await tableModel.updateOne({ _id: tableId, bookingLock: lockId }, { bookingLock: '', bookingLockUntil: null });
+    }
+};
+
+// Lock several tables at once for a joined-table booking. Locks are always taken in the
+// same order so two bookings wanting overlapping sets of tables can't wait on each other.
+const withTableLocks = (tableIds, work) => {
+    const sorted = [...tableIds].map(String).sort();
+    const lockNext = (remaining, locked) => {
+        if (remaining.length === 0) return work(locked);
+        return withTableLock(remaining[0], (table) => lockNext(remaining.slice(1), [...locked, table]));
+    };
+    return lockNext(sorted, []);
+};
+
+// Whether the tables form one group the staff can push together (each joined to the group by `joinableWith`)
+const areTablesJoinable = (tables) => {
+    if (tables.length < 2) return true;
+    const ids = new Set(tables.map((t) => t._id.toString()));
+    const reached = new Set([tables[0]._id.toString()]);
+    const queue = [tables[0]];
+    while (queue.length > 0) {
+        const table = queue.shift();
+        for (const id of (table.joinableWith || []).map(String)) {
+            if (ids.has(id) && !reached.has(id)) {
+                reached.add(id);
+                queue.push(tables.find((t) => t._id.toString() === id));
+            }
+        }
+    }
+    return reached.size === ids.size;
+};
+
+// Seats across a table or a group of joined tables
+const countSeats = (tables) => tables.reduce((sum, t) => sum + t.capacity, 0);
+
+// Groups of joinable tables that together seat the party, smallest first.
+// Only groups that need every table are kept (dropping any one would leave too few seats).
+const findTableCombinations = (tables, guests, limit = 5) => {
+    const byId = new Map(tables.map((t) => [t._id.toString(), t]));
+    const seen = new Set();
+    const combinations = [];
+
+    const grow = (group) => {
+        const key = group.map((t) => t._id.toString()).sort().join('+');
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const seats = countSeats(group);
+        if (seats >= guests) {
+            const smallest = Math.min(...group.map((t) => t.capacity));
+            if (group.length > 1 && seats - smallest < guests) {
+                combinations.push({ tables: group, capacity: seats });
+            }
+            return;
+        }
+        if (group.length >= MAX_JOINED_TABLES) return;
+
+        for (const table of group) {
+            for (const id of (table.joinableWith || []).map(String)) {
+                const next = byId.get(id);
+                if (next && !group.includes(next)) {
+                    grow([...group, next]);
+                }
+            }
+        }
+    };
+    tables.forEach((table) => grow([table]));
+
+    return combinations
+        .sort((a, b) => a.capacity - b.capacity || a.tables.length - b.tables.length)
+        .slice(0, limit);
+};
+
+// Table number and name a joined-table booking is shown under ("4 + 5")
+const describeTables = (tables) => ({
+    tableNumber: tables.map((t) => t.tableNumber).join(' + '),
+    tableName: tables.map((t) => t.tableName || `Table ${t.tableNumber}`).join(' + ')
+});
+
+// Put a booking's tables back to available once nothing else is booked on them today.
+// Tables with another party seated at them are left as they are.
+const releaseBookingTables = async (booking, reason) => {
+    const today = new Date();
+    for (const tableId of getBookingTableIds(booking)) {
+        const seated = await seatingModel.exists({ tableIds: tableId, clearedAt: null, bookingId: { $ne: booking._id } });
+        if (seated) continue;
+
+        const activeBookings = await bookingModel.find({
+            $or: [{ tableIds: tableId }, { tableId: tableId }],
+            _id: { $ne: booking._id },
+            date: {
+                $gte: new Date(today.setHours(0, 0, 0, 0)),
+                $lt: new Date(today.setHours(23, 59, 59, 999))
+            },
+            status: { $in: ACTIVE_BOOKING_STATUSES }
+        });
+
+        if (activeBookings.length === 0) {
+            await tableModel.findByIdAndUpdate(tableId, { status: 'available' });
+            console.log(`Table ${booking.tableNumber} ${reason}`);
+        }
+    }
+};
+
+// Fill in start and end times for bookings made before they were stored
+const migrateBookingTimes = async () => {
+    try {
+        const bookings = await bookingModel.find({ startAt: null });
+        if (bookings.length === 0) return;
+
+        const tables = await tableModel.find({ _id: { $in: bookings.map((b) => b.tableId).filter(Boolean) } });
+        let updated = 0;
+        for (const booking of bookings) {
+            const table = tables.find((t) => booking.tableId && t._id.equals(booking.tableId));
+            const durationMinutes = getBookingDuration(table);
+            const window = getBookingWindow(booking.date, booking.time, durationMinutes);
+            if (!window) continue;
+
+            await bookingModel.updateOne({ _id: booking._id }, { ...window, durationMinutes });
+            updated++;
+        }
+        console.log(`Added start and end times to ${updated} bookings`);
+    } catch (error) {
+        console.error("Error migrating booking times:", error);
+    }
+};
+
+export {
+    ACTIVE_BOOKING_STATUSES,
+    getTurnoverMinutes,
+    getBookingDuration,
+    getBookingWindow,
+    findOverlappingBookings,
+    isTableFree,
+    withTableLock,
+    withTableLocks,
+    getBookingTableIds,
+    areTablesJoinable,
+    countSeats,
+    findTableCombinations,
+    describeTables,
+    releaseBookingTables,
+    migrateBookingTimes
+};
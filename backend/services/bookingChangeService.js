@@ -0,0 +1,432 @@
+import bookingModel from "../models/bookingModel.js";
+import tableModel from "../models/tableModel.js";
+import { priceOrder, toPaise, roundMoney, getBookingAmountDue } from "./pricingService.js";
+import { getRefundableAmount, calculateBookingRefund, issueRefund, issueBookingRefunds } from "./refundService.js";
+import { getBookingDeposit } from "./depositService.js";
+import { announceBooking } from "./realtimeService.js";
+import { notifyStaff } from "./notificationService.js";
+import { queueEmail } from "./emailService.js";
+import { offerFreedTables } from "./waitlistService.js";
+import { getManageLink } from "./bookingAccessService.js";
+import {
+    ACTIVE_BOOKING_STATUSES,
+    getBookingDuration,
+    getBookingWindow,
+    findOverlappingBookings,
+    withTableLocks,
+    getBookingTableIds,
+    areTablesJoinable,
+    countSeats,
+    describeTables,
+    releaseBookingTables
+} from "./bookingAvailabilityService.js";
+import { getSettings, toDateKey, checkBookingNotice, checkBookingTime } from "./openingHoursService.js";
+
+// How long a guest has to pay for a change that costs more (can be overridden from .env)
+const getChangePaymentMinutes = () => {
+    const minutes = Number(process.env.BOOKING_CHANGE_PAYMENT_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+// "23 Oct 2026" for the booking history
+const formatDay = (date) =>
+    new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const describeTableChoice = (tableNumber) => tableNumber ? `Table ${tableNumber}` : 'No table';
+
+// "2× Paneer Tikka, 1× Naan (₹450)"
+const describePreOrder = (items, total) => items.length > 0
+    ? `${items.map((item) => `${item.quantity}× ${item.name}`).join(', ')} (₹${total})`
+    : 'None';
+
+// One entry for the booking's audit trail
+const makeHistoryEntry = ({ changedBy, changedByName = '', changes, amountToPay = 0, amountRefunded = 0 }) => ({
+    changedAt: new Date(),
+    changedBy: changedBy,
+    changedByName: changedByName,
+    changes: changes,
+    amountToPay: amountToPay,
+    amountRefunded: amountRefunded
+});
+
+// Work out a change to a booking without saving it: the new date, time, party size, tables
+// and pre-order, what the guest pays or gets back, and a line per changed field for the history.
+// Returns { error } when the change isn't allowed.
+const planBookingChange = async (booking, input) => {
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+        return { error: `This booking is ${booking.status.toLowerCase()} and can't be changed` };
+    }
+    if (booking.paymentStatus === 'refunded') {
+        return { error: "This booking has been refunded and can't be changed" };
+    }
+
+    const settings = await getSettings();
+    if (checkBookingNotice(settings, booking.startAt || new Date(0))) {
+        return { error: "This booking starts too soon to change online. Please call the restaurant." };
+    }
+
+    const date = input.date || toDateKey(booking.date);
+    const time = input.time || booking.time;
+    const guests = input.guests !== undefined ? String(parseInt(input.guests)) : booking.guests;
+    if (!(parseInt(guests) > 0)) {
+        return { error: "Please enter the number of guests" };
+    }
+
+    const timeChanged = date !== toDateKey(booking.date) || time !== booking.time;
+    if (timeChanged) {
+        const timeError = checkBookingTime(settings, date, time);
+        if (timeError) {
+            return { error: timeError };
+        }
+    }
+
+    // Same table choices as a new booking: one `tableId`, joined `tableIds`, or keep the current tables
+    const currentTableIds = getBookingTableIds(booking).map(String);
+    const tableIds = Array.isArray(input.tableIds) && input.tableIds.length > 0
+        ? [...new Set(input.tableIds.map(String))]
+        : input.tableId ? [String(input.tableId)] : currentTableIds;
+    const tables = await tableModel.find({ _id: { $in: tableIds } });
+    if (tables.length !== tableIds.length || tables.some((t) => !t.isActive || t.status === 'maintenance')) {
+        return { error: "This table is not available for booking" };
+    }
+    if (tables.length > 1 && !areTablesJoinable(tables)) {
+        return { error: "These tables can't be joined together" };
+    }
+    tables.sort((a, b) => tableIds.indexOf(a._id.toString()) - tableIds.indexOf(b._id.toString()));
+    const seats = countSeats(tables);
+    if (tables.length > 0 && seats < parseInt(guests)) {
+        return { error: `${describeTableChoice(describeTables(tables).tableNumber)} only seats ${seats}. Please pick a bigger table.` };
+    }
+    const { tableNumber, tableName } = tables.length > 1
+        ? describeTables(tables)
+        : { tableNumber: tables[0]?.tableNumber || '', tableName: tables[0]?.tableName || '' };
+    const tablesChanged = tableIds.join() !== currentTableIds.join();
+
+    // Keep at least the length the guest booked; a bigger party may need longer
+    const bookedHours = (booking.durationMinutes || 0) / 60;
+    const durationMinutes = tables.length > 0
+        ? Math.max(...tables.map((t) => getBookingDuration(t, bookedHours, guests)))
+        : getBookingDuration(null, bookedHours, guests);
+    const window = getBookingWindow(date, time, durationMinutes);
+    if (!window) {
+        return { error: "Please choose a valid date and time" };
+    }
+
+    // Pre-orders are re-priced at today's menu prices
+    let preOrderedItems = booking.preOrderedItems;
+    let preOrderTotal = booking.preOrderTotal;
+    if (Array.isArray(input.preOrderedItems)) {
+        if (input.preOrderedItems.length > 0) {
+            const preOrder = await priceOrder(input.preOrderedItems, { includeDelivery: false, includeTax: false });
+            preOrderedItems = preOrder.items;
+            preOrderTotal = preOrder.pricing.total;
+        } else {
+            preOrderedItems = [];
+            preOrderTotal = 0;
+        }
+    }
+    const preOrderChanged = describePreOrder(preOrderedItems, preOrderTotal) !==
+        describePreOrder(booking.preOrderedItems, booking.preOrderTotal);
+
+    // The deposit only follows the booking when something it's worked out from has changed
+    const guestsChanged = guests !== booking.guests;
+    let deposit = { amount: booking.depositAmount, reason: booking.depositReason };
+    if (timeChanged || guestsChanged || tablesChanged) {
+        deposit = await getBookingDeposit(
+            settings,
+            { tables, guests, date, time, durationMinutes },
+            { email: booking.email, phone: booking.phone }
+        );
+    }
+
+    const changes = [];
+    if (date !== toDateKey(booking.date)) {
+        changes.push({ field: 'Date', from: formatDay(booking.date), to: formatDay(date) });
+    }
+    if (time !== booking.time) {
+        changes.push({ field: 'Time', from: booking.time, to: time });
+    }
+    if (guestsChanged) {
+        changes.push({ field: 'Guests', from: booking.guests, to: guests });
+    }
+    if (tablesChanged) {
+        changes.push({ field: 'Table', from: describeTableChoice(booking.tableNumber), to: describeTableChoice(tableNumber) });
+    }
+    if (preOrderChanged) {
+        changes.push({
+            field: 'Pre-order',
+            from: describePreOrder(booking.preOrderedItems, booking.preOrderTotal),
+            to: describePreOrder(preOrderedItems, preOrderTotal)
+        });
+    }
+    if (deposit.amount !== booking.depositAmount) {
+        changes.push({ field: 'Deposit', from: `₹${booking.depositAmount}`, to: `₹${deposit.amount}` });
+    }
+    if (changes.length === 0) {
+        return { error: "Nothing has changed" };
+    }
+
+    const updates = {
+        date: new Date(date),
+        time: time,
+        guests: guests,
+        tableId: tableIds[0] || null,
+        tableIds: tableIds,
+        tableNumber: tableNumber,
+        tableName: tableName,
+        startAt: window.startAt,
+        endAt: window.endAt,
+        durationMinutes: durationMinutes,
+        preOrderedItems: preOrderedItems,
+        preOrderTotal: preOrderTotal,
+        hasPreOrder: preOrderedItems.length > 0,
+        depositAmount: deposit.amount,
+        depositReason: deposit.reason
+    };
+
+    // Money only moves for bookings already paid online; unpaid ones just pay the new total
+    const amountDue = roundMoney(preOrderTotal + deposit.amount);
+    let amountToPay = 0;
+    let refund = { amount: 0, percent: 0, message: '' };
+    if (booking.paymentStatus === 'paid') {
+        const held = await getRefundableAmount('booking', booking);
+        amountToPay = Math.max(0, roundMoney(amountDue - held));
+
+        // Only what this change takes off the bill comes back, under the cancellation policy,
+        // so repeated changes can't refund the same money twice
+        const reduction = Math.min(getBookingAmountDue(booking) - amountDue, held - amountDue);
+        if (reduction > 0) {
+            const { percent } = await calculateBookingRefund(booking);
+            const amount = roundMoney(reduction * percent / 100);
+            refund = {
+                amount: amount,
+                percent: percent,
+                message: amount > 0
+                    ? `₹${amount} of the difference will be refunded${percent < 100 ? ` (${percent}% this close to the booking)` : ''}`
+                    : `The ₹${roundMoney(reduction)} difference can't be refunded this close to the booking`
+            };
+        }
+
+        // Bookings paid before paidAmount was stored paid exactly their old total
+        if (!booking.paidAmount) {
+            updates.paidAmount = getBookingAmountDue(booking);
+        }
+    } else if (booking.razorpayOrderId && toPaise(amountDue) !== toPaise(getBookingAmountDue(booking))) {
+        // A checkout opened for the old total can't pay for the new one
+        updates.razorpayOrderId = '';
+        updates.razorpayOrderCreatedAt = null;
+    }
+
+    return {
+        updates,
+        changes,
+        tableIds,
+        window,
+        releasedTableIds: currentTableIds.filter((id) => !tableIds.includes(id)),
+        amountDue,
+        amountToPay,
+        refund
+    };
+};
+
+// Save a planned change: re-checks the tables are still free under their locks, records the change
+// in the booking history and refunds any difference. Returns { booking, refunds } or { error }.
+const applyBookingChange = async (booking, plan, { changedBy, changedByName }) => {
+    const save = () => bookingModel.findOneAndUpdate(
+        { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+        {
+            // Saving a change replaces any change still waiting for payment
+            $set: { ...plan.updates, pendingChange: null },
+            $push: {
+                history: makeHistoryEntry({
+                    changedBy,
+                    changedByName,
+                    changes: plan.changes,
+                    amountToPay: plan.amountToPay,
+                    amountRefunded: plan.refund.amount
+                })
+            }
+        },
+        { new: true }
+    );
+
+    let updated;
+    if (plan.tableIds.length > 0) {
+        updated = await withTableLocks(plan.tableIds, async () => {
+            const overlapping = await findOverlappingBookings(plan.tableIds, plan.window, booking._id);
+            if (overlapping.length > 0) {
+                return false;
+            }
+            return save();
+        });
+        if (updated === false) {
+            return { error: "This table is already booked around the selected time. Please pick another time or table." };
+        }
+    } else {
+        updated = await save();
+    }
+    if (!updated) {
+        return { error: "This booking can no longer be changed" };
+    }
+
+    if (plan.tableIds.length > 0) {
+        await tableModel.updateMany({ _id: { $in: plan.tableIds } }, { status: 'reserved' });
+    }
+    if (plan.releasedTableIds.length > 0) {
+        await releaseBookingTables(
+            { _id: booking._id, tableIds: plan.releasedTableIds, tableNumber: booking.tableNumber },
+            'released after a booking change'
+        );
+    }
+
+    let refunds = [];
+    if (plan.refund.amount > 0) {
+        refunds = await issueBookingRefunds({
+            booking: updated,
+            amount: plan.refund.amount,
+            reason: 'Booking changed - difference refunded',
+            initiatedBy: changedBy === 'guest' ? 'customer' : 'admin',
+            initiatedByName: changedByName
+        });
+    }
+
+    return { booking: updated, refunds };
+};
+
+// Tell staff and the guest about a saved change, and offer anything it freed to the waitlist.
+// Returns the refund message for the guest ('' when nothing comes back).
+const announceBookingChange = async (booking, updated, plan, refunds = []) => {
+    announceBooking('booking:changed', updated);
+    await notifyStaff({
+        type: 'booking',
+        title: 'Booking changed by guest',
+        message: `${updated.name} · ${plan.changes.map((change) => `${change.field}: ${change.to}`).join(' · ')}`,
+        permission: 'bookings',
+        link: '/bookings',
+        bookingId: updated._id
+    });
+
+    // Tables or times the guest gave up can go to the waitlist
+    if (plan.releasedTableIds.length > 0 || booking.startAt.getTime() !== updated.startAt.getTime()) {
+        await offerFreedTables(booking.date);
+    }
+
+    const refundMessage = refunds.some((refund) => refund.status === 'failed')
+        ? "We couldn't start your refund automatically - our team will process it shortly"
+        : plan.refund.message;
+
+    await queueEmail({
+        to: updated.email,
+        template: 'bookingChanged',
+        data: {
+            booking: updated,
+            changes: plan.changes,
+            refundMessage: refundMessage,
+            manageLink: getManageLink(updated)
+        }
+    });
+    return refundMessage;
+};
+
+// A change that costs more waits on the booking until the guest pays the difference; the booking
+// stays as it is until then. The tables are checked now so nobody pays for a slot that's gone,
+// and again when the payment comes in. A newer change replaces one still waiting.
+const holdBookingChange = async (booking, plan, { changedBy, changedByName }) => {
+    if (plan.tableIds.length > 0) {
+        const overlapping = await findOverlappingBookings(plan.tableIds, plan.window, booking._id);
+        if (overlapping.length > 0) {
+            return { error: "This table is already booked around the selected time. Please pick another time or table." };
+        }
+    }
+
+    // Bookings paid before paidAmount was stored paid exactly their old total - record that now,
+    // so the top-up is added to the right amount
+    const { paidAmount, ...updates } = plan.updates;
+    const held = await bookingModel.findOneAndUpdate(
+        { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+        {
+            $set: {
+                ...(paidAmount !== undefined ? { paidAmount } : {}),
+                pendingChange: {
+                    updates: updates,
+                    changes: plan.changes,
+                    tableIds: plan.tableIds,
+                    releasedTableIds: plan.releasedTableIds,
+                    window: plan.window,
+                    amountToPay: plan.amountToPay,
+                    changedBy: changedBy,
+                    changedByName: changedByName,
+                    requestedAt: new Date(),
+                    expiresAt: new Date(Date.now() + getChangePaymentMinutes() * 60000)
+                }
+            }
+        },
+        { new: true }
+    );
+    if (!held) {
+        return { error: "This booking can no longer be changed" };
+    }
+    return { booking: held };
+};
+
+// Save the change a paid top-up was for. If the change ran out or its tables were taken meanwhile,
+// the top-up goes back to the guest. Returns a line for the payment log.
+const applyPendingChange = async (bookingId, topUp) => {
+    // Taken off the booking first so a webhook and the checkout callback can't both apply it
+    const booking = await bookingModel.findOneAndUpdate(
+        { _id: bookingId, 'pendingChange.amountToPay': topUp.amount },
+        { $set: { pendingChange: null } }
+    );
+
+    let error = "the change it paid for has expired";
+    if (booking) {
+        const plan = { ...booking.pendingChange, refund: { amount: 0, percent: 0, message: '' } };
+        const result = await applyBookingChange(booking, plan, {
+            changedBy: plan.changedBy,
+            changedByName: plan.changedByName
+        });
+        if (!result.error) {
+            await announceBookingChange(booking, result.booking, plan);
+            return `Change to booking ${bookingId} saved after its top-up was paid`;
+        }
+        error = result.error;
+    }
+
+    // The payment is already recorded, so a refund problem is logged for staff rather than thrown
+    try {
+        const paid = await bookingModel.findById(bookingId);
+        const refund = await issueRefund({
+            type: 'booking',
+            record: paid,
+            amount: topUp.amount,
+            paymentId: topUp.paymentId,
+            reason: `Booking change not saved - ${error}`,
+            initiatedBy: 'customer',
+            initiatedByName: paid.name
+        });
+        return `Change to booking ${bookingId} not saved (${error}), top-up refund ${refund.status}`;
+    } catch (refundError) {
+        console.error(`Error refunding top-up for booking ${bookingId}:`, refundError);
+        return `Change to booking ${bookingId} not saved (${error}), top-up refund failed`;
+    }
+};
+
+// Changes that were never paid for are dropped. Returns how many.
+const expireBookingChanges = async () => {
+    const result = await bookingModel.updateMany(
+        { 'pendingChange.expiresAt': { $lt: new Date() } },
+        { $set: { pendingChange: null } }
+    );
+    return result.modifiedCount;
+};
+
+export {
+    makeHistoryEntry,
+    planBookingChange,
+    applyBookingChange,
+    announceBookingChange,
+    holdBookingChange,
+    applyPendingChange,
+    expireBookingChanges,
+    getChangePaymentMinutes
+};
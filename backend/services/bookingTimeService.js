@@ -0,0 +1,35 @@
+// Booking times are stored as display strings ("7:00 PM") next to a date-only `date` field.
+// These helpers turn them into real points in time.
+
+// "7:30 PM" / "19:30" -> minutes after midnight, or null if the string can't be read
+const parseTimeToMinutes = (time) => {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*(AM|PM)?\s*$/i.exec(String(time || ''));
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const period = match[3] ? match[3].toUpperCase() : null;
+
+    if (minutes > 59) return null;
+    if (period) {
+        if (hours < 1 || hours > 12) return null;
+        if (period === 'PM' && hours !== 12) hours += 12;
+        if (period === 'AM' && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
+
+    return hours * 60 + minutes;
+};
+
+// Start of a booking as a Date in server time.
+// Booking dates are saved from "YYYY-MM-DD" strings, i.e. midnight UTC, so the calendar day is read in UTC.
+const getBookingStart = (date, time) => {
+    const day = new Date(date);
+    const minutes = parseTimeToMinutes(time);
+    if (isNaN(day.getTime()) || minutes === null) return null;
+
+    return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), Math.floor(minutes / 60), minutes % 60);
+};
+
+export { parseTimeToMinutes, getBookingStart };
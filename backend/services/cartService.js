@@ -0,0 +1,58 @@
+import foodModel from "../models/foodModel.js";
+import { MAX_ITEM_QUANTITY, priceOrder, cartToItems, isFoodAvailable } from "./pricingService.js";
+import { parseCartKey, isValidCartKey, selectOptions } from "./modifierService.js";
+
+// Keep whole, positive quantities for valid cart keys, each capped at the per-item limit
+const cleanCartData = (cartData = {}) => Object.fromEntries(
+    Object.entries(cartData || {})
+        .map(([key, quantity]) => [key, Number(quantity)])
+        .filter(([key, quantity]) => isValidCartKey(key) && Number.isInteger(quantity) && quantity > 0)
+        .map(([key, quantity]) => [key, Math.min(quantity, MAX_ITEM_QUANTITY)])
+);
+
+// Why a cart line can't be ordered right now, or null when it can
+const getUnavailableReason = (food, optionIds) => {
+    if (!food) return 'removed';
+    if (!isFoodAvailable(food)) return food.status;
+    try {
+        selectOptions(food, optionIds);
+        return null;
+    } catch (error) {
+        return 'options';
+    }
+};
+
+// Price a cart at today's menu prices. Dishes that can't be ordered right now (or whose chosen
+// options have changed) stay in the cart, but are listed under `unavailable` and left out of the total.
+const priceCart = async (cartData) => {
+    const cart = cleanCartData(cartData);
+    const foodIds = [...new Set(Object.keys(cart).map((key) => parseCartKey(key).itemId))];
+    const foods = await foodModel.find({ _id: { $in: foodIds } });
+
+    const orderable = {};
+    const unavailable = [];
+    for (const [key, quantity] of Object.entries(cart)) {
+        const { itemId, optionIds } = parseCartKey(key);
+        const food = foods.find((f) => f._id.toString() === itemId);
+        const reason = getUnavailableReason(food, optionIds);
+        if (!reason) {
+            orderable[key] = quantity;
+        } else {
+            unavailable.push({
+                _id: itemId,
+                key,
+                name: food ? food.name : '',
+                quantity: quantity,
+                reason
+            });
+        }
+    }
+
+    if (Object.keys(orderable).length === 0) {
+        return { items: [], unavailable, pricing: null };
+    }
+    const { items, pricing } = await priceOrder(cartToItems(orderable));
+    return { items, unavailable, pricing };
+};
+
+export { cleanCartData, getUnavailableReason, priceCart };
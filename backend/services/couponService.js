@@ -0,0 +1,127 @@
+import couponModel from "../models/couponModel.js";
+import orderModel from "../models/orderModel.js";
+import { UNPAID_ORDER_STATUSES, VOID_ORDER_STATUSES } from "../config/orderStatus.js";
+
+// Check a promo code against the priced cart and work out the discount.
+// Throws an Error with a customer-facing message when the code can't be used.
+const validateCoupon = async (code, { userId, items, subtotal }) => {
+    if (!code || typeof code !== 'string') {
+        throw new Error("Please enter a promo code");
+    }
+
+    const coupon = await couponModel.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon || !coupon.isActive) {
+        throw new Error("Invalid promo code");
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) {
+        throw new Error("This promo code is not active yet");
+    }
+    if (coupon.validUntil && now > coupon.validUntil) {
+        throw new Error("This promo code has expired");
+    }
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+        throw new Error("This promo code has reached its usage limit");
+    }
+    if (subtotal < coupon.minOrderAmount) {
+        throw new Error(`Add items worth ₹${Math.ceil(coupon.minOrderAmount - subtotal)} more to use this code`);
+    }
+
+    // Rules that depend on the customer
+    if (coupon.firstOrderOnly || coupon.perUserLimit > 0) {
+        if (!userId) {
+            throw new Error("Please log in to use this promo code");
+        }
+
+        if (coupon.firstOrderOnly) {
+            const previousOrders = await orderModel.countDocuments({
+                userId: userId,
+                // Orders that never went through don't count as a first order
+                status: { $nin: [...UNPAID_ORDER_STATUSES, ...VOID_ORDER_STATUSES] }
+            });
+            if (previousOrders > 0) {
+                throw new Error("This promo code is only valid on your first order");
+            }
+        }
+
+        if (coupon.perUserLimit > 0) {
+            const timesUsed = await orderModel.countDocuments({
+                userId: userId,
+                'coupon.couponId': coupon._id.toString(),
+                status: { $nin: VOID_ORDER_STATUSES }
+            });
+            if (timesUsed >= coupon.perUserLimit) {
+                throw new Error("You have already used this promo code");
+            }
+        }
+    }
+
+    // Category restricted coupons only discount matching items
+    const eligibleItems = coupon.categories.length > 0
+        ? items.filter((item) => coupon.categories.includes(item.category))
+        : items;
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
+    if (eligibleSubtotal <= 0) {
+        throw new Error(`This promo code only applies to ${coupon.categories.join(', ')}`);
+    }
+
+    let discount = coupon.discountType === 'percent'
+        ? eligibleSubtotal * coupon.discountValue / 100
+        : coupon.discountValue;
+
+    if (coupon.discountType === 'percent' && coupon.maxDiscount > 0) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = Math.min(discount, eligibleSubtotal);
+
+    return {
+        couponId: coupon._id.toString(),
+        code: coupon.code,
+        description: coupon.description,
+        discount
+    };
+};
+
+// Reserve one use of the coupon when an order is placed.
+// The limit check and increment happen in one update so two checkouts can't both take the last use.
+const redeemCoupon = async (coupon) => {
+    if (!coupon) return;
+
+    const updated = await couponModel.findOneAndUpdate(
+        {
+            _id: coupon.couponId,
+            $or: [
+                { usageLimit: 0 },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new Error("This promo code has reached its usage limit");
+    }
+};
+
+// Give the use back when an order's payment fails or is abandoned
+const releaseCoupon = async (coupon) => {
+    if (!coupon || !coupon.couponId) return;
+
+    await couponModel.findOneAndUpdate(
+        { _id: coupon.couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+};
+
+// Count the use again when a payment we had given up on goes through after all.
+// The customer has paid, so this ignores the usage limit.
+const reclaimCoupon = async (coupon) => {
+    if (!coupon || !coupon.couponId) return;
+
+    await couponModel.findByIdAndUpdate(coupon.couponId, { $inc: { usedCount: 1 } });
+};
+
+export { validateCoupon, redeemCoupon, releaseCoupon, reclaimCoupon };
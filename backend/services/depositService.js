@@ -0,0 +1,50 @@
+import { parseTimeToMinutes } from "./bookingTimeService.js";
+import { toDateKey } from "./openingHoursService.js";
+import { roundMoney } from "./pricingService.js";
+import { getNoShowDeposit } from "./noShowService.js";
+
+// Does a booking at this date and time start in one of the peak slots?
+const isPeakSlot = (settings, date, time) => {
+    const dateKey = toDateKey(date);
+    const minutes = parseTimeToMinutes(time);
+    if (!dateKey || minutes === null) return false;
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return settings.peakSlots.some((slot) =>
+        slot.day === weekday &&
+        minutes >= parseTimeToMinutes(slot.open) &&
+        minutes < parseTimeToMinutes(slot.close)
+    );
+};
+
+// Reservation deposit for a booking from the deposit settings (0 = none)
+const calculateReservationDeposit = (settings, { tables = [], guests, date, time, durationMinutes }) => {
+    if (!settings.depositMode || settings.depositMode === 'none') return 0;
+    if (settings.depositPeakOnly && !isPeakSlot(settings, date, time)) return 0;
+
+    switch (settings.depositMode) {
+        case 'perTable':
+            // Bookings without a table still hold one place in the restaurant
+            return roundMoney(settings.depositAmount * Math.max(1, tables.length));
+        case 'perGuest':
+            return roundMoney(settings.depositAmount * (parseInt(guests) || 0));
+        case 'perHour':
+            return roundMoney(tables.reduce((sum, table) => sum + (table.pricePerHour || 0), 0) * durationMinutes / 60);
+        default:
+            return 0;
+    }
+};
+
+// Deposit a new booking has to pay and why. Guests with earlier no-shows pay
+// whichever is higher, their no-show deposit or the usual reservation deposit.
+const getBookingDeposit = async (settings, booking, guest) => {
+    const reservation = calculateReservationDeposit(settings, booking);
+    const noShow = await getNoShowDeposit(settings, guest);
+
+    if (noShow > reservation) {
+        return { amount: noShow, reason: 'no-show' };
+    }
+    return { amount: reservation, reason: reservation > 0 ? 'reservation' : '' };
+};
+
+export { isPeakSlot, calculateReservationDeposit, getBookingDeposit };
@@ -0,0 +1,194 @@
+import {
+    DIETARY_TYPES,
+    VEGETARIAN_TYPES,
+    MAX_SPICE_LEVEL,
+    ALLERGENS,
+    MAX_TAGS,
+    MAX_TAG_LENGTH
+} from "../config/dishAttributes.js";
+
+const MAX_PREP_TIME = 240;
+
+// Lists arrive as arrays (JSON requests), JSON strings or comma lists (the multipart add form)
+const readList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value.trim()) return [];
+    if (value.trim().startsWith('[')) {
+        try {
+            const parsed = JSON.parse(value);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // Not JSON after all, read it as a comma list
+        }
+    }
+    return value.split(',');
+};
+
+// An empty value clears the number
+const readOptionalNumber = (value, label, max) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+        throw new Error(`${label} must be a number between 0 and ${max}`);
+    }
+    return Math.round(number * 10) / 10;
+};
+
+// Validate the attribute fields present in a request body. Only fields that were sent are returned,
+// so the same check works for adding a dish and for editing some of its fields.
+// Throws with a message for the admin when a value isn't allowed.
+const cleanDishAttributes = (body = {}) => {
+    const attributes = {};
+
+    if (body.dietaryType !== undefined) {
+        if (!DIETARY_TYPES.includes(body.dietaryType)) {
+            throw new Error("Please choose veg, vegan, egg or non-veg");
+        }
+        attributes.dietaryType = body.dietaryType;
+    }
+
+    if (body.spiceLevel !== undefined) {
+        const spiceLevel = Number(body.spiceLevel);
+        if (!Number.isInteger(spiceLevel) || spiceLevel < 0 || spiceLevel > MAX_SPICE_LEVEL) {
+            throw new Error(`Spice level must be between 0 and ${MAX_SPICE_LEVEL}`);
+        }
+        attributes.spiceLevel = spiceLevel;
+    }
+
+    if (body.allergens !== undefined) {
+        const allergens = [...new Set(readList(body.allergens).map((a) => String(a).trim().toLowerCase()).filter(Boolean))];
+        const unknown = allergens.filter((a) => !ALLERGENS.includes(a));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown allergen: ${unknown.join(', ')}`);
+        }
+        attributes.allergens = allergens;
+    }
+
+    if (body.nutrition !== undefined) {
+        let nutrition = body.nutrition;
+        if (typeof nutrition === 'string') {
+            try {
+                nutrition = nutrition ? JSON.parse(nutrition) : {};
+            } catch (error) {
+                throw new Error("Invalid nutrition details");
+            }
+        }
+        attributes.nutrition = {
+            calories: readOptionalNumber(nutrition?.calories, 'Calories', 5000),
+            protein: readOptionalNumber(nutrition?.protein, 'Protein', 500),
+            carbs: readOptionalNumber(nutrition?.carbs, 'Carbs', 500),
+            fat: readOptionalNumber(nutrition?.fat, 'Fat', 500)
+        };
+    }
+
+    if (body.prepTime !== undefined) {
+        const prepTime = readOptionalNumber(body.prepTime, 'Prep time', MAX_PREP_TIME);
+        attributes.prepTime = prepTime === null ? null : Math.round(prepTime);
+    }
+
+    if (body.tags !== undefined) {
+        const tags = [...new Set(readList(body.tags).map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+        if (tags.length > MAX_TAGS) {
+            throw new Error(`A dish can have up to ${MAX_TAGS} tags`);
+        }
+        if (tags.some((t) => t.length > MAX_TAG_LENGTH)) {
+            throw new Error(`Tags can be up to ${MAX_TAG_LENGTH} characters`);
+        }
+        attributes.tags = tags;
+    }
+
+    return attributes;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A numeric filter from the query string, or null when it's missing or not a number
+const readNumberParam = (value) => {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Dishes without a prep time sort after the ones that have one
+const byPrepTime = (a, b) => (a.prepTime ?? Infinity) - (b.prepTime ?? Infinity);
+const byRating = (a, b) => (b.rating || 0) - (a.rating || 0) || (b.reviews || 0) - (a.reviews || 0);
+const isBestseller = (food) => (food.tags || []).includes('bestseller');
+
+// Sort options on the website's Menu page. "relevance" (the default) puts bestsellers first.
+const MENU_SORTS = {
+    relevance: (a, b) => isBestseller(b) - isBestseller(a) || byRating(a, b),
+    rating: byRating,
+    priceLow: (a, b) => a.price - b.price,
+    priceHigh: (a, b) => b.price - a.price,
+    prepTime: byPrepTime,
+    reviews: (a, b) => (b.reviews || 0) - (a.reviews || 0)
+};
+
+const sortMenu = (foods, sort) => [...foods].sort(MENU_SORTS[sort] || MENU_SORTS.relevance);
+
+// Mongo filter for the Menu page's search and filters.
+// Diet and allergen filters are about what guests can safely eat, so dishes whose diet or
+// allergens haven't been filled in yet are left out of them rather than guessed.
+const buildMenuQuery = (query = {}) => {
+    const conditions = [];
+
+    if (query.category && query.category !== 'all') {
+        conditions.push({ category: String(query.category) });
+    }
+
+    const search = String(query.search || '').trim().slice(0, 100);
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        conditions.push({ $or: [{ name: pattern }, { description: pattern }, { tags: search.toLowerCase() }] });
+    }
+
+    if (query.diet === 'veg') {
+        conditions.push({ dietaryType: { $in: VEGETARIAN_TYPES } });
+    } else if (DIETARY_TYPES.includes(query.diet)) {
+        conditions.push({ dietaryType: query.diet });
+    }
+
+    const maxSpice = readNumberParam(query.maxSpice);
+    if (maxSpice !== null) {
+        conditions.push({ spiceLevel: { $not: { $gt: maxSpice } } });
+    }
+
+    const excludedAllergens = readList(query.excludeAllergens).filter((a) => ALLERGENS.includes(a));
+    if (excludedAllergens.length > 0) {
+        conditions.push({ allergens: { $type: 'array', $nin: excludedAllergens } });
+    }
+
+    // Dishes without calories or a prep time yet can't be shown as fitting these
+    const maxCalories = readNumberParam(query.maxCalories);
+    if (maxCalories !== null) {
+        conditions.push({ 'nutrition.calories': { $ne: null, $lte: maxCalories } });
+    }
+
+    const maxPrepTime = readNumberParam(query.maxPrepTime);
+    if (maxPrepTime !== null) {
+        conditions.push({ prepTime: { $ne: null, $lte: maxPrepTime } });
+    }
+
+    const minRating = readNumberParam(query.minRating);
+    if (minRating !== null) {
+        conditions.push({ rating: { $gte: minRating } });
+    }
+
+    const price = {};
+    const minPrice = readNumberParam(query.minPrice);
+    const maxPrice = readNumberParam(query.maxPrice);
+    if (minPrice !== null) price.$gte = minPrice;
+    if (maxPrice !== null) price.$lte = maxPrice;
+    if (Object.keys(price).length > 0) {
+        conditions.push({ price });
+    }
+
+    const tags = readList(query.tags).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) {
+        conditions.push({ tags: { $all: tags } });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+export { cleanDishAttributes, buildMenuQuery, sortMenu };
@@ -0,0 +1,136 @@
+import nodemailer from "nodemailer";
+import emailModel from "../models/emailModel.js";
+import { renderEmail, getRestaurantName } from "./emailTemplates.js";
+
+// Delivery settings (can be overridden from .env)
+const getEmailConfig = () => ({
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS ?? 5),
+    retryMinutes: Number(process.env.EMAIL_RETRY_MINUTES ?? 2), // doubles after every failed attempt
+    stuckMinutes: 10 // a message still "sending" after this long is retried
+});
+
+const getSender = () => process.env.EMAIL_FROM || `"${getRestaurantName()}" <no-reply@savantx.local>`;
+
+// A transport is anything with `send({ from, to, subject, html, text })` that resolves once the
+// message has been handed off and rejects when it can't be.
+//
+// "smtp" sends through SMTP_HOST. For local testing point it at a catcher such as Mailpit
+// (SMTP_HOST=localhost, SMTP_PORT=1025) and read the mail in its web UI.
+// "log" is used when no SMTP server is set up. It only notes who a message was for, since bodies
+// carry manage links and sign-in codes that must not end up in the server logs.
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT ?? 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+const logTransport = {
+    name: 'log',
+    send: async (message) => {
+        console.log(`Email to ${message.to}: ${message.subject} (not sent, no SMTP server set up)`);
+    }
+};
+
+let transport = null;
+
+// The transport is picked on first use so .env is loaded by then
+const getEmailTransport = () => {
+    if (!transport) {
+        const choice = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+        transport = choice === 'smtp' ? createSmtpTransport() : logTransport;
+        console.log(`Sending email through the ${transport.name} transport`);
+    }
+    return transport;
+};
+
+// Use a different transport, e.g. one that keeps messages in memory for tests
+const setEmailTransport = (custom) => {
+    transport = custom;
+};
+
+// Take a due message off the queue so only one sender works on it
+const claimEmail = (filter = {}) => emailModel.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { status: 'sending', lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// Send a claimed message. Failures are put back on the queue with a growing delay
+// until the message runs out of attempts.
+const deliverEmail = async (email) => {
+    try {
+        await getEmailTransport().send({
+            from: getSender(),
+            to: email.to,
+            subject: email.subject,
+            html: email.html,
+            text: email.text
+        });
+        await emailModel.updateOne({ _id: email._id }, { status: 'sent', sentAt: new Date(), lockedAt: null, lastError: '' });
+        return true;
+    } catch (error) {
+        const { maxAttempts, retryMinutes } = getEmailConfig();
+        const failed = email.attempts >= maxAttempts;
+        await emailModel.updateOne({ _id: email._id }, {
+            status: failed ? 'failed' : 'pending',
+            lockedAt: null,
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + retryMinutes * 2 ** (email.attempts - 1) * 60000)
+        });
+        console.error(`Email "${email.subject}" to ${email.to} ${failed ? 'failed for good' : 'will be retried'}:`, error.message);
+        return false;
+    }
+};
+
+// Render an email, queue it and try to send it straight away. Never throws,
+// so a mail problem can't break the booking or order that triggered it.
+const queueEmail = async ({ to, template, data }) => {
+    if (!to) return null;
+    try {
+        const { subject, html, text } = renderEmail(template, data);
+        const email = await emailModel.create({ to, template, subject, html, text });
+
+        // Sent in the background; anything that fails is picked up by the email job
+        claimEmail({ _id: email._id })
+            .then((claimed) => claimed && deliverEmail(claimed))
+            .catch((error) => console.error("Error sending email:", error));
+        return email;
+    } catch (error) {
+        console.error(`Error queueing "${template}" email:`, error);
+        return null;
+    }
+};
+
+// Retry due messages, including ones left "sending" by a crash. Returns how many went out and failed.
+const processEmailQueue = async (limit = 20) => {
+    const { maxAttempts, stuckMinutes } = getEmailConfig();
+    const stuck = { status: 'sending', lockedAt: { $lt: new Date(Date.now() - stuckMinutes * 60000) } };
+    // The attempt that got stuck counts, so a message that keeps crashing the sender stops being retried
+    await emailModel.updateMany(
+        { ...stuck, attempts: { $gte: maxAttempts } },
+        { status: 'failed', lockedAt: null, lastError: 'Sending did not finish' }
+    );
+    await emailModel.updateMany(stuck, { status: 'pending', lockedAt: null, nextAttemptAt: new Date() });
+
+    let sent = 0;
+    let failed = 0;
+    for (let i = 0; i < limit; i++) {
+        const email = await claimEmail();
+        if (!email) break;
+        if (await deliverEmail(email)) {
+            sent += 1;
+        } else {
+            failed += 1;
+        }
+    }
+    return { sent, failed };
+};
+
+export { queueEmail, processEmailQueue, setEmailTransport, getEmailTransport };
@@ -0,0 +1,193 @@
+// Email templates. Each template turns its data into a heading, some lines of text, a table of
+// details and an optional button; renderEmail() lays that out as both HTML and plain text.
+
+const getRestaurantName = () => process.env.RESTAURANT_NAME || "SavantX Eats";
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// "Fri, 23 Oct" - booking dates are stored as midnight UTC
+const formatBookingDate = (date) =>
+    new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+const bookingRef = (booking) => `#${booking._id.toString().slice(-8).toUpperCase()}`;
+
+const bookingDetails = (booking) => [
+    ['Booking', bookingRef(booking)],
+    ['Date', formatBookingDate(booking.date)],
+    ['Time', booking.time],
+    ['Guests', booking.guests],
+    ...(booking.tableNumber ? [['Table', booking.tableNumber]] : []),
+    ...(booking.preOrderTotal > 0 ? [['Pre-order', `₹${booking.preOrderTotal}`]] : []),
+    ...(booking.depositAmount > 0 ? [['Deposit', `₹${booking.depositAmount}`]] : [])
+];
+
+const orderRef = (order) => `#${order._id.toString().slice(-8).toUpperCase()}`;
+
+// "Margherita (Large, Extra cheese)" for a dish ordered with options
+const itemName = (item) => item.options?.length > 0
+    ? `${item.name} (${item.options.map((option) => option.name).join(', ')})`
+    : item.name;
+
+const orderDetails = (order) => [
+    ['Order', orderRef(order)],
+    ...order.items.map((item) => [`${item.quantity}× ${itemName(item)}`, `₹${item.lineTotal ?? item.price * item.quantity}`]),
+    ['Total', `₹${order.amount}`],
+    ['Payment', order.paymentMethod === 'COD' ? 'Cash on delivery' : 'Paid online']
+];
+
+const orderName = (order) => order.address?.firstName || 'there';
+
+// What the customer is told at each order status that gets an email
+const ORDER_STATUS_LINES = {
+    'Accepted': 'The restaurant has accepted your order and will start cooking soon.',
+    'Out for delivery': 'Your order is on its way!',
+    'Delivered': 'Your order has been delivered. Enjoy your meal!',
+    'Cancelled': 'Your order has been cancelled.',
+    'Rejected': "Sorry, the restaurant couldn't take your order this time."
+};
+
+const templates = {
+    bookingReceived: ({ booking, manageLink }) => ({
+        subject: `Booking received ${bookingRef(booking)}`,
+        heading: `Thanks, ${booking.name}!`,
+        lines: [
+            "We've received your table booking. We'll email you again once it's confirmed.",
+            "You can change or cancel it any time with the button below."
+        ],
+        details: bookingDetails(booking),
+        action: manageLink ? { label: 'Manage booking', url: manageLink } : null
+    }),
+
+    bookingConfirmed: ({ booking, manageLink }) => ({
+        subject: `Your table is confirmed ${bookingRef(booking)}`,
+        heading: `See you soon, ${booking.name}!`,
+        lines: ["Your booking is confirmed. We're looking forward to having you."],
+        details: bookingDetails(booking),
+        action: manageLink ? { label: 'Manage booking', url: manageLink } : null
+    }),
+
+    bookingCancelled: ({ booking, byRestaurant, refundMessage }) => ({
+        subject: `Booking cancelled ${bookingRef(booking)}`,
+        heading: `Hi ${booking.name},`,
+        lines: [
+            byRestaurant
+                ? "We're sorry, the restaurant had to cancel your booking."
+                : 'Your booking has been cancelled as requested.',
+            ...(refundMessage ? [`${refundMessage}.`] : [])
+        ],
+        details: bookingDetails(booking)
+    }),
+
+    bookingChanged: ({ booking, changes, amountToPay, refundMessage, manageLink }) => ({
+        subject: `Booking updated ${bookingRef(booking)}`,
+        heading: `Hi ${booking.name},`,
+        lines: [
+            'Your booking has been updated:',
+            ...changes.map((change) => `${change.field}: ${change.from} → ${change.to}`),
+            ...(amountToPay > 0 ? [`Please pay the ₹${amountToPay} difference to keep your changes.`] : []),
+            ...(refundMessage ? [`${refundMessage}.`] : [])
+        ],
+        details: bookingDetails(booking),
+        action: manageLink ? { label: 'Manage booking', url: manageLink } : null
+    }),
+
+    bookingCode: ({ code, minutes }) => ({
+        subject: 'Your booking code',
+        heading: 'Your one-time code',
+        lines: [
+            `Enter ${code} on the My Bookings page to see your bookings.`,
+            `The code works for ${minutes} minutes. If you didn't ask for it, you can ignore this email.`
+        ],
+        details: []
+    }),
+
+    waitlistOffer: ({ entry, claimLink, minutes }) => ({
+        subject: 'A table is free for you!',
+        heading: `Good news, ${entry.name}!`,
+        lines: [
+            `A table for ${entry.guests} has opened up. It's held for you for ${minutes} minutes - claim it before someone else does.`
+        ],
+        details: [
+            ['Date', formatBookingDate(entry.date)],
+            ['Time', entry.offer.time],
+            ['Table', entry.offer.tableNumber]
+        ],
+        action: { label: 'Claim my table', url: claimLink }
+    }),
+
+    contactReply: ({ name, subject, reply, original, staffName }) => ({
+        subject: `Re: ${subject}`,
+        heading: `Hi ${name},`,
+        lines: [
+            ...reply.split(/\n+/),
+            `- ${staffName}`,
+            ...(original ? [`You wrote: "${original.length > 300 ? `${original.slice(0, 300)}...` : original}"`] : []),
+            'Need anything else? Send us another message from the Contact page.'
+        ],
+        details: []
+    }),
+
+    orderPlaced: ({ order }) => ({
+        subject: `Order received ${orderRef(order)}`,
+        heading: `Thanks for your order, ${orderName(order)}!`,
+        lines: ["We've sent your order to the kitchen. We'll let you know when it's on its way."],
+        details: orderDetails(order)
+    }),
+
+    orderStatus: ({ order, status, refundAmount }) => ({
+        subject: `Order ${orderRef(order)}: ${status}`,
+        heading: `Hi ${orderName(order)},`,
+        lines: [
+            ORDER_STATUS_LINES[status] || `Your order is now ${status.toLowerCase()}.`,
+            ...(refundAmount > 0 ? [`A refund of ₹${refundAmount} is on its way to your original payment method.`] : [])
+        ],
+        details: orderDetails(order)
+    })
+};
+
+const renderHtml = ({ heading, lines, details, action }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,sans-serif;color:#333;">
+  <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;overflow:hidden;">
+    <tr><td style="padding:20px 24px;background:#e23744;color:#ffffff;font-size:20px;font-weight:bold;">${escapeHtml(getRestaurantName())}</td></tr>
+    <tr><td style="padding:24px;">
+      <h2 style="margin:0 0 16px;font-size:20px;color:#1a1a2e;">${escapeHtml(heading)}</h2>
+      ${lines.map((line) => `<p style="margin:0 0 12px;font-size:15px;line-height:1.5;">${escapeHtml(line)}</p>`).join('\n      ')}
+      ${details.length > 0 ? `<table role="presentation" width="100%" style="margin:16px 0;border-collapse:collapse;font-size:14px;">
+        ${details.map(([label, value]) => `<tr><td style="padding:8px 0;border-bottom:1px solid #eee;color:#888;">${escapeHtml(label)}</td><td style="padding:8px 0;border-bottom:1px solid #eee;text-align:right;font-weight:bold;">${escapeHtml(value)}</td></tr>`).join('\n        ')}
+      </table>` : ''}
+      ${action ? `<p style="margin:24px 0 8px;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 24px;background:#e23744;color:#ffffff;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>` : ''}
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+const renderText = ({ heading, lines, details, action }) => [
+    heading,
+    '',
+    ...lines,
+    ...(details.length > 0 ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : []),
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    `- ${getRestaurantName()}`
+].join('\n');
+
+// Subject, HTML and plain text for a template. Throws for unknown templates.
+const renderEmail = (template, data) => {
+    if (!templates[template]) {
+        throw new Error(`Unknown email template "${template}"`);
+    }
+    const content = templates[template](data);
+    return {
+        subject: content.subject,
+        html: renderHtml(content),
+        text: renderText(content)
+    };
+};
+
+export { renderEmail, escapeHtml, getRestaurantName };
@@ -0,0 +1,154 @@
+import mongoose from "mongoose";
+
+// Most groups a dish can have, and options in one group
+const MAX_MODIFIER_GROUPS = 10;
+const MAX_GROUP_OPTIONS = 20;
+
+// Cart and order lines are keyed by the dish plus the options picked for it:
+// "<foodId>" for a dish without options, "<foodId>:<optionId>,<optionId>" otherwise.
+// Option ids are sorted so the same choices always make the same key.
+const makeCartKey = (itemId, optionIds = []) => {
+    const ids = [...new Set(optionIds.map(String))].sort();
+    return ids.length > 0 ? `${itemId}:${ids.join(',')}` : String(itemId);
+};
+
+const parseCartKey = (key) => {
+    const [itemId, options = ''] = String(key).split(':');
+    return { itemId, optionIds: options ? options.split(',') : [] };
+};
+
+const isValidCartKey = (key) => {
+    if (String(key).split(':').length > 2) return false;
+    const { itemId, optionIds } = parseCartKey(key);
+    return mongoose.isValidObjectId(itemId) && optionIds.every((id) => mongoose.isValidObjectId(id));
+};
+
+// Whether a dish can't be ordered without picking something (e.g. a size)
+const hasRequiredChoices = (food) => (food.modifierGroups || []).some((group) => group.minSelect > 0);
+
+// "Choose a Size", "Choose 2 Sides", "Choose at least 1 Topping"
+const describeChoice = (group) => {
+    if (group.minSelect === group.maxSelect) {
+        return group.minSelect === 1 ? `a ${group.name}` : `${group.minSelect} ${group.name}`;
+    }
+    return `at least ${group.minSelect} ${group.name}`;
+};
+
+// Check the options picked for a dish against its modifier groups.
+// Returns the picked options in menu order and what they add to the dish's price.
+// Throws with a message for the customer when the choice isn't allowed.
+const selectOptions = (food, optionIds = []) => {
+    const picked = new Set(optionIds.map(String));
+    const options = [];
+
+    for (const group of food.modifierGroups || []) {
+        const chosen = group.options.filter((option) => picked.has(option._id.toString()));
+        chosen.forEach((option) => picked.delete(option._id.toString()));
+
+        if (chosen.length < group.minSelect) {
+            throw new Error(`Choose ${describeChoice(group)} for ${food.name}`);
+        }
+        if (chosen.length > group.maxSelect) {
+            throw new Error(`Choose at most ${group.maxSelect} ${group.name} for ${food.name}`);
+        }
+        const unavailable = chosen.find((option) => !option.isAvailable);
+        if (unavailable) {
+            throw new Error(`${unavailable.name} is currently unavailable for ${food.name}`);
+        }
+
+        options.push(...chosen.map((option) => ({
+            _id: option._id.toString(),
+            group: group.name,
+            name: option.name,
+            priceDelta: option.priceDelta
+        })));
+    }
+
+    // Anything left over isn't offered for this dish (any more)
+    if (picked.size > 0) {
+        throw new Error(`Some of the choices for ${food.name} have changed. Please choose again.`);
+    }
+
+    return {
+        options,
+        priceDelta: options.reduce((sum, option) => sum + option.priceDelta, 0)
+    };
+};
+
+const readGroups = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return value ? JSON.parse(value) : [];
+    } catch (error) {
+        throw new Error("Invalid option groups");
+    }
+};
+
+// Validate modifier groups sent from the admin menu forms (an array, or JSON from the multipart
+// add form). Existing ids are kept so carts holding those options stay valid.
+// No option may take the dish below ₹0.
+const cleanModifierGroups = (value, price) => {
+    const groups = readGroups(value);
+    if (!Array.isArray(groups)) {
+        throw new Error("Invalid option groups");
+    }
+    if (groups.length > MAX_MODIFIER_GROUPS) {
+        throw new Error(`A dish can have up to ${MAX_MODIFIER_GROUPS} option groups`);
+    }
+
+    return groups.map((group) => {
+        const name = String(group.name || '').trim();
+        if (!name) {
+            throw new Error("Every option group needs a name");
+        }
+
+        const options = (Array.isArray(group.options) ? group.options : []).map((option) => {
+            const optionName = String(option.name || '').trim();
+            const priceDelta = Number(option.priceDelta || 0);
+            if (!optionName) {
+                throw new Error(`Every option in ${name} needs a name`);
+            }
+            if (!Number.isFinite(priceDelta) || Number(price) + priceDelta < 0) {
+                throw new Error(`The price of ${optionName} in ${name} isn't valid`);
+            }
+            return {
+                ...(mongoose.isValidObjectId(option._id) ? { _id: option._id } : {}),
+                name: optionName,
+                priceDelta: Math.round(priceDelta * 100) / 100,
+                isAvailable: option.isAvailable !== false
+            };
+        });
+        if (options.length === 0) {
+            throw new Error(`${name} needs at least one option`);
+        }
+        if (options.length > MAX_GROUP_OPTIONS) {
+            throw new Error(`${name} can have up to ${MAX_GROUP_OPTIONS} options`);
+        }
+
+        const minSelect = Number(group.minSelect || 0);
+        const maxSelect = Number(group.maxSelect || 1);
+        if (!Number.isInteger(minSelect) || !Number.isInteger(maxSelect) || minSelect < 0 || maxSelect < 1) {
+            throw new Error(`Invalid number of choices for ${name}`);
+        }
+        if (minSelect > maxSelect || maxSelect > options.length) {
+            throw new Error(`${name} asks for more choices than it has options`);
+        }
+
+        return {
+            ...(mongoose.isValidObjectId(group._id) ? { _id: group._id } : {}),
+            name,
+            minSelect,
+            maxSelect,
+            options
+        };
+    });
+};
+
+export {
+    makeCartKey,
+    parseCartKey,
+    isValidCartKey,
+    hasRequiredChoices,
+    selectOptions,
+    cleanModifierGroups
+};
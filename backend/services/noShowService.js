@@ -0,0 +1,134 @@
+import bookingModel from "../models/bookingModel.js";
+import seatingModel from "../models/seatingModel.js";
+import {
+    ACTIVE_BOOKING_STATUSES,
+    getBookingTableIds,
+    releaseBookingTables
+} from "./bookingAvailabilityService.js";
+import { getSettings } from "./openingHoursService.js";
+import { announceBooking } from "./realtimeService.js";
+import { notifyStaff } from "./notificationService.js";
+import { offerFreedTables } from "./waitlistService.js";
+import { makeHistoryEntry } from "./bookingChangeService.js";
+
+// Only bookings from the last day can turn into no-shows. Older ones left open
+// (e.g. from before this ran) are completed instead of counting against the guest.
+const NO_SHOW_LOOKBACK_MS = 24 * 60 * 60000;
+
+// Statuses staff set when the guests are at the restaurant
+const ARRIVAL_STATUSES = ['Confirmed', 'Completed'];
+
+// Guests are matched on email or phone, so a new email doesn't wipe the history
+const guestFilter = ({ email, phone }) => {
+    const match = [];
+    if (email) match.push({ email: email });
+    if (phone) match.push({ phone: phone });
+    return match.length > 0 ? { $or: match } : null;
+};
+
+// How many bookings this guest didn't turn up for
+const countNoShows = async (guest) => {
+    const filter = guestFilter(guest);
+    return filter ? bookingModel.countDocuments({ ...filter, status: 'No-show' }) : 0;
+};
+
+// Deposit a guest has to pay for a new booking because of earlier no-shows (0 = none)
+const getNoShowDeposit = async (settings, guest) => {
+    if (!(settings.noShowDepositThreshold > 0) || !(settings.noShowDepositAmount > 0)) return 0;
+    const noShows = await countNoShows(guest);
+    return noShows >= settings.noShowDepositThreshold ? settings.noShowDepositAmount : 0;
+};
+
+// No-show counts for a list of bookings, keyed by booking id (for the admin list)
+const getNoShowCounts = async (bookings) => {
+    const noShows = await bookingModel.find({ status: 'No-show' }).select('email phone');
+    const counts = new Map();
+    for (const booking of bookings) {
+        counts.set(booking._id.toString(), noShows.filter(
+            (b) => b.email === booking.email || b.phone === booking.phone
+        ).length);
+    }
+    return counts;
+};
+
+// The party has turned up once staff seated this booking from the floor plan, or confirmed or
+// completed it by hand after it started. A table that is occupied by someone else (a walk-in or
+// an earlier party running over) doesn't count.
+const hasArrived = async (booking) => {
+    const checkedIn = (booking.history || []).some((entry) =>
+        entry.changedBy === 'staff'
+        && booking.startAt && new Date(entry.changedAt) >= new Date(booking.startAt)
+        && entry.changes.some((change) => change.field === 'Status' && ARRIVAL_STATUSES.includes(change.to)));
+    return checkedIn || Boolean(await seatingModel.exists({ bookingId: booking._id }));
+};
+
+const closeBooking = async (booking, status) => {
+    const changes = status === 'No-show' ? { status, noShowAt: new Date() } : { status };
+    const history = makeHistoryEntry({
+        changedBy: 'system',
+        changes: [{ field: 'Status', from: booking.status, to: status }]
+    });
+    const updated = await bookingModel.findOneAndUpdate(
+        { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+        { ...changes, $push: { history } },
+        { new: true }
+    );
+    if (!updated) return null;
+
+    await releaseBookingTables(updated, status === 'No-show' ? 'released after a no-show' : 'released after the booking ended');
+    announceBooking('booking:status', updated);
+    return updated;
+};
+
+// Mark late bookings nobody turned up for as no-shows and complete bookings whose time is over.
+// A no-show's tables are offered to the waitlist for the rest of their slot.
+const processPastBookings = async (now = new Date()) => {
+    const settings = await getSettings();
+    const graceMinutes = settings.noShowGraceMinutes;
+    const result = { noShows: 0, completed: 0 };
+
+    if (graceMinutes > 0) {
+        const late = await bookingModel.find({
+            status: { $in: ACTIVE_BOOKING_STATUSES },
+            startAt: {
+                $gte: new Date(now.getTime() - NO_SHOW_LOOKBACK_MS),
+                $lte: new Date(now.getTime() - graceMinutes * 60000)
+            }
+        });
+        for (const booking of late) {
+            // Without a table there is nothing to tell us whether the guest arrived
+            if (getBookingTableIds(booking).length === 0 || await hasArrived(booking)) continue;
+
+            const noShow = await closeBooking(booking, 'No-show');
+            if (!noShow) continue;
+            result.noShows += 1;
+
+            const count = await countNoShows(noShow);
+            await notifyStaff({
+                type: 'booking',
+                title: 'No-show',
+                message: `${noShow.name} · ${noShow.time}${noShow.tableNumber ? ` · Table ${noShow.tableNumber}` : ''}${count > 1 ? ` · ${count} no-shows so far` : ''}`,
+                permission: 'bookings',
+                link: '/bookings',
+                bookingId: noShow._id
+            });
+            await offerFreedTables(noShow.date);
+        }
+    }
+
+    const over = await bookingModel.find({
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        endAt: { $lte: now }
+    });
+    for (const booking of over) {
+        // Guests still at the table are completed when the host clears it
+        if (await seatingModel.exists({ bookingId: booking._id, clearedAt: null })) continue;
+        if (await closeBooking(booking, 'Completed')) {
+            result.completed += 1;
+        }
+    }
+
+    return result;
+};
+
+export { countNoShows, getNoShowDeposit, getNoShowCounts, hasArrived, processPastBookings };
@@ -0,0 +1,31 @@
+import notificationModel from "../models/notificationModel.js";
+import { sendToStaff } from "./realtimeService.js";
+
+// Add an entry to the staff notification feed and push it to everyone who can see it.
+// A failed notification never fails the request that caused it.
+const notifyStaff = async ({ type, title, message = '', permission, link = '', orderId = null, bookingId = null }) => {
+    try {
+        const notification = await notificationModel.create({
+            type, title, message, permission, link, orderId, bookingId
+        });
+        sendToStaff(permission, 'notification', notification);
+        return notification;
+    } catch (error) {
+        console.error("Error creating notification:", error);
+        return null;
+    }
+};
+
+const orderRef = (order) => `#${order._id.toString().slice(-8).toUpperCase()}`;
+
+// A new order the kitchen should start on (COD, or online once paid)
+const notifyNewOrder = (order) => notifyStaff({
+    type: 'order',
+    title: `New order ${orderRef(order)}`,
+    message: `${order.items.length} item${order.items.length === 1 ? '' : 's'} · ₹${order.amount} · ${order.paymentMethod === 'COD' ? 'Cash on delivery' : 'Paid online'}`,
+    permission: 'orders',
+    link: '/orders',
+    orderId: order._id
+});
+
+export { notifyStaff, notifyNewOrder, orderRef };
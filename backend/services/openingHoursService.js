@@ -0,0 +1,118 @@
+import settingsModel from "../models/settingsModel.js";
+import { parseTimeToMinutes, getBookingStart } from "./bookingTimeService.js";
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Lunch and dinner every day - the slots the booking page used to hardcode
+const DEFAULT_SHIFTS = [{ open: '11:00', close: '15:00' }, { open: '17:00', close: '22:00' }];
+
+// The restaurant settings document, created with defaults the first time it's needed
+const getSettings = async () => {
+    return settingsModel.findOneAndUpdate(
+        {},
+        { $setOnInsert: { openingHours: WEEKDAYS.map((name, day) => ({ day, shifts: DEFAULT_SHIFTS })) } },
+        { upsert: true, new: true }
+    );
+};
+
+// "YYYY-MM-DD" for a booking date (date strings and stored booking dates are both midnight UTC)
+const toDateKey = (date) => {
+    const day = new Date(date);
+    return isNaN(day.getTime()) ? null : day.toISOString().slice(0, 10);
+};
+
+// 1140 -> "7:00 PM", the format booking times are stored in
+const formatSlotTime = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${String(minutes % 60).padStart(2, '0')} ${period}`;
+};
+
+// Opening shifts for a day after holidays and special hours are applied.
+// Returns null for an unreadable date.
+const getDaySchedule = (settings, date) => {
+    const dateKey = toDateKey(date);
+    if (!dateKey) return null;
+
+    const closure = settings.closures.find((c) => c.date === dateKey);
+    if (closure) {
+        return { dateKey, closed: true, reason: closure.reason || 'Closed for the day', shifts: [] };
+    }
+
+    const special = settings.specialHours.find((s) => s.date === dateKey);
+    if (special) {
+        return {
+            dateKey,
+            closed: special.shifts.length === 0,
+            reason: special.note || (special.shifts.length === 0 ? 'Closed for the day' : ''),
+            shifts: special.shifts
+        };
+    }
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const weekly = settings.openingHours.find((h) => h.day === weekday);
+    const shifts = weekly ? weekly.shifts : [];
+    return {
+        dateKey,
+        closed: shifts.length === 0,
+        reason: shifts.length === 0 ? `Closed on ${WEEKDAYS[weekday]}s` : '',
+        shifts
+    };
+};
+
+// Bookable start times (minutes after midnight) for the day's shifts
+const getSlotMinutes = (settings, schedule) => {
+    const interval = Math.max(5, settings.slotIntervalMinutes || 30);
+    const slots = [];
+    for (const shift of schedule.shifts) {
+        const open = parseTimeToMinutes(shift.open);
+        const lastStart = parseTimeToMinutes(shift.close) - (settings.lastSeatingMinutes || 0);
+        for (let minutes = open; minutes <= lastStart; minutes += interval) {
+            slots.push(minutes);
+        }
+    }
+    return slots;
+};
+
+// Why a guest can't book at this moment regardless of the day's hours (too soon / too far ahead), or null
+const checkBookingNotice = (settings, startAt, now = new Date()) => {
+    if (startAt < now) {
+        return "That time has already passed";
+    }
+    if (startAt < new Date(now.getTime() + settings.minNoticeMinutes * 60000)) {
+        return `Bookings need to be made at least ${settings.minNoticeMinutes} minutes in advance`;
+    }
+    if (startAt > new Date(now.getTime() + settings.maxAdvanceDays * 24 * 60 * 60000)) {
+        return `Bookings can be made up to ${settings.maxAdvanceDays} days ahead`;
+    }
+    return null;
+};
+
+// Why a booking can't be made for this date and time, or null if it can
+const checkBookingTime = (settings, date, time, now = new Date()) => {
+    const schedule = getDaySchedule(settings, date);
+    const minutes = parseTimeToMinutes(time);
+    const startAt = getBookingStart(date, time);
+    if (!schedule || minutes === null || !startAt) {
+        return "Please choose a valid date and time";
+    }
+    if (schedule.closed) {
+        return `We're closed on this day (${schedule.reason})`;
+    }
+    if (!getSlotMinutes(settings, schedule).includes(minutes)) {
+        return "We don't take bookings at that time. Please pick one of the available slots.";
+    }
+    return checkBookingNotice(settings, startAt, now);
+};
+
+export {
+    WEEKDAYS,
+    getSettings,
+    toDateKey,
+    formatSlotTime,
+    getDaySchedule,
+    getSlotMinutes,
+    checkBookingNotice,
+    checkBookingTime
+};
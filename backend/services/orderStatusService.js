@@ -0,0 +1,130 @@
+import orderModel from "../models/orderModel.js";
+import {
+    ORDER_FLOW,
+    LEGACY_ORDER_STATUSES,
+    VOID_ORDER_STATUSES,
+    UNPAID_ORDER_STATUSES,
+    EMAILED_ORDER_STATUSES,
+    canTransition,
+    createStatusEntry
+} from "../config/orderStatus.js";
+import { releaseCoupon } from "./couponService.js";
+import { issueRefund, getRefundableAmount } from "./refundService.js";
+import { announceOrder } from "./realtimeService.js";
+import { notifyStaff, orderRef } from "./notificationService.js";
+import { queueEmail } from "./emailService.js";
+
+// Move an order to a new status if the lifecycle allows it, and record who did it.
+// Cancelling or rejecting an order gives back its coupon use and refunds any online payment,
+// so staff without the refunds permission can only do that for orders with nothing to refund.
+const transitionOrder = async (orderId, status, actor, note = '') => {
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+        throw new Error("Order not found");
+    }
+    if (!canTransition(order.status, status)) {
+        throw new Error(`An order can't go from "${order.status}" to "${status}"`);
+    }
+
+    if (VOID_ORDER_STATUSES.includes(status) && actor.type === 'admin' && !actor.canRefund
+        && await getRefundableAmount('order', order) > 0) {
+        throw new Error(`Only staff who can issue refunds can move a paid order to "${status}"`);
+    }
+
+    const update = { status: status };
+
+    // COD orders are paid when they are delivered
+    if (status === 'Delivered' && order.paymentMethod === 'COD') {
+        update.payment = true;
+        update.paidAt = new Date();
+    }
+
+    // Only apply the change if nobody else moved the order in the meantime
+    const updated = await orderModel.findOneAndUpdate(
+        { _id: orderId, status: order.status },
+        { $set: update, $push: { statusHistory: createStatusEntry(status, actor, note) } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new Error("This order was just updated by someone else. Please refresh and try again.");
+    }
+
+    let refund = null;
+    if (VOID_ORDER_STATUSES.includes(status)) {
+        // Failed payments already gave their coupon use back
+        if (order.status !== 'Payment Failed') {
+            await releaseCoupon(order.coupon);
+        }
+
+        if (await getRefundableAmount('order', updated) > 0) {
+            refund = await issueRefund({
+                type: 'order',
+                record: updated,
+                reason: note || `Order ${status.toLowerCase()}`,
+                initiatedBy: actor.type === 'customer' ? 'customer' : 'admin',
+                initiatedByName: actor.name
+            });
+        }
+    }
+
+    announceOrder('order:status', updated);
+    if (actor.type === 'customer') {
+        await notifyStaff({
+            type: 'order',
+            title: `Order ${orderRef(updated)} ${status.toLowerCase()} by customer`,
+            message: actor.name,
+            permission: 'orders',
+            link: '/orders',
+            orderId: updated._id
+        });
+    }
+
+    // Checkouts that were never paid for end without telling the customer
+    if (EMAILED_ORDER_STATUSES.includes(status) && !UNPAID_ORDER_STATUSES.includes(order.status)) {
+        await queueEmail({
+            to: updated.address?.email,
+            template: 'orderStatus',
+            data: { order: updated, status, refundAmount: refund && refund.status !== 'failed' ? refund.amount : 0 }
+        });
+    }
+
+    console.log(`Order ${orderId}: ${order.status} -> ${status} by ${actor.type} ${actor.name}`);
+    return { order: updated, refund };
+};
+
+// Move an order forward to a later stage in one go (e.g. Placed -> Ready from the kitchen screen).
+// Each stage in between is still recorded in the history.
+const advanceOrder = async (orderId, status, actor, note = '') => {
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+        throw new Error("Order not found");
+    }
+
+    const from = ORDER_FLOW.indexOf(order.status);
+    const to = ORDER_FLOW.indexOf(status);
+    if (from === -1 || to <= from) {
+        throw new Error(`An order can't go from "${order.status}" to "${status}"`);
+    }
+
+    let result;
+    for (const step of ORDER_FLOW.slice(from + 1, to + 1)) {
+        result = await transitionOrder(orderId, step, actor, step === status ? note : '');
+    }
+    return result;
+};
+
+// Rename statuses saved before the order lifecycle existed
+const migrateLegacyOrderStatuses = async () => {
+    try {
+        for (const [legacyStatus, status] of Object.entries(LEGACY_ORDER_STATUSES)) {
+            const result = await orderModel.updateMany({ status: legacyStatus }, { $set: { status: status } });
+            if (result.modifiedCount > 0) {
+                console.log(`Moved ${result.modifiedCount} orders from "${legacyStatus}" to "${status}"`);
+            }
+        }
+    } catch (error) {
+        console.error("Error migrating order statuses:", error);
+    }
+};
+
+export { transitionOrder, advanceOrder, migrateLegacyOrderStatuses };
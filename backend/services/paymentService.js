@@ -0,0 +1,229 @@
+import Razorpay from "razorpay";
+import Stripe from "stripe";
+import crypto from "crypto";
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import userModel from "../models/userModel.js";
+import paymentEventModel from "../models/paymentEventModel.js";
+import { releaseCoupon, reclaimCoupon } from "./couponService.js";
+import { toPaise, getBookingAmountDue } from "./pricingService.js";
+import { UNPAID_ORDER_STATUSES, createStatusEntry } from "../config/orderStatus.js";
+import { announceOrder } from "./realtimeService.js";
+import { notifyNewOrder } from "./notificationService.js";
+import { queueEmail } from "./emailService.js";
+import { applyPendingChange } from "./bookingChangeService.js";
+
+let razorpayClient = null;
+let stripeClient = null;
+
+// Payment clients are created on first use so .env is loaded by then
+const getRazorpay = () => {
+    if (!razorpayClient) {
+        razorpayClient = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET
+        });
+    }
+    return razorpayClient;
+};
+
+const getStripe = () => {
+    if (!stripeClient) {
+        stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return stripeClient;
+};
+
+// Constant-time comparison of an HMAC-SHA256 signature
+const verifyHmacSignature = (payload, signature, secret) => {
+    if (!signature || !secret) return false;
+
+    const expected = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+// An event still marked received after this long was dropped mid-apply (e.g. the server restarted)
+const STALE_EVENT_MINUTES = 5;
+
+// Whether a duplicate event should be applied again rather than skipped
+const shouldRetryEvent = (event) => {
+    if (event.status === 'error') return true;
+    const staleBefore = Date.now() - STALE_EVENT_MINUTES * 60000;
+    return event.status === 'received' && new Date(event.createdAt).getTime() <= staleBefore;
+};
+
+// Record a payment event in the ledger and apply it once.
+// `apply` returns a short description of what changed, or null when there was nothing to do.
+// Events we have already processed are skipped; events that errored or never finished are retried.
+const processPaymentEvent = async (details, apply) => {
+    let event;
+    try {
+        event = await paymentEventModel.create(details);
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        event = await paymentEventModel.findOne({ provider: details.provider, eventId: details.eventId });
+        if (!shouldRetryEvent(event)) {
+            return { duplicate: true, event };
+        }
+    }
+
+    try {
+        const result = await apply();
+        event.status = result ? 'processed' : 'ignored';
+        event.message = result || 'Nothing to update';
+    } catch (error) {
+        event.status = 'error';
+        event.message = error.message;
+        event.processedAt = new Date();
+        await event.save();
+        throw error;
+    }
+
+    event.processedAt = new Date();
+    await event.save();
+    return { duplicate: false, event };
+};
+
+// Mark an online order as paid. Safe to call more than once.
+// When razorpayOrderId is given it must match the order, so a payment for one order can't confirm another.
+const markOrderPaid = async (orderId, { paymentId = '', razorpayOrderId, amount } = {}) => {
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+        throw new Error("Order not found");
+    }
+    if (order.payment) {
+        return null;
+    }
+    if (razorpayOrderId && order.razorpayOrderId && order.razorpayOrderId !== razorpayOrderId) {
+        throw new Error("Payment does not belong to this order");
+    }
+    if (amount !== undefined && toPaise(amount) !== toPaise(order.amount)) {
+        throw new Error(`Paid amount ₹${amount} does not match order total ₹${order.amount}`);
+    }
+
+    const update = {
+        $set: {
+            payment: true,
+            paymentId: paymentId,
+            paidAt: new Date()
+        }
+    };
+    if (razorpayOrderId) {
+        update.$set.razorpayOrderId = razorpayOrderId;
+    }
+    // A late payment on a cancelled order keeps it cancelled (staff can refund it)
+    if (UNPAID_ORDER_STATUSES.includes(order.status)) {
+        update.$set.status = "Placed";
+        update.$push = { statusHistory: createStatusEntry("Placed", undefined, "Payment received") };
+    }
+
+    const previous = await orderModel.findOneAndUpdate({ _id: orderId, payment: false }, update);
+    if (!previous) {
+        return null;
+    }
+
+    // The coupon use was given back when the payment failed, take it again
+    if (previous.status === 'Payment Failed') {
+        await reclaimCoupon(previous.coupon);
+    }
+
+    // Paid orders reach the kitchen now
+    const updated = await orderModel.findById(orderId);
+    announceOrder(update.$set.status ? 'order:new' : 'order:status', updated);
+    if (update.$set.status) {
+        // Card checkouts keep the cart until the money is in, so an abandoned payment loses nothing
+        await userModel.findByIdAndUpdate(updated.userId, { cartData: {} });
+        await notifyNewOrder(updated);
+        await queueEmail({ to: updated.address?.email, template: 'orderPlaced', data: { order: updated } });
+    }
+
+    return `Order ${orderId} marked as paid`;
+};
+
+// Mark an unpaid online order as failed and give back its coupon use
+const markOrderFailed = async (orderId) => {
+    const order = await orderModel.findOneAndUpdate(
+        { _id: orderId, payment: false, status: "Pending Payment" },
+        {
+            $set: { status: "Payment Failed" },
+            $push: { statusHistory: createStatusEntry("Payment Failed", undefined, "Payment was not completed") }
+        },
+        { new: true }
+    );
+    if (!order) {
+        return null;
+    }
+
+    await releaseCoupon(order.coupon);
+    announceOrder('order:status', order);
+    return `Order ${orderId} marked as payment failed`;
+};
+
+// Mark a booking's pre-order and deposit as paid. Safe to call more than once.
+// Also settles top-ups the guest pays after changing a paid booking.
+const markBookingPaid = async (bookingId, { paymentId = '', razorpayOrderId, amount } = {}) => {
+    const booking = await bookingModel.findById(bookingId);
+    if (!booking) {
+        throw new Error("Booking not found");
+    }
+
+    const topUp = razorpayOrderId && booking.extraPayments.find((payment) => payment.razorpayOrderId === razorpayOrderId);
+    if (topUp) {
+        if (amount !== undefined && toPaise(amount) !== toPaise(topUp.amount)) {
+            throw new Error(`Paid amount ₹${amount} does not match top-up ₹${topUp.amount}`);
+        }
+        const paidTopUp = await bookingModel.findOneAndUpdate(
+            { _id: bookingId, extraPayments: { $elemMatch: { razorpayOrderId: razorpayOrderId, status: { $ne: 'paid' } } } },
+            {
+                $set: { 'extraPayments.$.status': 'paid', 'extraPayments.$.paymentId': paymentId, 'extraPayments.$.paidAt': new Date() },
+                $inc: { paidAmount: topUp.amount }
+            }
+        );
+        if (!paidTopUp) return null;
+        const message = `Top-up of ₹${topUp.amount} for booking ${bookingId} marked as paid`;
+        if (!topUp.forPendingChange) return message;
+
+        // Changes that cost more are only saved once their top-up is paid
+        return `${message}. ${await applyPendingChange(bookingId, { amount: topUp.amount, paymentId: paymentId })}`;
+    }
+    if (booking.paymentStatus === 'paid' || booking.paymentStatus === 'refunded') {
+        return null;
+    }
+    if (razorpayOrderId && booking.razorpayOrderId !== razorpayOrderId) {
+        throw new Error("Payment does not belong to this booking");
+    }
+    if (amount !== undefined && toPaise(amount) !== toPaise(getBookingAmountDue(booking))) {
+        throw new Error(`Paid amount ₹${amount} does not match booking total ₹${getBookingAmountDue(booking)}`);
+    }
+
+    const updated = await bookingModel.findOneAndUpdate(
+        { _id: bookingId, paymentStatus: { $in: ['pending', 'failed'] } },
+        { preOrderPayment: true, paymentId: paymentId, paymentStatus: 'paid', paidAt: new Date(), paidAmount: getBookingAmountDue(booking) }
+    );
+
+    return updated ? `Booking ${bookingId} marked as paid` : null;
+};
+
+const markBookingFailed = async (bookingId) => {
+    const updated = await bookingModel.findOneAndUpdate(
+        { _id: bookingId, paymentStatus: 'pending' },
+        { paymentStatus: 'failed' }
+    );
+
+    return updated ? `Booking ${bookingId} marked as payment failed` : null;
+};
+
+export {
+    getRazorpay,
+    getStripe,
+    verifyHmacSignature,
+    processPaymentEvent,
+    markOrderPaid,
+    markOrderFailed,
+    markBookingPaid,
+    markBookingFailed
+};
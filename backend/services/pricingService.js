@@ -0,0 +1,152 @@
+import foodModel from "../models/foodModel.js";
+import { validateCoupon } from "./couponService.js";
+import { makeCartKey, parseCartKey, isValidCartKey, selectOptions } from "./modifierService.js";
+
+const MAX_ITEM_QUANTITY = 50;
+
+// Pricing settings (can be overridden from .env)
+const getPricingSettings = () => ({
+    deliveryFee: Number(process.env.DELIVERY_FEE ?? 40),
+    freeDeliveryAbove: Number(process.env.FREE_DELIVERY_ABOVE ?? 0), // 0 = never free
+    taxRate: Number(process.env.TAX_RATE ?? 0.05) // GST on food
+});
+
+// Round to 2 decimal places (rupees)
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Convert cartData ({ cartKey: count }) into an items array
+const cartToItems = (cartData = {}) => {
+    return Object.keys(cartData)
+        .filter((key) => cartData[key] > 0)
+        .map((key) => ({ key, quantity: cartData[key] }));
+};
+
+// The cart key of an order item: sent as `key`, or as a dish id plus the option ids picked for it
+const getItemKey = (item) => {
+    if (item.key) return String(item.key);
+    const itemId = item.itemId || item._id;
+    if (!itemId) return null;
+    const optionIds = Array.isArray(item.options) ? item.options.map((option) => option?._id ?? option) : [];
+    return makeCartKey(itemId, optionIds);
+};
+
+// Food items with no status field are legacy items and count as available
+const isFoodAvailable = (food) => !food.status || food.status === 'available';
+
+// Rebuild an order from cart keys (dish id plus chosen options) and quantities using current menu prices.
+// Anything the client sends besides the key and quantity is ignored.
+// Pass couponCode (and userId for per-customer rules) to apply a promo code.
+const priceOrder = async (items, options = {}) => {
+    const { couponCode, userId, includeDelivery = true, includeTax = true } = options;
+    const settings = getPricingSettings();
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("Order items are required");
+    }
+
+    // Merge duplicate lines and validate quantities
+    const quantities = {};
+    for (const item of items) {
+        const key = getItemKey(item);
+        const quantity = Number(item.quantity);
+
+        if (!key || !isValidCartKey(key)) {
+            throw new Error("Invalid order item");
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error("Invalid quantity for an order item");
+        }
+
+        // Re-made so the same choices in a different order count as one line
+        const { itemId, optionIds } = parseCartKey(key);
+        const cartKey = makeCartKey(itemId, optionIds);
+        quantities[cartKey] = (quantities[cartKey] || 0) + quantity;
+        if (quantities[cartKey] > MAX_ITEM_QUANTITY) {
+            throw new Error(`You can order at most ${MAX_ITEM_QUANTITY} of a single item`);
+        }
+    }
+
+    const keys = Object.keys(quantities);
+    const foodIds = [...new Set(keys.map((key) => parseCartKey(key).itemId))];
+    const foods = await foodModel.find({ _id: { $in: foodIds } });
+
+    const lineItems = keys.map((key) => {
+        const { itemId, optionIds } = parseCartKey(key);
+        const food = foods.find((f) => f._id.toString() === itemId);
+        if (!food) {
+            throw new Error("One of the items in your order no longer exists");
+        }
+        if (!isFoodAvailable(food)) {
+            throw new Error(`${food.name} is currently unavailable`);
+        }
+
+        // Sizes and add-ons change the price of each one
+        const { options, priceDelta } = selectOptions(food, optionIds);
+        const price = roundMoney(food.price + priceDelta);
+
+        return {
+            _id: food._id.toString(),
+            key,
+            name: food.name,
+            image: food.image,
+            category: food.category,
+            options,
+            price,
+            quantity: quantities[key],
+            lineTotal: roundMoney(price * quantities[key])
+        };
+    });
+
+    const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    let deliveryFee = 0;
+    if (includeDelivery) {
+        const freeDelivery = settings.freeDeliveryAbove > 0 && subtotal >= settings.freeDeliveryAbove;
+        deliveryFee = freeDelivery ? 0 : settings.deliveryFee;
+    }
+
+    let coupon = null;
+    if (couponCode) {
+        coupon = await validateCoupon(couponCode, { userId, items: lineItems, subtotal });
+    }
+
+    // Discounts never exceed the item total
+    const appliedDiscount = roundMoney(Math.min(coupon ? coupon.discount : 0, subtotal));
+    if (coupon) {
+        coupon.discount = appliedDiscount;
+    }
+
+    // Tax is charged on the discounted food amount, not on delivery
+    const taxRate = includeTax ? settings.taxRate : 0;
+    const tax = roundMoney((subtotal - appliedDiscount) * taxRate);
+    const total = roundMoney(subtotal - appliedDiscount + deliveryFee + tax);
+
+    return {
+        items: lineItems,
+        coupon,
+        pricing: {
+            subtotal,
+            deliveryFee,
+            discount: appliedDiscount,
+            taxRate,
+            tax,
+            total,
+            currency: "INR"
+        }
+    };
+};
+
+// Razorpay and Stripe expect amounts in paise
+const toPaise = (amount) => Math.round(roundMoney(amount) * 100);
+
+// What a guest pays online for a booking: the food pre-order plus any deposit
+const getBookingAmountDue = (booking) => roundMoney((booking.preOrderTotal || 0) + (booking.depositAmount || 0));
+
+// What a guest has paid online for a booking, including top-ups for later changes.
+// Bookings paid before `paidAmount` was stored paid exactly the amount due.
+const getBookingPaidAmount = (booking) => {
+    if (!['paid', 'refunded'].includes(booking.paymentStatus)) return 0;
+    return booking.paidAmount > 0 ? booking.paidAmount : getBookingAmountDue(booking);
+};
+
+export { MAX_ITEM_QUANTITY, priceOrder, cartToItems, toPaise, roundMoney, isFoodAvailable, getBookingAmountDue, getBookingPaidAmount };
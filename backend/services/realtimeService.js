@@ -0,0 +1,92 @@
+import { hasPermission } from "../config/permissions.js";
+
+// Open Server-Sent Events streams. Staff streams carry the admin's role so
+// each event only reaches roles allowed to see it; customer streams carry the user id.
+const clients = new Set();
+
+const HEARTBEAT_MS = 25000;
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Keep the response open as an event stream until the browser disconnects
+const openStream = (req, res, client) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const entry = { ...client, res };
+    clients.add(entry);
+    writeEvent(res, 'connected', { at: new Date() });
+
+    // Comment lines stop proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(entry);
+    });
+};
+
+// Send an event to every staff member whose role has the permission (or any of a list)
+const sendToStaff = (permission, event, data) => {
+    const permissions = [].concat(permission);
+    for (const client of clients) {
+        if (client.type === 'staff' && permissions.some((p) => hasPermission(client.role, p))) {
+            writeEvent(client.res, event, data);
+        }
+    }
+};
+
+// Send an event to every open tab of one customer
+const sendToCustomer = (userId, event, data) => {
+    if (!userId) return;
+    for (const client of clients) {
+        if (client.type === 'customer' && client.userId === String(userId)) {
+            writeEvent(client.res, event, data);
+        }
+    }
+};
+
+// Live order updates for the kitchen/orders screens and the customer who placed it
+const announceOrder = (event, order) => {
+    const data = {
+        orderId: order._id.toString(),
+        status: order.status,
+        amount: order.amount,
+        paymentMethod: order.paymentMethod,
+        at: new Date()
+    };
+    sendToStaff('orders', event, data);
+    sendToCustomer(order.userId, event, data);
+};
+
+// Live booking updates. Bookings also change table status, so the floor view listens too,
+// and the kitchen screen needs to hear about bookings with a pre-order.
+const announceBooking = (event, booking) => {
+    const data = {
+        bookingId: booking._id.toString(),
+        status: booking.status,
+        tableId: booking.tableId ? booking.tableId.toString() : null,
+        date: booking.date,
+        time: booking.time,
+        at: new Date()
+    };
+    sendToStaff(booking.hasPreOrder ? ['bookings', 'tables', 'orders'] : ['bookings', 'tables'], event, data);
+};
+
+const announceTable = (table) => {
+    sendToStaff('tables', 'table:status', {
+        tableId: table._id.toString(),
+        tableNumber: table.tableNumber,
+        status: table.status,
+        at: new Date()
+    });
+};
+
+export { openStream, sendToStaff, sendToCustomer, announceOrder, announceBooking, announceTable };
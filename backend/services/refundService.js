@@ -0,0 +1,292 @@
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import refundModel from "../models/refundModel.js";
+import { getRazorpay, getStripe } from "./paymentService.js";
+import { toPaise, roundMoney, getBookingPaidAmount } from "./pricingService.js";
+import { getBookingStart } from "./bookingTimeService.js";
+
+// Cancellation policy for paid booking pre-orders (can be overridden from .env)
+const getRefundPolicy = () => ({
+    fullRefundHours: Number(process.env.REFUND_FULL_HOURS ?? 24), // cancel this early for a full refund
+    partialRefundHours: Number(process.env.REFUND_PARTIAL_HOURS ?? 4), // cancel this early for a partial refund
+    partialRefundPercent: Number(process.env.REFUND_PARTIAL_PERCENT ?? 50)
+});
+
+// Stripe payment intents start with "pi_", everything else was paid through Razorpay
+const getProvider = (paymentId) => paymentId.startsWith('pi_') ? 'stripe' : 'razorpay';
+
+const getRecordField = (type) => type === 'order' ? 'orderId' : 'bookingId';
+
+// Amount that was actually paid online for an order or booking
+const getPaidAmount = (type, record) => {
+    if (!record.paymentId) return 0;
+    if (type === 'order') {
+        return record.payment && record.paymentMethod !== 'COD' ? record.amount : 0;
+    }
+    return getBookingPaidAmount(record);
+};
+
+// Paid amount minus refunds that are processed or still on their way
+const getRefundableAmount = async (type, record) => {
+    const paid = getPaidAmount(type, record);
+    if (paid <= 0) return 0;
+
+    const pendingRefunds = await refundModel.find({
+        [getRecordField(type)]: record._id.toString(),
+        status: 'pending'
+    });
+    const pendingTotal = pendingRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+    return Math.max(0, roundMoney(paid - record.refundedAmount - pendingTotal));
+};
+
+// Work out how much of a paid pre-order goes back to the guest if they cancel now
+const calculateBookingRefund = async (booking, now = new Date()) => {
+    const policy = getRefundPolicy();
+    const refundable = await getRefundableAmount('booking', booking);
+
+    if (refundable <= 0) {
+        return { policy: 'none', percent: 0, amount: 0, message: "No payment to refund" };
+    }
+
+    const start = booking.startAt || getBookingStart(booking.date, booking.time);
+    const hoursBefore = start ? (start - now) / (60 * 60 * 1000) : 0;
+
+    if (hoursBefore >= policy.fullRefundHours) {
+        return {
+            policy: 'full',
+            percent: 100,
+            amount: refundable,
+            message: `Full refund of ₹${refundable}`
+        };
+    }
+    if (hoursBefore >= policy.partialRefundHours) {
+        const amount = roundMoney(refundable * policy.partialRefundPercent / 100);
+        return {
+            policy: 'partial',
+            percent: policy.partialRefundPercent,
+            amount: amount,
+            message: `${policy.partialRefundPercent}% refund of ₹${amount} (cancelled less than ${policy.fullRefundHours} hours before)`
+        };
+    }
+    return {
+        policy: 'none',
+        percent: 0,
+        amount: 0,
+        message: `No refund for cancellations less than ${policy.partialRefundHours} hours before the booking`
+    };
+};
+
+// Mark a refund as processed and add it to the order/booking's refunded total. Safe to call more than once.
+const completeRefund = async (refundId) => {
+    const refund = await refundModel.findOneAndUpdate(
+        { _id: refundId, status: { $ne: 'processed' } },
+        { status: 'processed', processedAt: new Date(), failureReason: '' },
+        { new: true }
+    );
+    if (!refund) return null;
+
+    if (refund.type === 'order') {
+        await orderModel.findByIdAndUpdate(refund.orderId, { $inc: { refundedAmount: refund.amount } });
+    } else {
+        const booking = await bookingModel.findByIdAndUpdate(
+            refund.bookingId,
+            { $inc: { refundedAmount: refund.amount } },
+            { new: true }
+        );
+        if (booking && booking.refundedAmount >= getBookingPaidAmount(booking)) {
+            booking.paymentStatus = 'refunded';
+            await booking.save();
+        }
+    }
+
+    return refund;
+};
+
+const failRefund = async (refundId, failureReason) => {
+    return refundModel.findOneAndUpdate(
+        { _id: refundId, status: 'pending' },
+        { status: 'failed', failureReason: failureReason, processedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Refund part or all of a paid order or booking through the provider it was paid with.
+// Throws for invalid requests; provider errors are saved on the refund record as 'failed'.
+// `paymentId` picks one of a booking's payments (the first one by default).
+const issueRefund = async ({ type, record, amount, paymentId = record.paymentId, reason = '', initiatedBy = 'admin', initiatedByName = '' }) => {
+    const refundable = await getRefundableAmount(type, record);
+    const refundAmount = amount === undefined || amount === '' ? refundable : roundMoney(amount);
+
+    if (refundable <= 0) {
+        throw new Error("There is no online payment left to refund");
+    }
+    if (!(refundAmount > 0)) {
+        throw new Error("Refund amount must be more than zero");
+    }
+    if (refundAmount > refundable) {
+        throw new Error(`Only ₹${refundable} can be refunded`);
+    }
+
+    const provider = getProvider(paymentId);
+    const refund = await refundModel.create({
+        type: type,
+        [getRecordField(type)]: record._id.toString(),
+        provider: provider,
+        paymentId: paymentId,
+        amount: refundAmount,
+        reason: reason,
+        initiatedBy: initiatedBy,
+        initiatedByName: initiatedByName
+    });
+
+    try {
+        let processed = false;
+        if (provider === 'razorpay') {
+            const result = await getRazorpay().payments.refund(paymentId, {
+                amount: toPaise(refundAmount),
+                notes: { refundId: refund._id.toString(), reason: reason }
+            });
+            refund.providerRefundId = result.id;
+            processed = result.status === 'processed';
+        } else {
+            const result = await getStripe().refunds.create({
+                payment_intent: paymentId,
+                amount: toPaise(refundAmount),
+                metadata: { refundId: refund._id.toString() }
+            });
+            refund.providerRefundId = result.id;
+            processed = result.status === 'succeeded';
+        }
+        await refund.save();
+
+        console.log(`Refund of ₹${refundAmount} requested for ${type} ${record._id}:`, refund.providerRefundId);
+        if (processed) {
+            return (await completeRefund(refund._id)) || refund;
+        }
+        return refund;
+    } catch (error) {
+        // Razorpay errors carry the reason in error.error.description
+        const failureReason = error.error?.description || error.message;
+        console.error(`Refund failed for ${type} ${record._id}:`, failureReason);
+        return (await failRefund(refund._id, failureReason)) || refund;
+    }
+};
+
+// A changed booking can have top-up payments besides the first one. Each payment can only be
+// refunded up to what it took, so the amount is split across them, newest payment first.
+// Returns one refund record per payment used.
+const issueBookingRefunds = async ({ booking, amount, reason = '', initiatedBy = 'admin', initiatedByName = '' }) => {
+    const refundable = await getRefundableAmount('booking', booking);
+    const refundAmount = amount === undefined || amount === '' ? refundable : roundMoney(amount);
+
+    if (refundable <= 0) {
+        throw new Error("There is no online payment left to refund");
+    }
+    if (!(refundAmount > 0)) {
+        throw new Error("Refund amount must be more than zero");
+    }
+    if (refundAmount > refundable) {
+        throw new Error(`Only ₹${refundable} can be refunded`);
+    }
+
+    const topUps = (booking.extraPayments || []).filter((payment) => payment.status === 'paid');
+    const topUpTotal = topUps.reduce((sum, payment) => sum + payment.amount, 0);
+    const payments = [
+        ...topUps.reverse(),
+        { paymentId: booking.paymentId, amount: roundMoney(getBookingPaidAmount(booking) - topUpTotal) }
+    ];
+
+    const refunds = [];
+    let remaining = refundAmount;
+    for (const payment of payments) {
+        if (remaining <= 0) break;
+
+        const earlier = await refundModel.find({
+            bookingId: booking._id.toString(),
+            paymentId: payment.paymentId,
+            status: { $in: ['pending', 'processed'] }
+        });
+        const left = roundMoney(payment.amount - earlier.reduce((sum, refund) => sum + refund.amount, 0));
+        const part = roundMoney(Math.min(left, remaining));
+        if (part <= 0) continue;
+
+        refunds.push(await issueRefund({
+            type: 'booking',
+            record: booking,
+            amount: part,
+            paymentId: payment.paymentId,
+            reason: reason,
+            initiatedBy: initiatedBy,
+            initiatedByName: initiatedByName
+        }));
+        remaining = roundMoney(remaining - part);
+    }
+    return refunds;
+};
+
+// Apply a refund status reported by a provider webhook.
+// Refunds started from the provider's dashboard get a record here too.
+const handleProviderRefund = async ({ provider, providerRefundId, refundId, paymentId, amount, status }) => {
+    let refund = await refundModel.findOne({ providerRefundId: providerRefundId });
+    if (!refund && refundId) {
+        refund = await refundModel.findById(refundId);
+    }
+
+    if (!refund) {
+        if (status !== 'processed') return null;
+
+        const order = await orderModel.findOne({ paymentId: paymentId }).select('_id');
+        const booking = order ? null : await bookingModel.findOne({
+            $or: [{ paymentId: paymentId }, { 'extraPayments.paymentId': paymentId }]
+        }).select('_id');
+        if (!order && !booking) return null;
+
+        refund = await refundModel.create({
+            type: order ? 'order' : 'booking',
+            orderId: order ? order._id.toString() : null,
+            bookingId: booking ? booking._id.toString() : null,
+            provider: provider,
+            paymentId: paymentId,
+            providerRefundId: providerRefundId,
+            amount: amount,
+            initiatedBy: 'provider',
+            initiatedByName: 'Payment dashboard'
+        });
+    } else if (!refund.providerRefundId) {
+        refund.providerRefundId = providerRefundId;
+        await refund.save();
+    }
+
+    if (status === 'processed') {
+        const completed = await completeRefund(refund._id);
+        return completed ? `Refund ${refund._id} processed` : null;
+    }
+    if (status === 'failed') {
+        const failed = await failRefund(refund._id, "Refund failed at the payment provider");
+        return failed ? `Refund ${refund._id} failed` : null;
+    }
+    return null;
+};
+
+// Add each record's refunds (newest first) for the customer and admin pages
+const attachRefunds = async (type, records) => {
+    const field = getRecordField(type);
+    const ids = records.map((record) => record._id.toString());
+    const refunds = await refundModel.find({ [field]: { $in: ids } }).sort({ createdAt: -1 });
+
+    return records.map((record) => ({
+        ...record.toObject(),
+        refunds: refunds.filter((refund) => refund[field] === record._id.toString())
+    }));
+};
+
+export {
+    getRefundPolicy,
+    getRefundableAmount,
+    calculateBookingRefund,
+    issueRefund,
+    issueBookingRefunds,
+    handleProviderRefund,
+    attachRefunds
+};
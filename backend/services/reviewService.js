@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import reviewModel from "../models/reviewModel.js";
+import foodModel from "../models/foodModel.js";
+import orderModel from "../models/orderModel.js";
+
+// Orders only count once they've reached the customer
+const REVIEWABLE_ORDER_STATUS = 'Delivered';
+
+// Recalculate a dish's rating and review count from its approved reviews
+const refreshFoodRating = async (foodId) => {
+    const [summary] = await reviewModel.aggregate([
+        { $match: { foodId: new mongoose.Types.ObjectId(String(foodId)), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const rating = summary ? Math.round(summary.average * 10) / 10 : 0;
+    const reviews = summary ? summary.count : 0;
+    await foodModel.updateOne({ _id: foodId }, { rating, reviews });
+    return { rating, reviews };
+};
+
+// The customer's most recent delivered order containing the dish, or null
+const findDeliveredOrder = (userId, foodId) => orderModel
+    .findOne({ userId: String(userId), status: REVIEWABLE_ORDER_STATUS, 'items._id': String(foodId) })
+    .sort({ date: -1 });
+
+// Dishes from the customer's delivered orders that are still on the menu, newest first,
+// each with the review they've already written (if any)
+const getReviewableDishes = async (userId) => {
+    const orders = await orderModel
+        .find({ userId: String(userId), status: REVIEWABLE_ORDER_STATUS })
+        .sort({ date: -1 })
+        .select('items date');
+
+    const lastOrdered = new Map();
+    for (const order of orders) {
+        for (const item of order.items) {
+            const foodId = String(item._id);
+            if (!lastOrdered.has(foodId)) {
+                lastOrdered.set(foodId, { orderId: order._id, orderedAt: order.date });
+            }
+        }
+    }
+
+    const [foods, reviews] = await Promise.all([
+        foodModel.find({ _id: { $in: [...lastOrdered.keys()].filter((id) => mongoose.isValidObjectId(id)) } }),
+        reviewModel.find({ userId })
+    ]);
+
+    return [...lastOrdered.entries()]
+        .map(([foodId, { orderId, orderedAt }]) => {
+            const food = foods.find((f) => f._id.toString() === foodId);
+            if (!food) return null;
+            return {
+                foodId,
+                name: food.name,
+                image: food.image,
+                orderId,
+                orderedAt,
+                review: reviews.find((r) => r.foodId.toString() === foodId) || null
+            };
+        })
+        .filter(Boolean);
+};
+
+export { REVIEWABLE_ORDER_STATUS, refreshFoodRating, findDeliveredOrder, getReviewableDishes };
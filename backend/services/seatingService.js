@@ -0,0 +1,122 @@
+import seatingModel from "../models/seatingModel.js";
+import tableModel from "../models/tableModel.js";
+import bookingModel from "../models/bookingModel.js";
+import { ACTIVE_BOOKING_STATUSES, getBookingTableIds, describeTables } from "./bookingAvailabilityService.js";
+import { refreshTurnTimes } from "./turnTimeService.js";
+import { offerFreedTables } from "./waitlistService.js";
+import { announceTable, announceBooking } from "./realtimeService.js";
+import { makeHistoryEntry } from "./bookingChangeService.js";
+
+// The party currently sitting at any of these tables
+const findOpenSession = (tableIds) => seatingModel.findOne({ tableIds: { $in: tableIds }, clearedAt: null });
+
+const setTablesStatus = async (tableIds, status) => {
+    await tableModel.updateMany({ _id: { $in: tableIds } }, { status });
+    const tables = await tableModel.find({ _id: { $in: tableIds } });
+    tables.forEach(announceTable);
+};
+
+// Seat a booking's party at its tables, or a walk-in at the given tables
+const seatParty = async ({ tableIds = [], partySize, bookingId = null, name = '', seatedBy = '' }) => {
+    let booking = null;
+    if (bookingId) {
+        booking = await bookingModel.findById(bookingId);
+        if (!booking || !ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+            throw new Error("This booking can't be seated");
+        }
+        if (tableIds.length === 0) {
+            tableIds = getBookingTableIds(booking);
+        }
+        partySize = partySize || parseInt(booking.guests);
+    }
+
+    if (tableIds.length === 0) {
+        throw new Error("Choose a table to seat the party at");
+    }
+    if (!(Number(partySize) > 0)) {
+        throw new Error("Please enter the party size");
+    }
+
+    const tables = await tableModel.find({ _id: { $in: tableIds } });
+    if (tables.length !== tableIds.length) {
+        throw new Error("Table not found");
+    }
+    if (tables.some((t) => !t.isActive || t.status === 'maintenance')) {
+        throw new Error("This table can't be used right now");
+    }
+
+    const open = await findOpenSession(tableIds);
+    if (open) {
+        throw new Error(`Table ${open.tableNumber} already has guests seated`);
+    }
+
+    const session = await seatingModel.create({
+        tableIds: tables.map((t) => t._id),
+        tableNumber: describeTables(tables).tableNumber,
+        partySize: Number(partySize),
+        source: booking ? 'booking' : 'walk-in',
+        bookingId: booking ? booking._id : null,
+        name: booking ? booking.name : name,
+        seatedBy: seatedBy
+    });
+
+    await setTablesStatus(session.tableIds, 'occupied');
+
+    // A booking whose guests have arrived is as confirmed as it gets
+    if (booking && booking.status === 'Pending') {
+        booking.history.push(makeHistoryEntry({
+            changedBy: 'staff',
+            changedByName: seatedBy,
+            changes: [{ field: 'Status', from: 'Pending', to: 'Confirmed' }]
+        }));
+        booking.status = 'Confirmed';
+        await booking.save();
+        announceBooking('booking:status', booking);
+    }
+
+    console.log(`Seated ${session.partySize} at Table ${session.tableNumber} (${session.source})`);
+    return session;
+};
+
+// Close the session on this table: record the turn time, free the tables and complete the booking.
+// Returns null when nobody was seated there.
+const clearTable = async (tableId, clearedBy = '') => {
+    const session = await findOpenSession([tableId]);
+    if (!session) return null;
+
+    session.clearedAt = new Date();
+    session.turnMinutes = Math.round((session.clearedAt - session.seatedAt) / 60000);
+    session.clearedBy = clearedBy;
+    await session.save();
+
+    await setTablesStatus(session.tableIds, 'available');
+
+    if (session.bookingId) {
+        const booking = await bookingModel.findOneAndUpdate(
+            { _id: session.bookingId, status: { $in: ACTIVE_BOOKING_STATUSES } },
+            {
+                status: 'Completed',
+                // Seating the party always confirms the booking first
+                $push: {
+                    history: makeHistoryEntry({
+                        changedBy: 'staff',
+                        changedByName: clearedBy,
+                        changes: [{ field: 'Status', from: 'Confirmed', to: 'Completed' }]
+                    })
+                }
+            },
+            { new: true }
+        );
+        if (booking) {
+            announceBooking('booking:status', booking);
+            // The party left early, so the rest of their slot can go to the waitlist
+            await offerFreedTables(booking.date);
+        }
+    }
+
+    await refreshTurnTimes();
+    console.log(`Table ${session.tableNumber} cleared after ${session.turnMinutes} min`);
+    return session;
+};
+
+export { findOpenSession, seatParty, clearTable };
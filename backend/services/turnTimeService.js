@@ -0,0 +1,70 @@
+import seatingModel from "../models/seatingModel.js";
+
+// Turn times are learned from the last few weeks of cleared tables
+const STATS_DAYS = 30;
+
+// Fewer sessions than this and an average is too noisy to plan bookings around
+const MIN_SAMPLES = 5;
+
+// Ignore sessions nobody cleared for hours (the table was forgotten, not really in use)
+const MAX_TURN_MINUTES = 6 * 60;
+
+// Averages loaded by refreshTurnTimes(), so availability checks can use them without a query
+let cache = { byTable: new Map(), byPartySize: new Map(), loadedAt: null };
+
+const summarise = (sessions, keyOf) => {
+    const groups = new Map();
+    for (const session of sessions) {
+        for (const key of [].concat(keyOf(session))) {
+            const group = groups.get(key) || { count: 0, total: 0 };
+            group.count += 1;
+            group.total += session.turnMinutes;
+            groups.set(key, group);
+        }
+    }
+    const result = new Map();
+    for (const [key, { count, total }] of groups) {
+        result.set(key, { count, averageMinutes: Math.round(total / count) });
+    }
+    return result;
+};
+
+// Average turn time per table and per party size over the last `days` days
+const getTurnTimeStats = async (days = STATS_DAYS) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60000);
+    const sessions = await seatingModel.find({
+        clearedAt: { $gte: since },
+        turnMinutes: { $gt: 0, $lte: MAX_TURN_MINUTES }
+    });
+
+    return {
+        days: days,
+        sessions: sessions.length,
+        byTable: summarise(sessions, (s) => s.tableIds.map(String)),
+        byPartySize: summarise(sessions, (s) => s.partySize)
+    };
+};
+
+// Reload the cached averages (on start and whenever a table is cleared)
+const refreshTurnTimes = async () => {
+    try {
+        const stats = await getTurnTimeStats();
+        cache = { byTable: stats.byTable, byPartySize: stats.byPartySize, loadedAt: new Date() };
+    } catch (error) {
+        console.error("Error loading turn times:", error);
+    }
+};
+
+// How long a party of this size usually stays, from the cached averages.
+// Prefers the party size (which drives how long people stay), then the table. Null without enough history.
+const getExpectedTurnMinutes = (table, partySize) => {
+    const bySize = partySize ? cache.byPartySize.get(Number(partySize)) : null;
+    if (bySize && bySize.count >= MIN_SAMPLES) return bySize.averageMinutes;
+
+    const byTable = table ? cache.byTable.get(table._id.toString()) : null;
+    if (byTable && byTable.count >= MIN_SAMPLES) return byTable.averageMinutes;
+
+    return null;
+};
+
+export { MIN_SAMPLES, getTurnTimeStats, refreshTurnTimes, getExpectedTurnMinutes };
@@ -0,0 +1,213 @@
+import crypto from "crypto";
+import waitlistModel from "../models/waitlistModel.js";
+import tableModel from "../models/tableModel.js";
+import { getBookingStart, parseTimeToMinutes } from "./bookingTimeService.js";
+import {
+    getBookingDuration,
+    getBookingWindow,
+    findOverlappingBookings,
+    isTableFree
+} from "./bookingAvailabilityService.js";
+import {
+    getSettings,
+    getDaySchedule,
+    getSlotMinutes,
+    formatSlotTime,
+    checkBookingNotice
+} from "./openingHoursService.js";
+import { sendToStaff } from "./realtimeService.js";
+import { notifyStaff } from "./notificationService.js";
+import { queueEmail } from "./emailService.js";
+
+// How long a guest has to claim an offered table (can be overridden from .env)
+const getOfferMinutes = () => {
+    const minutes = Number(process.env.WAITLIST_OFFER_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+// Link the guest opens to claim their table
+const getClaimLink = (token) =>
+    `${process.env.FRONTEND_URL || "http://localhost:5173"}/waitlist/claim?token=${token}`;
+
+// Midnight-to-midnight range for a booking date, as stored on bookings and waitlist entries
+const getDayRange = (date) => {
+    const day = new Date(date);
+    const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    return { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60000) };
+};
+
+// Tell the admin waitlist view to refresh
+const announceWaitlist = (entry) => {
+    sendToStaff('bookings', 'waitlist:update', {
+        _id: entry._id,
+        status: entry.status,
+        date: entry.date
+    });
+};
+
+// An offered table counts as taken until the offer is claimed or runs out
+const offerAsBooking = (entry) => ({
+    tableId: entry.offer.tableId,
+    startAt: entry.offer.startAt,
+    endAt: entry.offer.endAt
+});
+
+// First slot in the guest's window with a free table big enough for the party.
+// Smaller tables are tried first so large tables stay free for large parties.
+const findOfferForEntry = (entry, { settings, schedule, tables, busy }) => {
+    const from = parseTimeToMinutes(entry.windowStart);
+    const to = parseTimeToMinutes(entry.windowEnd);
+    const suitable = tables
+        .filter((table) => table.capacity >= entry.guests)
+        .sort((a, b) => a.capacity - b.capacity);
+
+    for (const minutes of getSlotMinutes(settings, schedule)) {
+        if (minutes < from || minutes > to) continue;
+        const time = formatSlotTime(minutes);
+        if (checkBookingNotice(settings, getBookingStart(entry.date, time))) continue;
+
+        for (const table of suitable) {
+            const durationMinutes = getBookingDuration(table, 0, entry.guests);
+            const window = getBookingWindow(entry.date, time, durationMinutes);
+            if (isTableFree(table, busy, window)) {
+                return { table, time, durationMinutes, ...window };
+            }
+        }
+    }
+    return null;
+};
+
+// Hold a table for a waitlisted guest and send them the claim link
+const makeOffer = async (entry, match) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    const offered = await waitlistModel.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+            status: 'offered',
+            offeredAt: new Date(),
+            $inc: { offerCount: 1 },
+            offer: {
+                tableId: match.table._id,
+                tableNumber: match.table.tableNumber,
+                tableName: match.table.tableName,
+                time: match.time,
+                startAt: match.startAt,
+                endAt: match.endAt,
+                durationMinutes: match.durationMinutes,
+                token: token,
+                expiresAt: new Date(Date.now() + getOfferMinutes() * 60000)
+            }
+        },
+        { new: true }
+    );
+    // Someone else (the job or another request) got to this entry first
+    if (!offered) return null;
+
+    // Staff can also copy the link from the waitlist page and send it on
+    await queueEmail({
+        to: offered.email,
+        template: 'waitlistOffer',
+        data: { entry: offered, claimLink: getClaimLink(token), minutes: getOfferMinutes() }
+    });
+
+    announceWaitlist(offered);
+    await notifyStaff({
+        type: 'booking',
+        title: 'Table offered to waitlist guest',
+        message: `${offered.name} · ${offered.guests} guest${offered.guests === 1 ? '' : 's'} · Table ${offered.offer.tableNumber} at ${offered.offer.time}`,
+        permission: 'bookings',
+        link: '/bookings'
+    });
+    return offered;
+};
+
+// Offer any free tables on this date to waiting guests, first come first served.
+// Pass `entryId` to only try one guest (staff offering a table by hand).
+// Never throws - a failed offer shouldn't fail the cancellation that triggered it.
+const offerFreedTables = async (date, { entryId = null } = {}) => {
+    try {
+        const filter = { date: getDayRange(date), status: 'waiting' };
+        if (entryId) {
+            filter._id = entryId;
+        }
+        const entries = await waitlistModel.find(filter).sort({ createdAt: 1 });
+        if (entries.length === 0) return [];
+
+        const settings = await getSettings();
+        const schedule = getDaySchedule(settings, date);
+        if (!schedule || schedule.closed) return [];
+
+        const tables = await tableModel.find({ isActive: true, status: { $ne: 'maintenance' } });
+        if (tables.length === 0) return [];
+
+        // Everything already holding a table that day: bookings plus offers still open
+        const dayStart = getBookingStart(date, '0:00');
+        const bookings = await findOverlappingBookings(tables.map((t) => t._id), {
+            startAt: dayStart,
+            endAt: new Date(dayStart.getTime() + 24 * 60 * 60000)
+        });
+        const openOffers = await waitlistModel.find({ date: getDayRange(date), status: 'offered' });
+        const busy = [...bookings, ...openOffers.map(offerAsBooking)];
+
+        const offers = [];
+        for (const entry of entries) {
+            const match = findOfferForEntry(entry, { settings, schedule, tables, busy });
+            if (!match) continue;
+
+            const offered = await makeOffer(entry, match);
+            if (offered) {
+                busy.push(offerAsBooking(offered));
+                offers.push(offered);
+            }
+        }
+        return offers;
+    } catch (error) {
+        console.error("Error offering tables to the waitlist:", error);
+        return [];
+    }
+};
+
+// Close offers nobody claimed in time and waiting entries whose window has passed,
+// then pass the released tables on to the next guests.
+const expireWaitlist = async () => {
+    const now = new Date();
+
+    const lapsed = await waitlistModel.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+    const dates = new Map();
+    for (const entry of lapsed) {
+        const expired = await waitlistModel.findOneAndUpdate(
+            { _id: entry._id, status: 'offered' },
+            { status: 'expired' },
+            { new: true }
+        );
+        if (expired) {
+            announceWaitlist(expired);
+            dates.set(expired.date.toISOString(), expired.date);
+        }
+    }
+
+    const waiting = await waitlistModel.find({ status: 'waiting', date: { $lt: new Date(now.getTime() + 24 * 60 * 60000) } });
+    for (const entry of waiting) {
+        const latestStart = getBookingStart(entry.date, entry.windowEnd);
+        if (latestStart && latestStart < now) {
+            entry.status = 'expired';
+            await entry.save();
+            announceWaitlist(entry);
+        }
+    }
+
+    for (const date of dates.values()) {
+        await offerFreedTables(date);
+    }
+    return lapsed.length;
+};
+
+export {
+    getOfferMinutes,
+    getClaimLink,
+    getDayRange,
+    announceWaitlist,
+    makeOffer,
+    offerFreedTables,
+    expireWaitlist
+};
@@ -0,0 +1,55 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import authUpload from "../middleware/authUpload.js";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Run the middleware chain the way express would
+const run = async (middlewares, req) => {
+    const res = { json: mock.fn() };
+    let reachedEnd = false;
+    for (const middleware of middlewares) {
+        let calledNext = false;
+        await new Promise((resolve, reject) => {
+            const result = middleware(req, res, (error) => {
+                calledNext = true;
+                error ? reject(error) : resolve();
+            });
+            Promise.resolve(result).then(() => { if (!calledNext) resolve(); });
+        });
+        if (!calledNext) return { res, reachedEnd };
+    }
+    reachedEnd = true;
+    return { res, reachedEnd };
+};
+
+// Stand-in for multer: replaces the body like multer does
+const fakeUpload = mock.fn((req, res, next) => {
+    req.body = { foodId: 'dish' };
+    req.file = { path: '/tmp/photo.jpg' };
+    next();
+});
+
+test("authUpload turns away requests without a token before reading the file", async () => {
+    fakeUpload.mock.resetCalls();
+    const { res, reachedEnd } = await run(authUpload(fakeUpload), { headers: {}, body: {} });
+
+    assert.equal(reachedEnd, false);
+    assert.equal(fakeUpload.mock.callCount(), 0);
+    assert.equal(res.json.mock.calls[0].arguments[0].success, false);
+});
+
+test("authUpload keeps the logged-in userId after the upload replaces the body", async () => {
+    fakeUpload.mock.resetCalls();
+    const token = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET);
+    const req = { headers: { token }, body: {} };
+    const log = mock.method(console, 'log', () => {});
+
+    const { reachedEnd } = await run(authUpload(fakeUpload), req);
+    log.mock.restore();
+
+    assert.equal(reachedEnd, true);
+    assert.equal(fakeUpload.mock.callCount(), 1);
+    assert.deepEqual(req.body, { foodId: 'dish', userId: 'user-1' });
+});
@@ -0,0 +1,40 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import guestCodeModel from "../models/guestCodeModel.js";
+import emailModel from "../models/emailModel.js";
+import { requestGuestCode } from "../services/bookingAccessService.js";
+import { setEmailTransport } from "../services/emailService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+    setEmailTransport(null);
+});
+
+test("requestGuestCode emails the code without printing it to the logs", async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.EMAIL_TRANSPORT;
+
+    mock.method(guestCodeModel, 'findOne', () => ({ sort: async () => null }));
+    mock.method(guestCodeModel, 'deleteMany', async () => ({}));
+    mock.method(guestCodeModel, 'create', async (entry) => entry);
+    mock.method(emailModel, 'create', async (email) => ({ _id: new mongoose.Types.ObjectId(), attempts: 1, ...email }));
+    mock.method(emailModel, 'findOneAndUpdate', async (filter) => ({
+        _id: filter._id,
+        attempts: 1,
+        ...emailModel.create.mock.calls[0].arguments[0]
+    }));
+    mock.method(emailModel, 'updateOne', async () => ({}));
+    const log = mock.method(console, 'log', () => {});
+
+    assert.equal(await requestGuestCode('Asha@Example.com'), null);
+
+    const queued = emailModel.create.mock.calls[0].arguments[0];
+    assert.equal(queued.to, 'asha@example.com');
+    const [code] = queued.text.match(/\d{6}/);
+
+    // Wait for the background send through the default log transport
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(log.mock.calls.some((call) => call.arguments.join(' ').includes('asha@example.com')));
+    assert.ok(log.mock.calls.every((call) => !call.arguments.join(' ').includes(code)));
+});
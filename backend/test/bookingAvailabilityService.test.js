@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { countSeats, findTableCombinations } from "../services/bookingAvailabilityService.js";
+
+const makeTable = (tableNumber, capacity) => ({
+    _id: new mongoose.Types.ObjectId(),
+    tableNumber,
+    capacity,
+    joinableWith: []
+});
+
+const join = (...tables) => {
+    for (const table of tables) {
+        table.joinableWith = tables.filter((t) => t !== table).map((t) => t._id);
+    }
+};
+
+test("countSeats adds up the seats of joined tables", () => {
+    assert.equal(countSeats([makeTable(4, 4), makeTable(5, 2)]), 6);
+    assert.equal(countSeats([]), 0);
+});
+
+test("joined tables are only suggested when their seats cover the party", () => {
+    const four = makeTable(4, 4);
+    const five = makeTable(5, 2);
+    join(four, five);
+
+    assert.deepEqual(findTableCombinations([four, five], 8), []);
+    const [combination] = findTableCombinations([four, five], 6);
+    assert.equal(combination.capacity, countSeats([four, five]));
+});
@@ -0,0 +1,105 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import settingsModel from "../models/settingsModel.js";
+import tableModel from "../models/tableModel.js";
+import foodModel from "../models/foodModel.js";
+import refundModel from "../models/refundModel.js";
+import { planBookingChange } from "../services/bookingChangeService.js";
+import { getBookingStart } from "../services/bookingTimeService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const table = { _id: new mongoose.Types.ObjectId(), tableNumber: 7, tableName: 'Window', capacity: 4, isActive: true };
+const food = { _id: new mongoose.Types.ObjectId(), name: 'Paneer Tikka', price: 250, image: 'x', category: 'Starters', modifierGroups: [] };
+
+// A booking three days out (in full-refund time) with one Paneer Tikka pre-ordered
+const makeBooking = (fields = {}) => {
+    const date = new Date(Date.now() + 3 * 24 * 60 * 60000);
+    date.setUTCHours(0, 0, 0, 0);
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'Confirmed',
+        date: date,
+        time: '7:30 PM',
+        startAt: getBookingStart(date, '7:30 PM'),
+        guests: '4',
+        tableId: table._id,
+        tableIds: [table._id],
+        tableNumber: 7,
+        tableName: 'Window',
+        durationMinutes: 90,
+        preOrderedItems: [{ _id: food._id.toString(), name: food.name, price: 250, quantity: 1 }],
+        preOrderTotal: 250,
+        depositAmount: 0,
+        depositReason: '',
+        paymentStatus: 'pending',
+        paymentId: '',
+        paidAmount: 0,
+        refundedAmount: 0,
+        razorpayOrderId: '',
+        extraPayments: [],
+        ...fields
+    };
+};
+
+const paid = { paymentStatus: 'paid', paymentId: 'pay_first', paidAmount: 250 };
+
+// Plan a change to the pre-order against in-memory models, with `pendingRefunds` already on their way
+const changePreOrder = (booking, quantity, pendingRefunds = []) => {
+    mock.method(settingsModel, 'findOneAndUpdate', async () => new settingsModel());
+    mock.method(tableModel, 'find', async () => [table]);
+    mock.method(foodModel, 'find', async () => [food]);
+    mock.method(refundModel, 'find', async () => pendingRefunds);
+
+    const preOrderedItems = quantity > 0 ? [{ itemId: food._id.toString(), quantity }] : [];
+    return planBookingChange(booking, { preOrderedItems });
+};
+
+test("adding to a paid pre-order asks for just the difference", async () => {
+    const plan = await changePreOrder(makeBooking(paid), 3);
+
+    assert.equal(plan.amountDue, 750);
+    assert.equal(plan.amountToPay, 500);
+    assert.equal(plan.refund.amount, 0);
+    assert.equal(plan.updates.preOrderTotal, 750);
+});
+
+test("taking items off a paid pre-order refunds them under the cancellation policy", async () => {
+    const plan = await changePreOrder(makeBooking({ ...paid, preOrderTotal: 500, paidAmount: 500 }), 1);
+
+    assert.equal(plan.amountToPay, 0);
+    assert.equal(plan.refund.amount, 250);
+    assert.equal(plan.refund.percent, 100);
+});
+
+test("a refund already on its way isn't counted again", async () => {
+    // ₹250 of the ₹500 is already being refunded, so dropping to ₹250 gives nothing more back
+    const plan = await changePreOrder(makeBooking({ ...paid, preOrderTotal: 500, paidAmount: 500 }), 1, [{ amount: 250 }]);
+
+    assert.equal(plan.amountToPay, 0);
+    assert.equal(plan.refund.amount, 0);
+});
+
+test("changing the total of an unpaid booking drops the checkout opened for the old total", async () => {
+    const booking = makeBooking({ razorpayOrderId: 'order_old', razorpayOrderCreatedAt: new Date() });
+    const plan = await changePreOrder(booking, 2);
+
+    assert.equal(plan.amountDue, 500);
+    assert.equal(plan.amountToPay, 0);
+    assert.equal(plan.updates.razorpayOrderId, '');
+    assert.equal(plan.updates.razorpayOrderCreatedAt, null);
+});
+
+test("a change that keeps the total keeps the open checkout", async () => {
+    const booking = makeBooking({ razorpayOrderId: 'order_old', guests: '2' });
+    mock.method(settingsModel, 'findOneAndUpdate', async () => new settingsModel());
+    mock.method(tableModel, 'find', async () => [table]);
+
+    const plan = await planBookingChange(booking, { guests: 3 });
+
+    assert.equal(plan.amountDue, 250);
+    assert.equal(plan.updates.razorpayOrderId, undefined);
+});
@@ -0,0 +1,78 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import couponModel from "../models/couponModel.js";
+import { validateCoupon, redeemCoupon, releaseCoupon } from "../services/couponService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const makeCoupon = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    code: 'FEAST20',
+    description: '20% off',
+    isActive: true,
+    discountType: 'percent',
+    discountValue: 20,
+    maxDiscount: 0,
+    minOrderAmount: 0,
+    usageLimit: 0,
+    usedCount: 0,
+    perUserLimit: 0,
+    firstOrderOnly: false,
+    categories: [],
+    ...fields
+});
+
+const items = [
+    { category: 'Starters', lineTotal: 300 },
+    { category: 'Desserts', lineTotal: 200 }
+];
+
+test("a percent discount is capped at the coupon's maximum", async () => {
+    mock.method(couponModel, 'findOne', async () => makeCoupon({ maxDiscount: 60 }));
+
+    const coupon = await validateCoupon(' feast20 ', { items, subtotal: 500 });
+    assert.equal(coupon.code, 'FEAST20');
+    assert.equal(coupon.discount, 60);
+});
+
+test("a category coupon only discounts the items in its categories", async () => {
+    mock.method(couponModel, 'findOne', async () => makeCoupon({ categories: ['Desserts'] }));
+
+    const coupon = await validateCoupon('FEAST20', { items, subtotal: 500 });
+    assert.equal(coupon.discount, 40);
+});
+
+test("a coupon that has been used up is refused", async () => {
+    mock.method(couponModel, 'findOne', async () => makeCoupon({ usageLimit: 10, usedCount: 10 }));
+
+    await assert.rejects(validateCoupon('FEAST20', { items, subtotal: 500 }), { message: "This promo code has reached its usage limit" });
+});
+
+test("redeeming takes a use only while the coupon has uses left", async () => {
+    const coupon = makeCoupon();
+    const update = mock.method(couponModel, 'findOneAndUpdate', async () => coupon);
+
+    await redeemCoupon({ couponId: coupon._id.toString() });
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter._id, coupon._id.toString());
+    assert.deepEqual(filter.$or, [{ usageLimit: 0 }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]);
+    assert.deepEqual(change, { $inc: { usedCount: 1 } });
+
+    // Another checkout took the last use in between
+    update.mock.mockImplementation(async () => null);
+    await assert.rejects(redeemCoupon({ couponId: coupon._id.toString() }), { message: "This promo code has reached its usage limit" });
+});
+
+test("releasing gives a use back without going below zero", async () => {
+    const update = mock.method(couponModel, 'findOneAndUpdate', async () => null);
+
+    await releaseCoupon({ couponId: 'coupon-1' });
+    assert.deepEqual(update.mock.calls[0].arguments, [{ _id: 'coupon-1', usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }]);
+
+    // Orders placed without a coupon have nothing to give back
+    await releaseCoupon(null);
+    assert.equal(update.mock.callCount(), 1);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import foodModel from "../models/foodModel.js";
+import { buildMenuQuery } from "../services/dishAttributeService.js";
+
+test("the veg filter leaves out dishes whose diet isn't set", () => {
+    const { $and } = buildMenuQuery({ diet: 'veg' });
+    assert.deepEqual($and, [{ dietaryType: { $in: ['veg', 'vegan'] } }]);
+});
+
+test("the allergen filter only matches dishes with their allergens filled in", () => {
+    const { $and } = buildMenuQuery({ excludeAllergens: 'nuts,dairy' });
+    assert.deepEqual($and, [{ allergens: { $type: 'array', $nin: ['nuts', 'dairy'] } }]);
+});
+
+test("dishes without a diet are neither veg nor non-veg", () => {
+    const unknown = new foodModel({ name: 'Thali', description: '-', price: 200, image: 'x', category: 'Mains' });
+    assert.equal(unknown.dietaryType, null);
+    assert.equal(unknown.allergens, undefined);
+    assert.equal(unknown.toJSON().isVeg, null);
+
+    const chicken = new foodModel({ name: 'Tikka', description: '-', price: 300, image: 'x', category: 'Mains', dietaryType: 'non-veg' });
+    assert.equal(chicken.toJSON().isVeg, false);
+});
@@ -0,0 +1,25 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import emailModel from "../models/emailModel.js";
+import { processEmailQueue } from "../services/emailService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test("a message stuck sending on its last attempt is failed instead of retried", async () => {
+    const updateMany = mock.method(emailModel, 'updateMany', async () => ({}));
+    mock.method(emailModel, 'findOneAndUpdate', async () => null);
+
+    await processEmailQueue();
+    const [[outOfAttempts, failed], [stuck, retried]] = updateMany.mock.calls.map((call) => call.arguments);
+
+    assert.equal(outOfAttempts.status, 'sending');
+    assert.deepEqual(outOfAttempts.attempts, { $gte: 5 });
+    assert.equal(failed.status, 'failed');
+
+    // Whatever is still stuck after that has attempts left
+    assert.equal(stuck.status, 'sending');
+    assert.equal(stuck.attempts, undefined);
+    assert.equal(retried.status, 'pending');
+});
@@ -0,0 +1,57 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import seatingModel from "../models/seatingModel.js";
+import tableModel from "../models/tableModel.js";
+import settingsModel from "../models/settingsModel.js";
+import { hasArrived } from "../services/noShowService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const booking = {
+    _id: new mongoose.Types.ObjectId(),
+    tableId: new mongoose.Types.ObjectId(),
+    status: 'Confirmed'
+};
+
+test("a booking counts as arrived once it was seated", async () => {
+    const exists = mock.method(seatingModel, 'exists', async (filter) => (
+        filter.bookingId.equals(booking._id) ? { _id: new mongoose.Types.ObjectId() } : null
+    ));
+
+    assert.equal(await hasArrived(booking), true);
+    assert.equal(exists.mock.callCount(), 1);
+});
+
+test("someone else sitting at the booked table doesn't count as the guest arriving", async () => {
+    mock.method(seatingModel, 'exists', async () => null);
+    mock.method(tableModel, 'exists', async () => ({ _id: booking.tableId }));
+
+    assert.equal(await hasArrived(booking), false);
+});
+
+test("staff confirming the booking after it started counts as the guest arriving", async () => {
+    const exists = mock.method(seatingModel, 'exists', async () => null);
+    const startAt = new Date('2026-10-24T14:00:00Z');
+    const confirmedAt = (changedAt) => ({
+        ...booking,
+        startAt,
+        history: [{
+            changedAt,
+            changedBy: 'staff',
+            changes: [{ field: 'Status', from: 'Confirmed', to: 'Confirmed' }]
+        }]
+    });
+
+    assert.equal(await hasArrived(confirmedAt(new Date('2026-10-24T14:05:00Z'))), true);
+    assert.equal(exists.mock.callCount(), 0);
+
+    // Confirming the reservation ahead of time says nothing about the guest turning up
+    assert.equal(await hasArrived(confirmedAt(new Date('2026-10-23T10:00:00Z'))), false);
+});
+
+test("automatic no-shows are off unless the restaurant sets a grace period", () => {
+    assert.equal(new settingsModel().noShowGraceMinutes, 0);
+});
@@ -0,0 +1,120 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Stripe from "stripe";
+import foodModel from "../models/foodModel.js";
+import couponModel from "../models/couponModel.js";
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+
+// The controller makes its Stripe client when it loads
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_x';
+const { placeOrder, getOrderQuote } = await import("../controllers/orderController.js");
+
+// Every Stripe client shares these, so mocking them reaches the controller's client too
+const stripe = new Stripe('sk_test_x');
+const sessions = Object.getPrototypeOf(stripe.checkout.sessions);
+const coupons = Object.getPrototypeOf(stripe.coupons);
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const food = { _id: new mongoose.Types.ObjectId(), name: 'Paneer Tikka', price: 250, image: 'x', category: 'Starters', modifierGroups: [] };
+
+const coupon = {
+    _id: new mongoose.Types.ObjectId(),
+    code: 'SAVE50',
+    description: '₹50 off',
+    isActive: true,
+    discountType: 'flat',
+    discountValue: 50,
+    minOrderAmount: 0,
+    usageLimit: 10,
+    usedCount: 3,
+    perUserLimit: 0,
+    firstOrderOnly: false,
+    categories: []
+};
+
+const body = () => ({
+    userId: new mongoose.Types.ObjectId().toString(),
+    items: [{ itemId: food._id.toString(), quantity: 2 }],
+    address: { firstName: 'Asha', email: 'asha@example.com' },
+    couponCode: 'save50'
+});
+
+// Place a card order against in-memory models and a stubbed Stripe
+const place = async ({ createSession, redeemed = coupon } = {}) => {
+    mock.method(foodModel, 'find', async () => [food]);
+    mock.method(couponModel, 'findOne', async () => coupon);
+    // findOneAndUpdate takes a use when redeeming and gives it back when releasing
+    const couponUpdate = mock.method(couponModel, 'findOneAndUpdate', async (filter, update) => (
+        update.$inc.usedCount > 0 ? redeemed : coupon
+    ));
+    const save = mock.method(orderModel.prototype, 'save', async function () { return this; });
+    const clearCart = mock.method(userModel, 'findByIdAndUpdate', async () => null);
+    mock.method(coupons, 'create', async () => ({ id: 'coupon_1' }));
+    const create = mock.method(sessions, 'create', createSession || (async () => ({ id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' })));
+    const expire = mock.method(sessions, 'expire', async () => ({}));
+    mock.method(console, 'error', () => {});
+
+    const res = { json: mock.fn() };
+    await placeOrder({ body: body() }, res);
+    return {
+        response: res.json.mock.calls[0].arguments[0],
+        uses: couponUpdate.mock.calls.map((call) => call.arguments[1].$inc.usedCount),
+        saved: save.mock.calls.map((call) => call.this),
+        clearCart,
+        create,
+        expire
+    };
+};
+
+test("a card order is saved with its Stripe session and keeps the cart until payment", async () => {
+    const { response, uses, saved, clearCart, create } = await place();
+
+    assert.equal(response.success, true);
+    assert.equal(response.session_url, 'https://checkout.stripe.test/cs_1');
+    assert.deepEqual(uses, [1]);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].stripeSessionId, 'cs_1');
+    assert.deepEqual(create.mock.calls[0].arguments[0].discounts, [{ coupon: 'coupon_1' }]);
+    assert.equal(clearCart.mock.callCount(), 0);
+});
+
+test("when Stripe fails nothing is saved, the coupon isn't used and the cart stays", async () => {
+    const { response, uses, saved, clearCart } = await place({
+        createSession: async () => { throw new Error("Stripe is unavailable"); }
+    });
+
+    assert.equal(response.success, false);
+    assert.equal(response.message, "Stripe is unavailable");
+    assert.deepEqual(uses, []);
+    assert.equal(saved.length, 0);
+    assert.equal(clearCart.mock.callCount(), 0);
+});
+
+test("when the last coupon use is taken during checkout the Stripe session is expired", async () => {
+    const { response, saved, expire } = await place({ redeemed: null });
+
+    assert.equal(response.success, false);
+    assert.equal(response.message, "This promo code has reached its usage limit");
+    assert.equal(saved.length, 0);
+    assert.equal(expire.mock.calls[0].arguments[0], 'cs_1');
+});
+
+test("a quote with a promo code shows the discounted total", async () => {
+    mock.method(foodModel, 'find', async () => [food]);
+    mock.method(couponModel, 'findOne', async () => coupon);
+
+    const res = { json: mock.fn() };
+    await getOrderQuote({ body: body() }, res);
+    const { success, pricing, coupon: applied } = res.json.mock.calls[0].arguments[0];
+
+    assert.equal(success, true);
+    assert.equal(pricing.discount, 50);
+    assert.equal(pricing.subtotal, 500);
+    assert.equal(pricing.total, 500 - 50 + pricing.deliveryFee + pricing.tax);
+    assert.deepEqual(applied, { code: 'SAVE50', description: '₹50 off', discount: 50 });
+});
@@ -0,0 +1,44 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import refundModel from "../models/refundModel.js";
+import { transitionOrder } from "../services/orderStatusService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const paidOrder = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'Preparing',
+    amount: 450,
+    payment: true,
+    paymentMethod: 'Razorpay',
+    paymentId: 'pay_123',
+    refundedAmount: 0
+};
+
+const kitchen = { type: 'admin', id: new mongoose.Types.ObjectId(), name: 'Ravi', canRefund: false };
+
+test("staff without the refunds permission can't cancel a paid order", async () => {
+    mock.method(orderModel, 'findById', async () => paidOrder);
+    mock.method(refundModel, 'find', async () => []);
+    const update = mock.method(orderModel, 'findOneAndUpdate', async () => paidOrder);
+
+    await assert.rejects(
+        transitionOrder(paidOrder._id, 'Cancelled', kitchen),
+        /Only staff who can issue refunds/
+    );
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test("staff without the refunds permission can still move a paid order forward", async () => {
+    mock.method(orderModel, 'findById', async () => paidOrder);
+    const update = mock.method(orderModel, 'findOneAndUpdate', async (filter, changes) => ({ ...paidOrder, ...changes.$set }));
+
+    const { order } = await transitionOrder(paidOrder._id, 'Ready', kitchen);
+
+    assert.equal(order.status, 'Ready');
+    assert.equal(update.mock.callCount(), 1);
+});
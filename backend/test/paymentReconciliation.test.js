@@ -0,0 +1,23 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import orderModel from "../models/orderModel.js";
+import bookingModel from "../models/bookingModel.js";
+import { reconcilePendingPayments } from "../jobs/paymentReconciliation.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test("bookings are swept by when their checkout was opened, not when they were made", async () => {
+    mock.method(orderModel, 'find', () => ({ limit: async () => [] }));
+    const find = mock.method(bookingModel, 'find', () => ({ limit: async () => [] }));
+
+    await reconcilePendingPayments();
+    const filter = find.mock.calls[0].arguments[0];
+    const [opened, legacy] = filter.$or;
+
+    assert.equal(filter.createdAt, undefined);
+    assert.ok(opened.razorpayOrderCreatedAt.$lte instanceof Date);
+    assert.ok(opened.razorpayOrderCreatedAt.$lte <= new Date(Date.now() - 30 * 60000));
+    assert.deepEqual(legacy, { razorpayOrderCreatedAt: null, createdAt: { $lte: opened.razorpayOrderCreatedAt.$lte } });
+});
@@ -0,0 +1,114 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import paymentEventModel from "../models/paymentEventModel.js";
+import bookingModel from "../models/bookingModel.js";
+import { processPaymentEvent, markBookingPaid } from "../services/paymentService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const details = { provider: 'razorpay', eventId: 'pay_1', type: 'payment.captured' };
+
+// Deliver an event the ledger has already seen, with the earlier copy in `status` since `minutesAgo`
+const redeliver = async (status, minutesAgo) => {
+    const event = new paymentEventModel({ ...details, status, createdAt: new Date(Date.now() - minutesAgo * 60000) });
+    mock.method(paymentEventModel, 'create', async () => { throw Object.assign(new Error("duplicate key"), { code: 11000 }); });
+    mock.method(paymentEventModel, 'findOne', async () => event);
+    mock.method(event, 'save', async () => event);
+    const apply = mock.fn(async () => 'Marked paid');
+
+    const result = await processPaymentEvent(details, apply);
+    return { result, apply, event };
+};
+
+test("an event that was already processed isn't applied again", async () => {
+    const { result, apply } = await redeliver('processed', 60);
+
+    assert.equal(result.duplicate, true);
+    assert.equal(apply.mock.callCount(), 0);
+});
+
+test("an event still being applied isn't applied a second time alongside it", async () => {
+    const { result, apply } = await redeliver('received', 1);
+
+    assert.equal(result.duplicate, true);
+    assert.equal(apply.mock.callCount(), 0);
+});
+
+test("an event left half applied is applied again once it's stale", async () => {
+    const { result, apply, event } = await redeliver('received', 30);
+
+    assert.equal(result.duplicate, false);
+    assert.equal(apply.mock.callCount(), 1);
+    assert.equal(event.status, 'processed');
+    assert.equal(event.message, 'Marked paid');
+});
+
+// A booking with a ₹250 pre-order and a ₹100 deposit, its checkout opened as order_first
+const makeBooking = (fields = {}) => new bookingModel({
+    _id: new mongoose.Types.ObjectId(),
+    preOrderTotal: 250,
+    depositAmount: 100,
+    razorpayOrderId: 'order_first',
+    paymentStatus: 'pending',
+    ...fields
+});
+
+// Pay a booking against in-memory models, returning the updates that were saved
+const pay = async (booking, details) => {
+    mock.method(bookingModel, 'findById', async () => booking);
+    const update = mock.method(bookingModel, 'findOneAndUpdate', async () => booking);
+
+    const result = await markBookingPaid(booking._id, details);
+    return { result, updates: update.mock.calls.map((call) => call.arguments[1]) };
+};
+
+test("a booking payment for the amount due marks it paid with what was paid", async () => {
+    const { result, updates } = await pay(makeBooking(), { paymentId: 'pay_1', razorpayOrderId: 'order_first', amount: 350 });
+
+    assert.match(result, /marked as paid/);
+    assert.equal(updates[0].paymentStatus, 'paid');
+    assert.equal(updates[0].paymentId, 'pay_1');
+    assert.equal(updates[0].paidAmount, 350);
+});
+
+test("a booking payment for a different amount is refused and nothing is recorded", async () => {
+    // e.g. paid through a checkout opened before the pre-order changed
+    const booking = makeBooking();
+    mock.method(bookingModel, 'findById', async () => booking);
+    const update = mock.method(bookingModel, 'findOneAndUpdate', async () => booking);
+
+    await assert.rejects(
+        markBookingPaid(booking._id, { paymentId: 'pay_1', razorpayOrderId: 'order_first', amount: 250 }),
+        { message: "Paid amount ₹250 does not match booking total ₹350" }
+    );
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test("a top-up is added to what the booking has paid", async () => {
+    const booking = makeBooking({
+        paymentStatus: 'paid',
+        paidAmount: 350,
+        extraPayments: [{ amount: 150, razorpayOrderId: 'order_top_up' }]
+    });
+    const { result, updates } = await pay(booking, { paymentId: 'pay_2', razorpayOrderId: 'order_top_up', amount: 150 });
+
+    assert.equal(result, `Top-up of ₹150 for booking ${booking._id} marked as paid`);
+    assert.equal(updates[0].$set['extraPayments.$.status'], 'paid');
+    assert.equal(updates[0].$set['extraPayments.$.paymentId'], 'pay_2');
+    assert.deepEqual(updates[0].$inc, { paidAmount: 150 });
+});
+
+test("a top-up paid with the wrong amount is refused", async () => {
+    const booking = makeBooking({ paymentStatus: 'paid', extraPayments: [{ amount: 150, razorpayOrderId: 'order_top_up' }] });
+    mock.method(bookingModel, 'findById', async () => booking);
+    const update = mock.method(bookingModel, 'findOneAndUpdate', async () => booking);
+
+    await assert.rejects(
+        markBookingPaid(booking._id, { paymentId: 'pay_2', razorpayOrderId: 'order_top_up', amount: 100 }),
+        { message: "Paid amount ₹100 does not match top-up ₹150" }
+    );
+    assert.equal(update.mock.callCount(), 0);
+});
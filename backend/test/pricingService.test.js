@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import foodModel from "../models/foodModel.js";
+import couponModel from "../models/couponModel.js";
+import { priceOrder } from "../services/pricingService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const tikka = { _id: new mongoose.Types.ObjectId(), name: 'Paneer Tikka', price: 250, image: 'x', category: 'Starters', modifierGroups: [] };
+const kulfi = { _id: new mongoose.Types.ObjectId(), name: 'Kulfi', price: 99.5, image: 'x', category: 'Desserts', status: 'available', modifierGroups: [] };
+
+const menu = (foods = [tikka, kulfi]) => mock.method(foodModel, 'find', async () => foods);
+
+test("orders are priced from the menu, not from what the client sends", async () => {
+    menu();
+
+    const { items, pricing } = await priceOrder([
+        { itemId: tikka._id.toString(), quantity: 2, price: 1 },
+        { itemId: kulfi._id.toString(), quantity: 1, name: 'Free Kulfi' }
+    ]);
+
+    assert.deepEqual(items.map((item) => [item.name, item.price, item.lineTotal]), [['Paneer Tikka', 250, 500], ['Kulfi', 99.5, 99.5]]);
+    assert.equal(pricing.subtotal, 599.5);
+    assert.equal(pricing.deliveryFee, 40);
+    assert.equal(pricing.tax, 29.98);
+    assert.equal(pricing.total, 669.48);
+});
+
+test("the same dish sent twice is one line", async () => {
+    menu();
+
+    const { items } = await priceOrder([
+        { itemId: tikka._id.toString(), quantity: 1 },
+        { itemId: tikka._id.toString(), quantity: 2 }
+    ]);
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].quantity, 3);
+});
+
+test("tax is charged on the discounted food total", async () => {
+    menu();
+    mock.method(couponModel, 'findOne', async () => ({
+        _id: new mongoose.Types.ObjectId(),
+        code: 'SAVE100',
+        isActive: true,
+        discountType: 'flat',
+        discountValue: 100,
+        minOrderAmount: 0,
+        usageLimit: 0,
+        usedCount: 0,
+        perUserLimit: 0,
+        firstOrderOnly: false,
+        categories: []
+    }));
+
+    const { pricing, coupon } = await priceOrder([{ itemId: tikka._id.toString(), quantity: 2 }], { couponCode: 'save100' });
+
+    assert.equal(coupon.discount, 100);
+    assert.equal(pricing.discount, 100);
+    assert.equal(pricing.tax, 20);
+    assert.equal(pricing.total, 500 - 100 + 40 + 20);
+});
+
+test("pre-orders leave out delivery and tax", async () => {
+    menu();
+
+    const { pricing } = await priceOrder([{ itemId: tikka._id.toString(), quantity: 1 }], { includeDelivery: false, includeTax: false });
+
+    assert.equal(pricing.total, 250);
+});
+
+test("dishes that are off the menu or sold out can't be ordered", async () => {
+    menu([{ ...kulfi, status: 'unavailable' }]);
+
+    await assert.rejects(priceOrder([{ itemId: kulfi._id.toString(), quantity: 1 }]), { message: "Kulfi is currently unavailable" });
+    await assert.rejects(priceOrder([{ itemId: tikka._id.toString(), quantity: 1 }]), { message: "One of the items in your order no longer exists" });
+});
+
+test("quantities have to be whole numbers within the limit", async () => {
+    menu();
+
+    await assert.rejects(priceOrder([{ itemId: tikka._id.toString(), quantity: 0 }]), { message: "Invalid quantity for an order item" });
+    await assert.rejects(priceOrder([{ itemId: tikka._id.toString(), quantity: 51 }]), { message: "You can order at most 50 of a single item" });
+});
@@ -0,0 +1,57 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import refundModel from "../models/refundModel.js";
+import { getRazorpay } from "../services/paymentService.js";
+import { issueBookingRefunds } from "../services/refundService.js";
+
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_x';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test-secret';
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// Paid ₹500 up front, then a ₹200 top-up after adding to the pre-order
+const makeBooking = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    paymentStatus: 'paid',
+    paymentId: 'pay_first',
+    paidAmount: 700,
+    refundedAmount: 0,
+    extraPayments: [{ amount: 200, paymentId: 'pay_top_up', status: 'paid' }],
+    ...fields
+});
+
+// Refund a booking against in-memory models. `earlier` maps a payment id to what was already refunded from it.
+const refund = async (booking, amount, earlier = {}) => {
+    mock.method(refundModel, 'find', async (filter) => filter.paymentId ? (earlier[filter.paymentId] || []) : []);
+    mock.method(refundModel, 'create', async (fields) => new refundModel(fields));
+    mock.method(refundModel.prototype, 'save', async function () { return this; });
+    const providerRefund = mock.method(getRazorpay().payments, 'refund', async () => ({ id: 'rfnd_1', status: 'pending' }));
+    mock.method(console, 'log', () => {});
+
+    const refunds = await issueBookingRefunds({ booking, amount });
+    return {
+        refunds: refunds.map((record) => [record.paymentId, record.amount]),
+        charged: providerRefund.mock.calls.map((call) => [call.arguments[0], call.arguments[1].amount])
+    };
+};
+
+test("a refund comes off the newest payment first and the rest off the first payment", async () => {
+    const { refunds, charged } = await refund(makeBooking(), 300);
+
+    assert.deepEqual(refunds, [['pay_top_up', 200], ['pay_first', 100]]);
+    assert.deepEqual(charged, [['pay_top_up', 20000], ['pay_first', 10000]]);
+});
+
+test("no payment is refunded beyond what it took", async () => {
+    // ₹150 of the top-up went back earlier
+    const { refunds } = await refund(makeBooking({ refundedAmount: 150 }), 300, { pay_top_up: [{ amount: 150 }] });
+
+    assert.deepEqual(refunds, [['pay_top_up', 50], ['pay_first', 250]]);
+});
+
+test("a booking can't be refunded more than was paid", async () => {
+    await assert.rejects(refund(makeBooking(), 800), { message: "Only ₹700 can be refunded" });
+});
@@ -0,0 +1,110 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import waitlistModel from "../models/waitlistModel.js";
+import bookingModel from "../models/bookingModel.js";
+import tableModel from "../models/tableModel.js";
+import settingsModel from "../models/settingsModel.js";
+import notificationModel from "../models/notificationModel.js";
+import emailModel from "../models/emailModel.js";
+import { claimWaitlistOffer } from "../controllers/waitlistController.js";
+import { setEmailTransport } from "../services/emailService.js";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+afterEach(() => {
+    mock.restoreAll();
+    setEmailTransport(null);
+});
+
+const table = { _id: new mongoose.Types.ObjectId(), tableNumber: 7, tableName: 'Window', pricePerHour: 0, isActive: true };
+
+const makeEntry = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Asha',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    guests: 4,
+    date: new Date('2026-10-24T00:00:00Z'),
+    notes: '',
+    status: 'offered',
+    offer: {
+        token: 'offer-token',
+        tableId: table._id,
+        tableNumber: 7,
+        tableName: 'Window',
+        time: '7:30 PM',
+        startAt: new Date('2026-10-24T14:00:00Z'),
+        endAt: new Date('2026-10-24T15:30:00Z'),
+        durationMinutes: 90,
+        expiresAt: new Date(Date.now() + 15 * 60000)
+    },
+    toObject() { return { ...this }; }
+});
+
+// Claim an offer against in-memory models. `settings` overrides the restaurant settings,
+// `noShows` is how many earlier no-shows the guest has.
+const claim = async ({ settings = {}, noShows = 0, body = {} } = {}) => {
+    const entry = makeEntry();
+    mock.method(waitlistModel, 'findOne', async () => entry);
+    mock.method(waitlistModel, 'findOneAndUpdate', async () => entry);
+    mock.method(waitlistModel, 'updateOne', async () => ({}));
+    mock.method(settingsModel, 'findOneAndUpdate', async () => new settingsModel(settings));
+    mock.method(tableModel, 'findById', async () => table);
+    mock.method(tableModel, 'findOneAndUpdate', async () => table);
+    mock.method(tableModel, 'updateOne', async () => ({}));
+    mock.method(tableModel, 'findByIdAndUpdate', async () => table);
+    mock.method(bookingModel, 'find', async () => []);
+    mock.method(bookingModel, 'countDocuments', async () => noShows);
+    const create = mock.method(bookingModel, 'create', async (booking) => new bookingModel(booking));
+    mock.method(notificationModel, 'create', async (notification) => notification);
+    setEmailTransport({ name: 'memory', send: async () => {} });
+    mock.method(emailModel, 'create', async (email) => ({ _id: new mongoose.Types.ObjectId(), attempts: 1, ...email }));
+    mock.method(emailModel, 'findOneAndUpdate', async () => null);
+    mock.method(console, 'log', () => {});
+
+    const res = { json: mock.fn() };
+    await claimWaitlistOffer({ body: { token: 'offer-token', ...body }, headers: {} }, res);
+    return { response: res.json.mock.calls[0].arguments[0], booking: create.mock.calls[0]?.arguments[0] };
+};
+
+test("claiming an offer takes the reservation deposit like a direct booking", async () => {
+    const { response, booking } = await claim({ settings: { depositMode: 'perGuest', depositAmount: 100 } });
+
+    assert.equal(response.success, true);
+    assert.equal(booking.depositAmount, 400);
+    assert.equal(booking.depositReason, 'reservation');
+    assert.equal(response.amountDue, 400);
+});
+
+test("guests with earlier no-shows pay the no-show deposit when claiming", async () => {
+    const { response, booking } = await claim({
+        settings: { noShowDepositThreshold: 2, noShowDepositAmount: 500 },
+        noShows: 2
+    });
+
+    assert.equal(booking.depositAmount, 500);
+    assert.equal(booking.depositReason, 'no-show');
+    assert.equal(response.amountDue, 500);
+});
+
+test("claiming without a deposit policy books the table with nothing to pay", async () => {
+    const { response, booking } = await claim();
+
+    assert.equal(booking.depositAmount, 0);
+    assert.equal(response.amountDue, 0);
+    assert.equal(response.message, "Your table is booked!");
+});
+
+test("a claimed booking goes on the guest's account and gets its manage link and email", async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const { response, booking } = await claim({ body: { userId } });
+
+    assert.equal(booking.userId, userId);
+    assert.match(response.manageLink, /\/my-bookings\?manage=/);
+
+    const email = emailModel.create.mock.calls[0].arguments[0];
+    assert.equal(email.to, 'asha@example.com');
+    assert.equal(email.template, 'bookingReceived');
+    assert.ok(email.text.includes(response.manageLink));
+});
@@ -0,0 +1,71 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import waitlistModel from "../models/waitlistModel.js";
+import emailModel from "../models/emailModel.js";
+import notificationModel from "../models/notificationModel.js";
+import { makeOffer } from "../services/waitlistService.js";
+import { setEmailTransport } from "../services/emailService.js";
+
+afterEach(() => {
+    mock.restoreAll();
+    setEmailTransport(null);
+});
+
+const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Asha',
+    email: 'asha@example.com',
+    guests: 4,
+    date: new Date('2026-10-24T00:00:00Z'),
+    status: 'waiting'
+};
+
+const match = {
+    table: { _id: new mongoose.Types.ObjectId(), tableNumber: 7, tableName: 'Window' },
+    time: '7:30 PM',
+    startAt: new Date('2026-10-24T14:00:00Z'),
+    endAt: new Date('2026-10-24T15:30:00Z'),
+    durationMinutes: 90
+};
+
+test("makeOffer emails the guest their claim link", async () => {
+    mock.method(waitlistModel, 'findOneAndUpdate', async (filter, update) => ({ ...entry, ...update }));
+
+    // Keep the queued email in memory and send it straight through a recording transport
+    const sent = [];
+    setEmailTransport({ name: 'memory', send: async (message) => { sent.push(message); } });
+    mock.method(emailModel, 'create', async (email) => ({ _id: new mongoose.Types.ObjectId(), attempts: 1, ...email }));
+    mock.method(emailModel, 'findOneAndUpdate', async (filter) => ({
+        _id: filter._id,
+        attempts: 1,
+        ...emailModel.create.mock.calls[0].arguments[0]
+    }));
+    mock.method(emailModel, 'updateOne', async () => ({}));
+    const notify = mock.method(notificationModel, 'create', async (notification) => notification);
+
+    const offered = await makeOffer(entry, match);
+
+    assert.equal(offered.status, 'offered');
+    assert.equal(emailModel.create.mock.callCount(), 1);
+    const queued = emailModel.create.mock.calls[0].arguments[0];
+    assert.equal(queued.to, entry.email);
+    assert.equal(queued.template, 'waitlistOffer');
+    assert.match(queued.text, new RegExp(`/waitlist/claim\\?token=${offered.offer.token}`));
+
+    // The send happens in the background once the email is claimed
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, entry.email);
+
+    // Staff hear about the offer after the email went out
+    assert.equal(notify.mock.callCount(), 1);
+});
+
+test("makeOffer sends nothing when the entry was already offered", async () => {
+    mock.method(waitlistModel, 'findOneAndUpdate', async () => null);
+    const create = mock.method(emailModel, 'create', async (email) => email);
+
+    assert.equal(await makeOffer(entry, match), null);
+    assert.equal(create.mock.callCount(), 0);
+});